@@ -21,6 +21,14 @@ require('./auth');
 const path = require('path');
 const fs = require('fs');
 const { redisClient } = require('./middleware/cache');
+const { registerNotificationListeners } = require('./services/notificationService');
+const { registerWaitlistListeners, startWaitlistSweeper } = require('./services/waitlistService');
+const { registerLedgerListeners } = require('./services/ledgerService');
+const { registerInvoiceListeners } = require('./services/invoiceService');
+const { registerPackageListeners } = require('./services/packageService');
+const { registerEmailListeners, startOutboxWorker } = require('./services/emailService');
+const { startReminderScheduler } = require('./services/reminderService');
+const { registerRealtimeListeners } = require('./services/realtimeService');
 
 // Import route handlers
 const authRoutes = require('./routes/authRoutes');
@@ -28,6 +36,18 @@ const userRoutes = require('./routes/userRoutes');
 const consultantRoutes = require('./routes/consultantRoutes');
 const clientRoutes = require('./routes/clientRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const seriesRoutes = require('./routes/seriesRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const packageRoutes = require('./routes/packageRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const pushRoutes = require('./routes/pushRoutes');
+const notificationPreferenceRoutes = require('./routes/notificationPreferenceRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
 const policyRoutes = require('./routes/policyRoutes');
 const serviceRoutes = require('./routes/serviceRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
@@ -40,6 +60,32 @@ validateEnv();
 // Establish database connection
 connectDB();
 
+// Notify booking participants of changes made through the API
+registerNotificationListeners();
+
+// Offer cancelled slots to the waitlist and pass on offers that were not claimed in time
+registerWaitlistListeners();
+startWaitlistSweeper();
+
+// Post earnings, refunds and payouts to the consultant ledger
+registerLedgerListeners();
+
+// Issue invoices for paid bookings and credit notes for refunds
+registerInvoiceListeners();
+
+// Give package credits back for sessions cancelled with a full refund
+registerPackageListeners();
+
+// Email participants about booking changes and retry email that could not be sent
+registerEmailListeners();
+startOutboxWorker();
+
+// Remind participants of their upcoming confirmed sessions
+startReminderScheduler();
+
+// Stream booking and availability changes to connected browsers
+registerRealtimeListeners();
+
 const app = express();
 
 // Create required directories for file uploads
@@ -55,12 +101,19 @@ fs.mkdirSync(documentsDir, { recursive: true });
 app.use(cors({
   origin: process.env.FRONTEND_URL,
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
 // Request parsing middleware
-app.use(express.json());
+app.use(express.json({
+  // Webhook signatures are computed over the exact bytes the provider sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Session configuration for user authentication
@@ -95,7 +148,19 @@ app.use('/api/auth', authRoutes);         // Authentication endpoints
 app.use('/api/users', userRoutes);        // User management
 app.use('/api/consultants', consultantRoutes); // Consultant-specific operations
 app.use('/api/clients', clientRoutes);    // Client-specific operations
+app.use('/api/bookings/series', seriesRoutes); // Recurring booking series
 app.use('/api/bookings', bookingRoutes);  // Booking management
+app.use('/api/waitlist', waitlistRoutes); // Waitlist for fully booked consultants
+app.use('/api/payments', paymentRoutes);  // Payments and refunds
+app.use('/api/payouts', payoutRoutes);    // Consultant payouts
+app.use('/api/coupons', couponRoutes);    // Discount codes
+app.use('/api/packages', packageRoutes);  // Prepaid session packages
+app.use('/api/notifications', notificationRoutes); // In-app notifications
+app.use('/api/push', pushRoutes);  // Browser push subscriptions
+app.use('/api/notification-preferences', notificationPreferenceRoutes); // Notification preferences and unsubscribe links
+app.use('/api/events', eventRoutes);      // Live updates (Server-Sent Events)
+app.use('/api/conversations', messageRoutes); // Client–consultant messaging
+app.use('/api/sessions', sessionRoutes);  // Video sessions (signaling WebSocket attached in server.js)
 app.use('/api/policies', policyRoutes);   // Policy management
 app.use('/api/services', serviceRoutes);  // Service management
 app.use('/api/upload', uploadRoutes);     // File upload handling
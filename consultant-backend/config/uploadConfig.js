@@ -11,12 +11,15 @@
  * Related Files:
  * - routes/bookingRoutes.js - Uses upload middleware for booking documents
  * - routes/consultantRoutes.js - Uses upload for consultant profile documents
+ * - routes/messageRoutes.js - Uses attachmentUpload for message attachments
  * - controllers/bookingController.js - Processes uploaded booking documents
  * - controllers/consultantController.js - Handles consultant document uploads
  * - services/fileService.js - File processing utilities
  * 
  * Environment Variables:
  * - UPLOAD_DIR: Custom upload directory (optional, defaults to 'medias/documents')
+ * - ATTACHMENT_DIR: Message attachment directory (optional, defaults to 'storage/attachments');
+ *   must not be served statically
  * - MAX_FILE_SIZE: Maximum file size in bytes (optional, defaults to 10MB)
  */
 
@@ -24,11 +27,15 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
-// Create upload directory if it doesn't exist
+// Create upload directories if they don't exist
 const uploadDir = process.env.UPLOAD_DIR || path.join(__dirname, '../medias/documents');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Message attachments are private: outside the folders app.js serves statically
+const attachmentDir = process.env.ATTACHMENT_DIR || path.join(__dirname, '../storage/attachments');
+[uploadDir, attachmentDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
 
 /**
  * Storage Configuration
@@ -39,17 +46,18 @@ if (!fs.existsSync(uploadDir)) {
  * - Unique filename generation
  * - Original file extension preservation
  * 
- * @constant
- * @type {Object}
+ * @function storageIn
+ * @param {string} directory - Directory the files are written to
+ * @returns {Object} Multer disk storage
  * 
  * Related Components:
  * - services/storageService.js - Additional storage utilities
  * - utils/fileUtils.js - File handling helper functions
  */
-const storage = multer.diskStorage({
+const storageIn = (directory) => multer.diskStorage({
   // Set the destination directory for uploaded files
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, directory);
   },
   // Generate unique filename for uploaded files
   filename: (req, file, cb) => {
@@ -119,8 +127,9 @@ const fileFilter = (req, file, cb) => {
  * Multer Configuration
  * Configures multer middleware with storage, file filter, and size limits
  * 
- * @constant
- * @type {Object}
+ * @function createUpload
+ * @param {string} directory - Directory uploaded files are stored in
+ * @returns {Object} Multer instance
  * 
  * Features:
  * - Custom storage configuration
@@ -141,12 +150,16 @@ const fileFilter = (req, file, cb) => {
  * - POST /api/bookings/documents - Booking document upload
  * - POST /api/consultants/documents - Consultant document upload
  */
-const uploadConfig = multer({
-  storage: storage,
+const createUpload = (directory) => multer({
+  storage: storageIn(directory),
   fileFilter: fileFilter,
   limits: {
     fileSize: process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 // 10MB file size limit
   }
 });
 
+const uploadConfig = createUpload(uploadDir);
+
 module.exports = uploadConfig;
+// Message attachments, downloadable only through GET /api/conversations/:id/messages/:messageId/attachments/:attachmentId
+module.exports.attachmentUpload = createUpload(attachmentDir);
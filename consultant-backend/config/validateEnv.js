@@ -22,12 +22,30 @@
  * - GOOGLE_CLIENT_SECRET: Google OAuth client secret
  * - GOOGLE_CALLBACK_URL: Google OAuth callback URL
  * - FRONTEND_URL: Frontend application URL (default: http://localhost:3000)
+ * - BACKEND_URL: Public URL of this API, for links in email (default: http://localhost:8000)
  * - REDIS_HOST: Redis host (default: localhost)
  * - REDIS_PORT: Redis port (default: 6379)
  * - REDIS_PASSWORD: Redis password (default: '')
+ * - PAYMENT_PROVIDER: Payment provider to charge through (default outside production: fake;
+ *   required in production, where the fake provider is refused)
+ * - PAYMENT_WEBHOOK_SECRET: Secret the provider signs webhooks with (default outside production: whsec_fake;
+ *   required in production)
+ * - PLATFORM_COMMISSION_PERCENT: Platform's share of each booking (default: 20)
+ * - INVOICE_TAX_RATE_PERCENT: Tax included in prices, shown on invoices (default: 0)
+ * - INVOICE_TAX_NAME: Name of that tax on invoices (default: VAT)
+ * - EXCHANGE_RATES_FILE: JSON exchange-rate table for approximate prices (default: config/exchangeRates.json)
+ * - EMAIL_TRANSPORT: Transport transactional email is sent through: console, file or smtp (default: console)
+ * - EMAIL_FROM: Sender of transactional email
+ * - EMAIL_FILE_DIR: Directory the file transport writes to (default: storage/emails);
+ *   must not be served statically
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS: SMTP server (default: localhost:1025, no auth)
+ * - VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY: Web Push keys; push is off without them (default: '')
+ * - VAPID_SUBJECT: Contact the push services can reach the sender at (default: mailto:no-reply@localhost)
+ * - REMINDER_OFFSETS: How long before a session reminders are sent (default: 24h,1h)
+ * - ICE_SERVERS: STUN/TURN servers for video sessions, as RTCPeerConnection iceServers JSON (default: [])
  */
 
-const { cleanEnv, str, port } = require('envalid');
+const { cleanEnv, str, port, num, bool, json } = require('envalid');
 
 /**
  * Validates environment variables against a predefined schema
@@ -39,6 +57,7 @@ const { cleanEnv, str, port } = require('envalid');
  * 
  * Validation Rules:
  * - All required variables must be present
+ * - In production, payment settings have no defaults and the fake provider is refused
  * - Variables must match their specified types
  * - Enumerated values must match allowed choices
  * - Default values are used when optional variables are missing
@@ -55,7 +74,7 @@ const { cleanEnv, str, port } = require('envalid');
  * - utils/envUtils.js - Environment helper functions
  */
 const validateEnv = () => {
-  return cleanEnv(process.env, {
+  const env = cleanEnv(process.env, {
     // Application environment (development/production/test)
     NODE_ENV: str({ 
       choices: ['development', 'test', 'production'],
@@ -103,6 +122,12 @@ const validateEnv = () => {
       desc: 'URL of the frontend application',
       example: 'http://localhost:3000'
     }),
+
+    BACKEND_URL: str({
+      default: 'http://localhost:8000',
+      desc: 'Public URL of this API, used for links in email such as unsubscribe links',
+      example: 'https://api.example.com'
+    }),
     
     // Redis host
     REDIS_HOST: str({ 
@@ -123,8 +148,136 @@ const validateEnv = () => {
       default: '',
       desc: 'Redis password',
       example: ''
+    }),
+
+    // Payment provider (see services/paymentProviders)
+    PAYMENT_PROVIDER: str({
+      devDefault: 'fake',
+      desc: 'Name of the registered payment provider to charge through',
+      example: 'fake'
+    }),
+
+    // Secret shared with the payment provider to sign webhooks
+    PAYMENT_WEBHOOK_SECRET: str({
+      devDefault: 'whsec_fake',
+      desc: 'Secret the payment provider signs webhook requests with',
+      example: 'whsec_...'
+    }),
+
+    // Platform commission taken from each booking, in percent
+    PLATFORM_COMMISSION_PERCENT: num({
+      default: 20,
+      desc: 'Percentage of each paid booking kept by the platform',
+      example: '20'
+    }),
+
+    INVOICE_TAX_RATE_PERCENT: num({
+      default: 0,
+      desc: 'Tax rate included in booking prices and broken out on invoices',
+      example: '20'
+    }),
+
+    INVOICE_TAX_NAME: str({
+      default: 'VAT',
+      desc: 'Name of the tax shown on invoices',
+      example: 'VAT'
+    }),
+
+    EXCHANGE_RATES_FILE: str({
+      default: '',
+      desc: 'Path to a JSON exchange-rate table ({ base, updatedAt, rates }) replacing config/exchangeRates.json',
+      example: '/etc/consultant/exchangeRates.json'
+    }),
+
+    // Email transport (see services/emailTransports)
+    EMAIL_TRANSPORT: str({
+      choices: ['console', 'file', 'smtp'],
+      default: 'console',
+      desc: 'Transport transactional email is sent through',
+      example: 'smtp'
+    }),
+
+    EMAIL_FROM: str({
+      default: 'Consultant Booking <no-reply@localhost>',
+      desc: 'Sender of transactional email',
+      example: 'Consultant Booking <bookings@example.com>'
+    }),
+
+    EMAIL_FILE_DIR: str({
+      default: '',
+      desc: 'Private directory the file transport writes .eml files to; must not be served statically (default: storage/emails)',
+      example: '/tmp/emails'
+    }),
+
+    SMTP_HOST: str({
+      default: 'localhost',
+      desc: 'SMTP server host',
+      example: 'smtp.example.com'
+    }),
+
+    SMTP_PORT: port({
+      default: 1025,
+      desc: 'SMTP server port',
+      example: '587'
+    }),
+
+    SMTP_SECURE: bool({
+      default: false,
+      desc: 'Connect to the SMTP server over TLS',
+      example: 'true'
+    }),
+
+    SMTP_USER: str({
+      default: '',
+      desc: 'SMTP user name (none for servers without auth)',
+      example: 'bookings@example.com'
+    }),
+
+    SMTP_PASS: str({
+      default: '',
+      desc: 'SMTP password',
+      example: 'secret'
+    }),
+
+    // Web Push (see services/pushService); generate keys with `npx web-push generate-vapid-keys`
+    VAPID_PUBLIC_KEY: str({
+      default: '',
+      desc: 'Public VAPID key browsers subscribe with; push is off when empty',
+      example: 'BP... (publicKey from generate-vapid-keys)'
+    }),
+
+    VAPID_PRIVATE_KEY: str({
+      default: '',
+      desc: 'Private VAPID key push messages are signed with',
+      example: '(privateKey from generate-vapid-keys)'
+    }),
+
+    VAPID_SUBJECT: str({
+      default: 'mailto:no-reply@localhost',
+      desc: 'mailto: or https: contact push services can reach the sender at',
+      example: 'mailto:admin@example.com'
+    }),
+
+    // Session reminders (see services/reminderService)
+    REMINDER_OFFSETS: str({
+      default: '24h,1h',
+      desc: 'Comma-separated times before a confirmed session to remind participants, in m, h or d',
+      example: '2d,24h,30m'
+    }),
+
+    ICE_SERVERS: json({
+      default: [],
+      desc: 'STUN/TURN servers browsers connect video sessions through (RTCPeerConnection iceServers)',
+      example: '[{"urls":"turn:turn.example.com:3478","username":"booking","credential":"secret"}]'
     })
   });
+
+  // The fake provider accepts every charge and its webhook secret is public
+  if (env.isProduction && env.PAYMENT_PROVIDER === 'fake') {
+    throw new Error('PAYMENT_PROVIDER must name a real payment provider in production');
+  }
+
+  return env;
 };
 
 module.exports = validateEnv;
\ No newline at end of file
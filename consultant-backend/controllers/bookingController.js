@@ -9,6 +9,13 @@
  * @requires models/Consultant
  * @requires models/Service
  * @requires config/uploadConfig
+ * @requires services/bookingService
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires services/holdService
+ * @requires services/invoiceService
+ * @requires services/invoicePdf
+ * @requires services/couponService
  */
 
 const Booking = require('../models/Booking');
@@ -17,6 +24,25 @@ const Consultant = require('../models/Consultant');
 const Service = require('../models/Service');
 const upload = require('../config/uploadConfig');
 const mongoose = require('mongoose');
+const {
+  reserveSlot,
+  rescheduleBooking: moveBooking,
+  cancelBooking: cancelWithRefund,
+  BookingConflictError,
+  conflictResponse
+} = require('../services/bookingService');
+const { transitionBooking, resolveActorRole, InvalidTransitionError } = require('../services/bookingLifecycle');
+const { getPolicyForConsultant, assertReschedulable, PolicyViolationError } = require('../services/policyService');
+const { placeHold, releaseHold: deleteHold } = require('../services/holdService');
+const { getBookingInvoices } = require('../services/invoiceService');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+const { CouponError } = require('../services/couponService');
+const { isScheduledSlot } = require('../services/availabilityService');
+const { isValidDateKey } = require('../utils/timeZone');
+const { PackageError } = require('../services/packageService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/; // HH:mm
 
 /**
  * Creates a new booking for a consultation session
@@ -25,15 +51,19 @@ const mongoose = require('mongoose');
  * @param {Object} req.body - Request body containing booking details
  * @param {string} req.body.consultantId - ID of the consultant to book
  * @param {string} req.body.serviceId - ID of the service being booked
- * @param {string} req.body.date - Date of the booking
- * @param {string} req.body.time - Start time of the session
- * @param {string} req.body.duration - Duration of the session
+ * @param {string} req.body.date - Date of the booking, in the consultant's time zone
+ * @param {string} req.body.time - Start time of the session, in the consultant's time zone
  * @param {string} [req.body.notes] - Optional notes for the booking
- * @param {string} [req.body.status='pending'] - Booking status
- * @param {string} [req.body.paymentStatus='pending'] - Payment status
+ * @param {string} [req.body.clientTimeZone] - Client's IANA time zone (defaults to the user's profile zone)
+ * @param {string} [req.body.couponCode] - Discount code taken off the price
+ * @param {string} [req.body.packagePurchaseId] - Package purchase to pay with one credit
  * @param {Object} req.files - Uploaded documents
  * @param {Object} res - Express response object
- * @returns {Object} Created booking object with populated references
+ * @returns {Object} Created booking object with populated references (lasting as long as the service),
+ * 404 if the consultant does not offer the service,
+ * 409 with the conflicting slot if the consultant is already booked,
+ * 404/422 if the discount code is unknown or cannot be used,
+ * or 422 if the package has no credit left for this service
  */
 const createBooking = async (req, res) => {
   try {
@@ -57,10 +87,12 @@ const createBooking = async (req, res) => {
       serviceId: req.body.serviceId,
       date: req.body.date,
       time: req.body.time,
-      duration: req.body.duration || 60,
       notes: req.body.notes || '',
-      status: req.body.status || 'pending',
-      paymentStatus: req.body.paymentStatus || 'pending'
+      clientTimeZone: req.body.clientTimeZone || req.user.timeZone,
+      // New bookings always start pending and unpaid; later changes go through the
+      // lifecycle endpoints, and payment statuses are set by the payment services only
+      status: 'pending',
+      paymentStatus: 'pending'
     };
 
     console.log('Parsed booking data:', bookingData);
@@ -71,7 +103,6 @@ const createBooking = async (req, res) => {
     if (!bookingData.serviceId) validationErrors.push('serviceId is required');
     if (!bookingData.date) validationErrors.push('date is required');
     if (!bookingData.time) validationErrors.push('time is required');
-    if (!bookingData.duration) validationErrors.push('duration is required');
 
     if (validationErrors.length > 0) {
       console.error('Validation errors:', validationErrors);
@@ -89,6 +120,9 @@ const createBooking = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(bookingData.serviceId)) {
       return res.status(400).json({ message: 'Invalid serviceId format' });
     }
+    if (req.body.packagePurchaseId && !mongoose.Types.ObjectId.isValid(req.body.packagePurchaseId)) {
+      return res.status(400).json({ message: 'Invalid packagePurchaseId format' });
+    }
 
     // Handle document uploads
     const documentPaths = req.files ? req.files.map(file => file.path) : [];
@@ -128,23 +162,31 @@ const createBooking = async (req, res) => {
       throw error;
     }
 
-    // Create booking
+    // The session lasts as long as the service, whatever the client sends
+    const service = await Service.findOne({ _id: bookingData.serviceId, consultantId: consultant._id }).select('duration');
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found for this consultant' });
+    }
+
+    // Create booking, rejecting overlaps with the consultant's existing bookings
     try {
-      const newBooking = new Booking({
+      const newBooking = await reserveSlot({
         clientId: client._id,
         consultantId: bookingData.consultantId,
         serviceId: bookingData.serviceId,
-        date: new Date(bookingData.date),
+        date: bookingData.date,
         time: bookingData.time,
-        duration: bookingData.duration,
+        duration: service.duration,
         status: bookingData.status,
         paymentStatus: bookingData.paymentStatus,
         notes: bookingData.notes,
+        clientTimeZone: bookingData.clientTimeZone,
         documents: documentPaths
+      }, {
+        actor: req.user,
+        couponCode: req.body.couponCode,
+        packagePurchaseId: req.body.packagePurchaseId
       });
-
-      console.log('Creating new booking:', newBooking);
-      await newBooking.save();
       console.log('Booking saved successfully');
 
       // Populate the booking with related data
@@ -162,6 +204,15 @@ const createBooking = async (req, res) => {
       throw error;
     }
   } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    if (error instanceof CouponError || error instanceof PackageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid booking data', error: error.message });
+    }
     console.error('createBooking error:', error);
     return res.status(500).json({ 
       message: 'Server error',
@@ -260,9 +311,10 @@ const getBookingsByDateRange = async (req, res) => {
       return res.status(400).json({ message: 'Missing required query parameters' });
     }
 
+    // Compare absolute instants so the range works across time zones
     const bookings = await Booking.find({
       consultantId,
-      date: {
+      startAt: {
         $gte: new Date(startDate),
         $lte: new Date(endDate),
       },
@@ -276,20 +328,48 @@ const getBookingsByDateRange = async (req, res) => {
 };
 
 /**
- * Updates a booking's status or payment status
+ * Moves a booking to a new status. Cancellations also record the refund owed
+ * under the consultant's cancellation rules.
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {string} to - Target status
+ * @param {Object} context
+ * @param {Object} context.actor - User making the change
+ * @param {string} [context.reason] - Reason stored in the history
+ * @returns {Promise<Object>} The saved booking
+ * @throws {InvalidTransitionError} If the change is not allowed
+ */
+const applyStatusChange = async (booking, to, { actor, reason }) => {
+  if (to !== 'cancelled') {
+    return transitionBooking(booking, to, { actor, reason });
+  }
+
+  const role = await resolveActorRole(booking, actor);
+  if (!role) {
+    throw new InvalidTransitionError('You are not a participant of this booking', 403);
+  }
+  return cancelWithRefund(booking, { actor, role, reason });
+};
+
+/**
+ * Updates a booking's status through the lifecycle state machine. The payment
+ * status is not writable here; payments and package credits set it.
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.id - Booking ID to update
  * @param {Object} req.body - Update data
- * @param {string} [req.body.status] - New booking status
- * @param {string} [req.body.paymentStatus] - New payment status
+ * @param {string} [req.body.status] - New booking status (must be an allowed transition)
+ * @param {string} [req.body.reason] - Reason recorded with the status change
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
  * @returns {Object} Updated booking object
  */
 const updateBooking = async (req, res) => {
   try {
-    const { status, paymentStatus } = req.body;
+    const { status, reason } = req.body;
+    if (status === 'rescheduled') {
+      return res.status(400).json({ message: 'Use POST /api/bookings/:id/reschedule to move a booking' });
+    }
 
     const booking = await Booking.findById(req.params.id);
     if (!booking) {
@@ -301,17 +381,309 @@ const updateBooking = async (req, res) => {
       return res.status(403).json({ message: 'You are not authorized to update this booking' });
     }
 
-    booking.status = status || booking.status;
-    booking.paymentStatus = paymentStatus || booking.paymentStatus;
-
-    await booking.save();
+    if (status && status !== booking.status) {
+      await applyStatusChange(booking, status, { actor: req.user, reason });
+    }
     return res.status(200).json(booking);
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error updating booking:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 };
 
+/**
+ * Moves a booking to a new lifecycle status
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} to - Target status
+ * @param {Object} res - Express response object
+ * @returns {Object} Updated booking, 403 if the user may not perform the transition,
+ * or 409 if the booking's current status does not allow it
+ */
+const changeBookingStatus = async (req, res, to) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid booking ID format' });
+    }
+
+    // Rescheduling needs a new slot; it has its own endpoint
+    if (to === 'rescheduled') {
+      return res.status(400).json({ message: 'Use POST /api/bookings/:id/reschedule to move a booking' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    await applyStatusChange(booking, to, { actor: req.user, reason: req.body && req.body.reason });
+
+    return res.status(200).json({
+      message: `Booking ${to}`,
+      booking
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`Error changing booking status to ${to}:`, error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Creates an Express handler that moves a booking to a fixed status
+ * @param {string} to - Target status
+ * @returns {Function} Express handler
+ */
+const transitionTo = (to) => (req, res) => changeBookingStatus(req, res, to);
+
+/**
+ * Updates a booking's status from req.body.status through the lifecycle state machine
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} req.body.status - Target status
+ * @param {string} [req.body.reason] - Reason recorded with the change
+ * @param {Object} res - Express response object
+ * @returns {Object} Updated booking
+ */
+const updateBookingStatus = (req, res) => {
+  if (!req.body || !req.body.status) {
+    return res.status(400).json({ message: 'status is required' });
+  }
+  return changeBookingStatus(req, res, req.body.status);
+};
+
+/**
+ * Returns the status history of a booking
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} res - Express response object
+ * @returns {Array} Transitions with actor, timestamp and reason
+ */
+const getBookingHistory = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .select('clientId consultantId status statusHistory')
+      .populate('statusHistory.actor', 'name email role');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!(await resolveActorRole(booking, req.user))) {
+      return res.status(403).json({ message: 'You are not a participant of this booking' });
+    }
+    return res.status(200).json({ status: booking.status, history: booking.statusHistory });
+  } catch (error) {
+    console.error('Error fetching booking history:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Downloads the invoice of a paid booking as a PDF, with a page for each
+ * credit note issued for its refunds
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {Object} res - Express response object
+ * @returns {Buffer} The PDF, or 404 if the booking was not charged (unpaid, or paid with a package credit)
+ */
+const getBookingInvoice = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid booking ID format' });
+    }
+
+    const booking = await Booking.findById(req.params.id).select('clientId consultantId');
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!(await resolveActorRole(booking, req.user))) {
+      return res.status(403).json({ message: 'You are not a participant of this booking' });
+    }
+
+    const documents = await getBookingInvoices(booking._id);
+    if (documents.length === 0) {
+      return res.status(404).json({ message: 'This booking has no invoice' });
+    }
+
+    const pdf = await renderInvoicePdf(documents);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${documents[0].number}.pdf"`
+    });
+    return res.status(200).send(pdf);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Moves a booking to a new free slot with the same consultant and service.
+ * Clients must respect the consultant's reschedule rules (minimum notice,
+ * maximum number of reschedules) and pick a slot of the consultant's
+ * schedule; consultants and admins are exempt. Nobody can move a booking
+ * into the past.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Booking ID
+ * @param {string} req.body.date - New date (YYYY-MM-DD), in the consultant's time zone
+ * @param {string} req.body.time - New start time (HH:mm), in the consultant's time zone
+ * @param {string} [req.body.reason] - Reason recorded in the history and sent to the other party
+ * @param {Object} res - Express response object
+ * @returns {Object} The new booking (linked to the original through rescheduledFrom),
+ * 400 if the slot has started or the day does not exist,
+ * 409 if the slot is taken or the booking can no longer be moved,
+ * or 422 if the consultant's policy or schedule does not allow it
+ */
+const rescheduleBooking = async (req, res) => {
+  try {
+    const { date, time, reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid booking ID format' });
+    }
+    if (!isValidDateKey(date) || !TIME_PATTERN.test(time || '')) {
+      return res.status(400).json({ message: 'date (YYYY-MM-DD, a day that exists) and time (HH:mm) are required' });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const role = await resolveActorRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'You are not a participant of this booking' });
+    }
+
+    if (Booking.slotBounds(date, time, booking.duration, booking.timeZone).startAt <= new Date()) {
+      return res.status(400).json({ message: 'Cannot move a booking to a time that has already started' });
+    }
+
+    if (role === 'client') {
+      const policy = await getPolicyForConsultant(booking.consultantId);
+      assertReschedulable(policy, booking);
+      const { consultantId, serviceId } = booking;
+      if (!await isScheduledSlot(consultantId, { serviceId, date, time })) {
+        return res.status(422).json({ message: 'The consultant does not offer this time' });
+      }
+    }
+
+    const moved = await moveBooking(booking, { date, time, actor: req.user, role, reason });
+
+    return res.status(201).json({
+      message: 'Booking rescheduled',
+      booking: moved,
+      previousBookingId: booking._id
+    });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    if (error instanceof InvalidTransitionError || error instanceof PolicyViolationError) {
+      return res.status(error.status).json({ message: error.message, ...(error.rule && { rule: error.rule }) });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error rescheduling booking:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Holds a slot for a few minutes while the client completes the booking form.
+ * The slot shows as taken to everybody else until the hold expires, is
+ * released, or the holder books it.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.consultantId - Consultant to hold
+ * @param {string} req.body.serviceId - Service being booked
+ * @param {string} req.body.date - Date (YYYY-MM-DD), consultant's time zone
+ * @param {string} req.body.time - Start time (HH:mm), consultant's time zone
+ * @param {Object} res - Express response object
+ * @returns {Object} The hold and its expiry, 400 if the slot has started, or 409 if it is booked or held
+ */
+const createHold = async (req, res) => {
+  try {
+    const { consultantId, serviceId, date, time } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(consultantId) || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Valid consultantId and serviceId are required' });
+    }
+    if (!DATE_PATTERN.test(date || '') || !TIME_PATTERN.test(time || '')) {
+      return res.status(400).json({ message: 'date (YYYY-MM-DD) and time (HH:mm) are required' });
+    }
+
+    const [consultant, service] = await Promise.all([
+      Consultant.findById(consultantId).select('timeZone'),
+      Service.findOne({ _id: serviceId, consultantId }).select('duration')
+    ]);
+    if (!consultant) {
+      return res.status(404).json({ message: 'Consultant not found' });
+    }
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found for this consultant' });
+    }
+
+    // The slot is as long as the service, so a hold cannot block more of the calendar
+    const { startAt } = Booking.slotBounds(date, time, service.duration, consultant.timeZone);
+    if (startAt <= new Date()) {
+      return res.status(400).json({ message: 'Cannot hold a slot that has already started' });
+    }
+
+    const hold = await placeHold({
+      userId: req.user._id,
+      consultantId,
+      serviceId,
+      date,
+      time,
+      duration: service.duration
+    });
+
+    return res.status(201).json({ message: 'Slot held', hold });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    console.error('Error holding slot:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Releases the caller's slot hold, e.g. when they close the booking form
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.holdId - Hold ID
+ * @param {Object} res - Express response object
+ * @returns {Object} Success message, or 404 if the hold expired or is not theirs
+ */
+const releaseHold = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.holdId)) {
+      return res.status(400).json({ message: 'Invalid hold ID format' });
+    }
+
+    const hold = await deleteHold(req.params.holdId, req.user._id);
+    if (!hold) {
+      return res.status(404).json({ message: 'Hold not found' });
+    }
+    return res.status(200).json({ message: 'Hold released' });
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Deletes a booking
  * @async
@@ -407,6 +779,17 @@ module.exports = {
   getBookingById,
   getBookingsByDateRange,
   updateBooking,
+  updateBookingStatus,
+  confirmBooking: transitionTo('confirmed'),
+  declineBooking: transitionTo('declined'),
+  completeBooking: transitionTo('completed'),
+  markNoShow: transitionTo('no-show'),
+  cancelBooking: transitionTo('cancelled'),
+  getBookingHistory,
+  getBookingInvoice,
+  rescheduleBooking,
+  createHold,
+  releaseHold,
   deleteBooking,
   uploadDocuments
 };
@@ -8,12 +8,27 @@
  * @requires models/Consultant
  * @requires models/Service
  * @requires models/Booking
+ * @requires services/bookingService
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires services/couponService
  */
 
 const Client = require('../models/Client');
 const Consultant = require('../models/Consultant');
 const Service = require('../models/Service');
 const Booking = require('../models/Booking');
+const mongoose = require('mongoose');
+const {
+  reserveSlot,
+  cancelBooking: cancelWithRefund,
+  BookingConflictError,
+  conflictResponse
+} = require('../services/bookingService');
+const { resolveActorRole, InvalidTransitionError } = require('../services/bookingLifecycle');
+const { quoteCancellation } = require('../services/policyService');
+const { CouponError } = require('../services/couponService');
+const { PackageError } = require('../services/packageService');
 
 /**
  * Creates a new client profile linked to an authenticated user
@@ -70,13 +85,19 @@ const getClientById = async (req, res) => {
  * @param {Object} req.body - Booking details
  * @param {string} req.body.consultantId - ID of consultant to book
  * @param {string} req.body.serviceId - ID of service to book
- * @param {string} req.body.date - Date of booking
- * @param {string} req.body.time - Time of booking
- * @param {string} req.body.duration - Duration of booking
+ * @param {string} req.body.date - Date of booking, in the consultant's time zone
+ * @param {string} req.body.time - Time of booking, in the consultant's time zone
+ * @param {string} [req.body.clientTimeZone] - Client's IANA time zone
+ * @param {string} [req.body.couponCode] - Discount code taken off the price
+ * @param {string} [req.body.packagePurchaseId] - Package purchase to pay with one credit
  * @param {Array} req.files - Uploaded documents
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Updated client profile with new booking
+ * @returns {Object} Updated client profile with new booking (lasting as long as the service),
+ * 404 if the consultant does not offer the service,
+ * 409 with the conflicting slot if the consultant is already booked,
+ * 404/422 if the discount code is unknown or cannot be used,
+ * or 422 if the package has no credit left for this service
  */
 const bookConsultantService = async (req, res) => {
   try {
@@ -84,7 +105,10 @@ const bookConsultantService = async (req, res) => {
     console.log('Request body:', req.body);
     console.log('Uploaded files:', req.files);
 
-    const { consultantId, serviceId, date, time, duration } = req.body;
+    const { consultantId, serviceId, date, time, clientTimeZone, couponCode, packagePurchaseId } = req.body;
+    if (packagePurchaseId && !mongoose.Types.ObjectId.isValid(packagePurchaseId)) {
+      return res.status(400).json({ message: 'Invalid packagePurchaseId format' });
+    }
 
     // Validate consultant exists
     const consultant = await Consultant.findById(consultantId);
@@ -92,10 +116,10 @@ const bookConsultantService = async (req, res) => {
       return res.status(404).json({ message: 'Consultant not found' });
     }
 
-    // Validate service exists
-    const service = await Service.findById(serviceId);
+    // Validate the consultant offers the service; the session lasts as long as it
+    const service = await Service.findOne({ _id: serviceId, consultantId }).select('duration');
     if (!service) {
-      return res.status(404).json({ message: 'Service not found' });
+      return res.status(404).json({ message: 'Service not found for this consultant' });
     }
 
     // Get client profile
@@ -108,19 +132,18 @@ const bookConsultantService = async (req, res) => {
     const documentPaths = req.files ? req.files.map(file => file.path) : [];
     console.log('Document paths:', documentPaths);
 
-    // Create new booking in the Booking collection
-    const booking = new Booking({
+    // Create new booking in the Booking collection, rejecting overlapping slots
+    const booking = await reserveSlot({
       clientId: client._id,
       consultantId,
       serviceId,
       date,
       time,
-      duration,
+      duration: service.duration,
+      clientTimeZone: clientTimeZone || req.user.timeZone,
       status: 'pending',
       documents: documentPaths
-    });
-
-    await booking.save();
+    }, { actor: req.user, couponCode, packagePurchaseId });
     console.log('Booking saved:', booking);
 
     // Add booking reference to client
@@ -132,37 +155,100 @@ const bookConsultantService = async (req, res) => {
       booking: await booking.populate(['consultantId', 'serviceId'])
     });
   } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    if (error instanceof CouponError || error instanceof PackageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error booking service:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 };
 
 /**
- * Cancels a client's booking
+ * Loads a booking owned by the authenticated client
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The booking, or null once an error response was sent
+ */
+const findOwnBooking = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+    res.status(400).json({ message: 'Invalid booking ID format' });
+    return null;
+  }
+
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+  if ((await resolveActorRole(booking, req.user)) !== 'client') {
+    res.status(403).json({ message: 'You can only cancel your own bookings' });
+    return null;
+  }
+  return booking;
+};
+
+/**
+ * Shows the cancellation terms that apply to a booking and the refund the
+ * client would get by cancelling now, so they can confirm knowingly
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.bookingId - ID of the booking
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} Price, refund percent and amount, hours before start and the terms
+ */
+const getCancellationTerms = async (req, res) => {
+  try {
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
+
+    const quote = await quoteCancellation(booking, 'client');
+    return res.status(200).json({ bookingId: booking._id, status: booking.status, ...quote });
+  } catch (error) {
+    console.error('Error fetching cancellation terms:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Cancels a client's booking under the consultant's cancellation rules
+ * and records the refund owed on the booking
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.bookingId - ID of booking to cancel
+ * @param {string} [req.body.reason] - Reason for cancelling
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Updated client profile
+ * @returns {Object} Cancelled booking and the recorded cancellation,
+ * or 409 if the booking can no longer be cancelled
  */
 const cancelBooking = async (req, res) => {
   try {
-    const client = await Client.findOne({ userId: req.user._id });
-    if (!client) {
-      return res.status(404).json({ message: 'Client profile not found' });
-    }
-
-    const booking = client.bookings.id(req.params.bookingId);
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
 
-    booking.status = 'cancelled';
-    await client.save();
+    await cancelWithRefund(booking, {
+      actor: req.user,
+      role: 'client',
+      reason: req.body && req.body.reason
+    });
 
-    return res.status(200).json(client);
+    return res.status(200).json({
+      message: 'Booking cancelled',
+      booking,
+      cancellation: booking.cancellation
+    });
   } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error cancelling booking:', error);
     return res.status(500).json({ message: 'Server error' });
   }
@@ -202,6 +288,7 @@ module.exports = {
   createClient,
   getClientById,
   bookConsultantService,
+  getCancellationTerms,
   cancelBooking,
   getClientBookings
 };
@@ -6,10 +6,23 @@
  * @module controllers/consultantController
  * @requires models/Consultant
  * @requires models/User
+ * @requires services/availabilityService
+ * @requires services/ledgerService
  */
 
+const mongoose = require('mongoose');
 const Consultant = require('../models/Consultant');
 const User = require('../models/User');
+const { getAvailability } = require('../services/availabilityService');
+const { PERIOD_FORMATS, getEarnings } = require('../services/ledgerService');
+const { zonedTimeToUtc } = require('../utils/timeZone');
+
+// The calendar day after a YYYY-MM-DD date
+const nextDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
 
 /**
  * Creates a new consultant profile for an authenticated user
@@ -60,14 +73,15 @@ const getConsultantById = async (req, res) => {
 };
 
 /**
- * Updates a consultant's services
+ * Updates a consultant's services and the currency they are priced in
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
- * @param {Array} [req.body.services] - Updated list of services
+ * @param {Array} [req.body.services] - Updated list of services; each may set its own currency
+ * @param {string} [req.body.currency] - Consultant's currency, used for services that set none
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Updated consultant profile
+ * @returns {Object} Updated consultant profile, or 400 for an unsupported currency
  */
 const updateConsultantServices = async (req, res) => {
   try {
@@ -77,10 +91,14 @@ const updateConsultantServices = async (req, res) => {
     }
 
     consultant.services = req.body.services || consultant.services;
+    if (req.body.currency) consultant.currency = req.body.currency;
     await consultant.save();
 
     return res.status(200).json(consultant);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating services:', error);
     return res.status(500).json({ message: 'Server error' });
   }
@@ -165,11 +183,142 @@ const getConsultantProfile = async (req, res) => {
   }
 };
 
+/**
+ * Retrieves the bookable time slots of a consultant
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Consultant ID
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.from] - First day of the range (YYYY-MM-DD, defaults to today)
+ * @param {string} [req.query.to] - Last day of the range (YYYY-MM-DD, defaults to two weeks later)
+ * @param {string} [req.query.serviceId] - Service whose duration sizes the slots
+ * @param {string} [req.query.step] - Minutes between start times (defaults to the service duration)
+ * @param {string} [req.query.holdId] - The caller's own slot hold, shown as free to them
+ * @param {Object} res - Express response object
+ * @returns {Object} Availability with one entry per day and its free slots
+ */
+const getConsultantAvailability = async (req, res) => {
+  try {
+    const { from, to, serviceId, step, holdId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid consultant ID format' });
+    }
+    if (serviceId && !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Invalid serviceId format' });
+    }
+    if (holdId && !mongoose.Types.ObjectId.isValid(holdId)) {
+      return res.status(400).json({ message: 'Invalid holdId format' });
+    }
+    if (step && !(Number.isInteger(Number(step)) && Number(step) >= 5)) {
+      return res.status(400).json({ message: 'step must be a whole number of minutes (at least 5)' });
+    }
+
+    let availability;
+    try {
+      availability = await getAvailability(req.params.id, { from, to, serviceId, step, holdId });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (!availability) {
+      return res.status(404).json({ message: 'Consultant or service not found' });
+    }
+    return res.status(200).json(availability);
+  } catch (error) {
+    console.error('Error computing availability:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Updates the authenticated consultant's weekly schedule, date overrides and time zone
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Request body
+ * @param {Array} [req.body.availability] - Weekly template ({ day, timeSlots: [{ start, end }] })
+ * @param {Array} [req.body.availabilityOverrides] - Date overrides ({ date, isDayOff, timeSlots, reason })
+ * @param {string} [req.body.timeZone] - IANA time zone the schedule is expressed in
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} Updated consultant profile
+ */
+const updateConsultantAvailability = async (req, res) => {
+  try {
+    const consultant = await Consultant.findOne({ userId: req.user._id });
+    if (!consultant) {
+      return res.status(404).json({ message: 'Consultant not found' });
+    }
+
+    const { availability, availabilityOverrides, timeZone } = req.body;
+    if (availability) consultant.availability = availability;
+    if (availabilityOverrides) consultant.availabilityOverrides = availabilityOverrides;
+    if (timeZone) consultant.timeZone = timeZone;
+
+    await consultant.save();
+    return res.status(200).json(consultant);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating availability:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Retrieves the authenticated consultant's earnings from the ledger
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {string} [req.query.period='month'] - Breakdown: 'day', 'week', 'month' or 'year'
+ * @param {string} [req.query.from] - First day of the range (YYYY-MM-DD), consultant's time zone
+ * @param {string} [req.query.to] - Last day of the range (YYYY-MM-DD), inclusive
+ * @param {string} [req.query.currency] - Currency to report; defaults to the consultant's currency
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} Gross, commission, refunds, net and paid out amounts overall and per
+ * period, plus the balance not yet paid out
+ */
+const getMyEarnings = async (req, res) => {
+  try {
+    const { period = 'month', from, to } = req.query;
+
+    if (!Object.prototype.hasOwnProperty.call(PERIOD_FORMATS, period)) {
+      return res.status(400).json({ message: `period must be one of ${Object.keys(PERIOD_FORMATS).join(', ')}` });
+    }
+    const dates = [from, to].filter(Boolean);
+    if (dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const consultant = await Consultant.findOne({ userId: req.user._id }).select('timeZone currency');
+    if (!consultant) {
+      return res.status(404).json({ message: 'Consultant not found' });
+    }
+
+    const earnings = await getEarnings(consultant._id, {
+      period,
+      currency: (req.query.currency || consultant.currency).toLowerCase(),
+      timeZone: consultant.timeZone,
+      from: from && zonedTimeToUtc(from, '00:00', consultant.timeZone),
+      to: to && zonedTimeToUtc(nextDateKey(to), '00:00', consultant.timeZone)
+    });
+    return res.status(200).json(earnings);
+  } catch (error) {
+    console.error('Error retrieving earnings:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
 module.exports = {
+  getMyEarnings,
   createConsultant,
   getConsultantById,
   updateConsultantServices,
   deleteConsultant,
   getAllConsultants,
-  getConsultantProfile
+  getConsultantProfile,
+  getConsultantAvailability,
+  updateConsultantAvailability
 };
@@ -0,0 +1,198 @@
+/**
+ * Coupon Controller
+ * Consultants create discount codes for their own services, admins for any
+ * consultant, service or category. Clients preview a code before booking and
+ * redeem it by sending couponCode with the booking request.
+ *
+ * @module controllers/couponController
+ * @requires models/Coupon
+ * @requires models/Consultant
+ * @requires services/couponService
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Consultant = require('../models/Consultant');
+const { CouponError, previewCoupon: quoteCoupon } = require('../services/couponService');
+
+const EDITABLE_FIELDS = ['active', 'startsAt', 'expiresAt', 'maxRedemptions', 'perClientLimit'];
+
+/**
+ * Resolves the consultant profile a consultant's coupons are scoped to
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null|undefined>} The consultant; undefined for admins;
+ * null once an error response was sent
+ */
+const ownConsultant = async (req, res) => {
+  if (req.user.role === 'admin') return undefined;
+  if (req.user.role !== 'consultant') {
+    res.status(403).json({ message: 'Only consultants and admins can manage discount codes' });
+    return null;
+  }
+
+  const consultant = await Consultant.findOne({ userId: req.user._id }).select('_id');
+  if (!consultant) {
+    res.status(404).json({ message: 'Consultant not found' });
+    return null;
+  }
+  return consultant;
+};
+
+/**
+ * Creates a discount code. Consultants' codes are always limited to their own services.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.code - Code clients type (3-32 letters, digits, - or _)
+ * @param {string} req.body.type - 'percent' or 'fixed'
+ * @param {number} req.body.value - Percentage or amount taken off
+ * @param {string} [req.body.currency] - Currency of a fixed amount
+ * @param {string} [req.body.consultantId] - Limit to a consultant (admins only)
+ * @param {string} [req.body.serviceId] - Limit to a service
+ * @param {string} [req.body.category] - Limit to a service category
+ * @param {string} [req.body.startsAt] - Valid from (ISO date)
+ * @param {string} [req.body.expiresAt] - Valid until (ISO date)
+ * @param {number} [req.body.maxRedemptions] - Total number of bookings
+ * @param {number} [req.body.perClientLimit] - Bookings per client
+ * @param {Object} res - Express response object
+ * @returns {Object} The coupon, 400 if invalid, or 409 if the code is taken
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const consultant = await ownConsultant(req, res);
+    if (consultant === null) return;
+
+    const { code, type, value, currency, serviceId, category, startsAt, expiresAt, maxRedemptions, perClientLimit } = req.body || {};
+    const consultantId = consultant ? consultant._id : req.body.consultantId;
+    if ([consultantId, serviceId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid consultantId or serviceId format' });
+    }
+
+    const coupon = await Coupon.create({
+      code,
+      type,
+      value,
+      currency,
+      consultantId,
+      serviceId,
+      category,
+      startsAt,
+      expiresAt,
+      maxRedemptions,
+      perClientLimit,
+      createdBy: req.user._id
+    });
+    return res.status(201).json({ message: 'Discount code created', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating coupon:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Lists discount codes: all of them for admins, a consultant's own otherwise
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Array} Coupons, most recent first
+ */
+const getCoupons = async (req, res) => {
+  try {
+    const consultant = await ownConsultant(req, res);
+    if (consultant === null) return;
+
+    const coupons = await Coupon.find(consultant ? { consultantId: consultant._id } : {})
+      .sort({ createdAt: -1 });
+    return res.status(200).json(coupons);
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Changes the validity or limits of a discount code, e.g. to deactivate it.
+ * The code, discount and scope cannot change once clients may have used it.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.couponId - Coupon ID
+ * @param {Object} req.body - Any of active, startsAt, expiresAt, maxRedemptions, perClientLimit
+ * @param {Object} res - Express response object
+ * @returns {Object} The updated coupon
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const consultant = await ownConsultant(req, res);
+    if (consultant === null) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.couponId)) {
+      return res.status(400).json({ message: 'Invalid coupon ID format' });
+    }
+    const coupon = await Coupon.findOne({
+      _id: req.params.couponId,
+      ...(consultant && { consultantId: consultant._id })
+    });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body && req.body[field] !== undefined)
+      .forEach(field => { coupon[field] = req.body[field]; });
+    await coupon.save();
+
+    return res.status(200).json({ message: 'Discount code updated', coupon });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating coupon:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Shows the price of a service with a discount code, without redeeming it
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.code - Discount code
+ * @param {string} req.body.consultantId - Consultant being booked
+ * @param {string} req.body.serviceId - Service being booked
+ * @param {Object} res - Express response object
+ * @returns {Object} Original price, discount and discounted price with their currency,
+ * 404 for an unknown code or 422 if it cannot be used for this booking
+ */
+const previewCoupon = async (req, res) => {
+  try {
+    const { code, consultantId, serviceId } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(consultantId) || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Valid consultantId and serviceId are required' });
+    }
+
+    const preview = await quoteCoupon(code, { clientId: req.user._id, consultantId, serviceId });
+    return res.status(200).json(preview);
+  } catch (error) {
+    if (error instanceof CouponError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error previewing coupon:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createCoupon,
+  getCoupons,
+  updateCoupon,
+  previewCoupon
+};
@@ -0,0 +1,47 @@
+/**
+ * Event Controller
+ * Opens the Server-Sent Events stream of live booking, notification and
+ * availability updates. See services/realtimeService.js.
+ *
+ * @module controllers/eventController
+ * @requires services/realtimeService
+ */
+
+const { issueStreamTicket, verifyStreamTicket, openStream } = require('../services/realtimeService');
+
+/**
+ * Issues a short-lived ticket to open the event stream with
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} { ticket, expiresIn }
+ */
+const createTicket = async (req, res) => {
+  try {
+    return res.status(201).json(issueStreamTicket(req.user));
+  } catch (error) {
+    console.error('Error issuing stream ticket:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Streams events to the user a ticket was issued to
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.query.ticket - Ticket from createTicket
+ * @param {Object} res - Express response object
+ */
+const stream = async (req, res) => {
+  const userId = verifyStreamTicket(req.query.ticket);
+  if (!userId) {
+    return res.status(401).json({ message: 'Invalid or expired stream ticket' });
+  }
+  return openStream(req, res, userId);
+};
+
+module.exports = {
+  createTicket,
+  stream
+};
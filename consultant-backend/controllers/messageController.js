@@ -0,0 +1,213 @@
+/**
+ * Message Controller
+ * Conversations between clients and consultants, about a booking or direct,
+ * with attachments and read receipts. See services/messageService.js for
+ * who may read and post.
+ *
+ * @module controllers/messageController
+ * @requires services/messageService
+ * @requires config/uploadConfig
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const {
+  MessageError,
+  openBookingConversation,
+  openDirectConversation,
+  getConversation,
+  listConversations,
+  countUnread,
+  listMessages,
+  markConversationRead,
+  sendMessage,
+  getAttachment
+} = require('../services/messageService');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Removes the files multer stored for a message that was not sent, so none stay behind unreferenced
+const discardUploads = (files = []) =>
+  Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+const handleError = (res, error, action) => {
+  if (error instanceof MessageError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * Lists the authenticated user's conversations with their unread counts
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object[]} Conversations, most recently active first
+ */
+const getMyConversations = async (req, res) => {
+  try {
+    return res.status(200).json(await listConversations(req.user));
+  } catch (error) {
+    return handleError(res, error, 'listing conversations');
+  }
+};
+
+/**
+ * Counts the unread messages of the authenticated user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} { unreadCount }
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    return res.status(200).json({ unreadCount: await countUnread(req.user) });
+  } catch (error) {
+    return handleError(res, error, 'counting unread messages');
+  }
+};
+
+/**
+ * Opens the conversation of a booking, or the direct conversation with a consultant
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} [req.body.bookingId] - Booking to talk about
+ * @param {string} [req.body.consultantId] - Consultant to talk to directly
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} The conversation
+ */
+const openConversation = async (req, res) => {
+  try {
+    const { bookingId, consultantId } = req.body || {};
+    if (bookingId) {
+      if (!isValidId(bookingId)) {
+        return res.status(400).json({ message: 'Invalid booking ID format' });
+      }
+      return res.status(200).json(await openBookingConversation(req.user, bookingId));
+    }
+    if (consultantId) {
+      if (!isValidId(consultantId)) {
+        return res.status(400).json({ message: 'Invalid consultant ID format' });
+      }
+      return res.status(200).json(await openDirectConversation(req.user, consultantId));
+    }
+    return res.status(400).json({ message: 'bookingId or consultantId is required' });
+  } catch (error) {
+    return handleError(res, error, 'opening conversation');
+  }
+};
+
+/**
+ * Lists a page of a conversation's messages and marks those the user received as read
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} [req.query.before] - Only messages sent before this time
+ * @param {number} [req.query.limit=50] - Messages per page (at most 100)
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} { conversation, messages, hasMore }
+ */
+const getMessages = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid conversation ID format' });
+    }
+    const { conversation, role } = await getConversation(req.user, req.params.id);
+    const page = await listMessages(conversation, req.query);
+    await markConversationRead(conversation, req.user, role);
+    return res.status(200).json({ conversation, ...page });
+  } catch (error) {
+    return handleError(res, error, 'listing messages');
+  }
+};
+
+/**
+ * Posts a message, with up to five attachments (multipart field "attachments")
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} [req.body.body] - Text of the message
+ * @param {Array} [req.files] - Attachments stored by multer
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} The message
+ */
+const postMessage = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      await discardUploads(req.files);
+      return res.status(400).json({ message: 'Invalid conversation ID format' });
+    }
+    const { conversation, role } = await getConversation(req.user, req.params.id);
+    const message = await sendMessage(conversation, req.user, role, {
+      body: req.body && req.body.body,
+      files: req.files
+    });
+    return res.status(201).json(message);
+  } catch (error) {
+    await discardUploads(req.files);
+    return handleError(res, error, 'sending message');
+  }
+};
+
+/**
+ * Marks the messages the user received in a conversation as read
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Conversation ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} { modifiedCount }
+ */
+const markRead = async (req, res) => {
+  try {
+    if (!isValidId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid conversation ID format' });
+    }
+    const { conversation, role } = await getConversation(req.user, req.params.id);
+    const modifiedCount = await markConversationRead(conversation, req.user, role);
+    return res.status(200).json({ modifiedCount });
+  } catch (error) {
+    return handleError(res, error, 'marking conversation read');
+  }
+};
+
+/**
+ * Downloads an attachment of a message
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Conversation ID
+ * @param {string} req.params.messageId - Message ID
+ * @param {string} req.params.attachmentId - Attachment ID
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Buffer} The file, under its original name
+ */
+const downloadAttachment = async (req, res) => {
+  try {
+    const { id, messageId, attachmentId } = req.params;
+    if (![id, messageId, attachmentId].every(isValidId)) {
+      return res.status(400).json({ message: 'Invalid ID format' });
+    }
+    const { conversation } = await getConversation(req.user, id);
+    const { filePath, originalName } = await getAttachment(conversation, messageId, attachmentId);
+    return res.download(filePath, originalName);
+  } catch (error) {
+    return handleError(res, error, 'downloading attachment');
+  }
+};
+
+module.exports = {
+  getMyConversations,
+  getUnreadCount,
+  openConversation,
+  getMessages,
+  postMessage,
+  markRead,
+  downloadAttachment
+};
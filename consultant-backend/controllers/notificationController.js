@@ -1,56 +1,98 @@
 /**
  * Notification Controller
- * Handles all notification-related operations including creation,
- * retrieval, status updates, and deletion of notifications.
- * 
+ * Lists a user's in-app notifications with their unread count and marks
+ * them read. Notifications are created by services/notificationService.js
+ * from booking events; admins can also send one directly.
+ *
  * @module controllers/notificationController
  * @requires models/Notification
+ * @requires services/notificationService
  */
 
-import { Notification } from '../models/Notification.js';
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { notifyUser } = require('../services/notificationService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
 /**
- * Creates a new notification
+ * Creates a notification for a user. Admins only.
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.userId - ID of user to notify
  * @param {string} req.body.type - Type of notification
  * @param {string} req.body.message - Notification message
+ * @param {string} [req.body.bookingId] - Related booking
  * @param {Object} res - Express response object
- * @returns {Object} Created notification object
+ * @returns {Object} Created notification object, or a message if the user turned
+ * in-app notifications of this type off
  */
-export const createNotification = async (req, res) => {
-  const { userId, type, message } = req.body;
-
+const createNotification = async (req, res) => {
   try {
-    const newNotification = new Notification({
-      userId,
-      type,
-      message,
-    });
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Only admins can send notifications' });
+    }
+
+    const { userId, type, message, bookingId } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(userId) || (bookingId && !mongoose.Types.ObjectId.isValid(bookingId))) {
+      return res.status(400).json({ message: 'Valid userId is required' });
+    }
 
-    await newNotification.save();
-    return res.status(201).json(newNotification);
+    const notification = await notifyUser({ userId, type, message, bookingId });
+    if (!notification) {
+      return res.status(200).json({ message: 'The user has turned these notifications off in-app' });
+    }
+    return res.status(201).json(notification);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating notification:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 };
 
 /**
- * Retrieves all notifications for the authenticated user
+ * Retrieves a page of the authenticated user's notifications, newest first
  * @async
  * @param {Object} req - Express request object
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=20] - Notifications per page (at most 100)
+ * @param {string} [req.query.status] - 'unread' or 'read' to filter
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Array} List of user's notifications sorted by creation date
+ * @returns {Object} notifications, unreadCount and pagination { total, page, pages }
  */
-export const getNotifications = async (req, res) => {
+const getNotifications = async (req, res) => {
   try {
-    const notifications = await Notification.find({ userId: req.user._id })
-      .sort({ createdAt: -1 });
-    return res.status(200).json(notifications);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const { status } = req.query;
+    if (status && !['unread', 'read'].includes(status)) {
+      return res.status(400).json({ message: "status must be 'unread' or 'read'" });
+    }
+
+    const query = { userId: req.user._id, ...(status && { status }) };
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user._id, status: 'unread' })
+    ]);
+
+    return res.status(200).json({
+      notifications,
+      unreadCount,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     console.error('Error fetching notifications:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -58,19 +100,39 @@ export const getNotifications = async (req, res) => {
 };
 
 /**
- * Marks a notification as read
+ * Returns the number of unread notifications of the authenticated user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} { unreadCount }
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, status: 'unread' });
+    return res.status(200).json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Marks one of the authenticated user's notifications as read
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.notificationId - ID of notification to mark as read
  * @param {Object} res - Express response object
  * @returns {Object} Updated notification object
  */
-export const markAsRead = async (req, res) => {
-  const { notificationId } = req.params;
-
+const markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      notificationId,
+    const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId: req.user._id },
       { status: 'read' },
       { new: true }
     );
@@ -87,18 +149,41 @@ export const markAsRead = async (req, res) => {
 };
 
 /**
- * Deletes a notification
+ * Marks all of the authenticated user's notifications as read
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Number of notifications marked read
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, status: 'unread' },
+      { status: 'read' }
+    );
+    return res.status(200).json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Deletes one of the authenticated user's notifications
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.notificationId - ID of notification to delete
  * @param {Object} res - Express response object
  * @returns {Object} Success message
  */
-export const deleteNotification = async (req, res) => {
-  const { notificationId } = req.params;
-
+const deleteNotification = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(notificationId);
+    const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, userId: req.user._id });
 
     if (!notification) {
       return res.status(404).json({ message: 'Notification not found' });
@@ -110,3 +195,12 @@ export const deleteNotification = async (req, res) => {
     return res.status(500).json({ message: 'Server error' });
   }
 };
+
+module.exports = {
+  createNotification,
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification
+};
@@ -0,0 +1,147 @@
+/**
+ * Notification Preference Controller
+ * Lets users choose which notifications they get through which channel,
+ * set quiet hours and a daily digest, and unsubscribe from a type of email
+ * with the link at the bottom of each email.
+ *
+ * @module controllers/notificationPreferenceController
+ * @requires services/preferenceService
+ */
+
+const {
+  EVENT_TYPES,
+  CHANNELS,
+  PreferenceError,
+  getPreferences,
+  updatePreferences,
+  setEmailByToken
+} = require('../services/preferenceService');
+
+// Wording of each type on the unsubscribe page
+const TYPE_LABELS = {
+  booking: 'new and confirmed bookings',
+  cancellation: 'cancelled bookings',
+  reschedule: 'moved bookings',
+  reminder: 'session reminders',
+  payment: 'payment receipts',
+  waitlist: 'waitlist offers'
+};
+
+const toJSON = (preferences) => {
+  const { types, quietHours, digest } = preferences.toObject();
+  return { types, quietHours, digest, eventTypes: EVENT_TYPES, channels: CHANNELS };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Renders the small page shown after following an unsubscribe link
+ * @param {string} message - What happened
+ * @param {Object} [action] - Button that undoes it: { label, url }
+ * @returns {string} HTML document
+ */
+const page = (message, action) => [
+  '<!DOCTYPE html>',
+  '<html lang="en"><head><meta charset="utf-8"><title>Email preferences</title></head>',
+  '<body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 32rem; margin: 4rem auto; text-align: center;">',
+  `<p>${escapeHtml(message)}</p>`,
+  action
+    ? `<form method="post" action="${escapeHtml(action.url)}"><button type="submit">${escapeHtml(action.label)}</button></form>`
+    : '',
+  '</body></html>'
+].join('\n');
+
+/**
+ * Retrieves the authenticated user's preferences
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} types, quietHours, digest, plus the eventTypes and channels there are
+ */
+const getMyPreferences = async (req, res) => {
+  try {
+    return res.status(200).json(toJSON(await getPreferences(req.user._id)));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Changes some of the authenticated user's preferences
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Any of types { [type]: { [channel]: boolean } },
+ * quietHours { enabled, start, end } and digest { enabled, hour }
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} The updated preferences
+ */
+const updateMyPreferences = async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user._id, req.body || {});
+    return res.status(200).json(toJSON(preferences));
+  } catch (error) {
+    if (error instanceof PreferenceError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error updating notification preferences:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Turns off the type of email an unsubscribe link was sent with. Answers the
+ * link itself (GET) with a page offering to undo it, and mail clients' one-click
+ * unsubscribe (POST, RFC 8058) with 200.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.query.token - Token from the link
+ * @param {Object} res - Express response object
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const { type } = await setEmailByToken(req.query.token, false);
+    if (req.method === 'POST') {
+      return res.status(200).json({ message: 'Unsubscribed' });
+    }
+    return res.status(200).type('html').send(page(
+      `You will no longer receive emails about ${TYPE_LABELS[type]}. You can change this at any time in your profile.`,
+      { label: 'Subscribe again', url: `${req.baseUrl}/resubscribe?token=${encodeURIComponent(req.query.token)}` }
+    ));
+  } catch (error) {
+    if (error instanceof PreferenceError) {
+      return res.status(error.status).type('html').send(page(error.message));
+    }
+    console.error('Error unsubscribing:', error);
+    return res.status(500).type('html').send(page('Something went wrong. Please try again later.'));
+  }
+};
+
+/**
+ * Undoes an unsubscribe from the page shown after it
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.query.token - Token from the unsubscribe link
+ * @param {Object} res - Express response object
+ */
+const resubscribe = async (req, res) => {
+  try {
+    const { type } = await setEmailByToken(req.query.token, true);
+    return res.status(200).type('html').send(page(`You will receive emails about ${TYPE_LABELS[type]} again.`));
+  } catch (error) {
+    if (error instanceof PreferenceError) {
+      return res.status(error.status).type('html').send(page(error.message));
+    }
+    console.error('Error resubscribing:', error);
+    return res.status(500).type('html').send(page('Something went wrong. Please try again later.'));
+  }
+};
+
+module.exports = {
+  getMyPreferences,
+  updateMyPreferences,
+  unsubscribe,
+  resubscribe
+};
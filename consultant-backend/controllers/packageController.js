@@ -0,0 +1,290 @@
+/**
+ * Package Controller
+ * Prepaid session packages. Consultants sell packages of sessions of one of
+ * their services at a discount; clients buy them once and book sessions by
+ * sending packagePurchaseId with the booking request instead of paying.
+ *
+ * @module controllers/packageController
+ * @requires models/Package
+ * @requires models/PackagePurchase
+ * @requires models/Consultant
+ * @requires services/packageService
+ * @requires services/paymentService
+ */
+
+const mongoose = require('mongoose');
+const Package = require('../models/Package');
+const PackagePurchase = require('../models/PackagePurchase');
+const Consultant = require('../models/Consultant');
+const {
+  PackageError,
+  createPackage: sellPackage,
+  quotePackage,
+  purchasePackage: buyPackage,
+  expirePurchases,
+  refundUnusedCredits
+} = require('../services/packageService');
+const { PaymentError } = require('../services/paymentService');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'sessionCount',
+  'discountPercent',
+  'validityDays',
+  'refundUnusedCredits',
+  'refundWindowDays',
+  'active'
+];
+
+/**
+ * Resolves the consultant a consultant or admin manages packages for
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} [consultantId] - Consultant chosen by an admin
+ * @returns {Promise<Object|null>} The consultant, or null once an error response was sent
+ */
+const managedConsultant = async (req, res, consultantId) => {
+  if (req.user.role !== 'consultant' && req.user.role !== 'admin') {
+    res.status(403).json({ message: 'Only consultants and admins can manage packages' });
+    return null;
+  }
+  if (req.user.role === 'admin' && !mongoose.Types.ObjectId.isValid(consultantId)) {
+    res.status(400).json({ message: 'Valid consultantId is required' });
+    return null;
+  }
+
+  const consultant = await Consultant.findOne(req.user.role === 'admin'
+    ? { _id: consultantId }
+    : { userId: req.user._id });
+  if (!consultant) {
+    res.status(404).json({ message: 'Consultant not found' });
+    return null;
+  }
+  return consultant;
+};
+
+/**
+ * Creates a package for one of the consultant's services
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.serviceId - Service the sessions are of
+ * @param {string} req.body.name - Package name shown to clients
+ * @param {number} req.body.sessionCount - Number of sessions (credits)
+ * @param {number} [req.body.discountPercent=0] - Discount on the price of the sessions
+ * @param {number} [req.body.validityDays=365] - Days the credits can be used after purchase
+ * @param {boolean} [req.body.refundUnusedCredits=true] - Whether unused credits can be refunded
+ * @param {number} [req.body.refundWindowDays] - Days after purchase unused credits can be refunded
+ * @param {string} [req.body.consultantId] - Consultant selling it (admins only)
+ * @param {Object} res - Express response object
+ * @returns {Object} The package with its current price, or 400 if invalid
+ */
+const createPackage = async (req, res) => {
+  try {
+    const { serviceId, consultantId } = req.body || {};
+    const consultant = await managedConsultant(req, res, consultantId);
+    if (!consultant) return;
+
+    if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Valid serviceId is required' });
+    }
+
+    const pkg = await sellPackage(consultant, req.body, req.user);
+    return res.status(201).json({ message: 'Package created', package: await quotePackage(pkg) });
+  } catch (error) {
+    if (error instanceof PackageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating package:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Lists the packages on sale, with their current price
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} [req.query.consultantId] - Only this consultant's packages
+ * @param {string} [req.query.serviceId] - Only packages of this service
+ * @param {Object} res - Express response object
+ * @returns {Array} Active packages with price { amount, perSessionAmount, savings, currency }
+ */
+const getPackages = async (req, res) => {
+  try {
+    const { consultantId, serviceId } = req.query;
+    if ([consultantId, serviceId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid consultantId or serviceId format' });
+    }
+
+    const packages = await Package.find({
+      active: true,
+      ...(consultantId && { consultantId }),
+      ...(serviceId && { serviceId })
+    }).sort({ sessionCount: 1 });
+    return res.status(200).json(await Promise.all(packages.map(quotePackage)));
+  } catch (error) {
+    console.error('Error fetching packages:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Changes a package. Purchases keep the terms they were bought with.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.packageId - Package ID
+ * @param {Object} req.body - Any of name, description, sessionCount, discountPercent,
+ * validityDays, refundUnusedCredits, refundWindowDays, active
+ * @param {Object} res - Express response object
+ * @returns {Object} The updated package
+ */
+const updatePackage = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.packageId)) {
+      return res.status(400).json({ message: 'Invalid package ID format' });
+    }
+    const pkg = await Package.findById(req.params.packageId);
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const consultant = await managedConsultant(req, res, pkg.consultantId);
+    if (!consultant) return;
+    if (!consultant._id.equals(pkg.consultantId)) {
+      return res.status(403).json({ message: 'You can only change your own packages' });
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body && req.body[field] !== undefined)
+      .forEach(field => { pkg[field] = req.body[field]; });
+    await pkg.save();
+
+    return res.status(200).json({ message: 'Package updated', package: await quotePackage(pkg) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating package:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Buys a package and charges the client for it
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.packageId - Package ID
+ * @param {string} req.body.paymentMethodId - Payment provider's payment method ID
+ * @param {Object} res - Express response object
+ * @returns {Object} The purchase and payment details; 402 if the provider declined the charge
+ */
+const purchasePackage = async (req, res) => {
+  try {
+    const { paymentMethodId } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(req.params.packageId) || !paymentMethodId) {
+      return res.status(400).json({ message: 'Valid package ID and paymentMethodId are required' });
+    }
+
+    const pkg = await Package.findById(req.params.packageId);
+    if (!pkg) {
+      return res.status(404).json({ message: 'Package not found' });
+    }
+
+    const { purchase, payment, clientSecret } = await buyPackage(pkg, { paymentMethodId, actor: req.user });
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        message: payment.failureReason || 'Payment failed',
+        paymentId: payment._id,
+        purchase
+      });
+    }
+    return res.status(201).json({
+      message: 'Package purchased',
+      purchase,
+      clientSecret,
+      paymentId: payment._id,
+      status: payment.status
+    });
+  } catch (error) {
+    if (error instanceof PackageError || error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error purchasing package:', error);
+    return res.status(500).json({ message: 'Payment processing failed' });
+  }
+};
+
+/**
+ * Lists the authenticated user's package purchases and their remaining credits
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Array} Purchases with their package, most recent first
+ */
+const getMyPurchases = async (req, res) => {
+  try {
+    await expirePurchases({ clientId: req.user._id });
+
+    const purchases = await PackagePurchase.find({ clientId: req.user._id })
+      .populate('packageId', 'name description')
+      .sort({ createdAt: -1 });
+    return res.status(200).json(purchases);
+  } catch (error) {
+    console.error('Error fetching package purchases:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Refunds the unused credits of a purchase under the package's refund rules.
+ * Admins can refund outside the refund window.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.purchaseId - Package purchase ID
+ * @param {string} [req.body.reason] - Reason for the refund
+ * @param {Object} res - Express response object
+ * @returns {Object} The closed purchase and the refund, or 422 if the rules do not allow it
+ */
+const refundPurchase = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.purchaseId)) {
+      return res.status(400).json({ message: 'Invalid purchase ID format' });
+    }
+    const purchase = await PackagePurchase.findById(req.params.purchaseId);
+    if (!purchase) {
+      return res.status(404).json({ message: 'Package purchase not found' });
+    }
+    if (req.user.role !== 'admin' && !purchase.clientId.equals(req.user._id)) {
+      return res.status(403).json({ message: 'Only the buyer or an admin can refund a package' });
+    }
+
+    const result = await refundUnusedCredits(purchase, {
+      actor: req.user,
+      reason: req.body && req.body.reason
+    });
+    return res.status(200).json({
+      message: `${result.purchase.refundedCredits} unused credit(s) refunded`,
+      purchase: result.purchase,
+      refund: result.refund
+    });
+  } catch (error) {
+    if (error instanceof PackageError || error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error refunding package credits:', error);
+    return res.status(500).json({ message: 'Refund processing failed' });
+  }
+};
+
+module.exports = {
+  createPackage,
+  getPackages,
+  updatePackage,
+  purchasePackage,
+  getMyPurchases,
+  refundPurchase
+};
@@ -4,95 +4,90 @@
  * retrieving payment history, and managing refunds.
  * 
  * @module controllers/paymentController
- * @requires stripe
  * @requires models/Payment
  * @requires models/Booking
+ * @requires models/Consultant
+ * @requires models/WebhookEvent
+ * @requires services/paymentService
+ * @requires services/webhookService
+ * @requires services/bookingLifecycle
  */
 
-import Stripe from 'stripe';
-import Payment from '../models/Payment.js';
-import Booking from '../models/Booking.js';
-import { config } from '../config/config.js';
-
-const stripe = new Stripe(config.stripeSecretKey);
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const WebhookEvent = require('../models/WebhookEvent');
+const { PaymentError, payForBooking, refundPayment } = require('../services/paymentService');
+const { handleWebhook, listDeadLetters, retryDeadLetter: reprocessEvent } = require('../services/webhookService');
+const { WebhookSignatureError } = require('../services/paymentProviders');
+const { resolveActorRole } = require('../services/bookingLifecycle');
 
 /**
- * Creates a payment intent for a booking
+ * Charges the client for a booking at the price stored on the booking
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.body - Request body
  * @param {string} req.body.bookingId - ID of the booking to pay for
- * @param {string} req.body.paymentMethodId - Stripe payment method ID
+ * @param {string} req.body.paymentMethodId - Payment provider's payment method ID
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Payment intent details
+ * @returns {Object} Payment intent details; 402 if the provider declined the charge
  */
-export const createPaymentIntent = async (req, res) => {
+const createPaymentIntent = async (req, res) => {
   try {
-    const { bookingId, paymentMethodId } = req.body;
+    const { bookingId, paymentMethodId } = req.body || {};
 
-    // Get booking details
-    const booking = await Booking.findById(bookingId)
-      .populate('consultantId', 'userId')
-      .populate('clientId');
+    if (!mongoose.Types.ObjectId.isValid(bookingId) || !paymentMethodId) {
+      return res.status(400).json({ message: 'Valid bookingId and paymentMethodId are required' });
+    }
 
+    const booking = await Booking.findById(bookingId);
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
+    if (await resolveActorRole(booking, req.user) !== 'client') {
+      return res.status(403).json({ message: 'Only the client of a booking can pay for it' });
+    }
 
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: booking.amount * 100, // Convert to cents
-      currency: 'usd',
-      payment_method: paymentMethodId,
-      confirm: true,
-      return_url: `${config.clientUrl}/payment/success`,
-      metadata: {
-        bookingId: booking._id.toString(),
-        clientId: booking.clientId._id.toString(),
-        consultantId: booking.consultantId._id.toString()
-      }
-    });
-
-    // Create payment record
-    const payment = new Payment({
-      bookingId: booking._id,
-      clientId: booking.clientId._id,
-      consultantId: booking.consultantId._id,
-      amount: booking.amount,
-      status: paymentIntent.status,
-      stripePaymentIntentId: paymentIntent.id
-    });
-
-    await payment.save();
+    const { payment, clientSecret } = await payForBooking(booking, { paymentMethodId, actor: req.user });
 
+    if (payment.status === 'failed') {
+      return res.status(402).json({ message: payment.failureReason || 'Payment failed', paymentId: payment._id });
+    }
     return res.status(200).json({ 
-      clientSecret: paymentIntent.client_secret,
-      paymentId: payment._id 
+      clientSecret,
+      paymentId: payment._id,
+      status: payment.status
     });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error creating payment intent:', error);
     return res.status(500).json({ message: 'Payment processing failed' });
   }
 };
 
 /**
- * Retrieves payment history for the authenticated user
+ * Retrieves payment history for the authenticated user: payments they made
+ * and, for consultants, payments they received
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
  * @returns {Array} List of payments
  */
-export const getPaymentHistory = async (req, res) => {
+const getPaymentHistory = async (req, res) => {
   try {
+    const consultant = await Consultant.findOne({ userId: req.user._id }).select('_id');
     const payments = await Payment.find({
       $or: [
         { clientId: req.user._id },
-        { consultantId: req.user._id }
+        ...(consultant ? [{ consultantId: consultant._id }] : [])
       ]
     })
-    .populate('bookingId')
+    .populate('bookingId', 'date time duration status price')
     .populate('clientId', 'name email')
     .populate('consultantId', 'userId')
     .sort({ createdAt: -1 });
@@ -105,141 +100,150 @@ export const getPaymentHistory = async (req, res) => {
 };
 
 /**
- * Processes a refund for a payment
+ * Processes a refund for a payment. Only the consultant who was paid and
+ * admins can refund.
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.paymentId - ID of the payment to refund
  * @param {Object} req.body - Request body
- * @param {number} [req.body.amount] - Amount to refund (optional, defaults to full amount)
- * @param {string} req.body.reason - Reason for the refund
+ * @param {number} [req.body.amount] - Amount to refund; defaults to the refund owed by the
+ * booking's cancellation, or else to what is left on the payment
+ * @param {string} [req.body.reason] - Reason for the refund
  * @param {Object} res - Express response object
  * @returns {Object} Refund details
  */
-export const processRefund = async (req, res) => {
+const processRefund = async (req, res) => {
   try {
     const { paymentId } = req.params;
-    const { amount, reason } = req.body;
+    const { amount, reason } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ message: 'Invalid payment ID format' });
+    }
 
     const payment = await Payment.findById(paymentId);
     if (!payment) {
       return res.status(404).json({ message: 'Payment not found' });
     }
 
-    // Process refund through Stripe
-    const refund = await stripe.refunds.create({
-      payment_intent: payment.stripePaymentIntentId,
-      amount: amount ? amount * 100 : undefined, // Convert to cents if partial refund
-      reason: reason
-    });
+    if (req.user.role !== 'admin') {
+      const consultant = await Consultant.findOne({ userId: req.user._id }).select('_id');
+      if (!consultant || !consultant._id.equals(payment.consultantId)) {
+        return res.status(403).json({ message: 'Only the consultant who was paid or an admin can refund' });
+      }
+    }
 
-    // Update payment status
-    payment.status = 'refunded';
-    payment.refundId = refund.id;
-    payment.refundAmount = amount || payment.amount;
-    payment.refundReason = reason;
-    await payment.save();
+    let refundAmount = amount;
+    if (refundAmount == null) {
+      const booking = await Booking.findById(payment.bookingId).select('cancellation');
+      refundAmount = booking && booking.cancellation && booking.cancellation.refundAmount;
+    }
+
+    const result = await refundPayment(payment, { amount: refundAmount, reason, actor: req.user });
 
     return res.status(200).json({
       message: 'Refund processed successfully',
-      refund: {
-        id: refund.id,
-        amount: refund.amount / 100, // Convert back to dollars
-        status: refund.status
-      }
+      refund: result.refund,
+      payment: result.payment
     });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error processing refund:', error);
     return res.status(500).json({ message: 'Refund processing failed' });
   }
 };
 
 /**
- * Webhook handler for Stripe events
+ * Receives payment provider webhooks. The signature is checked against the
+ * raw request body, and events that were already processed are acknowledged
+ * without being applied again.
  * @async
  * @param {Object} req - Express request object
- * @param {Object} req.body - Stripe event object
+ * @param {Buffer} req.rawBody - Exact request body, kept by the JSON parser in app.js
  * @param {Object} res - Express response object
- * @returns {Object} Acknowledgement response
+ * @returns {Object} Acknowledgement; 400 for a bad signature, 500 if processing failed
+ * so the provider delivers the event again
  */
-export const handleStripeWebhook = async (req, res) => {
+const handlePaymentWebhook = async (req, res) => {
   try {
-    const sig = req.headers['stripe-signature'];
-    const event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      config.stripeWebhookSecret
-    );
-
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailure(event.data.object);
-        break;
-      // Add more event handlers as needed
-    }
-
-    return res.status(200).json({ received: true });
+    if (!req.rawBody) {
+      return res.status(400).json({ message: 'Webhook body is required' });
+    }
+
+    const outcome = await handleWebhook(req.rawBody, req.headers);
+    return res.status(200).json({ received: true, duplicate: outcome === 'duplicate' });
   } catch (error) {
+    if (error instanceof WebhookSignatureError || error instanceof SyntaxError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Webhook error:', error);
-    return res.status(400).json({ message: error.message });
+    return res.status(500).json({ message: 'Webhook processing failed' });
   }
 };
 
 /**
- * Handles successful payment webhook event
+ * Lists webhook events that failed processing
  * @async
- * @private
- * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} req - Express request object
+ * @param {number} [req.query.limit=50] - Maximum number of events
+ * @param {Object} res - Express response object
+ * @returns {Array} Failed events, most recent first
  */
-const handlePaymentSuccess = async (paymentIntent) => {
+const getDeadLetters = async (req, res) => {
   try {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id
-    });
-
-    if (payment) {
-      payment.status = 'succeeded';
-      await payment.save();
-
-      // Update booking status
-      const booking = await Booking.findById(payment.bookingId);
-      if (booking) {
-        booking.paymentStatus = 'paid';
-        await booking.save();
-      }
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
     }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    return res.status(200).json(await listDeadLetters({ limit }));
   } catch (error) {
-    console.error('Error handling payment success:', error);
+    console.error('Error fetching webhook dead letters:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 };
 
 /**
- * Handles failed payment webhook event
+ * Processes a failed webhook event again
  * @async
- * @private
- * @param {Object} paymentIntent - Stripe payment intent object
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - WebhookEvent ID
+ * @param {Object} res - Express response object
+ * @returns {Object} Outcome; 422 with the error if it fails again
  */
-const handlePaymentFailure = async (paymentIntent) => {
+const retryDeadLetter = async (req, res) => {
   try {
-    const payment = await Payment.findOne({
-      stripePaymentIntentId: paymentIntent.id
-    });
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid event ID format' });
+    }
 
-    if (payment) {
-      payment.status = 'failed';
-      payment.failureReason = paymentIntent.last_payment_error?.message;
-      await payment.save();
+    const deadLetter = await WebhookEvent.findOne({ _id: req.params.id, status: 'failed' });
+    if (!deadLetter) {
+      return res.status(404).json({ message: 'Failed event not found' });
+    }
 
-      // Update booking status
-      const booking = await Booking.findById(payment.bookingId);
-      if (booking) {
-        booking.paymentStatus = 'failed';
-        await booking.save();
-      }
+    try {
+      const outcome = await reprocessEvent(deadLetter);
+      return res.status(200).json({ message: `Event ${outcome}` });
+    } catch (error) {
+      return res.status(422).json({ message: error.message });
     }
   } catch (error) {
-    console.error('Error handling payment failure:', error);
+    console.error('Error retrying webhook event:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 };
+
+module.exports = {
+  createPaymentIntent,
+  getPaymentHistory,
+  processRefund,
+  handlePaymentWebhook,
+  getDeadLetters,
+  retryDeadLetter
+};
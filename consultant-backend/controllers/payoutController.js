@@ -0,0 +1,82 @@
+/**
+ * Payout Controller
+ * Admin endpoints paying out the balances the platform owes consultants.
+ *
+ * @module controllers/payoutController
+ * @requires models/PayoutBatch
+ * @requires services/ledgerService
+ */
+
+const mongoose = require('mongoose');
+const PayoutBatch = require('../models/PayoutBatch');
+const { LedgerError, createPayoutBatch: payOutBalances } = require('../services/ledgerService');
+
+/**
+ * Marks every positive consultant balance (or those of the given consultants) as paid out
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} [req.body.currency='usd'] - Currency of the balances to pay
+ * @param {string[]} [req.body.consultantIds] - Only pay these consultants
+ * @param {number} [req.body.minimumAmount=0] - Skip balances below this amount
+ * @param {string} [req.body.note] - Reference stored on the batch, e.g. the transfer id
+ * @param {Object} res - Express response object
+ * @returns {Object} The payout batch, or 409 if there is nothing to pay out
+ */
+const createPayoutBatch = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const { currency, consultantIds, minimumAmount, note } = req.body || {};
+    if (consultantIds && (!Array.isArray(consultantIds) || !consultantIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return res.status(400).json({ message: 'consultantIds must be a list of consultant IDs' });
+    }
+    if (minimumAmount != null && !(Number(minimumAmount) >= 0)) {
+      return res.status(400).json({ message: 'minimumAmount must be a positive number' });
+    }
+
+    const batch = await payOutBalances({
+      actor: req.user,
+      currency,
+      consultantIds,
+      minimumAmount: Number(minimumAmount) || 0,
+      note
+    });
+    return res.status(201).json({ message: `${batch.items.length} balance(s) paid out`, batch });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error creating payout batch:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Lists payout batches, most recent first
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Array} Payout batches
+ */
+const getPayoutBatches = async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const batches = await PayoutBatch.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+    return res.status(200).json(batches);
+  } catch (error) {
+    console.error('Error fetching payout batches:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createPayoutBatch,
+  getPayoutBatches
+};
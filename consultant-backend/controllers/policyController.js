@@ -1,19 +1,24 @@
-const { Policy } = require('../models/Policy.js');
+const Policy = require('../models/Policy');
 
 // Create a new policy
 const createPolicy = async (req, res) => {
-  const { cancellationPolicy, reschedulePolicy } = req.body;
+  const { cancellationPolicy, reschedulePolicy, cancellationRules, rescheduleRules } = req.body;
 
   try {
     const newPolicy = new Policy({
       consultantId: req.user._id,
       cancellationPolicy,
       reschedulePolicy,
+      cancellationRules,
+      rescheduleRules,
     });
 
     await newPolicy.save();
     return res.status(201).json(newPolicy);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error creating policy:', error);
     return res.status(500).json({ message: 'Server error' });
   }
@@ -35,18 +40,21 @@ const getPolicyByConsultantId = async (req, res) => {
 
 // Update an existing policy
 const updatePolicy = async (req, res) => {
-  const { cancellationPolicy, reschedulePolicy } = req.body;
+  const { cancellationPolicy, reschedulePolicy, cancellationRules, rescheduleRules } = req.body;
   try {
     const policy = await Policy.findOneAndUpdate(
       { consultantId: req.user._id },
-      { cancellationPolicy, reschedulePolicy },
-      { new: true }
+      { cancellationPolicy, reschedulePolicy, cancellationRules, rescheduleRules },
+      { new: true, runValidators: true }
     );
     if (!policy) {
       return res.status(404).json({ message: 'Policy not found' });
     }
     return res.status(200).json(policy);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating policy:', error);
     return res.status(500).json({ message: 'Server error' });
   }
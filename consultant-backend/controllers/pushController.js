@@ -0,0 +1,80 @@
+/**
+ * Push Controller
+ * Lets browsers subscribe to Web Push notifications for the authenticated
+ * user, and unsubscribe again. Messages are sent by services/pushService.js.
+ *
+ * @module controllers/pushController
+ * @requires services/pushService
+ */
+
+const {
+  PushError,
+  getPublicKey,
+  saveSubscription,
+  removeSubscription
+} = require('../services/pushService');
+
+/**
+ * Returns the public VAPID key browsers subscribe with
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} { enabled, publicKey }
+ */
+const getConfig = async (req, res) => {
+  const publicKey = getPublicKey();
+  return res.status(200).json({ enabled: Boolean(publicKey), publicKey });
+};
+
+/**
+ * Subscribes the browser the request comes from
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - PushSubscription.toJSON(): endpoint and keys { p256dh, auth }
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} The saved subscription
+ */
+const subscribe = async (req, res) => {
+  try {
+    const subscription = await saveSubscription(req.user, req.body, req.get('user-agent'));
+    return res.status(201).json(subscription);
+  } catch (error) {
+    if (error instanceof PushError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error saving push subscription:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Unsubscribes one of the user's browsers
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.endpoint - Endpoint of the subscription
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Object} Success message
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const { endpoint } = req.body || {};
+    if (typeof endpoint !== 'string') {
+      return res.status(400).json({ message: 'endpoint is required' });
+    }
+    if (!(await removeSubscription(req.user, endpoint))) {
+      return res.status(404).json({ message: 'Subscription not found' });
+    }
+    return res.status(200).json({ message: 'Unsubscribed' });
+  } catch (error) {
+    console.error('Error removing push subscription:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  getConfig,
+  subscribe,
+  unsubscribe
+};
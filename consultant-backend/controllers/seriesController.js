@@ -0,0 +1,274 @@
+/**
+ * Series Controller
+ * Handles recurring booking series: creating a series in one request and
+ * cancelling or rescheduling all of its remaining occurrences. Single
+ * occurrences are managed through the regular booking endpoints.
+ *
+ * @module controllers/seriesController
+ * @requires models/BookingSeries
+ * @requires models/Booking
+ * @requires models/Consultant
+ * @requires models/Service
+ * @requires services/seriesService
+ * @requires services/bookingService
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires utils/timeZone
+ */
+
+const mongoose = require('mongoose');
+const BookingSeries = require('../models/BookingSeries');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const Service = require('../models/Service');
+const {
+  SeriesConflictError,
+  expandOccurrences,
+  createSeries: bookSeries,
+  remainingOccurrences,
+  cancelSeries: cancelRemaining,
+  rescheduleSeries: moveRemaining
+} = require('../services/seriesService');
+const { BookingConflictError, conflictResponse } = require('../services/bookingService');
+const { resolveActorRole, InvalidTransitionError } = require('../services/bookingLifecycle');
+const { getPolicyForConsultant, assertReschedulable, PolicyViolationError } = require('../services/policyService');
+const { isValidDateKey } = require('../utils/timeZone');
+
+const TIME_PATTERN = /^([01][0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * Loads a series and the requesting user's role in it
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<{series: Object, role: string}|null>} null once an error response was sent
+ */
+const findSeriesForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+    res.status(400).json({ message: 'Invalid series ID format' });
+    return null;
+  }
+
+  const series = await BookingSeries.findById(req.params.seriesId);
+  if (!series) {
+    res.status(404).json({ message: 'Series not found' });
+    return null;
+  }
+
+  const role = await resolveActorRole(series, req.user);
+  if (!role) {
+    res.status(403).json({ message: 'You are not a participant of this series' });
+    return null;
+  }
+  return { series, role };
+};
+
+/**
+ * Creates a recurring series of bookings. Every occurrence lasts as long as the service.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.consultantId - ID of the consultant to book
+ * @param {string} req.body.serviceId - ID of the service being booked
+ * @param {string} req.body.date - Date of the first occurrence (YYYY-MM-DD), consultant's time zone
+ * @param {string} req.body.time - Start time of every occurrence (HH:mm), consultant's time zone
+ * @param {string} req.body.frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} [req.body.count] - Number of occurrences (or endDate)
+ * @param {string} [req.body.endDate] - Last possible date (YYYY-MM-DD), inclusive (or count)
+ * @param {boolean} [req.body.skipConflicts=false] - Book the free occurrences and skip the taken ones
+ * @param {string} [req.body.notes] - Notes copied to every occurrence
+ * @param {string} [req.body.clientTimeZone] - Client's IANA time zone
+ * @param {Object} res - Express response object
+ * @returns {Object} The series, its bookings and any skipped dates,
+ * or 409 listing every occurrence that overlaps an existing booking
+ */
+const createSeries = async (req, res) => {
+  try {
+    const { consultantId, serviceId, date, time, frequency, count, endDate, skipConflicts } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(consultantId) || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Valid consultantId and serviceId are required' });
+    }
+    if (!TIME_PATTERN.test(time || '')) {
+      return res.status(400).json({ message: 'Invalid time format. Use HH:mm (24-hour)' });
+    }
+
+    const rule = {
+      startDate: date,
+      frequency,
+      count: count != null ? Number(count) : undefined,
+      endDate
+    };
+    try {
+      expandOccurrences(rule);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const [consultant, service] = await Promise.all([
+      Consultant.exists({ _id: consultantId }),
+      Service.findOne({ _id: serviceId, consultantId }).select('duration')
+    ]);
+    if (!consultant) {
+      return res.status(404).json({ message: 'Consultant not found' });
+    }
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found for this consultant' });
+    }
+
+    const result = await bookSeries({
+      ...rule,
+      clientId: req.user._id,
+      consultantId,
+      serviceId,
+      time,
+      duration: service.duration,
+      notes: req.body.notes,
+      clientTimeZone: req.body.clientTimeZone || req.user.timeZone
+    }, { actor: req.user, skipConflicts: Boolean(skipConflicts) });
+
+    return res.status(201).json({
+      message: 'Series booked',
+      series: result.series,
+      bookings: result.bookings,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    if (error instanceof SeriesConflictError) {
+      return res.status(409).json({
+        message: error.conflicts.length > 0
+          ? 'Some occurrences are not available'
+          : 'None of the occurrences are available',
+        conflicts: error.conflicts
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Returns a series with all its occurrences
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.seriesId - Series ID
+ * @param {Object} res - Express response object
+ * @returns {Object} The series and its bookings sorted by start
+ */
+const getSeries = async (req, res) => {
+  try {
+    const found = await findSeriesForUser(req, res);
+    if (!found) return;
+
+    const bookings = await Booking.find({ seriesId: found.series._id }).sort({ startAt: 1 });
+    return res.status(200).json({ series: found.series, bookings });
+  } catch (error) {
+    console.error('Error fetching booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Cancels every remaining occurrence of a series. Each occurrence is
+ * refunded under the consultant's cancellation rules.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.seriesId - Series ID
+ * @param {string} [req.body.reason] - Reason for cancelling
+ * @param {Object} res - Express response object
+ * @returns {Object} The cancelled bookings with the refund owed for each
+ */
+const cancelSeries = async (req, res) => {
+  try {
+    const found = await findSeriesForUser(req, res);
+    if (!found) return;
+
+    const cancelled = await cancelRemaining(found.series, {
+      actor: req.user,
+      role: found.role,
+      reason: req.body && req.body.reason
+    });
+
+    return res.status(200).json({
+      message: `${cancelled.length} occurrence(s) cancelled`,
+      series: found.series,
+      bookings: cancelled
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error cancelling booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Moves every remaining occurrence of a series. The next occurrence moves to
+ * req.body.date and the following ones shift by the same number of days.
+ * Clients must respect the consultant's reschedule rules for every occurrence.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.seriesId - Series ID
+ * @param {string} req.body.date - New date of the next occurrence (YYYY-MM-DD)
+ * @param {string} req.body.time - New start time (HH:mm)
+ * @param {string} [req.body.reason] - Reason for the change
+ * @param {Object} res - Express response object
+ * @returns {Object} The new bookings, 400 if the next occurrence would start in the past,
+ * 409 if any new slot is taken (nothing is moved),
+ * or 422 if the consultant's policy forbids it
+ */
+const rescheduleSeries = async (req, res) => {
+  try {
+    const { date, time, reason } = req.body || {};
+    if (!isValidDateKey(date) || !TIME_PATTERN.test(time || '')) {
+      return res.status(400).json({ message: 'date (YYYY-MM-DD, a day that exists) and time (HH:mm) are required' });
+    }
+
+    const found = await findSeriesForUser(req, res);
+    if (!found) return;
+
+    const occurrences = await remainingOccurrences(found.series);
+    const next = occurrences[0];
+    if (next && Booking.slotBounds(date, time, next.duration, next.timeZone).startAt <= new Date()) {
+      return res.status(400).json({ message: 'Cannot move the series to a time that has already started' });
+    }
+    if (found.role === 'client') {
+      const policy = await getPolicyForConsultant(found.series.consultantId);
+      occurrences.forEach(booking => assertReschedulable(policy, booking));
+    }
+
+    const moved = await moveRemaining(found.series, {
+      date,
+      time,
+      actor: req.user,
+      role: found.role,
+      reason,
+      occurrences
+    });
+
+    return res.status(200).json({
+      message: `${moved.length} occurrence(s) rescheduled`,
+      series: found.series,
+      bookings: moved
+    });
+  } catch (error) {
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    if (error instanceof InvalidTransitionError || error instanceof PolicyViolationError) {
+      return res.status(error.status).json({ message: error.message, ...(error.rule && { rule: error.rule }) });
+    }
+    console.error('Error rescheduling booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getSeries,
+  cancelSeries,
+  rescheduleSeries
+};
@@ -1,22 +1,30 @@
 const Service = require('../models/Service');
 const Consultant = require('../models/Consultant');
 const User = require('../models/User');
+const { getExchangeRates, isSupportedCurrency } = require('../utils/currency');
 
 // Create a new service
 const createService = async (req, res) => {
     try {
-        const { title, description, pricePerSession, sessionDuration, specialty } = req.body;
+        const { title, description, pricePerSession, sessionDuration, specialty, currency } = req.body;
 
         // Ensure the logged-in user is a consultant
         if (req.user.role !== 'consultant') {
             return res.status(403).json({ message: 'Only consultants can create services' });
         }
+        if (currency && !isSupportedCurrency(currency)) {
+            return res.status(400).json({ message: `${currency} is not a supported currency` });
+        }
+
+        // Prices default to the consultant's own currency
+        const consultant = await Consultant.findOne({ userId: req.user._id }).select('currency');
 
         const newService = new Service({
             consultantId: req.user._id,
             name: title,
             description,
             price: pricePerSession,
+            currency: currency || (consultant && consultant.currency),
             duration: sessionDuration,
             category: specialty,
         });
@@ -71,6 +79,7 @@ const getServices = async (req, res) => {
                     userId: consultant.userId,
                     name: service.title,
                     price: service.pricePerSession,
+                    currency: service.currency || consultant.currency,
                     duration: service.sessionDuration
                 });
             });
@@ -89,6 +98,7 @@ const getServices = async (req, res) => {
                         consultantId: consultantInfo.consultantId,
                         name: consultantInfo.name,
                         price: consultantInfo.price,
+                        currency: consultantInfo.currency,
                         duration: consultantInfo.duration
                     }
                 );
@@ -116,6 +126,7 @@ const getServices = async (req, res) => {
                 name: service.name,
                 description: service.description,
                 price: service.price,
+                currency: service.currency,
                 duration: service.duration,
                 category: service.category,
                 consultantId: consultant ? {
@@ -140,10 +151,20 @@ const getServices = async (req, res) => {
 // Update a service
 const updateService = async (req, res) => {
     try {
-        const { title, description, pricePerSession, sessionDuration } = req.body;
+        const { title, description, pricePerSession, sessionDuration, currency } = req.body;
+        if (currency && !isSupportedCurrency(currency)) {
+            return res.status(400).json({ message: `${currency} is not a supported currency` });
+        }
+
         const service = await Service.findOneAndUpdate(
             { _id: req.params.id, consultantId: req.user._id },
-            { name: title, description, price: pricePerSession, duration: sessionDuration },
+            {
+                name: title,
+                description,
+                price: pricePerSession,
+                currency: currency && currency.toLowerCase(),
+                duration: sessionDuration
+            },
             { new: true }
         );
 
@@ -192,6 +213,16 @@ const getServicesGroupedBySpecialty = async (req, res) => {
     }
 };
 
+// Get the exchange rates used to show approximate prices in other currencies
+const getServiceExchangeRates = (req, res) => {
+    try {
+        return res.status(200).json(getExchangeRates());
+    } catch (error) {
+        console.error('Error loading exchange rates:', error);
+        return res.status(500).json({ message: 'Server error' });
+    }
+};
+
 module.exports = {
     createService,
     getServiceById,
@@ -199,5 +230,6 @@ module.exports = {
     updateService,
     deleteService,
     getServicesGroupedBySpecialty,
-    getServices
+    getServices,
+    getServiceExchangeRates
 };
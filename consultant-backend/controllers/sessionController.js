@@ -1,175 +1,126 @@
 /**
  * Session Controller
- * Handles all session-related operations including consultation sessions,
- * video calls, and session notes management.
- * 
+ * Video sessions of bookings: joining the room during the booking,
+ * the consultant's session notes, ending a session and session history.
+ * Rooms are hosted by the platform; see services/sessionService.js and
+ * services/signalingService.js.
+ *
  * @module controllers/sessionController
- * @requires models/Session
  * @requires models/Booking
- * @requires models/User
+ * @requires services/sessionService
+ * @requires services/signalingService
+ * @requires services/bookingLifecycle
  */
 
-import Session from '../models/Session.js';
-import Booking from '../models/Booking.js';
-import User from '../models/User.js';
-import { config } from '../config/config.js';
-import twilio from 'twilio';
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const {
+  SessionError,
+  describeSession,
+  joinSession,
+  getSessionForConsultant,
+  listSessions,
+  listUpcomingSessions
+} = require('../services/sessionService');
+const { closeRoom } = require('../services/signalingService');
+const { transitionBooking, InvalidTransitionError } = require('../services/bookingLifecycle');
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const handleError = (res, error, action) => {
+  if (error instanceof SessionError) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
 
-const twilioClient = twilio(config.twilioAccountSid, config.twilioAuthToken);
+const findBooking = async (req, res) => {
+  if (!isValidId(req.params.bookingId)) {
+    res.status(400).json({ message: 'Invalid booking ID format' });
+    return null;
+  }
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+  return booking;
+};
 
 /**
- * Creates a new consultation session
+ * Describes the video session of a booking: when its room is open and whether the user can join now
  * @async
  * @param {Object} req - Express request object
- * @param {Object} req.body - Request body
- * @param {string} req.body.bookingId - ID of the associated booking
- * @param {string} [req.body.notes] - Initial session notes
+ * @param {string} req.params.bookingId - Booking ID
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Created session details
+ * @returns {Object} { session, role, opensAt, closesAt, canJoin, reason }
  */
-export const createSession = async (req, res) => {
+const getBookingSession = async (req, res) => {
   try {
-    const { bookingId, notes } = req.body;
-
-    // Verify booking exists and is confirmed
-    const booking = await Booking.findById(bookingId)
-      .populate('consultantId')
-      .populate('clientId');
-
-    if (!booking) {
-      return res.status(404).json({ message: 'Booking not found' });
-    }
-
-    if (booking.status !== 'confirmed') {
-      return res.status(400).json({ 
-        message: 'Cannot create session for unconfirmed booking' 
-      });
-    }
-
-    // Create video room
-    const room = await twilioClient.video.rooms.create({
-      uniqueName: `session-${bookingId}`,
-      type: 'group',
-      maxParticipants: 2
-    });
-
-    // Create session record
-    const session = new Session({
-      bookingId,
-      consultantId: booking.consultantId._id,
-      clientId: booking.clientId._id,
-      notes,
-      roomSid: room.sid,
-      roomName: room.uniqueName,
-      status: 'scheduled'
-    });
-
-    await session.save();
-
-    return res.status(201).json(session);
+    const booking = await findBooking(req, res);
+    if (!booking) return undefined;
+    return res.status(200).json(await describeSession(booking, req.user));
   } catch (error) {
-    console.error('Error creating session:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return handleError(res, error, 'fetching session');
   }
 };
 
 /**
- * Generates a video room token for a session
+ * Lets a participant into the video room of a booking during the booking
  * @async
  * @param {Object} req - Express request object
- * @param {string} req.params.sessionId - ID of the session
+ * @param {string} req.params.bookingId - Booking ID
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Object} Video room token and details
+ * @returns {Object} { session, role, ticket, opensAt, closesAt, iceServers }; the
+ * ticket opens the signaling WebSocket within a minute
  */
-export const generateRoomToken = async (req, res) => {
+const join = async (req, res) => {
   try {
-    const { sessionId } = req.params;
-
-    const session = await Session.findById(sessionId)
-      .populate('consultantId')
-      .populate('clientId');
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Verify user is participant
-    const isParticipant = 
-      session.consultantId._id.toString() === req.user._id.toString() ||
-      session.clientId._id.toString() === req.user._id.toString();
-
-    if (!isParticipant) {
-      return res.status(403).json({ 
-        message: 'Not authorized to join this session' 
-      });
-    }
-
-    // Generate access token
-    const accessToken = new twilio.jwt.AccessToken(
-      config.twilioAccountSid,
-      config.twilioApiKey,
-      config.twilioApiSecret,
-      { identity: req.user._id.toString() }
-    );
-
-    const videoGrant = new twilio.jwt.AccessToken.VideoGrant({
-      room: session.roomName
-    });
-    accessToken.addGrant(videoGrant);
-
-    return res.status(200).json({
-      token: accessToken.toJwt(),
-      roomName: session.roomName
-    });
+    const booking = await findBooking(req, res);
+    if (!booking) return undefined;
+    return res.status(200).json(await joinSession(booking, req.user));
   } catch (error) {
-    console.error('Error generating room token:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return handleError(res, error, 'joining session');
   }
 };
 
 /**
- * Updates session notes
+ * Updates the consultant's notes of a session
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.sessionId - ID of the session
- * @param {Object} req.body - Request body
  * @param {string} req.body.notes - Updated session notes
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
  * @returns {Object} Updated session
  */
-export const updateSessionNotes = async (req, res) => {
+const updateSessionNotes = async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const { notes } = req.body;
-
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
+    if (!isValidId(req.params.sessionId)) {
+      return res.status(400).json({ message: 'Invalid session ID format' });
     }
-
-    // Only consultant can update notes
-    if (session.consultantId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ 
-        message: 'Only consultant can update session notes' 
-      });
+    const { notes } = req.body || {};
+    if (typeof notes !== 'string') {
+      return res.status(400).json({ message: 'notes must be a string' });
     }
 
+    const session = await getSessionForConsultant(req.params.sessionId, req.user);
     session.notes = notes;
-    session.updatedAt = Date.now();
     await session.save();
-
     return res.status(200).json(session);
   } catch (error) {
-    console.error('Error updating session notes:', error);
-    return res.status(500).json({ message: 'Server error' });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    return handleError(res, error, 'updating session notes');
   }
 };
 
 /**
- * Ends a session
+ * Ends a session: closes its room and completes the booking. Consultant only.
  * @async
  * @param {Object} req - Express request object
  * @param {string} req.params.sessionId - ID of the session to end
@@ -177,68 +128,73 @@ export const updateSessionNotes = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {Object} Updated session
  */
-export const endSession = async (req, res) => {
+const endSession = async (req, res) => {
   try {
-    const { sessionId } = req.params;
-
-    const session = await Session.findById(sessionId);
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
+    if (!isValidId(req.params.sessionId)) {
+      return res.status(400).json({ message: 'Invalid session ID format' });
     }
-
-    // Only consultant can end session
-    if (session.consultantId.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ 
-        message: 'Only consultant can end the session' 
-      });
+    const session = await getSessionForConsultant(req.params.sessionId, req.user);
+    if (session.status === 'completed') {
+      return res.status(409).json({ message: 'The session has already ended' });
     }
 
-    // End video room
-    await twilioClient.video.rooms(session.roomSid).update({
-      status: 'completed'
-    });
-
-    // Update session status
     session.status = 'completed';
-    session.endedAt = Date.now();
+    session.endedAt = new Date();
     await session.save();
-
-    // Update booking status
-    await Booking.findByIdAndUpdate(session.bookingId, {
-      status: 'completed'
-    });
+    closeRoom(session._id);
+
+    const booking = await Booking.findById(session.bookingId);
+    if (booking && booking.status === 'confirmed') {
+      try {
+        await transitionBooking(booking, 'completed', { actor: req.user });
+      } catch (error) {
+        if (!(error instanceof InvalidTransitionError)) throw error;
+      }
+    }
 
     return res.status(200).json(session);
   } catch (error) {
-    console.error('Error ending session:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return handleError(res, error, 'ending session');
   }
 };
 
 /**
- * Gets session history for a user
+ * Gets the sessions the user took part in
  * @async
  * @param {Object} req - Express request object
  * @param {Object} req.user - Authenticated user object
  * @param {Object} res - Express response object
- * @returns {Array} List of user's sessions
+ * @returns {Array} List of user's sessions, newest first
  */
-export const getSessionHistory = async (req, res) => {
+const getSessionHistory = async (req, res) => {
   try {
-    const sessions = await Session.find({
-      $or: [
-        { consultantId: req.user._id },
-        { clientId: req.user._id }
-      ]
-    })
-    .populate('bookingId')
-    .populate('consultantId', 'userId')
-    .populate('clientId', 'name email')
-    .sort({ createdAt: -1 });
+    return res.status(200).json(await listSessions(req.user));
+  } catch (error) {
+    return handleError(res, error, 'fetching session history');
+  }
+};
 
-    return res.status(200).json(sessions);
+/**
+ * Lists the user's confirmed bookings that are not over yet, with when their rooms open
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} req.user - Authenticated user object
+ * @param {Object} res - Express response object
+ * @returns {Array} { booking, opensAt, closesAt, canJoin }, soonest first
+ */
+const getUpcomingSessions = async (req, res) => {
+  try {
+    return res.status(200).json(await listUpcomingSessions(req.user));
   } catch (error) {
-    console.error('Error fetching session history:', error);
-    return res.status(500).json({ message: 'Server error' });
+    return handleError(res, error, 'fetching upcoming sessions');
   }
 };
+
+module.exports = {
+  getUpcomingSessions,
+  getBookingSession,
+  join,
+  updateSessionNotes,
+  endSession,
+  getSessionHistory
+};
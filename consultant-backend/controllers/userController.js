@@ -118,7 +118,7 @@ const userController = {
 
   // Update user details
   updateUser: async (req, res) => {
-    const { name, phoneNumber, specialization, ratePerHour, availability } = req.body;
+    const { name, phoneNumber, specialization, ratePerHour, availability, timeZone, locale } = req.body;
 
     try {
       // Find the user and update the fields
@@ -134,6 +134,8 @@ const userController = {
       user.specialization = specialization || user.specialization;
       user.ratePerHour = ratePerHour || user.ratePerHour;
       user.availability = availability || user.availability;
+      user.timeZone = timeZone || user.timeZone;
+      user.locale = locale || user.locale;
 
       await user.save();
 
@@ -142,6 +144,9 @@ const userController = {
         user,
       });
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
       console.error(error);
       return res.status(500).json({ message: 'Server error' });
     }
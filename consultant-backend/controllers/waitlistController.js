@@ -0,0 +1,205 @@
+/**
+ * Waitlist Controller
+ * Lets clients wait for a fully booked consultant. Slots freed by
+ * cancellations are offered to the waitlist by services/waitlistService.js;
+ * these endpoints join and leave the waitlist and claim or decline offers.
+ *
+ * @module controllers/waitlistController
+ * @requires models/WaitlistEntry
+ * @requires models/Consultant
+ * @requires models/Service
+ * @requires services/waitlistService
+ * @requires services/bookingService
+ */
+
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Consultant = require('../models/Consultant');
+const Service = require('../models/Service');
+const { WaitlistError, claimOffer, passOffer } = require('../services/waitlistService');
+const { BookingConflictError, conflictResponse } = require('../services/bookingService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+/**
+ * Loads one of the requesting user's waitlist entries
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The entry, or null once an error response was sent
+ */
+const findOwnEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+    res.status(400).json({ message: 'Invalid waitlist entry ID format' });
+    return null;
+  }
+
+  const entry = await WaitlistEntry.findOne({ _id: req.params.entryId, userId: req.user._id });
+  if (!entry) {
+    res.status(404).json({ message: 'Waitlist entry not found' });
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Joins the waitlist of a consultant's service for a date window
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.body.consultantId - Consultant to wait for
+ * @param {string} req.body.serviceId - Service wanted
+ * @param {string} req.body.from - First acceptable date (YYYY-MM-DD), consultant's time zone
+ * @param {string} req.body.to - Last acceptable date (YYYY-MM-DD), inclusive
+ * @param {Object} res - Express response object
+ * @returns {Object} The waitlist entry, 404 if the consultant does not offer the service,
+ * or 409 if the user is already waiting for this service
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const { consultantId, serviceId, from, to } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(consultantId) || !mongoose.Types.ObjectId.isValid(serviceId)) {
+      return res.status(400).json({ message: 'Valid consultantId and serviceId are required' });
+    }
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || to < from) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD) with from not after to' });
+    }
+    if (to < new Date().toISOString().slice(0, 10)) {
+      return res.status(400).json({ message: 'The date window is already over' });
+    }
+
+    const [consultant, service] = await Promise.all([
+      Consultant.exists({ _id: consultantId }),
+      Service.exists({ _id: serviceId, consultantId })
+    ]);
+    if (!consultant || !service) {
+      return res.status(404).json({ message: 'Consultant or service not found' });
+    }
+
+    const existing = await WaitlistEntry.exists({
+      userId: req.user._id,
+      consultantId,
+      serviceId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).json({ message: 'You are already on the waitlist for this service' });
+    }
+
+    const entry = await WaitlistEntry.create({ userId: req.user._id, consultantId, serviceId, from, to });
+    return res.status(201).json({ message: 'Added to the waitlist', entry });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Lists the requesting user's active waitlist entries, including pending offers
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object[]} Entries sorted by the time they joined
+ */
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({ userId: req.user._id, status: { $in: ACTIVE_STATUSES } })
+      .populate('consultantId', 'name')
+      .populate('serviceId', 'name duration')
+      .sort({ createdAt: 1 });
+    return res.status(200).json(entries);
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Leaves the waitlist. A pending offer is passed on to the next client.
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.entryId - Waitlist entry ID
+ * @param {Object} res - Express response object
+ * @returns {Object} Success message
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(409).json({ message: `This waitlist entry is already ${entry.status}` });
+    }
+    if (entry.status === 'offered') {
+      await passOffer(entry);
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+    return res.status(200).json({ message: 'Removed from the waitlist' });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Books the slot offered to the user
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.entryId - Waitlist entry ID
+ * @param {Object} res - Express response object
+ * @returns {Object} The new booking, 409 if there is no offer or 410 if it expired
+ */
+const claimWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    const booking = await claimOffer(entry, req.user);
+    return res.status(201).json({ message: 'Slot booked', booking });
+  } catch (error) {
+    if (error instanceof WaitlistError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (error instanceof BookingConflictError) {
+      return res.status(409).json(conflictResponse(error));
+    }
+    console.error('Error claiming waitlist offer:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Declines the slot offered to the user; they stay on the waitlist for other slots
+ * @async
+ * @param {Object} req - Express request object
+ * @param {string} req.params.entryId - Waitlist entry ID
+ * @param {Object} res - Express response object
+ * @returns {Object} The entry, back in the waiting status
+ */
+const declineWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(409).json({ message: 'There is no slot offered to you on this waitlist entry' });
+    }
+
+    await passOffer(entry);
+    return res.status(200).json({ message: 'Offer declined', entry });
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  declineWaitlistOffer
+};
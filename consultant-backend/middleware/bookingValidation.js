@@ -4,9 +4,11 @@
  * 
  * @module middleware/bookingValidation
  * @requires mongoose
+ * @requires utils/timeZone
  */
 
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/timeZone');
 
 /**
  * Validates booking request data
@@ -21,10 +23,10 @@ const validateBooking = (req, res, next) => {
     console.log('=== Booking Validation Debug ===');
     console.log('Request body:', req.body);
 
-    const { clientId, consultantId, serviceId, date, time, duration } = req.body;
+    const { clientId, consultantId, serviceId, date, time } = req.body;
 
-    // Required fields check
-    const requiredFields = ['clientId', 'consultantId', 'serviceId', 'date', 'time', 'duration'];
+    // Required fields check (the duration comes from the service, not the request)
+    const requiredFields = ['clientId', 'consultantId', 'serviceId', 'date', 'time'];
     const missingFields = requiredFields.filter(field => !req.body[field]);
 
     if (missingFields.length > 0) {
@@ -53,19 +55,26 @@ const validateBooking = (req, res, next) => {
         });
     }
 
+    // Reject dates that do not exist on the calendar (e.g. 2025-02-30)
+    const parsedDate = new Date(`${date}T00:00:00.000Z`);
+    if (isNaN(parsedDate) || parsedDate.toISOString().slice(0, 10) !== date) {
+        return res.status(400).json({
+            message: 'Invalid date. The day does not exist'
+        });
+    }
+
     // Time validation
-    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:mm
+    const timeRegex = /^([01][0-9]|2[0-3]):[0-5][0-9]$/; // HH:mm
     if (!timeRegex.test(time)) {
         return res.status(400).json({
             message: 'Invalid time format. Use HH:mm (24-hour)'
         });
     }
 
-    // Duration validation (in minutes)
-    const durationNum = parseInt(duration);
-    if (isNaN(durationNum) || durationNum <= 0 || durationNum > 480) { // Max 8 hours
+    // Client time zone validation (date and time are always in the consultant's zone)
+    if (req.body.clientTimeZone && !isValidTimeZone(req.body.clientTimeZone)) {
         return res.status(400).json({
-            message: 'Invalid duration. Must be between 1 and 480 minutes'
+            message: 'Invalid clientTimeZone. Use an IANA time zone such as Europe/Paris'
         });
     }
 
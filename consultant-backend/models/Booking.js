@@ -6,6 +6,7 @@
 
 // Import required modules
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, zonedTimeToUtc, toZonedISOString } = require('../utils/timeZone');
 
 // Define the booking schema
 const bookingSchema = new mongoose.Schema({
@@ -27,12 +28,12 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Service', 
     required: true,
   },
-  // Date of the consultation
+  // Date of the consultation, in the consultant's time zone
   date: {
     type: String,
     required: true,
   },
-  // Consultation time slot
+  // Consultation time slot, in the consultant's time zone
   time: {
     type: String, 
     required: true,
@@ -42,20 +43,136 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
-  // Current status of the booking
+  // IANA time zone of the consultant; date and time are expressed in it
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // IANA time zone of the client at booking time, used to show their local time
+  clientTimeZone: {
+    type: String,
+    validate: {
+      validator: value => !value || isValidTimeZone(value),
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Absolute start/end of the reserved slot, derived from date, time, duration and timeZone.
+  // Used for overlap checks between bookings of the same consultant.
+  startAt: {
+    type: Date,
+  },
+  endAt: {
+    type: Date,
+  },
+  // Current status of the booking; changed only through services/bookingLifecycle
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'completed'],
+    enum: ['pending', 'confirmed', 'completed', 'cancelled', 'declined', 'no-show', 'rescheduled'],
     default: 'pending',
   },
+  // Audit trail of every status transition
+  statusHistory: [{
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorRole: {
+      type: String,
+      enum: ['client', 'consultant', 'admin', 'system'],
+    },
+    reason: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  // Recurring series this booking belongs to, and its position in the series (0-based)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries',
+    index: true,
+  },
+  seriesIndex: {
+    type: Number,
+  },
+  // Rescheduling chain: the booking this one replaced and the one that replaced it
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  // Start of the first booking in the chain, kept across reschedules
+  originalStartAt: {
+    type: Date,
+  },
+  // Number of times the booking has been moved, checked against the reschedule policy
+  rescheduleCount: {
+    type: Number,
+    default: 0,
+  },
+  // Outcome of the cancellation policy, recorded when the booking is cancelled
+  cancellation: {
+    cancelledAt: Date,
+    // Hours between the cancellation and the booking's start
+    hoursBeforeStart: Number,
+    refundPercent: Number,
+    // Amount owed back to the client, in the booking's price currency
+    refundAmount: Number,
+    // Terms shown to the client, as they were when the booking was cancelled
+    terms: [String],
+    // Bookings paid with a package credit: whether the credit went back to the package
+    creditReturned: Boolean,
+  },
   // Optional notes for the consultation
   notes: {
     type: String,
   },
-  // Payment tracking
+  // Price of the service when the booking was made; later price changes do not affect it
+  price: {
+    amount: Number,
+    currency: {
+      type: String,
+      default: 'usd',
+    },
+  },
+  // Coupon applied when the booking was made; price.amount is already reduced by amount
+  discount: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: String,
+    // Price before the discount and the amount taken off
+    originalAmount: Number,
+    amount: Number,
+  },
+  // Package purchase the session was paid from with one credit
+  packagePurchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase',
+  },
+  // Reminder offsets (minutes before the start) already handled, so restarts never repeat one
+  remindersSent: [Number],
+  // Payment tracking; 'processing' while a charge is in flight or awaits the provider's webhook
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded'],
+    enum: ['pending', 'processing', 'paid', 'failed', 'refunded'],
     default: 'pending',
   },
   // Uploaded documents
@@ -64,8 +181,61 @@ const bookingSchema = new mongoose.Schema({
     description: 'Paths to uploaded documents'
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+// Statuses that keep a slot occupied on the consultant's calendar
+bookingSchema.statics.ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Computes the absolute start and end of a slot
+ * @param {string|Date} date - Booking date (YYYY-MM-DD) in the consultant's zone
+ * @param {string} time - Start time (HH:mm) in the consultant's zone
+ * @param {number} duration - Duration in minutes
+ * @param {string} [timeZone='UTC'] - Consultant's IANA time zone
+ * @returns {{startAt: Date, endAt: Date}}
+ */
+bookingSchema.statics.slotBounds = function(date, time, duration, timeZone = DEFAULT_TIME_ZONE) {
+  const day = date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+  const startAt = zonedTimeToUtc(day, time, timeZone);
+  const endAt = new Date(startAt.getTime() + Number(duration) * 60 * 1000);
+  return { startAt, endAt };
+};
+
+// Zone-aware start/end, e.g. "2025-03-01T10:00:00+01:00", in each party's time zone
+bookingSchema.virtual('schedule').get(function() {
+  if (!this.startAt || !this.endAt) return undefined;
+  const inZone = (timeZone) => timeZone && {
+    timeZone,
+    start: toZonedISOString(this.startAt, timeZone),
+    end: toZonedISOString(this.endAt, timeZone)
+  };
+  return {
+    startAt: this.startAt,
+    endAt: this.endAt,
+    consultant: inZone(this.timeZone || DEFAULT_TIME_ZONE),
+    client: inZone(this.clientTimeZone)
+  };
+});
+
+// Keep startAt/endAt in sync with the scheduling fields
+bookingSchema.pre('validate', function(next) {
+  const scheduleFields = ['date', 'time', 'duration', 'timeZone'];
+  const scheduleChanged = this.isNew || scheduleFields.some(field => this.isModified(field));
+  // An invalid zone is reported by the timeZone validator instead
+  if (scheduleChanged && isValidTimeZone(this.timeZone || DEFAULT_TIME_ZONE)) {
+    const { startAt, endAt } = this.constructor.slotBounds(this.date, this.time, this.duration, this.timeZone);
+    this.startAt = startAt;
+    this.endAt = endAt;
+  }
+  next();
+});
+
+bookingSchema.index({ consultantId: 1, startAt: 1, endAt: 1 });
+bookingSchema.index({ 'discount.couponId': 1, clientId: 1 }, { sparse: true });
+bookingSchema.index({ status: 1, startAt: 1 });
+
 // Create and export the Booking model
 module.exports = mongoose.model('Booking', bookingSchema);
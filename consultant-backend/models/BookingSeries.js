@@ -0,0 +1,76 @@
+/**
+ * Booking Series Model
+ * Recurrence rule of a set of bookings created together (e.g. every Monday at 10:00).
+ * Each occurrence is a regular Booking carrying the series id.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the booking series schema
+const bookingSeriesSchema = new mongoose.Schema({
+  // Reference to the client who booked the series
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Reference to the consultant being booked
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  // Reference to the service being booked
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+  },
+  // How often the session repeats
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly', 'monthly'],
+    required: true,
+  },
+  // Date of the first occurrence (YYYY-MM-DD), in the consultant's time zone
+  startDate: {
+    type: String,
+    required: true,
+  },
+  // Start time of every occurrence (HH:mm), in the consultant's time zone
+  time: {
+    type: String,
+    required: true,
+  },
+  // Duration of each session in minutes
+  duration: {
+    type: Number,
+    required: true,
+  },
+  // The series ends after `count` occurrences or on `endDate`, whichever was given
+  count: {
+    type: Number,
+    min: 1,
+  },
+  endDate: {
+    type: String,
+  },
+  // Occurrence dates that were skipped because the slot was taken
+  skippedDates: [{
+    type: String,
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active',
+  },
+  notes: {
+    type: String,
+  }
+}, {
+  timestamps: true
+});
+
+// Create and export the BookingSeries model
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
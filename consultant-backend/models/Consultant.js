@@ -1,5 +1,19 @@
 // Import required modules
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timeZone');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../utils/currency');
+
+// Currency codes are stored lowercase and must have an exchange rate
+const currencyField = (options) => ({
+  type: String,
+  lowercase: true,
+  trim: true,
+  validate: {
+    validator: isSupportedCurrency,
+    message: props => `${props.value} is not a supported currency`
+  },
+  ...options
+});
 
 // Define the consultant schema
 const consultantSchema = new mongoose.Schema({
@@ -22,6 +36,8 @@ const consultantSchema = new mongoose.Schema({
         type: Number,
         required: true
       },
+      // Currency of pricePerSession; defaults to the consultant's currency
+      currency: currencyField(),
       sessionDuration: {
         type: Number,
         required: true
@@ -52,9 +68,88 @@ const consultantSchema = new mongoose.Schema({
       ]
     }
   ],
+  // IANA time zone in which availability and booking times are expressed
+  timeZone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Currency the consultant sets prices and is paid in
+  currency: currencyField({ default: DEFAULT_CURRENCY }),
+  // Weekly availability template (falls back to the user's availability when empty)
+  availability: [
+    {
+      day: {
+        type: String,
+        required: true // e.g., "Monday", "Tuesday", etc.
+      },
+      timeSlots: [
+        {
+          start: {
+            type: String, // Time in HH:mm format (24-hour)
+            required: true
+          },
+          end: {
+            type: String, // Time in HH:mm format (24-hour)
+            required: true
+          }
+        }
+      ]
+    }
+  ],
+  // Date-specific changes to the weekly template: days off and extra hours
+  availabilityOverrides: [
+    {
+      date: {
+        type: String, // YYYY-MM-DD
+        required: true
+      },
+      isDayOff: {
+        type: Boolean,
+        default: false
+      },
+      timeSlots: [
+        {
+          start: {
+            type: String,
+            required: true
+          },
+          end: {
+            type: String,
+            required: true
+          }
+        }
+      ],
+      reason: {
+        type: String
+      }
+    }
+  ],
+  // Bumped inside every booking transaction for this consultant so that
+  // concurrent reservations conflict and are retried one at a time
+  bookingLockVersion: {
+    type: Number,
+    default: 0
+  },
+  // Bumped inside every payout transaction so a balance is never paid out twice
+  payoutLockVersion: {
+    type: Number,
+    default: 0
+  },
 }, {
   timestamps: true
 });
 
+// Services without a currency are priced in the consultant's currency
+consultantSchema.pre('validate', function(next) {
+  this.services.forEach(service => {
+    if (!service.currency) service.currency = this.currency;
+  });
+  next();
+});
+
 // Create and export the Consultant model
 module.exports = mongoose.model('Consultant', consultantSchema);
@@ -0,0 +1,46 @@
+/**
+ * Conversation Model
+ * A message thread between a client and a consultant, either about one
+ * booking (bookingId set) or about anything (bookingId null, one per pair).
+ * A booking moved by a reschedule keeps the thread of the booking it was
+ * first made as. Messages are in models/Message.js.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the conversation schema
+const conversationSchema = new mongoose.Schema({
+  // User accounts of the two participants
+  clientUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  consultantUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  // Original booking the thread is about; null for a direct conversation
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null,
+  },
+  lastMessageAt: Date,
+  // Start of the last message, for conversation lists
+  lastMessagePreview: String,
+}, { timestamps: true });
+
+// One thread per booking, and one direct thread per client–consultant pair
+conversationSchema.index({ clientUserId: 1, consultantUserId: 1, bookingId: 1 }, { unique: true });
+conversationSchema.index({ consultantUserId: 1, lastMessageAt: -1 });
+
+// Create and export the Conversation model
+module.exports = mongoose.model('Conversation', conversationSchema);
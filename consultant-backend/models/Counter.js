@@ -0,0 +1,37 @@
+/**
+ * Counter Model
+ * Named sequences, incremented atomically (e.g. invoice numbers).
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the counter schema; _id is the sequence name
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  }
+});
+
+/**
+ * Returns the next value of a sequence, starting at 1
+ * @param {string} name - Sequence name
+ * @param {Object} [session] - Mongoose session; inside a transaction an aborted
+ * attempt gives its number back, so the sequence has no gaps
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Create and export the Counter model
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,103 @@
+/**
+ * Coupon Model
+ * Discount codes created by consultants (for their own services) and admins.
+ * A code takes a percentage or a fixed amount off the booking price, can be
+ * limited to a consultant, a service or a service category, and is checked
+ * and redeemed by services/couponService.js when a booking is made.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+const { isSupportedCurrency } = require('../utils/currency');
+
+// Define the coupon schema
+const couponSchema = new mongoose.Schema({
+  // Stored uppercase; codes are matched case-insensitively
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Codes are 3 to 32 letters, digits, dashes or underscores'],
+  },
+  type: {
+    type: String,
+    enum: ['percent', 'fixed'],
+    required: true,
+  },
+  // Percentage (1-100) or amount taken off, in currency for fixed coupons
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Fixed coupons only apply to services priced in this currency
+  currency: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: isSupportedCurrency,
+      message: props => `${props.value} is not a supported currency`
+    },
+  },
+  // Scope: unset fields match everything
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+  },
+  category: {
+    type: String,
+  },
+  startsAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  // Total bookings the code can be used for, and how many per client
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+  },
+  perClientLimit: {
+    type: Number,
+    min: 1,
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percent' && this.value > 100) {
+    this.invalidate('value', 'A percentage discount cannot exceed 100');
+  }
+  if (this.type === 'fixed' && !this.currency) {
+    this.invalidate('currency', 'Fixed discounts need a currency');
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate('expiresAt', 'expiresAt must be after startsAt');
+  }
+  next();
+});
+
+// Create and export the Coupon model
+module.exports = mongoose.model('Coupon', couponSchema);
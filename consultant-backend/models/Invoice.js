@@ -0,0 +1,97 @@
+/**
+ * Invoice Model
+ * Invoices issued when a booking is paid, and credit notes issued for its
+ * refunds. Seller and buyer details are copied when the document is issued,
+ * so later profile changes do not alter it.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Billing details as printed on the document
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  companyName: String,
+  address: String,
+  taxId: String,
+}, { _id: false });
+
+// Define the invoice schema
+const invoiceSchema = new mongoose.Schema({
+  // Sequential number, e.g. INV-000042 or CN-000007
+  number: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  kind: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true,
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+  },
+  // Credit notes: the refund they document and the invoice they correct
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+  },
+  seller: partySchema,
+  buyer: partySchema,
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  lines: [{
+    description: String,
+    quantity: Number,
+    unitAmount: Number,
+    amount: Number,
+  }],
+  // Amounts before tax, tax by rate, and the total paid (or refunded)
+  subtotal: {
+    type: Number,
+    required: true,
+  },
+  taxLines: [{
+    name: String,
+    ratePercent: Number,
+    amount: Number,
+  }],
+  total: {
+    type: Number,
+    required: true,
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per payment (it stays with a booking that is rescheduled), one credit note per refund
+invoiceSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'invoice' }, name: 'one_invoice_per_payment' }
+);
+invoiceSchema.index(
+  { refundId: 1 },
+  { unique: true, partialFilterExpression: { kind: 'credit_note' }, name: 'one_credit_note_per_refund' }
+);
+
+// Create and export the Invoice model
+module.exports = mongoose.model('Invoice', invoiceSchema);
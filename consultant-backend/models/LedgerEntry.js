@@ -0,0 +1,81 @@
+/**
+ * Ledger Entry Model
+ * One line of the double-entry earnings ledger. Lines are posted in journals
+ * (sharing a journalKey) whose debits and credits balance; they are never
+ * updated or deleted, so balances are always the sum of the lines.
+ *
+ * Accounts:
+ * - platform_cash: money collected from clients and not yet paid out
+ * - platform_commission: the platform's share of bookings
+ * - consultant_payable: what the platform owes the consultant
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the ledger entry schema
+const ledgerEntrySchema = new mongoose.Schema({
+  // Identifies the journal, e.g. "earning:<bookingId>"; a journal is posted once
+  journalKey: {
+    type: String,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ['earning', 'refund', 'payout'],
+    required: true,
+  },
+  account: {
+    type: String,
+    enum: ['platform_cash', 'platform_commission', 'consultant_payable'],
+    required: true,
+  },
+  // Consultant the journal concerns, set on every line
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  // Commission rate the journal was posted with
+  commissionPercent: {
+    type: Number,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ journalKey: 1, account: 1 }, { unique: true });
+ledgerEntrySchema.index({ consultantId: 1, currency: 1, occurredAt: 1 });
+
+// Create and export the LedgerEntry model
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,58 @@
+/**
+ * Message Model
+ * One message in a conversation (models/Conversation.js), with its
+ * attachments. readAt is set when the other participant opens the
+ * conversation and doubles as the read receipt.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Files uploaded with uploadConfig's attachmentUpload, outside the statically served folders;
+// served only to the conversation's participants and admins
+const attachmentSchema = new mongoose.Schema({
+  filename: { type: String, required: true },
+  originalName: { type: String, required: true },
+  // Relative to the backend root
+  path: { type: String, required: true },
+  mimeType: String,
+  size: Number,
+});
+
+// Define the message schema
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  senderRole: {
+    type: String,
+    enum: ['client', 'consultant'],
+    required: true,
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 5000,
+    default: '',
+  },
+  attachments: [attachmentSchema],
+  // When the recipient read it
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// A conversation's messages in order, and a user's unread messages
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+messageSchema.index({ conversationId: 1, senderId: 1, readAt: 1 });
+
+// Create and export the Message model
+module.exports = mongoose.model('Message', messageSchema);
@@ -1,5 +1,13 @@
-import mongoose from 'mongoose';
+/**
+ * Notification Model
+ * In-app notification shown to a user, usually about one of their bookings.
+ * Created by services/notificationService.js in response to booking events.
+ */
 
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the notification schema
 const notificationSchema = new mongoose.Schema({
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -8,13 +16,18 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['booking', 'cancellation', 'reminder', 'payment'],
+      enum: ['booking', 'cancellation', 'reschedule', 'waitlist', 'reminder', 'payment'],
       required: true,
     },
     message: {
       type: String,
       required: true,
     },
+    // Booking the notification is about, if any
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+    },
     status: {
       type: String,
       enum: ['unread', 'read'],
@@ -25,5 +38,9 @@ const notificationSchema = new mongoose.Schema({
       default: Date.now,
     }
   });
-  
-  export const Notification = mongoose.model('Notification', notificationSchema);
+
+// A user's notifications, newest first, and their unread count
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
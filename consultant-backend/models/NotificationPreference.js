@@ -0,0 +1,54 @@
+/**
+ * Notification Preference Model
+ * What a user wants to hear about and how: one switch per event type and
+ * channel, quiet hours during which nothing interrupts them, and a daily
+ * digest that gathers email into one message. Users without a document get
+ * the schema defaults (see services/preferenceService.js).
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Channels a type of notification can be sent through
+const channels = () => ({
+  inApp: { type: Boolean, default: true },
+  email: { type: Boolean, default: true },
+  push: { type: Boolean, default: true },
+  // Stand-in for text messages, off unless the user opts in (see services/smsService.js)
+  sms: { type: Boolean, default: false },
+});
+
+// Define the notification preference schema
+const notificationPreferenceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // One entry per Notification type
+  types: {
+    booking: channels(),
+    cancellation: channels(),
+    reschedule: channels(),
+    reminder: channels(),
+    payment: channels(),
+    waitlist: channels(),
+  },
+  // Wall-clock times in the user's time zone; may span midnight
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: TIME_OF_DAY },
+    end: { type: String, default: '07:00', match: TIME_OF_DAY },
+  },
+  // Email other than reminders is held and sent once a day at this hour
+  digest: {
+    enabled: { type: Boolean, default: false },
+    hour: { type: Number, default: 8, min: 0, max: 23 },
+  },
+}, { timestamps: true });
+
+// Create and export the NotificationPreference model
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -0,0 +1,86 @@
+/**
+ * Outbound Email Model
+ * Persistent outbox of transactional email. Each message is rendered when
+ * it is queued and stays pending until the transport accepts it; failed
+ * sends are retried with a growing delay (see services/emailService.js).
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the outbound email schema
+const outboundEmailSchema = new mongoose.Schema({
+  // Recipient account, if the message is for a user
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  template: {
+    type: String,
+    required: true,
+  },
+  locale: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  html: {
+    type: String,
+    required: true,
+  },
+  // Identifies the event the message is about, so it is queued only once
+  dedupeKey: {
+    type: String,
+  },
+  // pending → sent, or failed once every attempt was used.
+  // held → digested for users who get a daily digest instead
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'held', 'digested'],
+    default: 'pending',
+  },
+  // Digest a held message was gathered into
+  digestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundEmail',
+  },
+  // One-click unsubscribe link, also sent as the List-Unsubscribe header
+  unsubscribeUrl: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // When the next delivery attempt may start; also leases a message to one sender
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastError: String,
+  transport: String,
+  messageId: String,
+  sentAt: Date,
+}, {
+  timestamps: true
+});
+
+outboundEmailSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+outboundEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboundEmailSchema.index({ status: 1, userId: 1, createdAt: 1 });
+
+// Create and export the OutboundEmail model
+module.exports = mongoose.model('OutboundEmail', outboundEmailSchema);
@@ -0,0 +1,76 @@
+/**
+ * Package Model
+ * A bundle of prepaid sessions of one Service sold at a discount, e.g.
+ * "5 coaching sessions at 10% off". The price is worked out from the
+ * service's price when the package is bought (see services/packageService.js).
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the package schema
+const packageSchema = new mongoose.Schema({
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+    index: true,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+  },
+  sessionCount: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 100,
+  },
+  // Taken off the price of sessionCount single sessions
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100,
+  },
+  // Credits can be used for this many days after the purchase
+  validityDays: {
+    type: Number,
+    default: 365,
+    min: 1,
+  },
+  // Refund rules for credits that were never used
+  refundUnusedCredits: {
+    type: Boolean,
+    default: true,
+  },
+  // Days after the purchase during which unused credits can be refunded (unset: until expiry)
+  refundWindowDays: {
+    type: Number,
+    min: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  }
+}, {
+  timestamps: true
+});
+
+// Create and export the Package model
+module.exports = mongoose.model('Package', packageSchema);
@@ -0,0 +1,96 @@
+/**
+ * Package Purchase Model
+ * A client's purchase of a package: the price paid, the package rules as
+ * they were when it was bought, and the credits left to book sessions with.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the package purchase schema
+const packagePurchaseSchema = new mongoose.Schema({
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Package',
+    required: true,
+  },
+  // User who bought the package
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  // pending_payment → active → expired or refunded; payment_failed if the charge fails
+  status: {
+    type: String,
+    enum: ['pending_payment', 'active', 'payment_failed', 'expired', 'refunded'],
+    default: 'pending_payment',
+  },
+  // Price paid and its share per session, used for earnings and refunds
+  amount: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  perSessionAmount: {
+    type: Number,
+    required: true,
+  },
+  sessionCount: {
+    type: Number,
+    required: true,
+  },
+  creditsRemaining: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Rules copied from the package
+  validityDays: {
+    type: Number,
+    required: true,
+  },
+  refundUnusedCredits: {
+    type: Boolean,
+    default: true,
+  },
+  refundWindowDays: {
+    type: Number,
+  },
+  // Set once the payment succeeds
+  activatedAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  refundedCredits: {
+    type: Number,
+    default: 0,
+  }
+}, {
+  timestamps: true
+});
+
+packagePurchaseSchema.index({ clientId: 1, serviceId: 1, status: 1 });
+
+// Create and export the PackagePurchase model
+module.exports = mongoose.model('PackagePurchase', packagePurchaseSchema);
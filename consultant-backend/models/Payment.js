@@ -0,0 +1,88 @@
+/**
+ * Payment Model
+ * A charge for a booking or a package purchase made through a payment
+ * provider, with the refunds issued against it. Amounts are in major units of the currency (e.g. dollars),
+ * like the price stored on the booking.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the payment schema
+const paymentSchema = new mongoose.Schema({
+  // What was paid for: a booking, or a package of prepaid sessions
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: function() { return !this.packagePurchaseId; },
+    index: true,
+  },
+  packagePurchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase',
+  },
+  // User who paid
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+    index: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'succeeded', 'failed', 'partially_refunded', 'refunded'],
+    default: 'processing',
+  },
+  // Provider that processed the charge and its id for it
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerPaymentId: {
+    type: String,
+    required: true,
+  },
+  failureReason: {
+    type: String,
+  },
+  // Refunds issued against this payment
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+// Create and export the Payment model
+module.exports = mongoose.model('Payment', paymentSchema);
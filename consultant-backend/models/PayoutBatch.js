@@ -0,0 +1,46 @@
+/**
+ * Payout Batch Model
+ * A set of consultant balances marked as paid out together by an admin.
+ * The matching ledger journals move each amount out of consultant_payable.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the payout batch schema
+const payoutBatchSchema = new mongoose.Schema({
+  // Admin who created the batch
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  items: [{
+    consultantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Consultant',
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    }
+  }],
+  total: {
+    type: Number,
+    required: true,
+  },
+  // Free-text reference, e.g. the bank transfer batch
+  note: {
+    type: String,
+  }
+}, {
+  timestamps: true
+});
+
+// Create and export the PayoutBatch model
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -13,6 +13,36 @@ const policySchema = new mongoose.Schema({
   reschedulePolicy: {
     type: String,
     required: true,
+  },
+  // Refund tiers applied when a client cancels, e.g.
+  // [{ minHoursBefore: 48, refundPercent: 100 }, { minHoursBefore: 24, refundPercent: 50 }]
+  // The tier with the highest minHoursBefore that the notice meets applies; no tier means no refund.
+  cancellationRules: [{
+    minHoursBefore: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    refundPercent: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100,
+    }
+  }],
+  // Rules enforced when a client reschedules (see services/policyService.js)
+  rescheduleRules: {
+    // Minimum hours between the request and the booking's start
+    minNoticeHours: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Maximum times a booking may be moved; unset means unlimited
+    maxReschedules: {
+      type: Number,
+      min: 0,
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,37 @@
+/**
+ * Push Subscription Model
+ * A browser (one user on one device) subscribed to Web Push notifications.
+ * The endpoint and keys come from PushManager.subscribe in the browser;
+ * services/pushService.js removes a subscription once the push service
+ * reports it gone.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the push subscription schema
+const pushSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // URL of the browser vendor's push service for this device
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true },
+  },
+  // Lets users tell their devices apart
+  userAgent: String,
+  lastPushedAt: Date,
+}, { timestamps: true });
+
+pushSubscriptionSchema.index({ userId: 1 });
+
+// Create and export the PushSubscription model
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
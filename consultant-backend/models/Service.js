@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../utils/currency');
 
 const serviceSchema = new mongoose.Schema({
     name: {
@@ -13,6 +14,17 @@ const serviceSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Currency of price; bookings are charged in it
+    currency: {
+        type: String,
+        default: DEFAULT_CURRENCY,
+        lowercase: true,
+        trim: true,
+        validate: {
+            validator: isSupportedCurrency,
+            message: props => `${props.value} is not a supported currency`
+        }
+    },
     duration: {
         type: Number,
         required: true
@@ -0,0 +1,55 @@
+/**
+ * Session Model
+ * The video session of a confirmed booking. The room is hosted by the
+ * platform itself: services/signalingService.js relays the WebRTC
+ * handshake between the two participants' browsers, and the media flows
+ * between the browsers directly.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the session schema
+const sessionSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true,
+  },
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  // User accounts allowed into the room
+  clientUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  consultantUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'live', 'completed'],
+    default: 'scheduled',
+  },
+  // First time someone joined the room, and when the consultant ended it
+  startedAt: Date,
+  endedAt: Date,
+  // Consultant's private notes
+  notes: {
+    type: String,
+    maxlength: 10000,
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ clientUserId: 1, createdAt: -1 });
+sessionSchema.index({ consultantUserId: 1, createdAt: -1 });
+
+// Create and export the Session model
+module.exports = mongoose.model('Session', sessionSchema);
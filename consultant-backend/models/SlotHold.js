@@ -0,0 +1,77 @@
+/**
+ * Slot Hold Model
+ * Short-lived reservation of a consultant's time slot while a client
+ * finishes the booking form. Holds count as occupied time for everybody
+ * except the holder and are removed by MongoDB once they expire.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the slot hold schema
+const slotHoldSchema = new mongoose.Schema({
+  // User holding the slot
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Consultant whose slot is held
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  // Service the client is booking
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+  },
+  // Set when the hold is a waitlist offer rather than a checkout hold
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+  },
+  // Date (YYYY-MM-DD) and start time (HH:mm) in the consultant's time zone
+  date: {
+    type: String,
+    required: true,
+  },
+  time: {
+    type: String,
+    required: true,
+  },
+  duration: {
+    type: Number,
+    required: true,
+  },
+  timeZone: {
+    type: String,
+  },
+  // Absolute bounds of the held slot
+  startAt: {
+    type: Date,
+    required: true,
+  },
+  endAt: {
+    type: Date,
+    required: true,
+  },
+  // MongoDB's TTL monitor deletes the hold shortly after this instant;
+  // queries also filter on it since the monitor only runs every minute
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  }
+}, {
+  timestamps: true
+});
+
+// How long a hold lasts
+slotHoldSchema.statics.HOLD_MINUTES = 10;
+
+slotHoldSchema.index({ consultantId: 1, startAt: 1, endAt: 1 });
+
+// Create and export the SlotHold model
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
@@ -6,6 +6,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone } = require('../utils/timeZone');
 
 const userSchema = new mongoose.Schema({
   // Role determines user permissions and access levels
@@ -37,10 +38,30 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Preferred IANA time zone (e.g. "Europe/Paris") for displaying times
+  timeZone: {
+    type: String,
+    validate: {
+      validator: value => !value || isValidTimeZone(value),
+      message: props => `${props.value} is not a valid IANA time zone`
+    }
+  },
+  // Preferred language of emails (see services/emailTemplates.js)
+  locale: {
+    type: String,
+    enum: ['en', 'fr', 'es'],
+    default: 'en',
+  },
   // Profile picture URL (from Google or uploaded)
   avatar: {
     type: String,
   },
+  // Details printed on invoices: the seller's for consultants, the buyer's for clients
+  billingDetails: {
+    companyName: String,
+    address: String,
+    taxId: String,
+  },
   // Consultant-specific fields
   specialization: {
     type: String, // e.g., "Business Strategy", "Marketing", etc.
@@ -0,0 +1,74 @@
+/**
+ * Waitlist Entry Model
+ * A client waiting for a slot with a consultant within a date window.
+ * When a booking in the window is cancelled, the freed slot is offered to
+ * entries in the order they joined (see services/waitlistService.js).
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the waitlist entry schema
+const waitlistEntrySchema = new mongoose.Schema({
+  // Client waiting for a slot
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  consultantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultant',
+    required: true,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true,
+  },
+  // Date window (YYYY-MM-DD, inclusive) in the consultant's time zone
+  from: {
+    type: String,
+    required: true,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  // waiting → offered → claimed; an unclaimed offer returns the entry to waiting
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'cancelled'],
+    default: 'waiting',
+  },
+  // Slot currently offered to the client, held for them until expiresAt
+  offer: {
+    date: String,
+    time: String,
+    duration: Number,
+    timeZone: String,
+    startAt: Date,
+    endAt: Date,
+    holdId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold',
+    },
+    expiresAt: Date,
+  },
+  // Start of slots already offered to this client and not taken, never offered again
+  passedSlots: [{
+    type: Date,
+  }],
+  // Booking created when the client claimed an offer
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  }
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ consultantId: 1, status: 1, createdAt: 1 });
+
+// Create and export the WaitlistEntry model
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,54 @@
+/**
+ * Webhook Event Model
+ * Payment provider events that reached the webhook endpoint. Processed events
+ * are kept so redeliveries can be recognised and ignored; events whose
+ * processing failed stay 'failed' and form the dead-letter list.
+ */
+
+// Import required modules
+const mongoose = require('mongoose');
+
+// Define the webhook event schema
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Provider's event id, unique per provider
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+  },
+  // Event as returned by the provider's constructWebhookEvent
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['processed', 'failed'],
+    required: true,
+  },
+  // Processing attempts, including redeliveries and manual retries
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Last processing error, for failed events
+  error: {
+    type: String,
+  },
+  processedAt: {
+    type: Date,
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, updatedAt: -1 });
+
+// Create and export the WebhookEvent model
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
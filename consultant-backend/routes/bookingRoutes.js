@@ -32,6 +32,22 @@ const router = express.Router();
  */
 router.post('/book', protect, validateBooking, upload.array('documents', 5), bookingController.createBooking);
 
+/**
+ * @route POST /api/bookings/holds
+ * @description Hold a slot for a few minutes while the booking form is completed
+ * @access Private
+ * @param {Object} req.body - consultantId, serviceId, date and time; the hold lasts as long as the service
+ * @returns {Object} The hold with its expiresAt
+ */
+router.post('/holds', protect, bookingController.createHold);
+
+/**
+ * @route DELETE /api/bookings/holds/:holdId
+ * @description Release a slot hold before it expires
+ * @access Private (holder)
+ */
+router.delete('/holds/:holdId', protect, bookingController.releaseHold);
+
 /**
  * @route GET /api/bookings
  * @description Get bookings within a specified date range
@@ -67,6 +83,90 @@ router.get('/consultant', protect, bookingController.getConsultantBookings);
  */
 router.get('/:id', protect, bookingController.getBookingById);
 
+/**
+ * @route GET /api/bookings/:id/history
+ * @description Get the audited status transitions of a booking
+ * @access Private (booking participants and admins)
+ * @param {string} req.params.id - Booking ID
+ * @returns {Object} Current status and transition history
+ */
+router.get('/:id/history', protect, bookingController.getBookingHistory);
+
+/**
+ * @route GET /api/bookings/:id/invoice
+ * @description Download the invoice of a paid booking as a PDF, with its credit notes
+ * @access Private (booking participants and admins)
+ * @param {string} req.params.id - Booking ID
+ * @returns {Buffer} application/pdf attachment
+ */
+router.get('/:id/invoice', protect, bookingController.getBookingInvoice);
+
+/**
+ * Lifecycle transitions
+ * Each accepts an optional req.body.reason stored in the booking history.
+ * Role rules live in services/bookingLifecycle.js:
+ * - confirm, decline: consultant or admin, from pending
+ * - complete, no-show: consultant or admin, from confirmed
+ * - cancel: client, consultant or admin, from pending or confirmed
+ */
+
+/**
+ * @route POST /api/bookings/:id/confirm
+ * @description Confirm a pending booking
+ * @access Private (consultant, admin)
+ */
+router.post('/:id/confirm', protect, bookingController.confirmBooking);
+
+/**
+ * @route POST /api/bookings/:id/decline
+ * @description Decline a pending booking
+ * @access Private (consultant, admin)
+ */
+router.post('/:id/decline', protect, bookingController.declineBooking);
+
+/**
+ * @route POST /api/bookings/:id/complete
+ * @description Mark a confirmed booking as completed
+ * @access Private (consultant, admin)
+ */
+router.post('/:id/complete', protect, bookingController.completeBooking);
+
+/**
+ * @route POST /api/bookings/:id/no-show
+ * @description Mark a confirmed booking as a no-show
+ * @access Private (consultant, admin)
+ */
+router.post('/:id/no-show', protect, bookingController.markNoShow);
+
+/**
+ * @route POST /api/bookings/:id/cancel
+ * @description Cancel a pending or confirmed booking
+ * @access Private (client, consultant, admin)
+ */
+router.post('/:id/cancel', protect, bookingController.cancelBooking);
+
+/**
+ * @route POST /api/bookings/:id/reschedule
+ * @description Move a pending or confirmed booking to a new free slot.
+ * Clients are held to the consultant's reschedule rules.
+ * @access Private (client, consultant, admin)
+ * @param {string} req.body.date - New date (YYYY-MM-DD), consultant's time zone
+ * @param {string} req.body.time - New start time (HH:mm), consultant's time zone
+ * @param {string} [req.body.reason] - Reason for the change
+ * @returns {Object} New booking linked to the original
+ */
+router.post('/:id/reschedule', protect, bookingController.rescheduleBooking);
+
+/**
+ * @route PATCH /api/bookings/:id/status
+ * @description Change a booking's status through the lifecycle state machine
+ * @access Private
+ * @param {string} req.body.status - Target status
+ * @param {string} [req.body.reason] - Reason for the change
+ * @returns {Object} Updated booking
+ */
+router.patch('/:id/status', protect, bookingController.updateBookingStatus);
+
 /**
  * @route POST /api/bookings/:id/documents
  * @description Upload documents for a specific booking
@@ -47,12 +47,22 @@ router.get('/:id', authMiddleware, clientController.getClientById);
  */
 router.post('/book', authMiddleware, validateBooking, upload.array('documents', 5), clientController.bookConsultantService);
 
+/**
+ * @route GET /api/clients/cancel/:bookingId
+ * @description Preview the cancellation terms and the refund for cancelling now
+ * @access Private (booking's client)
+ * @param {string} req.params.bookingId - Booking ID
+ * @returns {Object} Refund percent and amount with the applicable terms
+ */
+router.get('/cancel/:bookingId', authMiddleware, clientController.getCancellationTerms);
+
 /**
  * @route PUT /api/clients/cancel/:bookingId
- * @description Cancel an existing booking
- * @access Private
+ * @description Cancel an existing booking under the consultant's cancellation rules
+ * @access Private (booking's client)
  * @param {string} req.params.bookingId - Booking ID to cancel
- * @returns {Object} Updated booking status
+ * @param {string} [req.body.reason] - Reason for cancelling
+ * @returns {Object} Cancelled booking with the refund owed
  */
 router.put('/cancel/:bookingId', authMiddleware, clientController.cancelBooking);
 
@@ -42,6 +42,30 @@ router.get('/:id', consultantController.getConsultantById);
  */
 router.put('/services', authMiddleware, consultantController.updateConsultantServices);
 
+/**
+ * @route GET /api/consultants/:id/availability
+ * @description Get bookable time slots computed from the weekly schedule,
+ * date overrides, service duration and existing bookings
+ * @access Public
+ * @param {string} req.params.id - Consultant ID
+ * @param {string} [req.query.from] - First day (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Last day (YYYY-MM-DD)
+ * @param {string} [req.query.serviceId] - Service whose duration sizes the slots
+ * @returns {Object} Free slots grouped by day
+ */
+router.get('/:id/availability', consultantController.getConsultantAvailability);
+
+/**
+ * @route PUT /api/consultants/availability
+ * @description Update the consultant's weekly schedule and date overrides (days off, extra hours)
+ * @access Private
+ * @param {Array} [req.body.availability] - Weekly template
+ * @param {Array} [req.body.availabilityOverrides] - Date-specific overrides
+ * @param {string} [req.body.timeZone] - IANA time zone of the schedule
+ * @returns {Object} Updated consultant profile
+ */
+router.put('/availability', authMiddleware, consultantController.updateConsultantAvailability);
+
 /**
  * @route DELETE /api/consultants/:id
  * @description Delete a consultant profile
@@ -67,4 +91,15 @@ router.get('/', consultantController.getAllConsultants);
  */
 router.get('/profile', authMiddleware, consultantController.getConsultantProfile);
 
+/**
+ * @route GET /api/consultants/me/earnings
+ * @description Get the consultant's earnings with a breakdown per period
+ * @access Private (consultant)
+ * @param {string} [req.query.period] - 'day', 'week', 'month' or 'year'
+ * @param {string} [req.query.from] - First day (YYYY-MM-DD)
+ * @param {string} [req.query.to] - Last day (YYYY-MM-DD)
+ * @returns {Object} Totals, periods and the balance not yet paid out
+ */
+router.get('/me/earnings', authMiddleware, consultantController.getMyEarnings);
+
 module.exports = router;
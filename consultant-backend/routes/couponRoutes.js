@@ -0,0 +1,49 @@
+/**
+ * Coupon Routes
+ * Discount codes. Mounted at /api/coupons.
+ *
+ * @module routes/couponRoutes
+ * @requires express
+ * @requires controllers/couponController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const couponController = require('../controllers/couponController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/coupons/preview
+ * @description Show the discounted price of a service for a code, without using it
+ * @access Private
+ * @param {Object} req.body - code, consultantId, serviceId
+ * @returns {Object} originalAmount, discount, amount and currency
+ */
+router.post('/preview', protect, couponController.previewCoupon);
+
+/**
+ * @route POST /api/coupons
+ * @description Create a discount code
+ * @access Private (consultant for their own services, admin)
+ * @param {Object} req.body - code, type, value, currency, scope, validity and limits
+ * @returns {Object} The coupon
+ */
+router.post('/', protect, couponController.createCoupon);
+
+/**
+ * @route GET /api/coupons
+ * @description List discount codes (a consultant's own, or all for admins)
+ * @access Private (consultant, admin)
+ */
+router.get('/', protect, couponController.getCoupons);
+
+/**
+ * @route PATCH /api/coupons/:couponId
+ * @description Change a code's validity or limits, e.g. { active: false }
+ * @access Private (consultant owning the code, admin)
+ */
+router.patch('/:couponId', protect, couponController.updateCoupon);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+/**
+ * Event Routes
+ * Live updates over Server-Sent Events. Mounted at /api/events.
+ *
+ * @module routes/eventRoutes
+ * @requires express
+ * @requires controllers/eventController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const eventController = require('../controllers/eventController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/events/ticket
+ * @description Trade the JWT for a one-minute ticket to open the stream with
+ * @access Private
+ * @returns {Object} { ticket, expiresIn }
+ */
+router.post('/ticket', protect, eventController.createTicket);
+
+/**
+ * @route GET /api/events/stream?ticket=
+ * @description Event stream (text/event-stream) of booking, notification and availability events
+ * @access Private (stream ticket)
+ */
+router.get('/stream', eventController.stream);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+/**
+ * Message Routes
+ * Conversations between clients and consultants. Mounted at /api/conversations.
+ *
+ * @module routes/messageRoutes
+ * @requires express
+ * @requires controllers/messageController
+ * @requires middleware/authMiddleware
+ * @requires config/uploadConfig
+ */
+
+const express = require('express');
+const messageController = require('../controllers/messageController');
+const protect = require('../middleware/authMiddleware');
+const { attachmentUpload } = require('../config/uploadConfig');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/conversations
+ * @description The user's conversations, most recently active first, with unread counts
+ * @access Private
+ * @returns {Object[]} Conversations with withUser and unreadCount
+ */
+router.get('/', protect, messageController.getMyConversations);
+
+/**
+ * @route GET /api/conversations/unread-count
+ * @description Number of unread messages across the user's conversations
+ * @access Private
+ * @returns {Object} { unreadCount }
+ */
+router.get('/unread-count', protect, messageController.getUnreadCount);
+
+/**
+ * @route POST /api/conversations
+ * @description Open (or create) the conversation of a booking, or with a consultant
+ * @access Private
+ * @param {string} [req.body.bookingId] - Booking to talk about
+ * @param {string} [req.body.consultantId] - Consultant to talk to directly
+ * @returns {Object} The conversation
+ */
+router.post('/', protect, messageController.openConversation);
+
+/**
+ * @route GET /api/conversations/:id/messages
+ * @description A page of messages, oldest first; marks received messages read
+ * @access Private (participants and admins)
+ * @param {string} [req.query.before] - Only messages sent before this time
+ * @param {number} [req.query.limit=50] - Messages per page
+ * @returns {Object} { conversation, messages, hasMore }
+ */
+router.get('/:id/messages', protect, messageController.getMessages);
+
+/**
+ * @route POST /api/conversations/:id/messages
+ * @description Send a message (multipart: body and up to 5 "attachments")
+ * @access Private (participants)
+ * @returns {Object} The message
+ */
+router.post('/:id/messages', protect, attachmentUpload.array('attachments', 5), messageController.postMessage);
+
+/**
+ * @route PUT /api/conversations/:id/read
+ * @description Mark the messages received in a conversation as read
+ * @access Private (participants)
+ * @returns {Object} { modifiedCount }
+ */
+router.put('/:id/read', protect, messageController.markRead);
+
+/**
+ * @route GET /api/conversations/:id/messages/:messageId/attachments/:attachmentId
+ * @description Download an attachment
+ * @access Private (participants and admins)
+ */
+router.get('/:id/messages/:messageId/attachments/:attachmentId', protect, messageController.downloadAttachment);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+/**
+ * Notification Preference Routes
+ * What the authenticated user is notified about and how, plus the
+ * unsubscribe links put in emails. Mounted at /api/notification-preferences.
+ *
+ * @module routes/notificationPreferenceRoutes
+ * @requires express
+ * @requires controllers/notificationPreferenceController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const notificationPreferenceController = require('../controllers/notificationPreferenceController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notification-preferences
+ * @description The user's preferences
+ * @access Private
+ * @returns {Object} types, quietHours, digest, eventTypes, channels
+ */
+router.get('/', protect, notificationPreferenceController.getMyPreferences);
+
+/**
+ * @route PUT /api/notification-preferences
+ * @description Change some of the user's preferences
+ * @access Private
+ * @param {Object} req.body - Any of types, quietHours and digest
+ */
+router.put('/', protect, notificationPreferenceController.updateMyPreferences);
+
+/**
+ * @route GET|POST /api/notification-preferences/unsubscribe?token=
+ * @description Turn off one type of email from the link in an email
+ * @access Public (signed token)
+ */
+router.get('/unsubscribe', notificationPreferenceController.unsubscribe);
+router.post('/unsubscribe', notificationPreferenceController.unsubscribe);
+
+/**
+ * @route POST /api/notification-preferences/resubscribe?token=
+ * @description Undo an unsubscribe
+ * @access Public (signed token)
+ */
+router.post('/resubscribe', notificationPreferenceController.resubscribe);
+
+module.exports = router;
@@ -1,24 +1,62 @@
-import express from 'express';
-import {
-  createNotification,
-  getNotifications,
-  markAsRead,
-  deleteNotification,
-} from '../controllers/notificationController.js';
-import authMiddleware from '../middleware/authMiddleware.js';
+/**
+ * Notification Routes
+ * In-app notifications of the authenticated user. Mounted at /api/notifications.
+ *
+ * @module routes/notificationRoutes
+ * @requires express
+ * @requires controllers/notificationController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const protect = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// Create a new notification
-router.post('/', authMiddleware, createNotification);
+/**
+ * @route GET /api/notifications
+ * @description List the user's notifications, newest first
+ * @access Private
+ * @param {Object} req.query - page, limit, status ('unread' or 'read')
+ * @returns {Object} notifications, unreadCount and pagination
+ */
+router.get('/', protect, notificationController.getNotifications);
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @description Number of unread notifications
+ * @access Private
+ */
+router.get('/unread-count', protect, notificationController.getUnreadCount);
+
+/**
+ * @route POST /api/notifications
+ * @description Send a notification to a user
+ * @access Private (admin)
+ * @param {Object} req.body - userId, type, message, bookingId
+ */
+router.post('/', protect, notificationController.createNotification);
 
-// Get all notifications for the logged-in user
-router.get('/', authMiddleware, getNotifications);
+/**
+ * @route PUT /api/notifications/read-all
+ * @description Mark all of the user's notifications as read
+ * @access Private
+ */
+router.put('/read-all', protect, notificationController.markAllAsRead);
 
-// Mark a notification as read
-router.put('/:notificationId/read', authMiddleware, markAsRead);
+/**
+ * @route PUT /api/notifications/:notificationId/read
+ * @description Mark a notification as read
+ * @access Private
+ */
+router.put('/:notificationId/read', protect, notificationController.markAsRead);
 
-// Delete a notification
-router.delete('/:notificationId', authMiddleware, deleteNotification);
+/**
+ * @route DELETE /api/notifications/:notificationId
+ * @description Delete a notification
+ * @access Private
+ */
+router.delete('/:notificationId', protect, notificationController.deleteNotification);
 
-export default router;
+module.exports = router;
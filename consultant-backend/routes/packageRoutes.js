@@ -0,0 +1,66 @@
+/**
+ * Package Routes
+ * Prepaid session packages. Mounted at /api/packages.
+ *
+ * @module routes/packageRoutes
+ * @requires express
+ * @requires controllers/packageController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const packageController = require('../controllers/packageController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/packages/purchases/me
+ * @description List the user's package purchases and remaining credits
+ * @access Private
+ */
+router.get('/purchases/me', protect, packageController.getMyPurchases);
+
+/**
+ * @route POST /api/packages/purchases/:purchaseId/refund
+ * @description Refund the unused credits of a purchase
+ * @access Private (buyer, admin)
+ * @param {Object} req.body - reason
+ * @returns {Object} The closed purchase and the refund
+ */
+router.post('/purchases/:purchaseId/refund', protect, packageController.refundPurchase);
+
+/**
+ * @route GET /api/packages
+ * @description List packages on sale with their price
+ * @access Public
+ * @param {Object} req.query - consultantId, serviceId
+ */
+router.get('/', packageController.getPackages);
+
+/**
+ * @route POST /api/packages
+ * @description Create a package of sessions of a service
+ * @access Private (consultant for their own services, admin)
+ * @param {Object} req.body - serviceId, name, sessionCount, discountPercent and the credit rules
+ * @returns {Object} The package with its price
+ */
+router.post('/', protect, packageController.createPackage);
+
+/**
+ * @route PATCH /api/packages/:packageId
+ * @description Change a package, e.g. { active: false } to stop selling it
+ * @access Private (consultant selling it, admin)
+ */
+router.patch('/:packageId', protect, packageController.updatePackage);
+
+/**
+ * @route POST /api/packages/:packageId/purchase
+ * @description Buy a package
+ * @access Private
+ * @param {Object} req.body - paymentMethodId
+ * @returns {Object} The purchase and payment details
+ */
+router.post('/:packageId/purchase', protect, packageController.purchasePackage);
+
+module.exports = router;
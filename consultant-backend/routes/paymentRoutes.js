@@ -0,0 +1,64 @@
+/**
+ * Payment Routes
+ * Charging bookings, payment history, refunds and provider webhooks.
+ * Mounted at /api/payments.
+ *
+ * @module routes/paymentRoutes
+ * @requires express
+ * @requires controllers/paymentController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/payments/intent
+ * @description Pay for a booking at the price stored on it
+ * @access Private (booking client)
+ * @param {Object} req.body - bookingId, paymentMethodId
+ * @returns {Object} clientSecret, paymentId and status
+ */
+router.post('/intent', protect, paymentController.createPaymentIntent);
+
+/**
+ * @route GET /api/payments/history
+ * @description Payments made by the user and, for consultants, received by them
+ * @access Private
+ */
+router.get('/history', protect, paymentController.getPaymentHistory);
+
+/**
+ * @route POST /api/payments/:paymentId/refund
+ * @description Refund all or part of a payment
+ * @access Private (paid consultant, admin)
+ * @param {number} [req.body.amount] - Amount to refund
+ * @param {string} [req.body.reason] - Reason for the refund
+ */
+router.post('/:paymentId/refund', protect, paymentController.processRefund);
+
+/**
+ * @route POST /api/payments/webhook
+ * @description Payment provider events; authenticated by the provider's signature
+ * @access Public
+ */
+router.post('/webhook', paymentController.handlePaymentWebhook);
+
+/**
+ * @route GET /api/payments/webhook/dead-letters
+ * @description Webhook events that failed processing
+ * @access Private (admin)
+ */
+router.get('/webhook/dead-letters', protect, paymentController.getDeadLetters);
+
+/**
+ * @route POST /api/payments/webhook/dead-letters/:id/retry
+ * @description Process a failed webhook event again
+ * @access Private (admin)
+ */
+router.post('/webhook/dead-letters/:id/retry', protect, paymentController.retryDeadLetter);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Payout Routes
+ * Admin payout batches. Mounted at /api/payouts.
+ *
+ * @module routes/payoutRoutes
+ * @requires express
+ * @requires controllers/payoutController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const payoutController = require('../controllers/payoutController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/payouts/batches
+ * @description Mark consultant balances as paid out in one batch
+ * @access Private (admin)
+ * @param {Object} req.body - currency, consultantIds, minimumAmount, note
+ * @returns {Object} The payout batch
+ */
+router.post('/batches', protect, payoutController.createPayoutBatch);
+
+/**
+ * @route GET /api/payouts/batches
+ * @description List payout batches
+ * @access Private (admin)
+ */
+router.get('/batches', protect, payoutController.getPayoutBatches);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+/**
+ * Push Routes
+ * Web Push subscriptions of the authenticated user's browsers. Mounted at /api/push.
+ *
+ * @module routes/pushRoutes
+ * @requires express
+ * @requires controllers/pushController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const pushController = require('../controllers/pushController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/push/config
+ * @description Whether push is enabled, and the public VAPID key to subscribe with
+ * @access Private
+ */
+router.get('/config', protect, pushController.getConfig);
+
+/**
+ * @route POST /api/push/subscriptions
+ * @description Subscribe this browser to push notifications
+ * @access Private
+ * @param {Object} req.body - PushSubscription.toJSON(): endpoint, keys { p256dh, auth }
+ */
+router.post('/subscriptions', protect, pushController.subscribe);
+
+/**
+ * @route DELETE /api/push/subscriptions
+ * @description Unsubscribe a browser
+ * @access Private
+ * @param {Object} req.body - endpoint
+ */
+router.delete('/subscriptions', protect, pushController.unsubscribe);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * Booking Series Routes
+ * Recurring booking series. Mounted at /api/bookings/series; single
+ * occurrences are cancelled or rescheduled through /api/bookings/:id.
+ *
+ * @module routes/seriesRoutes
+ * @requires express
+ * @requires controllers/seriesController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const seriesController = require('../controllers/seriesController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/bookings/series
+ * @description Book a weekly, biweekly or monthly series in one request
+ * @access Private
+ * @param {Object} req.body - consultantId, serviceId, date, time, frequency, count or endDate
+ * @returns {Object} The series and its bookings
+ */
+router.post('/', protect, seriesController.createSeries);
+
+/**
+ * @route GET /api/bookings/series/:seriesId
+ * @description Get a series with all its occurrences
+ * @access Private (series participants and admins)
+ */
+router.get('/:seriesId', protect, seriesController.getSeries);
+
+/**
+ * @route POST /api/bookings/series/:seriesId/cancel
+ * @description Cancel all remaining occurrences of a series
+ * @access Private (client, consultant, admin)
+ */
+router.post('/:seriesId/cancel', protect, seriesController.cancelSeries);
+
+/**
+ * @route POST /api/bookings/series/:seriesId/reschedule
+ * @description Move all remaining occurrences of a series
+ * @access Private (client, consultant, admin)
+ * @param {string} req.body.date - New date of the next occurrence
+ * @param {string} req.body.time - New start time
+ */
+router.post('/:seriesId/reschedule', protect, seriesController.rescheduleSeries);
+
+module.exports = router;
@@ -6,7 +6,8 @@ const {
     updateService,
     deleteService,
     getServicesGroupedBySpecialty,
-    getServices
+    getServices,
+    getServiceExchangeRates
 } = require('../controllers/serviceController');
 const authMiddleware = require('../middleware/authMiddleware');
 const consultantMiddleware = require('../middleware/consultantMiddleware');
@@ -15,6 +16,7 @@ const router = express.Router();
 
 // Public routes
 router.get('/', getServices);
+router.get('/exchange-rates', getServiceExchangeRates);
 router.get('/:id', getServiceById);
 router.get('/grouped', getServicesGroupedBySpecialty);
 router.get('/consultant/:id', getServicesByConsultant);
@@ -0,0 +1,67 @@
+/**
+ * Session Routes
+ * Video sessions of bookings. Mounted at /api/sessions. The signaling
+ * WebSocket (/api/sessions/signal) is served by services/signalingService.js.
+ *
+ * @module routes/sessionRoutes
+ * @requires express
+ * @requires controllers/sessionController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const sessionController = require('../controllers/sessionController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/sessions
+ * @description Sessions the user took part in, newest first
+ * @access Private
+ * @returns {Array} Sessions with their booking
+ */
+router.get('/', protect, sessionController.getSessionHistory);
+
+/**
+ * @route GET /api/sessions/upcoming
+ * @description The user's confirmed bookings that are not over yet, with when their rooms open
+ * @access Private
+ * @returns {Array} { booking, opensAt, closesAt, canJoin }, soonest first
+ */
+router.get('/upcoming', protect, sessionController.getUpcomingSessions);
+
+/**
+ * @route GET /api/sessions/booking/:bookingId
+ * @description When the booking's room is open and whether the user can join now
+ * @access Private (participants)
+ * @returns {Object} { session, role, opensAt, closesAt, canJoin, reason }
+ */
+router.get('/booking/:bookingId', protect, sessionController.getBookingSession);
+
+/**
+ * @route POST /api/sessions/booking/:bookingId/join
+ * @description Join the booking's video room; only the client and consultant, only during the booking
+ * @access Private (participants)
+ * @returns {Object} { session, role, ticket, opensAt, closesAt, iceServers }
+ */
+router.post('/booking/:bookingId/join', protect, sessionController.join);
+
+/**
+ * @route PUT /api/sessions/:sessionId/notes
+ * @description Update the consultant's notes of a session
+ * @access Private (consultant)
+ * @param {string} req.body.notes - Notes
+ * @returns {Object} Updated session
+ */
+router.put('/:sessionId/notes', protect, sessionController.updateSessionNotes);
+
+/**
+ * @route POST /api/sessions/:sessionId/end
+ * @description End the session: close the room and complete the booking
+ * @access Private (consultant)
+ * @returns {Object} Updated session
+ */
+router.post('/:sessionId/end', protect, sessionController.endSession);
+
+module.exports = router;
@@ -21,7 +21,7 @@ router.get('/me', verifyToken, async (req, res) => {
 // Update current user's profile
 router.put('/me', verifyToken, async (req, res) => {
   try {
-    const { name, phoneNumber, specialization, ratePerHour } = req.body;
+    const { name, phoneNumber, specialization, ratePerHour, billingDetails, locale } = req.body;
     const user = await User.findById(req.user.id);
 
     if (!user) {
@@ -31,6 +31,8 @@ router.put('/me', verifyToken, async (req, res) => {
     // Update fields
     if (name) user.name = name;
     if (phoneNumber) user.phoneNumber = phoneNumber;
+    if (billingDetails) user.billingDetails = billingDetails;
+    if (locale) user.locale = locale;
     if (user.role === 'consultant') {
       if (specialization) user.specialization = specialization;
       if (ratePerHour) user.ratePerHour = ratePerHour;
@@ -39,6 +41,9 @@ router.put('/me', verifyToken, async (req, res) => {
     await user.save();
     res.json(user);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating user:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,55 @@
+/**
+ * Waitlist Routes
+ * Waiting for a fully booked consultant and claiming freed slots.
+ * Mounted at /api/waitlist.
+ *
+ * @module routes/waitlistRoutes
+ * @requires express
+ * @requires controllers/waitlistController
+ * @requires middleware/authMiddleware
+ */
+
+const express = require('express');
+const waitlistController = require('../controllers/waitlistController');
+const protect = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/waitlist
+ * @description Join the waitlist of a consultant's service for a date window
+ * @access Private
+ * @param {Object} req.body - consultantId, serviceId, from, to
+ * @returns {Object} The waitlist entry
+ */
+router.post('/', protect, waitlistController.joinWaitlist);
+
+/**
+ * @route GET /api/waitlist/me
+ * @description List the user's active waitlist entries and pending offers
+ * @access Private
+ */
+router.get('/me', protect, waitlistController.getMyWaitlist);
+
+/**
+ * @route DELETE /api/waitlist/:entryId
+ * @description Leave the waitlist
+ * @access Private (entry owner)
+ */
+router.delete('/:entryId', protect, waitlistController.leaveWaitlist);
+
+/**
+ * @route POST /api/waitlist/:entryId/claim
+ * @description Book the slot offered to the user before the claim deadline
+ * @access Private (entry owner)
+ */
+router.post('/:entryId/claim', protect, waitlistController.claimWaitlistOffer);
+
+/**
+ * @route POST /api/waitlist/:entryId/decline
+ * @description Pass the offered slot on to the next client
+ * @access Private (entry owner)
+ */
+router.post('/:entryId/decline', protect, waitlistController.declineWaitlistOffer);
+
+module.exports = router;
@@ -7,11 +7,13 @@
  * @requires app - Main Express application configuration
  * @requires dotenv - Environment variable management
  * @requires validateEnv - Environment validation utility
+ * @requires services/signalingService - WebSocket signaling for video sessions
  */
 
 const app = require('./app');
 const dotenv = require('dotenv');
 const validateEnv = require('./config/validateEnv');
+const { attachSignalingServer } = require('./services/signalingService');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -20,6 +22,9 @@ dotenv.config();
 const env = validateEnv();
 
 // Start the server
-app.listen(env.PORT, () => {
+const server = app.listen(env.PORT, () => {
   console.log(`Server running in ${env.NODE_ENV} mode on port ${env.PORT}`);
 });
+
+// Video session signaling shares the HTTP port
+attachSignalingServer(server);
@@ -0,0 +1,357 @@
+/**
+ * Availability Service
+ * Computes the bookable start times of a consultant by merging the weekly
+ * availability template, date-specific overrides (days off, extra hours),
+ * the duration of the requested service, the consultant's existing
+ * pending/confirmed bookings and unexpired slot holds. Schedules are wall-clock times in the
+ * consultant's time zone; returned slots also carry absolute instants.
+ *
+ * @module services/availabilityService
+ * @requires models/Booking
+ * @requires models/Consultant
+ * @requires models/Service
+ * @requires models/SlotHold
+ * @requires utils/timeZone
+ *
+ * Related Files:
+ * - controllers/consultantController.js - GET /api/consultants/:id/availability
+ * - services/bookingService.js - Uses the same slot bounds for conflict checks
+ */
+
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const Service = require('../models/Service');
+const SlotHold = require('../models/SlotHold');
+const { DEFAULT_TIME_ZONE, zonedTimeToUtc, toZonedDateKey } = require('../utils/timeZone');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_DURATION = 60;   // minutes
+const DEFAULT_RANGE_DAYS = 14;
+const MAX_RANGE_DAYS = 62;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Converts an HH:mm string to minutes since midnight
+ * @param {string} time - Time in HH:mm format
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Converts minutes since midnight to an HH:mm string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time in HH:mm format
+ */
+const fromMinutes = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+/**
+ * Formats a Date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Sorts and merges overlapping or touching windows
+ * @param {Array<{start: number, end: number}>} windows - Windows in minutes
+ * @returns {Array<{start: number, end: number}>} Merged windows
+ */
+const mergeWindows = (windows) => {
+  const sorted = windows
+    .filter(window => window.end > window.start)
+    .sort((a, b) => a.start - b.start);
+
+  return sorted.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * Returns the working windows of a single day
+ * @param {string} dateKey - Day in YYYY-MM-DD format
+ * @param {Array} weekly - Weekly template ({ day, timeSlots: [{ start, end }] })
+ * @param {Array} overrides - Date overrides ({ date, isDayOff, timeSlots })
+ * @returns {Array<{start: number, end: number}>} Windows in minutes since midnight
+ */
+const windowsForDay = (dateKey, weekly = [], overrides = []) => {
+  const dayOverrides = overrides.filter(override => override.date === dateKey);
+  if (dayOverrides.some(override => override.isDayOff)) {
+    return [];
+  }
+
+  const dayName = DAY_NAMES[new Date(`${dateKey}T00:00:00.000Z`).getUTCDay()];
+  const slots = weekly
+    .filter(entry => String(entry.day).toLowerCase() === dayName)
+    .flatMap(entry => entry.timeSlots || []);
+  const extraSlots = dayOverrides.flatMap(override => override.timeSlots || []);
+
+  return mergeWindows(
+    [...slots, ...extraSlots].map(slot => ({ start: toMinutes(slot.start), end: toMinutes(slot.end) }))
+  );
+};
+
+/**
+ * Computes bookable slots. Pure function: all inputs are passed in.
+ * @param {Object} params
+ * @param {Date} params.from - First day of the range (inclusive)
+ * @param {Date} params.to - Last day of the range (inclusive)
+ * @param {number} params.duration - Length of each slot in minutes
+ * @param {number} [params.step] - Minutes between consecutive start times (defaults to duration)
+ * @param {Array} [params.weekly] - Weekly availability template
+ * @param {Array} [params.overrides] - Date-specific overrides
+ * @param {Array<{startAt: Date, endAt: Date}>} [params.busy] - Occupied intervals
+ * @param {string} [params.timeZone='UTC'] - Zone in which the schedule is expressed
+ * @param {Date} [params.now] - Slots starting before this instant are skipped
+ * @returns {Array<{date: string, slots: Array}>} One entry per day, including days without slots
+ */
+const computeSlots = ({
+  from,
+  to,
+  duration,
+  step,
+  weekly = [],
+  overrides = [],
+  busy = [],
+  timeZone = DEFAULT_TIME_ZONE,
+  now = new Date()
+}) => {
+  const interval = step || duration;
+  const days = [];
+
+  for (let day = new Date(`${toDateKey(from)}T00:00:00.000Z`); day <= to; day = new Date(day.getTime() + DAY)) {
+    const dateKey = toDateKey(day);
+    const slots = [];
+
+    windowsForDay(dateKey, weekly, overrides).forEach(window => {
+      for (let start = window.start; start + duration <= window.end; start += interval) {
+        const startAt = zonedTimeToUtc(dateKey, fromMinutes(start), timeZone);
+        const endAt = new Date(startAt.getTime() + duration * MINUTE);
+
+        if (startAt < now) continue;
+        if (busy.some(block => block.startAt < endAt && block.endAt > startAt)) continue;
+
+        slots.push({ start: fromMinutes(start), end: fromMinutes(start + duration), startAt, endAt });
+      }
+    });
+
+    days.push({ date: dateKey, slots });
+  }
+
+  return days;
+};
+
+/**
+ * Parses and bounds the requested date range
+ * @param {string} [from] - First day (YYYY-MM-DD), defaults to today
+ * @param {string} [to] - Last day (YYYY-MM-DD), defaults to two weeks after from
+ * @param {string} [timeZone='UTC'] - Zone used to decide what "today" is
+ * @returns {{from: Date, to: Date}} Range covering whole days
+ * @throws {Error} If a date is invalid, the range is reversed or too long
+ */
+const parseRange = (from, to, timeZone = DEFAULT_TIME_ZONE) => {
+  const today = toZonedDateKey(new Date(), timeZone);
+  const start = new Date(`${from || today}T00:00:00.000Z`);
+  const end = to
+    ? new Date(`${to}T00:00:00.000Z`)
+    : new Date(start.getTime() + (DEFAULT_RANGE_DAYS - 1) * DAY);
+
+  if (isNaN(start) || isNaN(end)) {
+    throw new Error('Invalid date range. Use YYYY-MM-DD');
+  }
+  if (end < start) {
+    throw new Error('"to" must not be before "from"');
+  }
+  if ((end - start) / DAY + 1 > MAX_RANGE_DAYS) {
+    throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+  return { from: start, to: end };
+};
+
+/**
+ * Resolves the slot duration of a service offered by the consultant.
+ * Looks in the consultant's services in the Service collection first, then in
+ * the consultant's embedded services.
+ * @async
+ * @param {Object} consultant - Consultant document
+ * @param {string} [serviceId] - Service ID
+ * @returns {Promise<number|null>} Duration in minutes, or null if the consultant does not offer the service
+ */
+const resolveServiceDuration = async (consultant, serviceId) => {
+  if (!serviceId) {
+    return DEFAULT_DURATION;
+  }
+
+  const service = await Service.findOne({ _id: serviceId, consultantId: consultant._id }).lean();
+  if (service) {
+    return service.duration;
+  }
+
+  const embedded = consultant.services.id(serviceId);
+  return embedded ? embedded.sessionDuration : null;
+};
+
+/**
+ * Collects the intervals in which the consultant cannot take a new booking
+ * @async
+ * @param {string} consultantId - Consultant ID
+ * @param {Date} rangeStart - Start of the range
+ * @param {Date} rangeEnd - End of the range
+ * @param {Object} [options]
+ * @param {string} [options.ignoreHoldId] - The viewer's own hold, which stays selectable for them
+ * @returns {Promise<Array<{startAt: Date, endAt: Date}>>} Occupied intervals
+ */
+const loadBusyIntervals = async (consultantId, rangeStart, rangeEnd, { ignoreHoldId } = {}) => {
+  const overlapping = {
+    consultantId,
+    startAt: { $lt: rangeEnd },
+    endAt: { $gt: rangeStart }
+  };
+  const [bookings, holds] = await Promise.all([
+    Booking.find({ ...overlapping, status: { $in: Booking.ACTIVE_STATUSES } }).select('startAt endAt').lean(),
+    // Slots held by clients in the middle of booking are occupied too
+    SlotHold.find({
+      ...overlapping,
+      expiresAt: { $gt: new Date() },
+      ...(ignoreHoldId && { _id: { $ne: ignoreHoldId } })
+    }).select('startAt endAt').lean()
+  ]);
+
+  return [...bookings, ...holds].map(({ startAt, endAt }) => ({ startAt, endAt }));
+};
+
+/**
+ * Returns the weekly template and overrides of a consultant.
+ * Legacy dated slots on embedded services are treated as extra hours.
+ * @param {Object} consultant - Consultant document populated with userId
+ * @returns {{weekly: Array, overrides: Array}}
+ */
+const scheduleOf = (consultant) => {
+  const weekly = consultant.availability && consultant.availability.length
+    ? consultant.availability
+    : (consultant.userId && consultant.userId.availability) || [];
+
+  const legacyOverrides = (consultant.services || []).flatMap(service =>
+    (service.availableSlots || []).map(slot => ({
+      date: toDateKey(new Date(slot.date)),
+      isDayOff: false,
+      timeSlots: slot.timeSlots
+        .filter(timeSlot => !timeSlot.isBooked)
+        .map(timeSlot => ({ start: timeSlot.startTime, end: timeSlot.endTime }))
+    }))
+  );
+
+  return { weekly, overrides: [...(consultant.availabilityOverrides || []), ...legacyOverrides] };
+};
+
+/**
+ * Computes the bookable slots of a consultant for a service and date range
+ * @async
+ * @param {string} consultantId - Consultant ID
+ * @param {Object} [options]
+ * @param {string} [options.from] - First day (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day (YYYY-MM-DD)
+ * @param {string} [options.serviceId] - Service whose duration sizes the slots
+ * @param {number} [options.step] - Minutes between start times
+ * @param {string} [options.holdId] - The viewer's own slot hold, not counted as occupied
+ * @returns {Promise<Object|null>} Availability, or null if consultant or service is not found
+ * @throws {Error} If the date range is invalid
+ */
+const getAvailability = async (consultantId, { from, to, serviceId, step, holdId } = {}) => {
+  const consultant = await Consultant.findById(consultantId).populate('userId', 'availability');
+  if (!consultant) {
+    return null;
+  }
+
+  const timeZone = consultant.timeZone || DEFAULT_TIME_ZONE;
+  const range = parseRange(from, to, timeZone);
+
+  const duration = await resolveServiceDuration(consultant, serviceId);
+  if (!duration) {
+    return null;
+  }
+
+  const rangeStart = zonedTimeToUtc(toDateKey(range.from), '00:00', timeZone);
+  const rangeEnd = zonedTimeToUtc(toDateKey(new Date(range.to.getTime() + DAY)), '00:00', timeZone);
+  const busy = await loadBusyIntervals(consultant._id, rangeStart, rangeEnd, { ignoreHoldId: holdId });
+  const { weekly, overrides } = scheduleOf(consultant);
+
+  return {
+    consultantId: consultant._id,
+    serviceId: serviceId || null,
+    duration,
+    timeZone,
+    from: toDateKey(range.from),
+    to: toDateKey(range.to),
+    days: computeSlots({
+      from: range.from,
+      to: range.to,
+      duration,
+      step: step ? Number(step) : undefined,
+      weekly,
+      overrides,
+      busy,
+      timeZone
+    })
+  };
+};
+
+/**
+ * Checks that the consultant's schedule offers a slot for the service at the
+ * given date and time. Only working hours are checked: overlaps with other
+ * bookings are left to the booking's own conflict check.
+ * @async
+ * @param {string} consultantId - Consultant ID
+ * @param {Object} params
+ * @param {string} params.serviceId - Service whose duration sizes the slots
+ * @param {string} params.date - Date (YYYY-MM-DD), consultant's time zone
+ * @param {string} params.time - Start time (HH:mm), consultant's time zone
+ * @returns {Promise<boolean>}
+ */
+const isScheduledSlot = async (consultantId, { serviceId, date, time }) => {
+  const consultant = await Consultant.findById(consultantId).populate('userId', 'availability');
+  if (!consultant) {
+    return false;
+  }
+  const duration = await resolveServiceDuration(consultant, serviceId);
+  if (!duration) {
+    return false;
+  }
+
+  const day = new Date(`${date}T00:00:00.000Z`);
+  const { weekly, overrides } = scheduleOf(consultant);
+  const [{ slots }] = computeSlots({
+    from: day,
+    to: day,
+    duration,
+    weekly,
+    overrides,
+    timeZone: consultant.timeZone || DEFAULT_TIME_ZONE
+  });
+  return slots.some(slot => slot.start === time);
+};
+
+module.exports = {
+  toMinutes,
+  fromMinutes,
+  mergeWindows,
+  windowsForDay,
+  computeSlots,
+  parseRange,
+  loadBusyIntervals,
+  getAvailability,
+  isScheduledSlot
+};
@@ -0,0 +1,48 @@
+/**
+ * Booking Events
+ * In-process event bus for booking changes. The booking, lifecycle and payment
+ * services emit events after a change is committed; side effects such as notifications subscribe here
+ * instead of being wired into each endpoint.
+ *
+ * @module services/bookingEvents
+ * @requires events
+ *
+ * Related Files:
+ * - services/notificationService.js - Notifies participants of booking events
+ * - services/bookingService.js - Emits booking events
+ * - services/waitlistService.js - Offers cancelled slots to the waitlist
+ * - services/ledgerService.js - Posts earnings and refunds to the ledger
+ * - services/realtimeService.js - Streams booking changes to connected browsers
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Event names
+ * @constant
+ */
+const EVENTS = {
+  // payload: { booking, actor, series, occurrences } - a series emits once, with its first booking
+  CREATED: 'booking.created',
+  // payload: { booking, actor, role }
+  CONFIRMED: 'booking.confirmed',
+  // payload: { booking, previous, actor, role, reason }
+  RESCHEDULED: 'booking.rescheduled',
+  // payload: { booking, actor, role, reason }
+  CANCELLED: 'booking.cancelled',
+  // payload: { booking, actor }
+  COMPLETED: 'booking.completed',
+  // payload: { booking, from, to, actor, role } - any change made through transitionBooking
+  STATUS_CHANGED: 'booking.status_changed',
+  // payload: { booking, payment }
+  PAID: 'booking.paid',
+  // payload: { payment, refund }
+  REFUNDED: 'booking.refunded'
+};
+
+const bookingEvents = new EventEmitter();
+
+module.exports = {
+  EVENTS,
+  bookingEvents
+};
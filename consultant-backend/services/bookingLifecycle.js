@@ -0,0 +1,205 @@
+/**
+ * Booking Lifecycle
+ * Formal state machine for Booking.status. Every status change goes through
+ * transitionBooking, which checks that the move is allowed, that the acting
+ * user holds a role permitted to make it, and records it in the booking's
+ * statusHistory.
+ *
+ *   pending ──confirm──▶ confirmed ──complete──▶ completed
+ *      │                    │ └─────no-show───▶ no-show
+ *      ├──decline──▶ declined
+ *      ├──cancel───▶ cancelled ◀──cancel──┤
+ *      └──reschedule──▶ rescheduled ◀──reschedule──┘
+ *
+ * @module services/bookingLifecycle
+ * @requires models/Client
+ * @requires models/Consultant
+ * @requires services/bookingEvents
+ *
+ * Related Files:
+ * - controllers/bookingController.js - Transition endpoints
+ * - models/Booking.js - status enum and statusHistory
+ */
+
+const Client = require('../models/Client');
+const Consultant = require('../models/Consultant');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+
+/**
+ * Allowed transitions: from status → to status → roles permitted to perform it.
+ * Roles are relative to the booking ('client', 'consultant') plus 'admin' and
+ * 'system' for changes the platform makes on its own (e.g. once a booking is paid).
+ * @constant
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['consultant', 'admin', 'system'],
+    declined: ['consultant', 'admin'],
+    cancelled: ['client', 'consultant', 'admin'],
+    rescheduled: ['client', 'consultant', 'admin']
+  },
+  confirmed: {
+    completed: ['consultant', 'admin'],
+    'no-show': ['consultant', 'admin'],
+    cancelled: ['client', 'consultant', 'admin'],
+    rescheduled: ['client', 'consultant', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  declined: {},
+  'no-show': {},
+  rescheduled: {}
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Raised when a status change is not allowed by the state machine or for the actor
+ * @class
+ * @extends Error
+ */
+class InvalidTransitionError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=409] - HTTP status to respond with (403 for role violations)
+   */
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'InvalidTransitionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Determines how a user relates to a booking
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<string|null>} 'admin', 'consultant', 'client' or null for outsiders
+ */
+const resolveActorRole = async (booking, user) => {
+  if (!user) return null;
+  if (user.role === 'admin') return 'admin';
+
+  const consultant = await Consultant.findOne({ userId: user._id }).select('_id');
+  if (consultant && consultant._id.equals(booking.consultantId)) {
+    return 'consultant';
+  }
+
+  // Bookings reference either the user or their client profile
+  if (booking.clientId.equals(user._id)) {
+    return 'client';
+  }
+  const client = await Client.findOne({ userId: user._id }).select('_id');
+  if (client && client._id.equals(booking.clientId)) {
+    return 'client';
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the user accounts behind a booking's client and consultant
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<{clientUserId: Object|null, consultantUserId: Object|null}>}
+ */
+const resolveParticipantUserIds = async (booking) => {
+  const [consultant, client] = await Promise.all([
+    Consultant.findById(booking.consultantId).select('userId'),
+    Client.findById(booking.clientId).select('userId')
+  ]);
+
+  return {
+    // clientId is either a client profile or the user itself
+    clientUserId: client ? client.userId : booking.clientId,
+    consultantUserId: consultant ? consultant.userId : null
+  };
+};
+
+/**
+ * Checks whether a transition is defined, regardless of who performs it
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+/**
+ * Applies a status change to a booking (without saving it)
+ * @param {Object} booking - Booking document
+ * @param {string} to - Target status
+ * @param {Object} context
+ * @param {Object} [context.actor] - User performing the change (none for 'system')
+ * @param {string} context.role - Actor's role relative to the booking
+ * @param {string} [context.reason] - Free-text reason stored in the history
+ * @returns {Object} The history entry that was recorded
+ * @throws {InvalidTransitionError} If the transition or the actor's role is not allowed
+ */
+const applyTransition = (booking, to, { actor, role, reason }) => {
+  const from = booking.status;
+
+  if (!STATUSES.includes(to)) {
+    throw new InvalidTransitionError(`Unknown booking status "${to}"`, 400);
+  }
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(`Cannot change booking from ${from} to ${to}`);
+  }
+  if (!TRANSITIONS[from][to].includes(role)) {
+    throw new InvalidTransitionError(`A ${role || 'non-participant'} cannot change a booking from ${from} to ${to}`, 403);
+  }
+
+  const entry = {
+    from,
+    to,
+    actor: actor && actor._id,
+    actorRole: role,
+    reason,
+    at: new Date()
+  };
+  booking.status = to;
+  booking.statusHistory.push(entry);
+  return entry;
+};
+
+/**
+ * Resolves the actor's role, applies the transition and saves the booking
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {string} to - Target status
+ * @param {Object} context
+ * @param {Object} context.actor - User performing the change
+ * @param {string} [context.reason] - Reason stored in the history
+ * @param {Object} [context.session] - Mongoose session to save within
+ * @returns {Promise<Object>} The saved booking
+ * @throws {InvalidTransitionError} If the change is not allowed
+ */
+const transitionBooking = async (booking, to, { actor, reason, session } = {}) => {
+  const role = await resolveActorRole(booking, actor);
+  if (!role) {
+    throw new InvalidTransitionError('You are not a participant of this booking', 403);
+  }
+
+  const { from } = applyTransition(booking, to, { actor, role, reason });
+  await booking.save({ session });
+
+  bookingEvents.emit(EVENTS.STATUS_CHANGED, { booking, from, to, actor, role });
+  if (to === 'confirmed') {
+    bookingEvents.emit(EVENTS.CONFIRMED, { booking, actor, role });
+  }
+  if (to === 'completed') {
+    bookingEvents.emit(EVENTS.COMPLETED, { booking, actor });
+  }
+  return booking;
+};
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  InvalidTransitionError,
+  resolveActorRole,
+  resolveParticipantUserIds,
+  canTransition,
+  applyTransition,
+  transitionBooking
+};
@@ -0,0 +1,378 @@
+/**
+ * Booking Service
+ * Shared booking logic used by the booking and client controllers.
+ * Reserves consultant time slots atomically so that two clients can never
+ * hold overlapping bookings with the same consultant.
+ *
+ * @module services/bookingService
+ * @requires mongoose
+ * @requires models/Booking
+ * @requires models/Consultant
+ * @requires models/SlotHold
+ * @requires models/Payment
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires services/bookingEvents
+ * @requires services/couponService
+ *
+ * Related Files:
+ * - controllers/bookingController.js - POST /api/bookings/book
+ * - controllers/clientController.js - POST /api/clients/book
+ * - POST /api/bookings/:id/reschedule - Moves a booking to a new slot
+ * - PUT /api/clients/cancel/:bookingId - Cancels a booking under the refund rules
+ *
+ * Note: reservations run inside a MongoDB transaction, which requires the
+ * database to be a replica set (a single-node replica set is enough).
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const SlotHold = require('../models/SlotHold');
+const Payment = require('../models/Payment');
+const { applyTransition } = require('./bookingLifecycle');
+const { quoteCancellation, resolveServicePrice } = require('./policyService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { redeemCoupon } = require('./couponService');
+const { PackageError, drawCredit } = require('./packageService');
+
+/**
+ * Raised when a requested slot overlaps an existing active booking
+ * @class
+ * @extends Error
+ */
+class BookingConflictError extends Error {
+  /**
+   * @param {Object} conflict - The booking or slot hold occupying the requested slot
+   */
+  constructor(conflict) {
+    const isHold = Boolean(conflict.expiresAt);
+    super(isHold
+      ? `This slot on ${conflict.date} at ${conflict.time} is being booked by another client`
+      : `Consultant is already booked on ${conflict.date} at ${conflict.time}`);
+    this.name = 'BookingConflictError';
+    this.status = 409;
+    this.conflict = {
+      ...(isHold
+        ? { holdId: conflict._id, heldUntil: conflict.expiresAt }
+        : { bookingId: conflict._id }),
+      date: conflict.date,
+      time: conflict.time,
+      timeZone: conflict.timeZone,
+      duration: conflict.duration,
+      startAt: conflict.startAt,
+      endAt: conflict.endAt
+    };
+  }
+}
+
+/**
+ * Finds an active booking of the consultant overlapping [startAt, endAt)
+ * @async
+ * @param {string} consultantId - Consultant to check
+ * @param {Date} startAt - Start of the requested slot
+ * @param {Date} endAt - End of the requested slot
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Mongoose session to read within
+ * @param {string|string[]} [options.excludeId] - Booking(s) to ignore (e.g. the ones being moved)
+ * @returns {Promise<Object|null>} The conflicting booking, if any
+ */
+const findConflictingBooking = (consultantId, startAt, endAt, { session, excludeId } = {}) => {
+  const query = {
+    consultantId,
+    status: { $in: Booking.ACTIVE_STATUSES },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  };
+  if (excludeId) {
+    query._id = { $nin: [].concat(excludeId) };
+  }
+  return Booking.findOne(query).session(session || null);
+};
+
+/**
+ * Finds an unexpired slot hold of another user overlapping [startAt, endAt)
+ * @async
+ * @param {string} consultantId - Consultant to check
+ * @param {Date} startAt - Start of the requested slot
+ * @param {Date} endAt - End of the requested slot
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Mongoose session to read within
+ * @param {string} [options.holderId] - User whose own holds are ignored
+ * @returns {Promise<Object|null>} The conflicting hold, if any
+ */
+const findConflictingHold = (consultantId, startAt, endAt, { session, holderId } = {}) => {
+  const query = {
+    consultantId,
+    expiresAt: { $gt: new Date() },
+    startAt: { $lt: endAt },
+    endAt: { $gt: startAt }
+  };
+  if (holderId) {
+    query.userId = { $ne: holderId };
+  }
+  return SlotHold.findOne(query).session(session || null);
+};
+
+/**
+ * Runs work inside a transaction that holds the consultant's booking lock.
+ * Bumping the consultant's lock version makes concurrent transactions for the
+ * same consultant hit a write conflict, so MongoDB retries them one at a time.
+ * @async
+ * @param {string} consultantId - Consultant whose calendar is being changed
+ * @param {Function} work - async (session, consultant) => result
+ * @returns {Promise<*>} The result of work
+ */
+const withConsultantLock = async (consultantId, work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const consultant = await Consultant.findOneAndUpdate(
+        { _id: consultantId },
+        { $inc: { bookingLockVersion: 1 } },
+        { session, new: true, projection: { timeZone: 1 } }
+      );
+      result = await work(session, consultant);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Checks the slot for overlaps and saves a new booking. Must run inside withConsultantLock.
+ * Unless bookingData carries a price, the service's current price is stored on the booking.
+ * @async
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @param {Object} consultant - Locked consultant (provides the time zone)
+ * @param {Object} bookingData - Fields of the new Booking document
+ * @param {Object} [options]
+ * @param {Object} [options.historyEntry] - Initial statusHistory entry (actor, actorRole, reason)
+ * @param {string|string[]} [options.excludeId] - Booking(s) to ignore in the overlap check
+ * @param {string} [options.holderId] - User booking the slot; their holds on it are used up
+ * @param {string} [options.couponCode] - Discount code to redeem on the price
+ * @param {string} [options.packagePurchaseId] - Package purchase of the holder to pay with one credit
+ * @returns {Promise<Object>} The saved booking
+ * @throws {BookingConflictError} If the slot overlaps an active booking or another user's hold
+ * @throws {CouponError} If the discount code cannot be used
+ * @throws {PackageError} If the package has no usable credit
+ */
+const insertBooking = async (session, consultant, bookingData, {
+  historyEntry,
+  excludeId,
+  holderId,
+  couponCode,
+  packagePurchaseId
+} = {}) => {
+  if (couponCode && packagePurchaseId) {
+    throw new PackageError('A discount code cannot be used on a session paid with a package credit', 400);
+  }
+
+
+  // Date and time are wall-clock values in the consultant's zone
+  const booking = new Booking({ ...bookingData, ...(consultant && { timeZone: consultant.timeZone }) });
+  const { startAt, endAt } = Booking.slotBounds(booking.date, booking.time, booking.duration, booking.timeZone);
+
+  if (booking.price.amount == null) {
+    booking.price = await resolveServicePrice(booking.consultantId, booking.serviceId);
+  }
+  if (historyEntry) {
+    booking.statusHistory.push({ from: null, to: booking.status, ...historyEntry });
+  }
+
+  const conflict = await findConflictingBooking(booking.consultantId, startAt, endAt, { session, excludeId })
+    || await findConflictingHold(booking.consultantId, startAt, endAt, { session, holderId });
+  if (conflict) {
+    throw new BookingConflictError(conflict);
+  }
+
+  // Redeemed only once the slot is known to be free
+  if (couponCode) {
+    await redeemCoupon(session, booking, couponCode);
+  }
+  if (packagePurchaseId) {
+    await drawCredit(session, booking, packagePurchaseId, holderId);
+  }
+  await booking.save({ session });
+  if (holderId) {
+    await SlotHold.deleteMany({
+      consultantId: booking.consultantId,
+      userId: holderId,
+      startAt: { $lt: endAt },
+      endAt: { $gt: startAt }
+    }, { session });
+  }
+  return booking;
+};
+
+/**
+ * Creates a booking after checking the consultant's calendar for overlaps
+ * and emits booking.created. The check and the insert run in one transaction
+ * holding the consultant's booking lock, so the guarantee holds under
+ * concurrent requests.
+ * @async
+ * @param {Object} bookingData - Fields of the new Booking document
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - User creating the booking, recorded in the status history
+ * @param {string} [options.couponCode] - Discount code to redeem on the price
+ * @param {string} [options.packagePurchaseId] - Actor's package purchase to pay with one credit
+ * @returns {Promise<Object>} The saved booking
+ * @throws {BookingConflictError} If the slot overlaps an active booking
+ * @throws {CouponError} If the discount code cannot be used (nothing is booked)
+ * @throws {PackageError} If the package has no usable credit (nothing is booked)
+ */
+const reserveSlot = async (bookingData, { actor, couponCode, packagePurchaseId } = {}) => {
+  const booking = await withConsultantLock(bookingData.consultantId, (session, consultant) =>
+    insertBooking(session, consultant, bookingData, {
+      couponCode,
+      packagePurchaseId,
+      ...(actor && {
+        holderId: actor._id,
+        historyEntry: {
+          actor: actor._id,
+          actorRole: actor.role === 'admin' ? 'admin' : 'client',
+          reason: 'Booking created'
+        }
+      })
+    })
+  );
+
+  bookingEvents.emit(EVENTS.CREATED, { booking, actor });
+  return booking;
+};
+
+/**
+ * Moves a booking to a new slot. Must run inside withConsultantLock.
+ * A new booking is created for the new time, linked to the original through
+ * rescheduledFrom/rescheduledTo, and the original is moved to 'rescheduled'.
+ * Payments made for the original are moved to the new booking.
+ * @async
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @param {Object} consultant - Locked consultant
+ * @param {Object} booking - Booking being moved
+ * @param {Object} params
+ * @param {string} params.date - New date (YYYY-MM-DD, consultant's zone)
+ * @param {string} params.time - New start time (HH:mm, consultant's zone)
+ * @param {Object} params.actor - User requesting the change
+ * @param {string} params.role - Actor's role relative to the booking
+ * @param {string} [params.reason] - Reason recorded on both bookings
+ * @param {string[]} [params.excludeIds] - Other bookings moved in the same transaction
+ * @returns {Promise<Object>} The new booking
+ * @throws {BookingConflictError} If the new slot is taken
+ * @throws {InvalidTransitionError} If the original can no longer be rescheduled
+ */
+const moveBooking = async (session, consultant, booking, { date, time, actor, role, reason, excludeIds = [] }) => {
+  // Work on a copy read in the transaction: withTransaction may run this more than once
+  const original = await Booking.findById(booking._id).session(session);
+
+  // The new booking keeps the original's status; fails early if it cannot be rescheduled
+  const status = original.status;
+  applyTransition(original, 'rescheduled', { actor, role, reason });
+
+  const moved = await insertBooking(session, consultant, {
+    clientId: original.clientId,
+    consultantId: original.consultantId,
+    serviceId: original.serviceId,
+    seriesId: original.seriesId,
+    seriesIndex: original.seriesIndex,
+    date,
+    time,
+    duration: original.duration,
+    status,
+    price: original.price,
+    discount: original.discount,
+    packagePurchaseId: original.packagePurchaseId,
+    paymentStatus: original.paymentStatus,
+    notes: original.notes,
+    documents: original.documents,
+    clientTimeZone: original.clientTimeZone,
+    rescheduledFrom: original._id,
+    originalStartAt: original.originalStartAt || original.startAt,
+    rescheduleCount: (original.rescheduleCount || 0) + 1
+  }, {
+    excludeId: [original._id, ...excludeIds],
+    holderId: actor._id,
+    historyEntry: {
+      actor: actor._id,
+      actorRole: role,
+      reason: reason || `Rescheduled from ${original.date} ${original.time}`
+    }
+  });
+
+  original.rescheduledTo = moved._id;
+  await original.save({ session });
+  // Payments follow the booking so earnings, refunds and invoices find them
+  await Payment.updateMany({ bookingId: original._id }, { bookingId: moved._id }, { session });
+  return moved;
+};
+
+/**
+ * Moves a single booking to a new slot in its own transaction and emits booking.rescheduled
+ * @async
+ * @param {Object} original - Booking being moved
+ * @param {Object} params - See moveBooking
+ * @returns {Promise<Object>} The new booking
+ * @throws {BookingConflictError} If the new slot is taken
+ * @throws {InvalidTransitionError} If the original can no longer be rescheduled
+ */
+const rescheduleBooking = async (original, params) => {
+  const previous = { date: original.date, time: original.time, startAt: original.startAt };
+  const moved = await withConsultantLock(original.consultantId, (session, consultant) =>
+    moveBooking(session, consultant, original, params)
+  );
+
+  const { actor, role, reason } = params;
+  bookingEvents.emit(EVENTS.RESCHEDULED, { booking: moved, previous, actor, role, reason });
+  return moved;
+};
+
+/**
+ * Cancels a booking, records the refund owed under the consultant's
+ * cancellation rules and emits booking.cancelled
+ * @async
+ * @param {Object} booking - Booking being cancelled
+ * @param {Object} context
+ * @param {Object} context.actor - User cancelling
+ * @param {string} context.role - Actor's role relative to the booking
+ * @param {string} [context.reason] - Reason stored in the history
+ * @returns {Promise<Object>} The saved booking, with booking.cancellation filled in
+ * @throws {InvalidTransitionError} If the booking can no longer be cancelled
+ */
+const cancelBooking = async (booking, { actor, role, reason }) => {
+  const now = new Date();
+  const { hoursBeforeStart, refundPercent, refundAmount, terms } = await quoteCancellation(booking, role, now);
+
+  applyTransition(booking, 'cancelled', { actor, role, reason });
+  booking.cancellation = { cancelledAt: now, hoursBeforeStart, refundPercent, refundAmount, terms };
+  await booking.save();
+
+  bookingEvents.emit(EVENTS.CANCELLED, { booking, actor, role, reason });
+  return booking;
+};
+
+/**
+ * Builds the 409 response body for a booking conflict
+ * @param {BookingConflictError} error - The conflict error
+ * @returns {Object} Response payload naming the conflicting slot
+ */
+const conflictResponse = (error) => ({
+  message: 'Requested time slot is not available',
+  error: error.message,
+  conflict: error.conflict
+});
+
+module.exports = {
+  BookingConflictError,
+  findConflictingBooking,
+  findConflictingHold,
+  withConsultantLock,
+  insertBooking,
+  moveBooking,
+  reserveSlot,
+  rescheduleBooking,
+  cancelBooking,
+  conflictResponse
+};
@@ -0,0 +1,211 @@
+/**
+ * Coupon Service
+ * Checks discount codes against a booking and redeems them. A code is
+ * redeemed in the booking's own transaction, so a booking that fails never
+ * uses up a redemption, and the usage limits hold under concurrent bookings.
+ * Redemptions are not given back when a booking is later cancelled.
+ *
+ * @module services/couponService
+ * @requires models/Coupon
+ * @requires models/Booking
+ * @requires models/Service
+ * @requires models/Client
+ * @requires services/policyService
+ *
+ * Related Files:
+ * - controllers/couponController.js - /api/coupons endpoints
+ * - services/bookingService.js - Applies the code when a booking is inserted
+ */
+
+const Coupon = require('../models/Coupon');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Client = require('../models/Client');
+const { resolveServicePrice } = require('./policyService');
+const { roundAmount } = require('../utils/currency');
+
+/**
+ * Raised when a code does not exist or cannot be used for a booking
+ * @class
+ * @extends Error
+ */
+class CouponError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=422] - HTTP status to respond with
+   */
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'CouponError';
+    this.status = status;
+  }
+}
+
+/**
+ * Normalizes a code as typed by a client
+ * @param {string} code - e.g. " spring-25 "
+ * @returns {string} e.g. "SPRING-25"
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Computes the amount a coupon takes off a price. Never more than the price.
+ * @param {Object} coupon - Coupon document
+ * @param {number} price - Price before the discount
+ * @param {string} currency - Currency of the price
+ * @returns {number} Discount, rounded to the currency's minor unit
+ */
+const computeDiscount = (coupon, price, currency) => {
+  const discount = coupon.type === 'percent' ? (price * coupon.value) / 100 : coupon.value;
+  return roundAmount(Math.min(discount, price), currency);
+};
+
+/**
+ * Checks the rules a coupon can be evaluated on without the database:
+ * active flag, validity window, total usage, scope and currency
+ * @param {Object} coupon - Coupon document
+ * @param {Object} target
+ * @param {string} target.consultantId - Consultant being booked
+ * @param {string} target.serviceId - Service being booked
+ * @param {string} [target.category] - Category of the service
+ * @param {string} target.currency - Currency the service is priced in
+ * @param {Date} [now=new Date()] - Time of the booking
+ * @throws {CouponError} With the first rule the booking breaks
+ */
+const assertCouponApplies = (coupon, { consultantId, serviceId, category, currency }, now = new Date()) => {
+  if (!coupon.active) {
+    throw new CouponError('This code is no longer active');
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw new CouponError('This code is not valid yet');
+  }
+  if (coupon.expiresAt && now >= coupon.expiresAt) {
+    throw new CouponError('This code has expired');
+  }
+  if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw new CouponError('This code has been used the maximum number of times');
+  }
+  if ((coupon.consultantId && !coupon.consultantId.equals(consultantId))
+    || (coupon.serviceId && !coupon.serviceId.equals(serviceId))
+    || (coupon.category && coupon.category !== category)) {
+    throw new CouponError('This code does not apply to this service');
+  }
+  if (coupon.type === 'fixed' && coupon.currency !== currency) {
+    throw new CouponError(`This code only applies to prices in ${coupon.currency.toUpperCase()}`);
+  }
+};
+
+// Bookings reference either the client's user or their client profile; count both
+const clientIdsOf = async (clientId, session) => {
+  const client = await Client.findOne({ $or: [{ _id: clientId }, { userId: clientId }] })
+    .select('userId')
+    .session(session);
+  return client ? [client._id, client.userId] : [clientId];
+};
+
+/**
+ * Finds a coupon by code and checks every rule for a booking, including the per-client limit
+ * @async
+ * @param {string} code - Code as typed by the client
+ * @param {Object} target
+ * @param {string} target.clientId - Booking's clientId (client profile or user)
+ * @param {string} target.consultantId - Consultant being booked
+ * @param {string} target.serviceId - Service being booked
+ * @param {string} target.currency - Currency the service is priced in
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Mongoose session
+ * @param {Date} [options.now=new Date()] - Time of the booking
+ * @returns {Promise<Object>} The coupon
+ * @throws {CouponError} 404 if the code is unknown, 422 if it cannot be used
+ */
+const findApplicableCoupon = async (code, { clientId, consultantId, serviceId, currency }, { session, now = new Date() } = {}) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session);
+  if (!coupon) {
+    throw new CouponError('Unknown discount code', 404);
+  }
+
+  const service = coupon.category
+    ? await Service.findById(serviceId).select('category').session(session)
+    : null;
+  assertCouponApplies(coupon, { consultantId, serviceId, category: service && service.category, currency }, now);
+
+  if (coupon.perClientLimit != null) {
+    // The booking a reschedule replaces does not count twice
+    const used = await Booking.countDocuments({
+      'discount.couponId': coupon._id,
+      clientId: { $in: await clientIdsOf(clientId, session) },
+      status: { $ne: 'rescheduled' }
+    }).session(session);
+    if (used >= coupon.perClientLimit) {
+      throw new CouponError('You have already used this code the maximum number of times');
+    }
+  }
+  return coupon;
+};
+
+/**
+ * Shows what a code would take off a service, without redeeming it
+ * @async
+ * @param {string} code - Code as typed by the client
+ * @param {Object} target - clientId, consultantId and serviceId of the booking
+ * @returns {Promise<{code: string, currency: string, originalAmount: number, discount: number, amount: number}>}
+ * @throws {CouponError} If the code cannot be used
+ */
+const previewCoupon = async (code, { clientId, consultantId, serviceId }) => {
+  const price = await resolveServicePrice(consultantId, serviceId);
+  const coupon = await findApplicableCoupon(code, { clientId, consultantId, serviceId, currency: price.currency });
+  const discount = computeDiscount(coupon, price.amount, price.currency);
+
+  return {
+    code: coupon.code,
+    currency: price.currency,
+    originalAmount: price.amount,
+    discount,
+    amount: roundAmount(price.amount - discount, price.currency)
+  };
+};
+
+/**
+ * Redeems a code for a booking being inserted: reduces its price and records
+ * the discount. Must run inside the booking's transaction.
+ * @async
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @param {Object} booking - Unsaved booking with its price resolved
+ * @param {string} code - Code as typed by the client
+ * @throws {CouponError} If the code cannot be used
+ */
+const redeemCoupon = async (session, booking, code) => {
+  const coupon = await findApplicableCoupon(code, {
+    clientId: booking.clientId,
+    consultantId: booking.consultantId,
+    serviceId: booking.serviceId,
+    currency: booking.price.currency
+  }, { session });
+
+  // Guards maxRedemptions against bookings committed since the coupon was read
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      ...(coupon.maxRedemptions != null && { redemptionCount: { $lt: coupon.maxRedemptions } })
+    },
+    { $inc: { redemptionCount: 1 } },
+    { session }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new CouponError('This code has been used the maximum number of times');
+  }
+
+  const originalAmount = booking.price.amount;
+  const discount = computeDiscount(coupon, originalAmount, booking.price.currency);
+  booking.discount = { couponId: coupon._id, code: coupon.code, originalAmount, amount: discount };
+  booking.price.amount = roundAmount(originalAmount - discount, booking.price.currency);
+};
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  computeDiscount,
+  assertCouponApplies,
+  previewCoupon,
+  redeemCoupon
+};
@@ -0,0 +1,413 @@
+/**
+ * Email Service
+ * Sends transactional email through a persistent outbox. A message is
+ * rendered in the recipient's language and time zone and stored before any
+ * delivery attempt, then handed to the active transport. Failed sends stay
+ * in the outbox and are retried by the outbox worker with a growing delay.
+ *
+ * Delivery claims a message by pushing its nextAttemptAt forward, so two
+ * workers never send the same message, and a worker that dies mid-send only
+ * delays it by the lease.
+ *
+ * Recipients' notification preferences decide whether a message is queued at
+ * all, whether it waits for the end of their quiet hours, and whether it is
+ * held for their daily digest.
+ *
+ * @module services/emailService
+ * @requires models/OutboundEmail
+ * @requires models/User
+ * @requires services/emailTemplates
+ * @requires services/emailTransports
+ * @requires services/bookingEvents
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires services/preferenceService
+ *
+ * Related Files:
+ * - services/emailTemplates.js - Templates and formatting
+ * - services/emailTransports/index.js - Transport interface and selection
+ * - app.js - Registers the listeners and starts the outbox worker
+ */
+
+const OutboundEmail = require('../models/OutboundEmail');
+const User = require('../models/User');
+const { renderEmail, resolveLocale, formatWhen, formatMoney } = require('./emailTemplates');
+const { getEmailTransport } = require('./emailTransports');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { resolveParticipantUserIds } = require('./bookingLifecycle');
+const { resolveServiceName } = require('./policyService');
+const {
+  getPreferences,
+  wants,
+  quietHoursEnd,
+  latestDigestAt,
+  unsubscribeUrl
+} = require('./preferenceService');
+
+const MINUTE = 60 * 1000;
+const MAX_ATTEMPTS = 6;
+// Delay before the next attempt, after the 1st, 2nd, ... failed attempt
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const LEASE_MS = 5 * MINUTE;
+const OUTBOX_INTERVAL_MS = MINUTE;
+const OUTBOX_BATCH_SIZE = 50;
+
+// Notification type each template is about, for the recipient's preferences
+const TEMPLATE_TYPES = {
+  booking_confirmation: 'booking',
+  booking_cancellation: 'cancellation',
+  booking_reschedule: 'reschedule',
+  booking_reminder: 'reminder',
+  payment_receipt: 'payment'
+};
+// Reminders are only useful on time, so they never wait for the digest
+const UNDIGESTED_TYPES = ['reminder'];
+
+const sender = () => process.env.EMAIL_FROM || 'Consultant Booking <no-reply@localhost>';
+const appointmentsUrl = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/my-appointments`;
+
+/**
+ * Computes when a failed message is tried again
+ * @param {number} attempts - Attempts made so far
+ * @param {Date} [now=new Date()] - Time of the failure
+ * @returns {Date}
+ */
+const nextRetryAt = (attempts, now = new Date()) => {
+  const delay = RETRY_DELAYS_MINUTES[Math.min(attempts, RETRY_DELAYS_MINUTES.length) - 1];
+  return new Date(now.getTime() + delay * MINUTE);
+};
+
+/**
+ * Tries to send one outbox message now
+ * @async
+ * @param {Object} message - OutboundEmail document
+ * @param {Date} [now=new Date()] - Time of the attempt
+ * @returns {Promise<Object|null>} The message after the attempt, or null if it
+ * was not due or another worker holds it
+ */
+const deliverEmail = async (message, now = new Date()) => {
+  const claimed = await OutboundEmail.findOneAndUpdate(
+    { _id: message._id, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const transport = getEmailTransport();
+    const { messageId } = await transport.send({
+      from: sender(),
+      to: claimed.to,
+      subject: claimed.subject,
+      text: claimed.text,
+      html: claimed.html,
+      ...(claimed.unsubscribeUrl && {
+        headers: {
+          'List-Unsubscribe': `<${claimed.unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      })
+    });
+    Object.assign(claimed, { status: 'sent', sentAt: new Date(), transport: transport.name, messageId, lastError: undefined });
+  } catch (error) {
+    claimed.lastError = error.message;
+    if (claimed.attempts >= MAX_ATTEMPTS) {
+      claimed.status = 'failed';
+    } else {
+      claimed.nextAttemptAt = nextRetryAt(claimed.attempts, now);
+    }
+  }
+  await claimed.save();
+  return claimed;
+};
+
+/**
+ * Renders a template for a user and queues it in the outbox, then tries to
+ * send it right away unless the user's quiet hours or daily digest hold it.
+ * A message with a dedupeKey is only ever queued once.
+ * @async
+ * @param {Object} params
+ * @param {Object} params.user - Recipient (name, email, locale, timeZone)
+ * @param {string} params.template - Template name
+ * @param {Object} params.values - Template values, already formatted for the recipient
+ * @param {string} [params.bookingId] - Related booking
+ * @param {string} [params.dedupeKey] - Identifies the event the message is about
+ * @returns {Promise<Object|null>} The queued message, or null if it was queued before
+ * or the user turned this email off
+ */
+const queueEmail = async ({ user, template, values, bookingId, dedupeKey }) => {
+  const type = TEMPLATE_TYPES[template];
+  const preferences = await getPreferences(user._id);
+  if (type && !wants(preferences, type, 'email')) return null;
+
+  const locale = resolveLocale(user.locale);
+  const unsubscribe = type && unsubscribeUrl(user._id, type);
+  const rendered = renderEmail(template, locale, { name: user.name, ...values }, {
+    actionUrl: appointmentsUrl(),
+    unsubscribeUrl: unsubscribe
+  });
+  const held = Boolean(type && preferences.digest.enabled && !UNDIGESTED_TYPES.includes(type));
+  const quietUntil = quietHoursEnd(preferences, user.timeZone);
+
+  let message;
+  try {
+    message = await OutboundEmail.create({
+      userId: user._id,
+      bookingId,
+      to: user.email,
+      template,
+      locale,
+      dedupeKey,
+      unsubscribeUrl: unsubscribe,
+      status: held ? 'held' : 'pending',
+      nextAttemptAt: quietUntil || new Date(),
+      ...rendered
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // The outbox worker sends held messages later, and retries if this first attempt fails
+  if (!held && !quietUntil) {
+    await deliverEmail(message);
+  }
+  return message;
+};
+
+/**
+ * Gathers each user's held messages into their daily digest once its time has come.
+ * Users who turned the digest off since get their held messages one by one.
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of digests queued
+ */
+const processDigests = async (now = new Date()) => {
+  const userIds = await OutboundEmail.distinct('userId', { status: 'held' });
+
+  let queued = 0;
+  for (const userId of userIds) {
+    const [user, preferences] = await Promise.all([
+      User.findById(userId).select('name email locale timeZone'),
+      getPreferences(userId)
+    ]);
+    if (!user || !preferences.digest.enabled) {
+      await OutboundEmail.updateMany({ userId, status: 'held' }, { status: 'pending', nextAttemptAt: now });
+      continue;
+    }
+
+    const digestAt = latestDigestAt(preferences, user.timeZone, now);
+    const items = await OutboundEmail.find({ userId, status: 'held', createdAt: { $lte: digestAt } })
+      .sort({ createdAt: 1 });
+    if (items.length === 0) continue;
+
+    // The dedupeKey keeps a restarted worker from queueing the same digest twice
+    const digest = await queueEmail({
+      user,
+      template: 'daily_digest',
+      values: { items: items.map(item => item.subject) },
+      dedupeKey: `daily_digest:${userId}:${digestAt.toISOString()}`
+    });
+    await OutboundEmail.updateMany(
+      { _id: { $in: items.map(item => item._id) }, status: 'held' },
+      { status: 'digested', ...(digest && { digestId: digest._id }) }
+    );
+    if (digest) queued++;
+  }
+  return queued;
+};
+
+/**
+ * Sends every message that is due
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of messages sent
+ */
+const processOutbox = async (now = new Date()) => {
+  const due = await OutboundEmail.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(OUTBOX_BATCH_SIZE);
+
+  let sent = 0;
+  for (const message of due) {
+    const result = await deliverEmail(message, now);
+    if (result && result.status === 'sent') sent++;
+  }
+  return sent;
+};
+
+/**
+ * Periodically queues the daily digests that are due, then sends the messages
+ * that are due: retries, and messages held until the end of quiet hours
+ * @param {number} [intervalMs=OUTBOX_INTERVAL_MS] - Time between runs
+ * @returns {Object} The interval timer (does not keep the process alive)
+ */
+const startOutboxWorker = (intervalMs = OUTBOX_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processDigests()
+      .then(() => processOutbox())
+      .catch(error => console.error('Error processing the email outbox:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Emails a booking's participants, each in their own language and time zone
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {string} template - Template name
+ * @param {Object} [options]
+ * @param {string[]} [options.roles=['client', 'consultant']] - Participants to email
+ * @param {Object} [options.except] - User not to email, typically the one who made the change
+ * @param {Function} [options.values] - (role, format) → extra template values; format
+ * has when(date) and money(amount, currency) for the recipient
+ * @param {string} options.dedupeKey - Key of the event; the recipient's id is appended
+ * @returns {Promise<Object[]>} The queued messages
+ */
+const emailParticipants = async (booking, template, {
+  roles = ['client', 'consultant'],
+  except,
+  values = () => ({}),
+  dedupeKey
+}) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  const [client, consultant, serviceName] = await Promise.all([
+    clientUserId && User.findById(clientUserId).select('name email locale timeZone'),
+    consultantUserId && User.findById(consultantUserId).select('name email locale timeZone'),
+    resolveServiceName(booking.consultantId, booking.serviceId)
+  ]);
+
+  const participants = {
+    // Clients see times in their own zone, consultants in the zone they booked in
+    client: client && { user: client, timeZone: client.timeZone || booking.clientTimeZone || booking.timeZone, other: consultant },
+    consultant: consultant && { user: consultant, timeZone: booking.timeZone, other: client }
+  };
+
+  const queued = [];
+  for (const role of roles) {
+    const participant = participants[role];
+    if (!participant || !participant.user.email || (except && participant.user._id.equals(except._id))) continue;
+
+    const locale = resolveLocale(participant.user.locale);
+    const format = {
+      when: (date) => formatWhen(date, participant.timeZone, locale),
+      money: (amount, currency) => formatMoney(amount, currency, locale)
+    };
+    const message = await queueEmail({
+      user: participant.user,
+      template,
+      values: {
+        serviceName,
+        when: format.when(booking.startAt),
+        withName: participant.other ? participant.other.name : '',
+        ...values(role, format)
+      },
+      bookingId: booking._id,
+      dedupeKey: `${dedupeKey}:${participant.user._id}`
+    });
+    if (message) queued.push(message);
+  }
+  return queued;
+};
+
+/**
+ * Emails the client that their booking is confirmed
+ * @async
+ * @param {Object} booking - Confirmed booking
+ * @returns {Promise<Object[]>}
+ */
+const emailConfirmation = (booking) => emailParticipants(booking, 'booking_confirmation', {
+  roles: ['client'],
+  dedupeKey: `booking_confirmation:${booking._id}`
+});
+
+/**
+ * Emails the other participants that a booking was cancelled, with the refund owed to the client
+ * @async
+ * @param {Object} event - booking.cancelled payload
+ * @returns {Promise<Object[]>}
+ */
+const emailCancellation = ({ booking, actor, reason }) => emailParticipants(booking, 'booking_cancellation', {
+  except: actor,
+  values: (role, format) => {
+    const { refundAmount } = booking.cancellation || {};
+    return {
+      reason,
+      refund: role === 'client' && refundAmount > 0 && booking.price && booking.price.currency
+        ? format.money(refundAmount, booking.price.currency)
+        : undefined
+    };
+  },
+  dedupeKey: `booking_cancellation:${booking._id}`
+});
+
+/**
+ * Emails the other participants that a booking was moved
+ * @async
+ * @param {Object} event - booking.rescheduled payload
+ * @returns {Promise<Object[]>}
+ */
+const emailReschedule = ({ booking, previous, actor, reason }) => emailParticipants(booking, 'booking_reschedule', {
+  except: actor,
+  values: (role, format) => ({ previousWhen: format.when(previous.startAt), reason }),
+  dedupeKey: `booking_reschedule:${booking._id}`
+});
+
+/**
+ * Emails the client a receipt for their payment, and the confirmation if the payment confirmed the booking
+ * @async
+ * @param {Object} event - booking.paid payload
+ * @returns {Promise<Object[]>}
+ */
+const emailReceipt = async ({ booking, payment }) => {
+  const receipts = await emailParticipants(booking, 'payment_receipt', {
+    roles: ['client'],
+    values: (role, format) => ({
+      amount: format.money(payment.amount, payment.currency),
+      reference: payment.providerPaymentId || String(payment._id)
+    }),
+    dedupeKey: `payment_receipt:${payment._id}`
+  });
+  if (booking.status === 'confirmed') {
+    await emailConfirmation(booking);
+  }
+  return receipts;
+};
+
+/**
+ * Wraps a listener so that a failing email never affects the request
+ * @param {Function} listener - async event handler
+ * @returns {Function}
+ */
+const safely = (listener) => (event) => {
+  listener(event).catch(error => console.error('Error queueing email:', error));
+};
+
+/**
+ * Subscribes the email handlers to booking events
+ */
+const registerEmailListeners = () => {
+  bookingEvents.on(EVENTS.CREATED, safely(async ({ booking, series }) => {
+    // Bookings paid with a package credit are confirmed as soon as they are made
+    if (!series && booking.status === 'confirmed') {
+      await emailConfirmation(booking);
+    }
+  }));
+  bookingEvents.on(EVENTS.CONFIRMED, safely(({ booking }) => emailConfirmation(booking)));
+  bookingEvents.on(EVENTS.CANCELLED, safely(emailCancellation));
+  bookingEvents.on(EVENTS.RESCHEDULED, safely(emailReschedule));
+  bookingEvents.on(EVENTS.PAID, safely(emailReceipt));
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  nextRetryAt,
+  deliverEmail,
+  queueEmail,
+  processOutbox,
+  processDigests,
+  startOutboxWorker,
+  emailParticipants,
+  registerEmailListeners
+};
@@ -0,0 +1,257 @@
+/**
+ * Email Templates
+ * Transactional email templates with a text and an HTML part, in each
+ * supported locale. Templates receive values already formatted for the
+ * recipient (dates in their time zone and language); see formatWhen and
+ * formatMoney. Unknown locales fall back to English.
+ *
+ * Templates and their values:
+ * - booking_confirmation: name, serviceName, when, withName
+ * - booking_cancellation: name, serviceName, when, reason?, refund?
+ * - booking_reschedule: name, serviceName, previousWhen, when, reason?
+ * - booking_reminder: name, serviceName, when, withName
+ * - payment_receipt: name, serviceName, when, amount, reference
+ * - daily_digest: name, items (subjects of the email it gathers)
+ *
+ * @module services/emailTemplates
+ *
+ * Related Files:
+ * - services/emailService.js - Renders these templates into the outbox
+ * - models/User.js - locale preference
+ * - services/preferenceService.js - Unsubscribe links
+ */
+
+const SUPPORTED_LOCALES = ['en', 'fr', 'es'];
+const DEFAULT_LOCALE = 'en';
+
+const optional = (value, line) => (value ? [line] : []);
+
+const TEMPLATES = {
+  booking_confirmation: {
+    en: {
+      subject: v => `Booking confirmed: ${v.serviceName} on ${v.when}`,
+      body: v => [`Your ${v.serviceName} session with ${v.withName} is confirmed for ${v.when}.`]
+    },
+    fr: {
+      subject: v => `Réservation confirmée : ${v.serviceName} le ${v.when}`,
+      body: v => [`Votre séance ${v.serviceName} avec ${v.withName} est confirmée pour le ${v.when}.`]
+    },
+    es: {
+      subject: v => `Reserva confirmada: ${v.serviceName} el ${v.when}`,
+      body: v => [`Tu sesión de ${v.serviceName} con ${v.withName} está confirmada para el ${v.when}.`]
+    }
+  },
+  booking_cancellation: {
+    en: {
+      subject: v => `Booking cancelled: ${v.serviceName} on ${v.when}`,
+      body: v => [
+        `Your ${v.serviceName} session on ${v.when} was cancelled.`,
+        ...optional(v.reason, `Reason: ${v.reason}`),
+        ...optional(v.refund, `A refund of ${v.refund} is due under the cancellation policy.`)
+      ]
+    },
+    fr: {
+      subject: v => `Réservation annulée : ${v.serviceName} le ${v.when}`,
+      body: v => [
+        `Votre séance ${v.serviceName} du ${v.when} a été annulée.`,
+        ...optional(v.reason, `Motif : ${v.reason}`),
+        ...optional(v.refund, `Un remboursement de ${v.refund} est dû selon les conditions d'annulation.`)
+      ]
+    },
+    es: {
+      subject: v => `Reserva cancelada: ${v.serviceName} el ${v.when}`,
+      body: v => [
+        `Tu sesión de ${v.serviceName} del ${v.when} ha sido cancelada.`,
+        ...optional(v.reason, `Motivo: ${v.reason}`),
+        ...optional(v.refund, `Se te debe un reembolso de ${v.refund} según la política de cancelación.`)
+      ]
+    }
+  },
+  booking_reschedule: {
+    en: {
+      subject: v => `Booking moved: ${v.serviceName} now on ${v.when}`,
+      body: v => [
+        `Your ${v.serviceName} session on ${v.previousWhen} was moved to ${v.when}.`,
+        ...optional(v.reason, `Reason: ${v.reason}`)
+      ]
+    },
+    fr: {
+      subject: v => `Réservation déplacée : ${v.serviceName} désormais le ${v.when}`,
+      body: v => [
+        `Votre séance ${v.serviceName} du ${v.previousWhen} a été déplacée au ${v.when}.`,
+        ...optional(v.reason, `Motif : ${v.reason}`)
+      ]
+    },
+    es: {
+      subject: v => `Reserva cambiada: ${v.serviceName} ahora el ${v.when}`,
+      body: v => [
+        `Tu sesión de ${v.serviceName} del ${v.previousWhen} se ha cambiado al ${v.when}.`,
+        ...optional(v.reason, `Motivo: ${v.reason}`)
+      ]
+    }
+  },
+  booking_reminder: {
+    en: {
+      subject: v => `Reminder: ${v.serviceName} on ${v.when}`,
+      body: v => [`This is a reminder of your ${v.serviceName} session with ${v.withName} on ${v.when}.`]
+    },
+    fr: {
+      subject: v => `Rappel : ${v.serviceName} le ${v.when}`,
+      body: v => [`Nous vous rappelons votre séance ${v.serviceName} avec ${v.withName} le ${v.when}.`]
+    },
+    es: {
+      subject: v => `Recordatorio: ${v.serviceName} el ${v.when}`,
+      body: v => [`Te recordamos tu sesión de ${v.serviceName} con ${v.withName} el ${v.when}.`]
+    }
+  },
+  payment_receipt: {
+    en: {
+      subject: v => `Receipt for your payment of ${v.amount}`,
+      body: v => [
+        `We received your payment of ${v.amount} for your ${v.serviceName} session on ${v.when}.`,
+        `Payment reference: ${v.reference}`
+      ]
+    },
+    fr: {
+      subject: v => `Reçu de votre paiement de ${v.amount}`,
+      body: v => [
+        `Nous avons bien reçu votre paiement de ${v.amount} pour votre séance ${v.serviceName} du ${v.when}.`,
+        `Référence du paiement : ${v.reference}`
+      ]
+    },
+    es: {
+      subject: v => `Recibo de tu pago de ${v.amount}`,
+      body: v => [
+        `Hemos recibido tu pago de ${v.amount} por tu sesión de ${v.serviceName} del ${v.when}.`,
+        `Referencia del pago: ${v.reference}`
+      ]
+    }
+  },
+  daily_digest: {
+    en: {
+      subject: v => `Your daily summary: ${v.items.length} update(s)`,
+      body: v => ['Here is what happened since your last summary:', ...v.items.map(item => `• ${item}`)]
+    },
+    fr: {
+      subject: v => `Votre résumé du jour : ${v.items.length} nouveauté(s)`,
+      body: v => ['Voici ce qui s\'est passé depuis votre dernier résumé :', ...v.items.map(item => `• ${item}`)]
+    },
+    es: {
+      subject: v => `Tu resumen diario: ${v.items.length} novedad(es)`,
+      body: v => ['Esto es lo que ha pasado desde tu último resumen:', ...v.items.map(item => `• ${item}`)]
+    }
+  }
+};
+
+// Greeting, link to the appointments page, sign-off and unsubscribe link around every message
+const LAYOUT = {
+  en: {
+    greeting: name => `Hello ${name},`,
+    action: 'View my appointments',
+    signoff: 'The Consultant Booking team',
+    unsubscribe: 'Unsubscribe from these emails'
+  },
+  fr: {
+    greeting: name => `Bonjour ${name},`,
+    action: 'Voir mes rendez-vous',
+    signoff: "L'équipe Consultant Booking",
+    unsubscribe: 'Se désabonner de ces e-mails'
+  },
+  es: {
+    greeting: name => `Hola ${name}:`,
+    action: 'Ver mis citas',
+    signoff: 'El equipo de Consultant Booking',
+    unsubscribe: 'Darse de baja de estos correos'
+  }
+};
+
+/**
+ * Picks the supported locale closest to a user's preference
+ * @param {string} [locale] - e.g. 'fr' or 'fr-CA'
+ * @returns {string} A supported locale
+ */
+const resolveLocale = (locale) => {
+  const language = String(locale || '').toLowerCase().split('-')[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Formats an instant as a date and time in the recipient's zone and language
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - Recipient's IANA time zone
+ * @param {string} locale - Supported locale
+ * @returns {string} e.g. "Monday, June 3, 2030 at 10:00 AM (Europe/Paris)"
+ */
+const formatWhen = (instant, timeZone, locale) =>
+  `${new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short', timeZone }).format(instant)} (${timeZone})`;
+
+/**
+ * Formats an amount in the recipient's language
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @param {string} locale - Supported locale
+ * @returns {string} e.g. "80,00 €"
+ */
+const formatMoney = (amount, currency, locale) =>
+  new Intl.NumberFormat(locale, { style: 'currency', currency: currency.toUpperCase() }).format(amount);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Renders a template in a locale
+ * @param {string} name - Template name
+ * @param {string} locale - Recipient's locale (falls back to English)
+ * @param {Object} values - Values the template uses, already formatted
+ * @param {Object} [options]
+ * @param {string} [options.actionUrl] - Link to the recipient's appointments
+ * @param {string} [options.unsubscribeUrl] - Link that turns this kind of email off
+ * @returns {{subject: string, text: string, html: string}}
+ * @throws {Error} If the template does not exist
+ */
+const renderEmail = (name, locale, values, { actionUrl, unsubscribeUrl } = {}) => {
+  if (!TEMPLATES[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  const language = resolveLocale(locale);
+  const template = TEMPLATES[name][language];
+  const layout = LAYOUT[language];
+  const paragraphs = template.body(values);
+
+  const text = [
+    layout.greeting(values.name),
+    ...paragraphs,
+    ...optional(actionUrl, `${layout.action}: ${actionUrl}`),
+    layout.signoff,
+    ...optional(unsubscribeUrl, `${layout.unsubscribe}: ${unsubscribeUrl}`)
+  ].join('\n\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    `<html lang="${language}"><body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">`,
+    `<p>${escapeHtml(layout.greeting(values.name))}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    ...optional(actionUrl, `<p><a href="${escapeHtml(actionUrl)}" style="display: inline-block; padding: 8px 16px; `
+      + `background: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(layout.action)}</a></p>`),
+    `<p style="color: #6b7280;">${escapeHtml(layout.signoff)}</p>`,
+    ...optional(unsubscribeUrl, `<p style="font-size: 12px;"><a href="${escapeHtml(unsubscribeUrl)}" `
+      + `style="color: #6b7280;">${escapeHtml(layout.unsubscribe)}</a></p>`),
+    '</body></html>'
+  ].join('\n');
+
+  return { subject: template.subject(values), text, html };
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  resolveLocale,
+  formatWhen,
+  formatMoney,
+  renderEmail
+};
@@ -0,0 +1,27 @@
+/**
+ * Console Email Transport
+ * Prints each message's headers and text part instead of sending it.
+ *
+ * @module services/emailTransports/consoleTransport
+ *
+ * Related Files:
+ * - services/emailTransports/index.js - Transport interface and selection
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Creates a console transport
+ * @returns {Object} Email transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@console>`;
+    console.log(`=== Email ${messageId} ===\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+    return { messageId };
+  }
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,47 @@
+/**
+ * File Email Transport
+ * Writes each message as an .eml file (multipart text and HTML) that any
+ * mail client can open. The directory is EMAIL_FILE_DIR, by default
+ * storage/emails under the backend. Messages carry addresses, booking
+ * details and unsubscribe tokens, so the directory must not be served
+ * statically.
+ *
+ * @module services/emailTransports/fileTransport
+ * @requires nodemailer
+ *
+ * Related Files:
+ * - services/emailTransports/index.js - Transport interface and selection
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Private: outside the folders app.js serves statically
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'storage', 'emails');
+
+/**
+ * Creates a file transport
+ * @param {string} [dir] - Directory to write to; defaults to EMAIL_FILE_DIR at send time
+ * @returns {Object} Email transport
+ */
+const createFileTransport = (dir) => {
+  // Builds the raw MIME message without sending it anywhere
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const target = dir || process.env.EMAIL_FILE_DIR || DEFAULT_DIR;
+      const { messageId, message: raw } = await builder.sendMail(message);
+
+      await fs.mkdir(target, { recursive: true });
+      const file = `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId.replace(/[<>@]/g, '_')}.eml`;
+      await fs.writeFile(path.join(target, file), raw);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = { createFileTransport };
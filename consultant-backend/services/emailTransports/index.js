@@ -0,0 +1,60 @@
+/**
+ * Email Transports
+ * Registry of the transports transactional email can be sent through.
+ * The active one is chosen with the EMAIL_TRANSPORT environment variable
+ * (default 'console'). A transport is an object with:
+ *
+ *   name: string
+ *   send({ from, to, subject, text, html }) → Promise<{ messageId }>
+ *     rejects if the message could not be handed over; the outbox retries it
+ *
+ * Built-in transports:
+ * - console: prints each message; for development
+ * - file: writes each message as a .eml file to EMAIL_FILE_DIR; for development and tests
+ * - smtp: any SMTP server, e.g. a local Mailpit/MailHog or the production relay
+ *
+ * @module services/emailTransports
+ * @requires services/emailTransports/consoleTransport
+ * @requires services/emailTransports/fileTransport
+ * @requires services/emailTransports/smtpTransport
+ *
+ * Related Files:
+ * - services/emailService.js - Queues messages in the outbox and delivers them
+ */
+
+const { createConsoleTransport } = require('./consoleTransport');
+const { createFileTransport } = require('./fileTransport');
+const { createSmtpTransport } = require('./smtpTransport');
+
+const transports = new Map();
+
+/**
+ * Makes a transport available by name
+ * @param {Object} transport - Object implementing the transport interface
+ */
+const registerEmailTransport = (transport) => {
+  if (typeof transport.send !== 'function') {
+    throw new TypeError(`Email transport "${transport.name}" must implement send()`);
+  }
+  transports.set(transport.name, transport);
+};
+
+/**
+ * Returns a registered transport
+ * @param {string} [name=process.env.EMAIL_TRANSPORT || 'console'] - Transport name
+ * @returns {Object} The transport
+ * @throws {Error} If no transport is registered under that name
+ */
+const getEmailTransport = (name = process.env.EMAIL_TRANSPORT || 'console') => {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Unknown email transport "${name}"`);
+  }
+  return transport;
+};
+
+registerEmailTransport(createConsoleTransport());
+registerEmailTransport(createFileTransport());
+registerEmailTransport(createSmtpTransport());
+
+module.exports = { registerEmailTransport, getEmailTransport };
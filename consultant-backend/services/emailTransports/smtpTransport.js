@@ -0,0 +1,47 @@
+/**
+ * SMTP Email Transport
+ * Sends through any SMTP server configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS. The defaults (localhost:1025, no
+ * auth) suit a local catcher such as Mailpit or MailHog.
+ *
+ * @module services/emailTransports/smtpTransport
+ * @requires nodemailer
+ *
+ * Related Files:
+ * - services/emailTransports/index.js - Transport interface and selection
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates an SMTP transport. The connection is configured on first use so
+ * the environment can be loaded after this module.
+ * @returns {Object} Email transport
+ */
+const createSmtpTransport = () => {
+  let transporter = null;
+
+  const connect = () => {
+    if (!transporter) {
+      const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } = process.env;
+      transporter = nodemailer.createTransport({
+        host: SMTP_HOST || 'localhost',
+        port: Number(SMTP_PORT) || 1025,
+        secure: SMTP_SECURE === 'true',
+        ...(SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } })
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const { messageId } = await connect().sendMail(message);
+      return { messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
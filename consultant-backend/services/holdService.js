@@ -0,0 +1,94 @@
+/**
+ * Hold Service
+ * Temporary slot holds taken while a client fills in the booking form.
+ * A hold blocks the slot for other clients until it expires or the holder
+ * books it (see insertBooking in services/bookingService.js).
+ *
+ * @module services/holdService
+ * @requires models/Booking
+ * @requires models/SlotHold
+ * @requires services/bookingService
+ *
+ * Related Files:
+ * - controllers/bookingController.js - /api/bookings/holds endpoints
+ * - services/availabilityService.js - Treats holds as occupied time
+ */
+
+const Booking = require('../models/Booking');
+const SlotHold = require('../models/SlotHold');
+const {
+  BookingConflictError,
+  withConsultantLock,
+  findConflictingBooking,
+  findConflictingHold
+} = require('./bookingService');
+
+/**
+ * Holds a slot for the user. A user keeps at most one checkout hold per
+ * consultant, so picking another time releases the previous one. Holds made
+ * for waitlist offers are kept apart and never replace a checkout hold.
+ * @async
+ * @param {Object} params
+ * @param {Object} params.userId - User holding the slot
+ * @param {string} params.consultantId - Consultant to hold
+ * @param {string} [params.serviceId] - Service being booked
+ * @param {string} params.date - Date (YYYY-MM-DD), consultant's time zone
+ * @param {string} params.time - Start time (HH:mm), consultant's time zone
+ * @param {number} params.duration - Length of the slot in minutes
+ * @param {number} [params.holdMinutes] - How long to hold (defaults to SlotHold.HOLD_MINUTES)
+ * @param {Object} [params.waitlistEntryId] - Waitlist entry the slot is offered to
+ * @returns {Promise<Object>} The hold, with its expiresAt
+ * @throws {BookingConflictError} If the slot is booked or held by someone else
+ */
+const placeHold = ({
+  userId,
+  consultantId,
+  serviceId,
+  date,
+  time,
+  duration,
+  holdMinutes = SlotHold.HOLD_MINUTES,
+  waitlistEntryId
+}) =>
+  withConsultantLock(consultantId, async (session, consultant) => {
+    const timeZone = consultant && consultant.timeZone;
+    const { startAt, endAt } = Booking.slotBounds(date, time, duration, timeZone);
+
+    const conflict = await findConflictingBooking(consultantId, startAt, endAt, { session })
+      || await findConflictingHold(consultantId, startAt, endAt, { session, holderId: userId });
+    if (conflict) {
+      throw new BookingConflictError(conflict);
+    }
+
+    if (!waitlistEntryId) {
+      await SlotHold.deleteMany({ consultantId, userId, waitlistEntryId: null }, { session });
+    }
+    const [hold] = await SlotHold.create([{
+      userId,
+      consultantId,
+      serviceId,
+      waitlistEntryId,
+      date,
+      time,
+      duration,
+      timeZone,
+      startAt,
+      endAt,
+      expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+    }], { session });
+    return hold;
+  });
+
+/**
+ * Releases a hold before it expires
+ * @async
+ * @param {string} holdId - Hold ID
+ * @param {Object} userId - User who placed the hold
+ * @returns {Promise<Object|null>} The released hold, or null if it no longer exists
+ */
+const releaseHold = (holdId, userId) => SlotHold.findOneAndDelete({ _id: holdId, userId });
+
+module.exports = {
+  placeHold,
+  releaseHold
+};
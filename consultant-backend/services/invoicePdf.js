@@ -0,0 +1,83 @@
+/**
+ * Invoice PDF
+ * Renders a booking's invoice, followed by one page per credit note, as a PDF.
+ *
+ * @module services/invoicePdf
+ * @requires pdfkit
+ * @requires utils/currency
+ *
+ * Related Files:
+ * - services/invoiceService.js - Issues the documents rendered here
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatAmount } = require('../utils/currency');
+
+const TITLES = { invoice: 'Invoice', credit_note: 'Credit note' };
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const drawParty = (doc, label, party, x, y) => {
+  const lines = [party.name, party.companyName, party.address, party.email,
+    party.taxId && `Tax ID: ${party.taxId}`].filter(Boolean);
+  doc.font('Helvetica-Bold').text(label, x, y, { width: 230 });
+  doc.font('Helvetica').text(lines.join('\n'), { width: 230 });
+};
+
+const drawDocument = (doc, invoice, correctedNumber) => {
+  const amount = (value) => formatAmount(value, invoice.currency);
+
+  doc.fontSize(20).font('Helvetica-Bold').text(`${TITLES[invoice.kind]} ${invoice.number}`);
+  doc.fontSize(10).font('Helvetica').text(`Issued on ${formatDate(invoice.issuedAt)}`);
+  if (correctedNumber) {
+    doc.text(`Corrects invoice ${correctedNumber}`);
+  }
+
+  const partiesTop = doc.y + 20;
+  drawParty(doc, 'From', invoice.seller || {}, 50, partiesTop);
+  const sellerBottom = doc.y;
+  drawParty(doc, 'Bill to', invoice.buyer || {}, 310, partiesTop);
+  doc.y = Math.max(sellerBottom, doc.y) + 30;
+
+  doc.font('Helvetica-Bold').text('Description', 50, doc.y, { continued: false });
+  doc.moveUp().text('Amount', 400, doc.y, { width: 145, align: 'right' });
+  doc.font('Helvetica');
+  for (const line of invoice.lines) {
+    doc.moveDown(0.5).text(line.description, 50, doc.y, { width: 340 });
+    doc.moveUp().text(amount(line.amount), 400, doc.y, { width: 145, align: 'right' });
+  }
+
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    ...invoice.taxLines.map(tax => [`${tax.name} (${tax.ratePercent}%)`, tax.amount]),
+    [invoice.kind === 'credit_note' ? 'Total credited' : 'Total paid', invoice.total]
+  ];
+  doc.moveDown(1.5);
+  totals.forEach(([label, value], index) => {
+    if (index === totals.length - 1) doc.font('Helvetica-Bold');
+    doc.text(label, 250, doc.y, { width: 140 });
+    doc.moveUp().text(amount(value), 400, doc.y, { width: 145, align: 'right' });
+  });
+};
+
+/**
+ * Renders an invoice and its credit notes into one PDF
+ * @param {Object[]} documents - The invoice first, then its credit notes
+ * @returns {Promise<Buffer>} The PDF file
+ */
+const renderInvoicePdf = (documents) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const invoice = documents.find(({ kind }) => kind === 'invoice');
+  documents.forEach((document, index) => {
+    if (index > 0) doc.addPage();
+    drawDocument(doc, document, document.kind === 'credit_note' && invoice && invoice.number);
+  });
+  doc.end();
+});
+
+module.exports = { renderInvoicePdf };
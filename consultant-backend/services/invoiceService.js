@@ -0,0 +1,222 @@
+/**
+ * Invoice Service
+ * Issues an invoice when a booking is paid and a credit note for each refund.
+ * Numbers come from gapless sequences (INV-000001, CN-000001) and every
+ * document is issued at most once.
+ *
+ * Prices are tax-inclusive: the tax shown is the part of the amount paid that
+ * corresponds to INVOICE_TAX_RATE_PERCENT (none by default).
+ *
+ * @module services/invoiceService
+ * @requires models/Invoice
+ * @requires models/Counter
+ * @requires models/Booking
+ * @requires models/Payment
+ * @requires models/User
+ * @requires services/bookingLifecycle
+ * @requires services/policyService
+ * @requires services/bookingEvents
+ * @requires utils/transaction
+ *
+ * Related Files:
+ * - services/invoicePdf.js - Renders invoices as PDF
+ * - controllers/bookingController.js - GET /api/bookings/:id/invoice
+ */
+
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { resolveParticipantUserIds } = require('./bookingLifecycle');
+const { resolveServiceName } = require('./policyService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { withTransaction } = require('../utils/transaction');
+const { roundAmount } = require('../utils/currency');
+
+const NUMBER_PREFIXES = { invoice: 'INV', credit_note: 'CN' };
+const COLLECTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+/**
+ * Tax configured for invoices
+ * @returns {{name: string, ratePercent: number}}
+ */
+const invoiceTax = () => ({
+  name: process.env.INVOICE_TAX_NAME || 'VAT',
+  ratePercent: Number(process.env.INVOICE_TAX_RATE_PERCENT || 0)
+});
+
+/**
+ * Splits a tax-inclusive total into subtotal and tax lines
+ * @param {number} total - Amount paid, tax included
+ * @param {{name: string, ratePercent: number}} tax - Tax to show
+ * @param {string} currency - Currency of the total
+ * @returns {{subtotal: number, taxLines: Object[], total: number}}
+ */
+const taxBreakdown = (total, { name, ratePercent }, currency) => {
+  const subtotal = roundAmount(total / (1 + ratePercent / 100), currency);
+  return {
+    subtotal,
+    taxLines: ratePercent > 0 ? [{ name, ratePercent, amount: roundAmount(total - subtotal, currency) }] : [],
+    total
+  };
+};
+
+const billingParty = (user) => {
+  if (!user) return {};
+  const { name, email, billingDetails } = user.toObject();
+  return { name, email, ...billingDetails };
+};
+
+const nextNumber = async (kind, session) =>
+  `${NUMBER_PREFIXES[kind]}-${String(await Counter.next(kind, session)).padStart(6, '0')}`;
+
+/**
+ * Issues a credit note for a refund unless it has one
+ * @async
+ * @param {Object} invoice - Invoice being corrected
+ * @param {Object} refund - Entry of payment.refunds
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} The credit note
+ */
+const creditNoteFor = async (invoice, refund, session) => {
+  const existing = await Invoice.findOne({ kind: 'credit_note', refundId: refund._id }).session(session);
+  if (existing) return existing;
+
+  const ratePercent = invoice.taxLines.length > 0 ? invoice.taxLines[0].ratePercent : 0;
+  const name = invoice.taxLines.length > 0 ? invoice.taxLines[0].name : invoiceTax().name;
+  const [creditNote] = await Invoice.create([{
+    number: await nextNumber('credit_note', session),
+    kind: 'credit_note',
+    bookingId: invoice.bookingId,
+    paymentId: invoice.paymentId,
+    refundId: refund._id,
+    invoiceId: invoice._id,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    currency: invoice.currency,
+    lines: [{
+      description: `Refund on invoice ${invoice.number}${refund.reason ? ` (${refund.reason})` : ''}`,
+      quantity: 1,
+      unitAmount: refund.amount,
+      amount: refund.amount
+    }],
+    ...taxBreakdown(refund.amount, { name, ratePercent }, invoice.currency),
+    issuedAt: refund.createdAt
+  }], { session });
+  return creditNote;
+};
+
+/**
+ * Finds the payment a booking was charged with. Payments follow their
+ * booking when it is rescheduled; sessions paid with a package credit have none.
+ * @param {string} bookingId - Booking ID
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object|null>}
+ */
+const findBookingPayment = (bookingId, session) =>
+  Payment.findOne({ bookingId, status: { $in: COLLECTED_STATUSES } }).session(session);
+
+/**
+ * Finds or issues the invoice of a paid booking, with credit notes for
+ * refunds made before it was issued. The invoice belongs to the payment, so a
+ * rescheduled booking keeps the invoice issued before it was moved.
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object|null>} The invoice, or null if the booking was not charged
+ */
+const invoiceFor = async (bookingId, session) => {
+  const payment = await findBookingPayment(bookingId, session);
+  if (!payment) return null;
+
+  const existing = await Invoice.findOne({ kind: 'invoice', paymentId: payment._id }).session(session);
+  if (existing) return existing;
+
+  const booking = await Booking.findById(bookingId).session(session);
+
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  const [client, consultantUser] = await Promise.all([
+    User.findById(clientUserId).session(session),
+    User.findById(consultantUserId).session(session)
+  ]);
+
+  const [invoice] = await Invoice.create([{
+    number: await nextNumber('invoice', session),
+    kind: 'invoice',
+    bookingId: booking._id,
+    paymentId: payment._id,
+    seller: billingParty(consultantUser),
+    buyer: billingParty(client),
+    currency: payment.currency,
+    lines: [{
+      description: `${await resolveServiceName(booking.consultantId, booking.serviceId, session)} – ${booking.date} ${booking.time} (${booking.duration} min)`,
+      quantity: 1,
+      unitAmount: payment.amount,
+      amount: payment.amount
+    }],
+    ...taxBreakdown(payment.amount, invoiceTax(), payment.currency),
+    issuedAt: payment.createdAt
+  }], { session });
+
+  for (const refund of payment.refunds) {
+    await creditNoteFor(invoice, refund, session);
+  }
+  return invoice;
+};
+
+/**
+ * Issues the invoice of a paid booking; does nothing if it already has one
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} The invoice, or null if the booking was not charged
+ */
+const issueInvoice = (bookingId) => withTransaction(session => invoiceFor(bookingId, session));
+
+/**
+ * Issues the credit note of a refund, and the invoice it corrects if needed
+ * @async
+ * @param {string} paymentId - Payment ID
+ * @param {string} refundId - ID of the entry in payment.refunds
+ * @returns {Promise<Object|null>} The credit note
+ */
+const issueCreditNote = (paymentId, refundId) => withTransaction(async (session) => {
+  const payment = await Payment.findById(paymentId).session(session);
+  // Package purchases are not invoiced per booking
+  const refund = payment && payment.bookingId && payment.refunds.id(refundId);
+  if (!refund) return null;
+
+  const invoice = await invoiceFor(payment.bookingId, session);
+  return invoice && creditNoteFor(invoice, refund, session);
+});
+
+/**
+ * Lists the invoice of a booking's payment followed by its credit notes,
+ * issuing the invoice first if the payment has none yet
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object[]>} Empty if the booking was not charged (e.g. paid with a package credit)
+ */
+const getBookingInvoices = async (bookingId) => {
+  const invoice = await issueInvoice(bookingId);
+  if (!invoice) return [];
+  return Invoice.find({ paymentId: invoice.paymentId }).sort({ kind: -1, issuedAt: 1 });
+};
+
+/**
+ * Issues invoices and credit notes as payments and refunds happen
+ */
+const registerInvoiceListeners = () => {
+  const logError = (error) => console.error('Error issuing invoice:', error);
+
+  bookingEvents.on(EVENTS.PAID, ({ booking }) => issueInvoice(booking._id).catch(logError));
+  bookingEvents.on(EVENTS.REFUNDED, ({ payment, refund }) => issueCreditNote(payment._id, refund._id).catch(logError));
+};
+
+module.exports = {
+  taxBreakdown,
+  issueInvoice,
+  issueCreditNote,
+  getBookingInvoices,
+  registerInvoiceListeners
+};
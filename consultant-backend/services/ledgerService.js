@@ -0,0 +1,392 @@
+/**
+ * Ledger Service
+ * Posts the double-entry earnings ledger and reads consultant earnings from it.
+ * A completed and paid booking posts an earning journal splitting the gross
+ * amount into platform commission and consultant earnings; refunds reverse
+ * their share of both; payouts move consultant balances out of the platform.
+ * Sessions booked with a package credit earn their share of the package price
+ * when completed; unused credits never earn, so refunding them posts nothing.
+ * Every journal is posted at most once, keyed by what caused it.
+ *
+ * @module services/ledgerService
+ * @requires mongoose
+ * @requires models/LedgerEntry
+ * @requires models/PayoutBatch
+ * @requires models/Payment
+ * @requires models/Booking
+ * @requires models/PackagePurchase
+ * @requires models/Consultant
+ * @requires models/User
+ * @requires services/bookingEvents
+ * @requires utils/transaction
+ *
+ * Related Files:
+ * - controllers/consultantController.js - GET /api/consultants/me/earnings
+ * - controllers/payoutController.js - Admin payout batches
+ * - app.js - Registers the ledger listeners
+ */
+
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const PackagePurchase = require('../models/PackagePurchase');
+const Consultant = require('../models/Consultant');
+const User = require('../models/User');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { withTransaction } = require('../utils/transaction');
+const { roundAmount } = require('../utils/currency');
+
+const ACCOUNTS = {
+  CASH: 'platform_cash',
+  COMMISSION: 'platform_commission',
+  CONSULTANT: 'consultant_payable'
+};
+
+// $dateToString formats for the earnings breakdown
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y'
+};
+
+// Payments whose money was collected, whether or not some was refunded since
+const COLLECTED_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+/**
+ * Raised when a ledger operation has nothing to do or is not allowed
+ * @class
+ * @extends Error
+ */
+class LedgerError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=409] - HTTP status to respond with
+   */
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'LedgerError';
+    this.status = status;
+  }
+}
+
+/**
+ * Platform commission applied to new earnings, in percent
+ * @returns {number}
+ */
+const commissionPercent = () => Number(process.env.PLATFORM_COMMISSION_PERCENT || 20);
+
+/**
+ * Splits an amount between the platform and the consultant
+ * @param {number} amount - Amount to split
+ * @param {number} percent - Platform commission in percent
+ * @param {string} currency - Currency of the amount
+ * @returns {{commission: number, consultant: number}}
+ */
+const splitAmount = (amount, percent, currency) => {
+  const commission = roundAmount((amount * percent) / 100, currency);
+  return { commission, consultant: roundAmount(amount - commission, currency) };
+};
+
+/**
+ * Posts a balanced journal unless one with the same key exists
+ * @async
+ * @param {string} journalKey - Key of the journal
+ * @param {Object[]} lines - account with debit or credit
+ * @param {Object} fields - Fields shared by every line (kind, consultantId, ...)
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @returns {Promise<boolean>} false if the journal was already posted
+ */
+const postJournal = async (journalKey, lines, fields, session) => {
+  const debits = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+  if (roundAmount(debits, fields.currency) !== roundAmount(credits, fields.currency)) {
+    throw new Error(`Journal ${journalKey} does not balance: ${debits} debit, ${credits} credit`);
+  }
+
+  if (await LedgerEntry.exists({ journalKey }).session(session)) {
+    return false;
+  }
+  await LedgerEntry.insertMany(lines.map(line => ({ ...fields, ...line, journalKey })), { session });
+  return true;
+};
+
+/**
+ * Moves the running total shown on the consultant's user profile
+ * @async
+ * @param {string} consultantId - Consultant ID
+ * @param {number} amount - Amount to add; negative for refunds
+ * @param {Object} session - Mongoose session
+ */
+const addToTotalEarnings = async (consultantId, amount, session) => {
+  const consultant = await Consultant.findById(consultantId).select('userId').session(session);
+  if (consultant) {
+    await User.updateOne({ _id: consultant.userId }, { $inc: { totalEarnings: amount } }, { session });
+  }
+};
+
+/**
+ * Posts the reversal of a refund issued on a booking that already earned
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Entry of payment.refunds
+ * @param {number} percent - Commission rate of the earning being reversed
+ * @param {Object} session - Mongoose session
+ */
+const postRefund = async (payment, refund, percent, session) => {
+  const { commission, consultant } = splitAmount(refund.amount, percent, payment.currency);
+  const posted = await postJournal(`refund:${refund._id}`, [
+    { account: ACCOUNTS.COMMISSION, debit: commission },
+    { account: ACCOUNTS.CONSULTANT, debit: consultant },
+    { account: ACCOUNTS.CASH, credit: refund.amount }
+  ], {
+    kind: 'refund',
+    consultantId: payment.consultantId,
+    bookingId: payment.bookingId,
+    paymentId: payment._id,
+    currency: payment.currency,
+    commissionPercent: percent,
+    occurredAt: refund.createdAt
+  }, session);
+
+  if (posted) {
+    await addToTotalEarnings(payment.consultantId, -consultant, session);
+  }
+};
+
+/**
+ * Records a booking's earnings once it is both completed and paid.
+ * Safe to call repeatedly and in either order of completion and payment.
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<boolean>} Whether an earning was posted
+ */
+const recordEarning = (bookingId) => withTransaction(async (session) => {
+  const booking = await Booking.findById(bookingId).session(session);
+  if (!booking || booking.status !== 'completed') return false;
+
+  // A session paid with a package credit earns its share of the package payment
+  const purchase = booking.packagePurchaseId
+    && await PackagePurchase.findById(booking.packagePurchaseId).select('paymentId').session(session);
+  const payment = await Payment.findOne({
+    ...(purchase ? { _id: purchase.paymentId } : { bookingId: booking._id }),
+    status: { $in: COLLECTED_STATUSES }
+  }).session(session);
+  if (!payment) return false;
+
+  const gross = purchase ? booking.price.amount : payment.amount;
+  const percent = commissionPercent();
+  const { commission, consultant } = splitAmount(gross, percent, payment.currency);
+  const posted = await postJournal(`earning:${booking._id}`, [
+    { account: ACCOUNTS.CASH, debit: gross },
+    { account: ACCOUNTS.COMMISSION, credit: commission },
+    { account: ACCOUNTS.CONSULTANT, credit: consultant }
+  ], {
+    kind: 'earning',
+    consultantId: booking.consultantId,
+    bookingId: booking._id,
+    paymentId: payment._id,
+    currency: payment.currency,
+    commissionPercent: percent
+  }, session);
+  if (!posted) return false;
+
+  await addToTotalEarnings(booking.consultantId, consultant, session);
+  if (purchase) return true;
+
+  // Refunds issued before the booking earned are reversed right away
+  for (const refund of payment.refunds) {
+    await postRefund(payment, refund, percent, session);
+  }
+  return true;
+});
+
+/**
+ * Records a refund against the booking's earnings. Refunds on bookings that
+ * have not earned yet are picked up when the earning is posted.
+ * @async
+ * @param {string} paymentId - Payment ID
+ * @param {string} refundId - ID of the entry in payment.refunds
+ * @returns {Promise<void>}
+ */
+const recordRefund = (paymentId, refundId) => withTransaction(async (session) => {
+  const payment = await Payment.findById(paymentId).session(session);
+  // Package refunds only cover unused credits, which never earned
+  const refund = payment && payment.bookingId && payment.refunds.id(refundId);
+  if (!refund) return;
+
+  const earning = await LedgerEntry.findOne({ journalKey: `earning:${payment.bookingId}`, account: ACCOUNTS.CASH })
+    .session(session);
+  if (earning) {
+    await postRefund(payment, refund, earning.commissionPercent, session);
+  }
+});
+
+/**
+ * Folds grouped ledger lines into earnings figures
+ * @param {Array<{period: string, account: string, kind: string, debit: number, credit: number}>} rows
+ * @param {string} currency - Currency of the lines
+ * @returns {{totals: Object, periods: Object[]}} Figures overall and per period, oldest first
+ */
+const summarizeLedger = (rows, currency) => {
+  const empty = () => ({ gross: 0, commission: 0, refunds: 0, net: 0, paidOut: 0 });
+  const byPeriod = new Map();
+  const totals = empty();
+
+  rows.forEach(({ period, account, kind, debit, credit }) => {
+    if (!byPeriod.has(period)) byPeriod.set(period, empty());
+    const figures = byPeriod.get(period);
+    const add = (field, amount) => {
+      figures[field] += amount;
+      totals[field] += amount;
+    };
+
+    if (account === ACCOUNTS.CASH && kind === 'earning') add('gross', debit);
+    if (account === ACCOUNTS.CASH && kind === 'refund') add('refunds', credit);
+    if (account === ACCOUNTS.COMMISSION) add('commission', credit - debit);
+    if (account === ACCOUNTS.CONSULTANT && kind !== 'payout') add('net', credit - debit);
+    if (account === ACCOUNTS.CONSULTANT && kind === 'payout') add('paidOut', debit);
+  });
+
+  const round = (figures) => Object.fromEntries(
+    Object.entries(figures).map(([field, amount]) => [field, roundAmount(amount, currency)])
+  );
+  return {
+    totals: round(totals),
+    periods: [...byPeriod.keys()].sort().map(period => ({ period, ...round(byPeriod.get(period)) }))
+  };
+};
+
+/**
+ * Sums what the platform owes consultants
+ * @async
+ * @param {Object} match - Filter on the ledger lines: currency, and optionally consultantId
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Array<{consultantId: Object, balance: number}>>}
+ */
+const consultantBalances = async (match, session) => {
+  const rows = await LedgerEntry.aggregate([
+    { $match: { ...match, account: ACCOUNTS.CONSULTANT } },
+    { $group: { _id: '$consultantId', balance: { $sum: { $subtract: ['$credit', '$debit'] } } } }
+  ]).session(session);
+  return rows.map(({ _id, balance }) => ({ consultantId: _id, balance: roundAmount(balance, match.currency) }));
+};
+
+/**
+ * Reads a consultant's earnings with a breakdown per period
+ * @async
+ * @param {string} consultantId - Consultant document id
+ * @param {Object} [options]
+ * @param {string} [options.period='month'] - 'day', 'week', 'month' or 'year'
+ * @param {Date} [options.from] - Start of the range (inclusive)
+ * @param {Date} [options.to] - End of the range (exclusive)
+ * @param {string} [options.currency='usd'] - Currency to report
+ * @param {string} [options.timeZone='UTC'] - Zone the periods are cut in
+ * @returns {Promise<Object>} totals and periods for the range, and the balance not yet paid out
+ */
+const getEarnings = async (consultantId, { period = 'month', from, to, currency = 'usd', timeZone = 'UTC' } = {}) => {
+  const consultantObjectId = new mongoose.Types.ObjectId(consultantId);
+  const match = { consultantId: consultantObjectId, currency };
+  if (from || to) {
+    match.occurredAt = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+  }
+
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$occurredAt', timezone: timeZone } },
+          account: '$account',
+          kind: '$kind'
+        },
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' }
+      }
+    }
+  ]);
+  const [balance] = await consultantBalances({ consultantId: consultantObjectId, currency });
+
+  return {
+    currency,
+    period,
+    ...summarizeLedger(rows.map(({ _id, debit, credit }) => ({ ..._id, debit, credit })), currency),
+    balance: balance ? balance.balance : 0
+  };
+};
+
+/**
+ * Pays out every positive consultant balance in one batch
+ * @async
+ * @param {Object} params
+ * @param {Object} params.actor - Admin creating the batch
+ * @param {string} [params.currency='usd'] - Currency of the balances to pay
+ * @param {string[]} [params.consultantIds] - Only pay these consultants
+ * @param {number} [params.minimumAmount=0] - Skip balances below this amount
+ * @param {string} [params.note] - Reference stored on the batch
+ * @returns {Promise<Object>} The payout batch
+ * @throws {LedgerError} If there is nothing to pay out
+ */
+const createPayoutBatch = ({ actor, currency = 'usd', consultantIds, minimumAmount = 0, note }) =>
+  withTransaction(async (session) => {
+    const match = {
+      currency,
+      ...(consultantIds && { consultantId: { $in: consultantIds.map(id => new mongoose.Types.ObjectId(id)) } })
+    };
+    const due = (await consultantBalances(match, session))
+      .filter(({ balance }) => balance > 0 && balance >= minimumAmount);
+    if (due.length === 0) {
+      throw new LedgerError('There are no balances to pay out');
+    }
+
+    // Concurrent payouts for the same consultants conflict here and retry on fresh balances
+    await Consultant.updateMany(
+      { _id: { $in: due.map(({ consultantId }) => consultantId) } },
+      { $inc: { payoutLockVersion: 1 } },
+      { session }
+    );
+
+    const items = due.map(({ consultantId, balance }) => ({ consultantId, amount: balance }));
+    const [batch] = await PayoutBatch.create([{
+      createdBy: actor._id,
+      currency,
+      items,
+      total: roundAmount(items.reduce((sum, item) => sum + item.amount, 0), currency),
+      note
+    }], { session });
+
+    for (const { consultantId, amount } of items) {
+      await postJournal(`payout:${batch._id}:${consultantId}`, [
+        { account: ACCOUNTS.CONSULTANT, debit: amount },
+        { account: ACCOUNTS.CASH, credit: amount }
+      ], { kind: 'payout', consultantId, payoutBatchId: batch._id, currency }, session);
+    }
+    return batch;
+  });
+
+/**
+ * Keeps the ledger in step with bookings and payments
+ */
+const registerLedgerListeners = () => {
+  const logError = (error) => console.error('Error posting to the ledger:', error);
+
+  bookingEvents.on(EVENTS.COMPLETED, ({ booking }) => recordEarning(booking._id).catch(logError));
+  bookingEvents.on(EVENTS.PAID, ({ booking }) => recordEarning(booking._id).catch(logError));
+  bookingEvents.on(EVENTS.REFUNDED, ({ payment, refund }) => recordRefund(payment._id, refund._id).catch(logError));
+};
+
+module.exports = {
+  ACCOUNTS,
+  PERIOD_FORMATS,
+  LedgerError,
+  commissionPercent,
+  splitAmount,
+  recordEarning,
+  recordRefund,
+  summarizeLedger,
+  getEarnings,
+  createPayoutBatch,
+  registerLedgerListeners
+};
@@ -0,0 +1,373 @@
+/**
+ * Message Service
+ * Conversations between a client and a consultant, about a booking or
+ * direct. Only the two participants can read and post in a conversation;
+ * admins can read any conversation but not post, and their reading does not
+ * mark messages read. New messages and read receipts are streamed to the
+ * participants' open pages.
+ *
+ * @module services/messageService
+ * @requires models/Conversation
+ * @requires models/Message
+ * @requires models/Booking
+ * @requires models/Consultant
+ * @requires services/bookingLifecycle
+ * @requires services/realtimeService
+ *
+ * Related Files:
+ * - controllers/messageController.js - /api/conversations endpoints
+ * - config/uploadConfig.js - Attachment uploads
+ */
+
+const path = require('path');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const { resolveActorRole, resolveParticipantUserIds } = require('./bookingLifecycle');
+const { publishToUser } = require('./realtimeService');
+
+const MAX_BODY_LENGTH = 5000;
+const PREVIEW_LENGTH = 140;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Raised when a conversation cannot be opened, read or posted in
+ * @class
+ * @extends Error
+ */
+class MessageError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=400] - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MessageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Determines how a user relates to a conversation
+ * @param {Object} conversation - Conversation document
+ * @param {Object} user - Authenticated user
+ * @returns {string|null} 'client', 'consultant', 'admin' or null for outsiders
+ */
+const conversationRole = (conversation, user) => {
+  if (!user) return null;
+  if (conversation.clientUserId.equals(user._id)) return 'client';
+  if (conversation.consultantUserId.equals(user._id)) return 'consultant';
+  return user.role === 'admin' ? 'admin' : null;
+};
+
+/**
+ * Fields of a message sent to browsers; attachment paths stay on the server
+ * @param {Object} message - Message document
+ * @returns {Object}
+ */
+const serializeMessage = (message) => ({
+  _id: message._id,
+  conversationId: message.conversationId,
+  senderId: message.senderId,
+  senderRole: message.senderRole,
+  body: message.body,
+  attachments: message.attachments.map(({ _id, originalName, mimeType, size }) => ({
+    _id, originalName, mimeType, size
+  })),
+  readAt: message.readAt,
+  createdAt: message.createdAt
+});
+
+/**
+ * Follows a booking back through its reschedules to the booking first made
+ * @async
+ * @param {Object} booking - Booking document (with rescheduledFrom)
+ * @returns {Promise<Object>} Id of the original booking
+ */
+const originalBookingId = async (booking) => {
+  let current = booking;
+  while (current.rescheduledFrom) {
+    const previous = await Booking.findById(current.rescheduledFrom).select('rescheduledFrom');
+    if (!previous) break;
+    current = previous;
+  }
+  return current._id;
+};
+
+const findOrCreateConversation = (keys) => {
+  const { clientUserId, consultantUserId, bookingId } = keys;
+  return Conversation.findOneAndUpdate(
+    { clientUserId, consultantUserId, bookingId },
+    { $setOnInsert: keys },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Opens the thread of a booking, creating it on first use
+ * @async
+ * @param {Object} user - Participant of the booking, or an admin
+ * @param {string} bookingId - Booking id
+ * @returns {Promise<Object>} The conversation
+ * @throws {MessageError} If the booking does not exist or the user is not a participant
+ */
+const openBookingConversation = async (user, bookingId) => {
+  const booking = await Booking.findById(bookingId).select('clientId consultantId rescheduledFrom');
+  if (!booking) {
+    throw new MessageError('Booking not found', 404);
+  }
+  if (!(await resolveActorRole(booking, user))) {
+    throw new MessageError('You are not a participant of this booking', 403);
+  }
+
+  const [{ clientUserId, consultantUserId }, threadBookingId] = await Promise.all([
+    resolveParticipantUserIds(booking),
+    originalBookingId(booking)
+  ]);
+  if (!consultantUserId) {
+    throw new MessageError('The consultant of this booking cannot receive messages', 409);
+  }
+
+  return findOrCreateConversation({
+    clientUserId,
+    consultantUserId,
+    consultantId: booking.consultantId,
+    bookingId: threadBookingId
+  });
+};
+
+/**
+ * Opens the direct conversation of a client with a consultant, creating it on first use
+ * @async
+ * @param {Object} user - Client starting the conversation
+ * @param {string} consultantId - Consultant document id
+ * @returns {Promise<Object>} The conversation
+ * @throws {MessageError} If the consultant does not exist or is the user
+ */
+const openDirectConversation = async (user, consultantId) => {
+  const consultant = await Consultant.findById(consultantId).select('userId');
+  if (!consultant || !consultant.userId) {
+    throw new MessageError('Consultant not found', 404);
+  }
+  if (consultant.userId.equals(user._id)) {
+    throw new MessageError('You cannot message yourself');
+  }
+
+  return findOrCreateConversation({
+    clientUserId: user._id,
+    consultantUserId: consultant.userId,
+    consultantId: consultant._id,
+    bookingId: null
+  });
+};
+
+/**
+ * Loads a conversation the user may read
+ * @async
+ * @param {Object} user - Authenticated user
+ * @param {string} conversationId - Conversation id
+ * @returns {Promise<{conversation: Object, role: string}>}
+ * @throws {MessageError} If it does not exist or the user may not read it
+ */
+const getConversation = async (user, conversationId) => {
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation) {
+    throw new MessageError('Conversation not found', 404);
+  }
+  const role = conversationRole(conversation, user);
+  if (!role) {
+    throw new MessageError('You are not a participant of this conversation', 403);
+  }
+  return { conversation, role };
+};
+
+const unreadFilter = (conversationIds, user) => ({
+  conversationId: { $in: conversationIds },
+  senderId: { $ne: user._id },
+  readAt: null
+});
+
+/**
+ * Lists a user's conversations, most recently active first, with their unread counts
+ * @async
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} Conversations with withUser (the other participant) and unreadCount
+ */
+const listConversations = async (user) => {
+  const conversations = await Conversation.find({
+    $or: [{ clientUserId: user._id }, { consultantUserId: user._id }]
+  })
+    .sort({ lastMessageAt: -1, createdAt: -1 })
+    .populate('clientUserId consultantUserId', 'name avatar')
+    .populate('bookingId', 'date time status')
+    .lean();
+
+  const counts = await Message.aggregate([
+    { $match: unreadFilter(conversations.map(({ _id }) => _id), user) },
+    { $group: { _id: '$conversationId', count: { $sum: 1 } } }
+  ]);
+  const unread = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  return conversations.map(conversation => ({
+    ...conversation,
+    withUser: conversation.clientUserId._id.equals(user._id)
+      ? conversation.consultantUserId
+      : conversation.clientUserId,
+    unreadCount: unread.get(String(conversation._id)) || 0
+  }));
+};
+
+/**
+ * Counts the messages waiting for a user across their conversations
+ * @async
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<number>}
+ */
+const countUnread = async (user) => {
+  const conversations = await Conversation.find({
+    $or: [{ clientUserId: user._id }, { consultantUserId: user._id }]
+  }).distinct('_id');
+  return Message.countDocuments(unreadFilter(conversations, user));
+};
+
+/**
+ * Lists a page of a conversation's messages, oldest first
+ * @async
+ * @param {Object} conversation - Conversation document
+ * @param {Object} [options]
+ * @param {string} [options.before] - Only messages sent before this time (ISO string), for older pages
+ * @param {number} [options.limit=50] - Messages per page (at most 100)
+ * @returns {Promise<{messages: Object[], hasMore: boolean}>}
+ * @throws {MessageError} If before is not a date
+ */
+const listMessages = async (conversation, { before, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { conversationId: conversation._id };
+  if (before) {
+    const beforeDate = new Date(before);
+    if (Number.isNaN(beforeDate.getTime())) {
+      throw new MessageError('before must be a date');
+    }
+    query.createdAt = { $lt: beforeDate };
+  }
+
+  // One extra to know whether there are older messages
+  const messages = await Message.find(query).sort({ createdAt: -1 }).limit(pageSize + 1);
+  return {
+    messages: messages.slice(0, pageSize).reverse().map(serializeMessage),
+    hasMore: messages.length > pageSize
+  };
+};
+
+/**
+ * Marks the messages the user received in a conversation as read, and tells
+ * the sender. Admins reading a conversation mark nothing.
+ * @async
+ * @param {Object} conversation - Conversation document
+ * @param {Object} user - Authenticated user
+ * @param {string} role - User's role in the conversation
+ * @returns {Promise<number>} Number of messages marked read
+ */
+const markConversationRead = async (conversation, user, role) => {
+  if (role === 'admin') return 0;
+
+  const readAt = new Date();
+  const { modifiedCount } = await Message.updateMany(
+    unreadFilter([conversation._id], user),
+    { readAt }
+  );
+  if (modifiedCount > 0) {
+    const sender = role === 'client' ? conversation.consultantUserId : conversation.clientUserId;
+    publishToUser(sender, 'message_read', { conversationId: conversation._id, readAt });
+  }
+  return modifiedCount;
+};
+
+/**
+ * Posts a message in a conversation
+ * @async
+ * @param {Object} conversation - Conversation document
+ * @param {Object} user - Sender
+ * @param {string} role - Sender's role in the conversation
+ * @param {Object} content
+ * @param {string} [content.body] - Text of the message
+ * @param {Object[]} [content.files=[]] - Files stored by multer
+ * @returns {Promise<Object>} The message, as sent to browsers
+ * @throws {MessageError} If the sender is an admin or the message is empty or too long
+ */
+const sendMessage = async (conversation, user, role, { body, files = [] }) => {
+  if (role === 'admin') {
+    throw new MessageError('Admins can read conversations but not post in them', 403);
+  }
+  const text = String(body || '').trim();
+  if (!text && files.length === 0) {
+    throw new MessageError('A message needs text or an attachment');
+  }
+  if (text.length > MAX_BODY_LENGTH) {
+    throw new MessageError(`Messages are limited to ${MAX_BODY_LENGTH} characters`);
+  }
+
+  const message = await Message.create({
+    conversationId: conversation._id,
+    senderId: user._id,
+    senderRole: role,
+    body: text,
+    attachments: files.map(file => ({
+      filename: file.filename,
+      originalName: file.originalname,
+      path: path.relative(path.join(__dirname, '..'), file.path).replace(/\\/g, '/'),
+      mimeType: file.mimetype,
+      size: file.size
+    }))
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessagePreview = text
+    ? text.slice(0, PREVIEW_LENGTH)
+    : `Attachment: ${files[0].originalname}`;
+  await conversation.save();
+
+  const sent = serializeMessage(message);
+  // Both participants, so the sender's other tabs show it too
+  publishToUser(conversation.clientUserId, 'message', sent);
+  publishToUser(conversation.consultantUserId, 'message', sent);
+  return sent;
+};
+
+/**
+ * Finds an attachment of a conversation's message
+ * @async
+ * @param {Object} conversation - Conversation document
+ * @param {string} messageId - Message id
+ * @param {string} attachmentId - Attachment id
+ * @returns {Promise<{filePath: string, originalName: string}>} Absolute path of the stored file
+ * @throws {MessageError} If there is no such attachment in the conversation
+ */
+const getAttachment = async (conversation, messageId, attachmentId) => {
+  const message = await Message.findOne({ _id: messageId, conversationId: conversation._id });
+  const attachment = message && message.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new MessageError('Attachment not found', 404);
+  }
+  return {
+    filePath: path.join(__dirname, '..', attachment.path),
+    originalName: attachment.originalName
+  };
+};
+
+module.exports = {
+  MessageError,
+  conversationRole,
+  serializeMessage,
+  openBookingConversation,
+  openDirectConversation,
+  getConversation,
+  listConversations,
+  countUnread,
+  listMessages,
+  markConversationRead,
+  sendMessage,
+  getAttachment
+};
@@ -0,0 +1,251 @@
+/**
+ * Notification Service
+ * Creates in-app notifications in response to booking events. A change is
+ * announced to the booking's participants other than the user who made it.
+ * Each notification is listed in-app (and streamed to the user's open
+ * pages), pushed to the browsers the user subscribed and sent by SMS, as far
+ * as the user's preferences allow.
+ *
+ * @module services/notificationService
+ * @requires models/Notification
+ * @requires models/User
+ * @requires services/bookingEvents
+ * @requires services/bookingLifecycle
+ * @requires services/pushService
+ * @requires services/realtimeService
+ * @requires services/smsService
+ * @requires services/preferenceService
+ * @requires utils/currency
+ *
+ * Related Files:
+ * - models/Notification.js - Notification schema
+ * - controllers/notificationController.js - /api/notifications endpoints
+ * - app.js - Registers the booking event listeners at startup
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { resolveParticipantUserIds } = require('./bookingLifecycle');
+const { pushNotification } = require('./pushService');
+const { publishToUser } = require('./realtimeService');
+const { sendSms } = require('./smsService');
+const { getPreferences, wants, quietHoursEnd } = require('./preferenceService');
+const { formatAmount } = require('../utils/currency');
+
+/**
+ * Notifies a user in-app, by push and by SMS, as their preferences allow.
+ * Push and SMS are not sent during the user's quiet hours.
+ * @async
+ * @param {Object} params
+ * @param {string} params.userId - User to notify
+ * @param {string} params.type - Notification type
+ * @param {string} params.message - Notification text
+ * @param {string} [params.bookingId] - Related booking
+ * @returns {Promise<Object|null>} The in-app notification, or null if the user turned them off
+ */
+const notifyUser = async ({ userId, type, message, bookingId }) => {
+  const [preferences, user] = await Promise.all([
+    getPreferences(userId),
+    User.findById(userId).select('timeZone phoneNumber')
+  ]);
+
+  const notification = wants(preferences, type, 'inApp')
+    ? await Notification.create({ userId, type, message, bookingId })
+    : null;
+  if (notification) {
+    publishToUser(userId, 'notification', notification);
+  }
+
+  // Push and SMS are best effort: a failure is logged, not retried
+  if (!quietHoursEnd(preferences, user && user.timeZone)) {
+    if (wants(preferences, type, 'push')) {
+      pushNotification(notification || { userId, type, message, bookingId })
+        .catch(error => console.error('Error pushing notification:', error));
+    }
+    if (user && wants(preferences, type, 'sms')) {
+      sendSms(user, message).catch(error => console.error('Error sending SMS:', error));
+    }
+  }
+  return notification;
+};
+
+const describeSlot = (booking) => `${booking.date} at ${booking.time} (${booking.timeZone})`;
+
+/**
+ * Resolves the participants of a booking who did not make the change
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} [actor] - User who made the change; none for system changes
+ * @returns {Promise<{clientUserId: Object|null, consultantUserId: Object|null}>}
+ * The participants' user ids, null for the actor and for unknown participants
+ */
+const otherParticipants = async (booking, actor) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  const unlessActor = (userId) => (userId && !(actor && userId.equals(actor._id)) ? userId : null);
+  return { clientUserId: unlessActor(clientUserId), consultantUserId: unlessActor(consultantUserId) };
+};
+
+/**
+ * Tells the participants of a new booking, or of a new recurring series, about it
+ * @async
+ * @param {Object} event - booking.created payload
+ * @returns {Promise<Object[]>} The notifications
+ */
+const notifyCreated = async ({ booking, actor, series, occurrences }) => {
+  const { clientUserId, consultantUserId } = await otherParticipants(booking, actor);
+  const what = series
+    ? `recurring booking of ${occurrences} ${series.frequency} session(s) starting ${describeSlot(booking)}`
+    : `booking on ${describeSlot(booking)}`;
+
+  const notifications = [];
+  if (consultantUserId) {
+    notifications.push(notifyUser({
+      userId: consultantUserId,
+      type: 'booking',
+      message: booking.status === 'pending'
+        ? `New ${what} is waiting for your confirmation`
+        : `New ${what}`,
+      bookingId: booking._id
+    }));
+  }
+  if (clientUserId) {
+    notifications.push(notifyUser({
+      userId: clientUserId,
+      type: 'booking',
+      message: `A ${what} was made for you`,
+      bookingId: booking._id
+    }));
+  }
+  return Promise.all(notifications);
+};
+
+/**
+ * Tells the client that the consultant confirmed their booking
+ * @async
+ * @param {Object} event - booking.confirmed payload
+ * @returns {Promise<Object|null>} The notification, or null if nobody needs one
+ */
+const notifyConfirmed = async ({ booking, actor }) => {
+  const { clientUserId } = await otherParticipants(booking, actor);
+  if (!clientUserId) return null;
+
+  return notifyUser({
+    userId: clientUserId,
+    type: 'booking',
+    message: `Your booking on ${describeSlot(booking)} was confirmed`,
+    bookingId: booking._id
+  });
+};
+
+/**
+ * Tells the other participants that a booking was cancelled, and the client
+ * what refund is due under the consultant's policy
+ * @async
+ * @param {Object} event - booking.cancelled payload
+ * @returns {Promise<Object[]>} The notifications
+ */
+const notifyCancelled = async ({ booking, actor, reason }) => {
+  const { clientUserId, consultantUserId } = await otherParticipants(booking, actor);
+  const message = `Your booking on ${describeSlot(booking)} was cancelled` + (reason ? `: ${reason}` : '');
+  const { refundAmount } = booking.cancellation || {};
+  const refund = refundAmount > 0 && booking.price && booking.price.currency
+    ? `. A refund of ${formatAmount(refundAmount, booking.price.currency)} is due.`
+    : '';
+
+  return Promise.all([
+    consultantUserId && notifyUser({ userId: consultantUserId, type: 'cancellation', message, bookingId: booking._id }),
+    clientUserId && notifyUser({ userId: clientUserId, type: 'cancellation', message: message + refund, bookingId: booking._id })
+  ].filter(Boolean));
+};
+
+/**
+ * Tells the participant who did not make the change that a booking was moved
+ * @async
+ * @param {Object} event - booking.rescheduled payload
+ * @returns {Promise<Object|null>} The notification, or null if nobody needs one
+ */
+const notifyRescheduled = async ({ booking, previous, role, reason }) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  // An admin's change concerns both parties; notify the client in that case
+  const userId = role === 'client' ? consultantUserId : clientUserId;
+  if (!userId) return null;
+
+  const message = `Your booking on ${previous.date} at ${previous.time} was moved to ${booking.date} at ${booking.time}`
+    + ` (${booking.timeZone})` + (reason ? `: ${reason}` : '');
+
+  return notifyUser({ userId, type: 'reschedule', message, bookingId: booking._id });
+};
+
+/**
+ * Reminds a participant of an upcoming session
+ * @async
+ * @param {Object} booking - Confirmed booking
+ * @param {string} userId - Participant to remind
+ * @param {string} startsIn - How soon the session starts, e.g. "24 hours"
+ * @returns {Promise<Object>} The notification
+ */
+const notifyReminder = (booking, userId, startsIn) => notifyUser({
+  userId,
+  type: 'reminder',
+  message: `Reminder: your booking on ${describeSlot(booking)} starts in ${startsIn}`,
+  bookingId: booking._id
+});
+
+/**
+ * Confirms a payment to the client and tells the consultant the booking is paid
+ * @async
+ * @param {Object} event - booking.paid payload
+ * @returns {Promise<Object[]>} The notifications
+ */
+const notifyPaid = async ({ booking, payment }) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  const amount = formatAmount(payment.amount, payment.currency);
+
+  return Promise.all([
+    clientUserId && notifyUser({
+      userId: clientUserId,
+      type: 'payment',
+      message: `Payment of ${amount} received for your booking on ${describeSlot(booking)}`
+        + (booking.status === 'confirmed' ? '. Your booking is confirmed.' : ''),
+      bookingId: booking._id
+    }),
+    consultantUserId && notifyUser({
+      userId: consultantUserId,
+      type: 'payment',
+      message: `Your booking on ${describeSlot(booking)} was paid (${amount})`,
+      bookingId: booking._id
+    })
+  ].filter(Boolean));
+};
+
+/**
+ * Wraps a listener so that a failing notification never affects the request
+ * @param {Function} listener - async event handler
+ * @returns {Function}
+ */
+const safely = (listener) => (event) => {
+  listener(event).catch(error => console.error('Error sending notification:', error));
+};
+
+/**
+ * Subscribes the notification handlers to booking events
+ */
+const registerNotificationListeners = () => {
+  bookingEvents.on(EVENTS.CREATED, safely(notifyCreated));
+  bookingEvents.on(EVENTS.CONFIRMED, safely(notifyConfirmed));
+  bookingEvents.on(EVENTS.CANCELLED, safely(notifyCancelled));
+  bookingEvents.on(EVENTS.RESCHEDULED, safely(notifyRescheduled));
+  bookingEvents.on(EVENTS.PAID, safely(notifyPaid));
+};
+
+module.exports = {
+  notifyUser,
+  notifyCreated,
+  notifyConfirmed,
+  notifyCancelled,
+  notifyRescheduled,
+  notifyReminder,
+  notifyPaid,
+  registerNotificationListeners
+};
@@ -0,0 +1,335 @@
+/**
+ * Package Service
+ * Sells prepaid session packages and manages their credits. Buying a package
+ * charges the client once; each booking made with it draws one credit inside
+ * the booking's transaction instead of charging, so a balance never goes
+ * below zero under concurrent bookings.
+ *
+ * Rules:
+ * - Credits can be used until the purchase expires (validityDays after payment).
+ * - A session cancelled with a full refund under the consultant's policy gives
+ *   its credit back; otherwise the credit is used.
+ * - Unused credits are refunded at the per-session price paid, if the package
+ *   allows it, before expiry and within its refund window. Admins may refund
+ *   outside the window.
+ *
+ * @module services/packageService
+ * @requires models/Package
+ * @requires models/Service
+ * @requires models/PackagePurchase
+ * @requires models/Payment
+ * @requires services/policyService
+ * @requires services/paymentService
+ * @requires services/bookingEvents
+ * @requires services/bookingLifecycle
+ *
+ * Related Files:
+ * - controllers/packageController.js - /api/packages endpoints
+ * - services/bookingService.js - Draws a credit when a booking is inserted
+ * - services/ledgerService.js - Earnings of sessions paid with credits
+ */
+
+const Package = require('../models/Package');
+const Service = require('../models/Service');
+const PackagePurchase = require('../models/PackagePurchase');
+const Payment = require('../models/Payment');
+const { resolveServicePrice } = require('./policyService');
+const { roundAmount } = require('../utils/currency');
+const { payForPackagePurchase, refundPayment } = require('./paymentService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { applyTransition } = require('./bookingLifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when a package cannot be bought, used or refunded
+ * @class
+ * @extends Error
+ */
+class PackageError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=409] - HTTP status to respond with
+   */
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'PackageError';
+    this.status = status;
+  }
+}
+
+/**
+ * Prices a package from the price of one session of its service
+ * @param {Object} pkg - Package document
+ * @param {number} sessionPrice - Price of a single session
+ * @param {string} currency - Currency of the session price
+ * @returns {{amount: number, perSessionAmount: number, savings: number}}
+ */
+const priceOfPackage = (pkg, sessionPrice, currency) => {
+  const fullPrice = sessionPrice * pkg.sessionCount;
+  const amount = roundAmount(fullPrice * (1 - pkg.discountPercent / 100), currency);
+  return {
+    amount,
+    perSessionAmount: roundAmount(amount / pkg.sessionCount, currency),
+    savings: roundAmount(fullPrice - amount, currency)
+  };
+};
+
+/**
+ * Creates a package for one of a consultant's services
+ * @async
+ * @param {Object} consultant - Consultant document selling the package
+ * @param {Object} data - Package fields (serviceId, name, description, sessionCount,
+ * discountPercent, validityDays, refundUnusedCredits, refundWindowDays)
+ * @param {Object} actor - User creating the package
+ * @returns {Promise<Object>} The package
+ * @throws {PackageError} If the service is not the consultant's
+ */
+const createPackage = async (consultant, data, actor) => {
+  // Services are stored either in their own collection (keyed by the consultant
+  // profile or its user) or embedded in the consultant
+  const owned = consultant.services.id(data.serviceId) || await Service.exists({
+    _id: data.serviceId,
+    consultantId: { $in: [consultant._id, consultant.userId] }
+  });
+  if (!owned) {
+    throw new PackageError('Packages can only be sold for the consultant\'s own services', 404);
+  }
+
+  return Package.create({
+    consultantId: consultant._id,
+    serviceId: data.serviceId,
+    name: data.name,
+    description: data.description,
+    sessionCount: data.sessionCount,
+    discountPercent: data.discountPercent,
+    validityDays: data.validityDays,
+    refundUnusedCredits: data.refundUnusedCredits,
+    refundWindowDays: data.refundWindowDays,
+    createdBy: actor._id
+  });
+};
+
+/**
+ * Adds the current price to a package for display
+ * @async
+ * @param {Object} pkg - Package document
+ * @returns {Promise<Object>} The package as JSON with price { amount, perSessionAmount, savings, currency }
+ */
+const quotePackage = async (pkg) => {
+  const { amount, currency } = await resolveServicePrice(pkg.consultantId, pkg.serviceId);
+  return { ...pkg.toJSON(), price: { ...priceOfPackage(pkg, amount, currency), currency } };
+};
+
+/**
+ * Buys a package for a client and charges it. Credits become usable once the
+ * payment succeeds (right away, or when the provider's webhook arrives).
+ * @async
+ * @param {Object} pkg - Package document
+ * @param {Object} params
+ * @param {string} params.paymentMethodId - Provider's payment method reference
+ * @param {Object} params.actor - Client buying the package
+ * @returns {Promise<{purchase: Object, payment: Object, clientSecret: string}>}
+ * @throws {PackageError} If the package is no longer sold or has no price
+ */
+const purchasePackage = async (pkg, { paymentMethodId, actor }) => {
+  if (!pkg.active) {
+    throw new PackageError('This package is no longer available');
+  }
+  const { amount: sessionPrice, currency } = await resolveServicePrice(pkg.consultantId, pkg.serviceId);
+  const { amount, perSessionAmount } = priceOfPackage(pkg, sessionPrice, currency);
+  if (!(amount > 0)) {
+    throw new PackageError('This package has no price', 400);
+  }
+
+  const purchase = await PackagePurchase.create({
+    packageId: pkg._id,
+    clientId: actor._id,
+    consultantId: pkg.consultantId,
+    serviceId: pkg.serviceId,
+    amount,
+    currency,
+    perSessionAmount,
+    sessionCount: pkg.sessionCount,
+    creditsRemaining: pkg.sessionCount,
+    validityDays: pkg.validityDays,
+    refundUnusedCredits: pkg.refundUnusedCredits,
+    refundWindowDays: pkg.refundWindowDays
+  });
+
+  const { payment, clientSecret } = await payForPackagePurchase(purchase, { paymentMethodId, actor });
+  return { purchase: await PackagePurchase.findById(purchase._id), payment, clientSecret };
+};
+
+/**
+ * Marks purchases whose credits can no longer be used as expired
+ * @async
+ * @param {Object} filter - Extra filter, e.g. { clientId }
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<void>}
+ */
+const expirePurchases = async (filter, now = new Date()) => {
+  await PackagePurchase.updateMany(
+    { ...filter, status: 'active', expiresAt: { $lte: now } },
+    { status: 'expired' }
+  );
+};
+
+/**
+ * Pays for a booking being inserted with one credit of a package purchase.
+ * The booking takes the per-session price as its price and is paid and
+ * confirmed. Must run inside the booking's transaction.
+ * @async
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @param {Object} booking - Unsaved booking
+ * @param {string} purchaseId - Package purchase to draw from
+ * @param {string} ownerId - User booking; must own the purchase
+ * @throws {PackageError} If the purchase has no usable credit for this service
+ */
+const drawCredit = async (session, booking, purchaseId, ownerId) => {
+  const now = new Date();
+  const purchase = await PackagePurchase.findOneAndUpdate(
+    {
+      _id: purchaseId,
+      clientId: ownerId,
+      consultantId: booking.consultantId,
+      serviceId: booking.serviceId,
+      status: 'active',
+      expiresAt: { $gt: now },
+      creditsRemaining: { $gt: 0 }
+    },
+    { $inc: { creditsRemaining: -1 } },
+    { new: true, session }
+  );
+  if (!purchase) {
+    throw new PackageError('This package has no credit left for this service', 422);
+  }
+
+  booking.packagePurchaseId = purchase._id;
+  booking.price = { amount: purchase.perSessionAmount, currency: purchase.currency };
+  booking.paymentStatus = 'paid';
+  if (booking.status === 'pending') {
+    applyTransition(booking, 'confirmed', { role: 'system', reason: 'Paid with a package credit' });
+  }
+};
+
+/**
+ * Gives a cancelled session's credit back to its package when the
+ * cancellation was fully refundable. Safe to call more than once.
+ * @async
+ * @param {Object} booking - Cancelled booking
+ * @returns {Promise<boolean>} Whether a credit was returned
+ */
+const returnCredit = async (booking) => {
+  if (!booking.packagePurchaseId || !booking.cancellation || booking.cancellation.refundPercent !== 100) {
+    return false;
+  }
+
+  const claimed = await booking.constructor.updateOne(
+    { _id: booking._id, 'cancellation.creditReturned': { $ne: true } },
+    { $set: { 'cancellation.creditReturned': true } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  await PackagePurchase.updateOne(
+    { _id: booking.packagePurchaseId, status: { $in: ['active', 'expired'] } },
+    { $inc: { creditsRemaining: 1 } }
+  );
+  return true;
+};
+
+/**
+ * Checks the package's refund rules for the unused credits of a purchase
+ * @param {Object} purchase - PackagePurchase document
+ * @param {Object} [options]
+ * @param {boolean} [options.override=false] - Skip the refund window (admins)
+ * @param {Date} [options.now=new Date()] - Time of the request
+ * @throws {PackageError} If the credits cannot be refunded
+ */
+const assertRefundable = (purchase, { override = false, now = new Date() } = {}) => {
+  if (purchase.status !== 'active' || (purchase.expiresAt && purchase.expiresAt <= now)) {
+    throw new PackageError('Only credits of an active, unexpired package can be refunded');
+  }
+  if (purchase.creditsRemaining === 0) {
+    throw new PackageError('This package has no unused credits');
+  }
+  if (override) return;
+  if (!purchase.refundUnusedCredits) {
+    throw new PackageError('Unused credits of this package are not refundable', 422);
+  }
+  if (purchase.refundWindowDays != null
+    && now.getTime() - purchase.activatedAt.getTime() > purchase.refundWindowDays * DAY) {
+    throw new PackageError(
+      `Unused credits can only be refunded within ${purchase.refundWindowDays} day(s) of purchase`,
+      422
+    );
+  }
+};
+
+/**
+ * Refunds the unused credits of a purchase at the per-session price paid and closes it
+ * @async
+ * @param {Object} purchase - PackagePurchase document
+ * @param {Object} params
+ * @param {Object} params.actor - User asking for the refund
+ * @param {string} [params.reason] - Reason stored on the refund
+ * @returns {Promise<{purchase: Object, refund: Object}>}
+ * @throws {PackageError} If the package's rules do not allow it
+ */
+const refundUnusedCredits = async (purchase, { actor, reason }) => {
+  assertRefundable(purchase, { override: actor.role === 'admin' });
+
+  // Take the credits out first so they cannot be booked while the refund is issued
+  const credits = purchase.creditsRemaining;
+  const closed = await PackagePurchase.findOneAndUpdate(
+    { _id: purchase._id, status: 'active', creditsRemaining: credits },
+    { status: 'refunded', creditsRemaining: 0, refundedCredits: credits },
+    { new: true }
+  );
+  if (!closed) {
+    throw new PackageError('The package changed while refunding; please try again');
+  }
+
+  const payment = await Payment.findById(purchase.paymentId);
+  const amount = Math.min(
+    roundAmount(credits * purchase.perSessionAmount, payment.currency),
+    roundAmount(payment.amount - payment.refundedAmount, payment.currency)
+  );
+  try {
+    const { refund } = await refundPayment(payment, {
+      amount,
+      reason: reason || `${credits} unused package credit(s)`,
+      actor
+    });
+    return { purchase: closed, refund };
+  } catch (error) {
+    await PackagePurchase.updateOne(
+      { _id: purchase._id },
+      { status: 'active', creditsRemaining: credits, refundedCredits: 0 }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Returns credits of sessions cancelled with a full refund
+ */
+const registerPackageListeners = () => {
+  bookingEvents.on(EVENTS.CANCELLED, ({ booking }) => {
+    returnCredit(booking).catch(error => console.error('Error returning package credit:', error));
+  });
+};
+
+module.exports = {
+  PackageError,
+  priceOfPackage,
+  createPackage,
+  quotePackage,
+  purchasePackage,
+  expirePurchases,
+  drawCredit,
+  returnCredit,
+  assertRefundable,
+  refundUnusedCredits,
+  registerPackageListeners
+};
@@ -0,0 +1,21 @@
+/**
+ * Payment Provider Errors
+ * Errors shared by every provider implementation.
+ *
+ * @module services/paymentProviders/errors
+ */
+
+/**
+ * Raised when a webhook's signature does not match its body
+ * @class
+ * @extends Error
+ */
+class WebhookSignatureError extends Error {
+  constructor(message = 'Invalid webhook signature') {
+    super(message);
+    this.name = 'WebhookSignatureError';
+    this.status = 400;
+  }
+}
+
+module.exports = { WebhookSignatureError };
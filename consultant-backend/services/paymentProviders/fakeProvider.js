@@ -0,0 +1,117 @@
+/**
+ * Fake Payment Provider
+ * In-memory provider for development and tests. Charges succeed unless the
+ * payment method is one of the test methods below; nothing leaves the process.
+ * Webhooks are signed with an HMAC-SHA256 of the raw body, which
+ * signWebhookPayload produces for local testing.
+ *
+ * @module services/paymentProviders/fakeProvider
+ *
+ * Related Files:
+ * - services/paymentProviders/index.js - Provider interface and selection
+ * - services/webhookService.js - Processes the events this provider emits
+ */
+
+const crypto = require('crypto');
+const { WebhookSignatureError } = require('./errors');
+
+// Payment methods that simulate failures, in the spirit of card processors' test cards
+const TEST_METHODS = {
+  pm_card_declined: 'Your card was declined',
+  pm_card_insufficient_funds: 'Your card has insufficient funds'
+};
+// Payment method whose charges stay processing until a webhook settles them
+const ASYNC_METHOD = 'pm_async';
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed'
+};
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const webhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_fake';
+
+/**
+ * Signs a webhook body the way the fake provider expects
+ * @param {string|Buffer} rawBody - Exact request body
+ * @param {string} [secret] - Webhook secret; defaults to PAYMENT_WEBHOOK_SECRET
+ * @returns {string} Value of the signature header
+ */
+const signWebhookPayload = (rawBody, secret = webhookSecret()) =>
+  `v1=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+/**
+ * Creates a fake provider with its own in-memory store
+ * @returns {Object} Payment provider
+ */
+const createFakeProvider = () => {
+  const intents = new Map();
+
+  return {
+    name: 'fake',
+
+    async createPaymentIntent({ amount, currency, paymentMethodId, metadata = {} }) {
+      const failureReason = TEST_METHODS[paymentMethodId];
+      const intent = {
+        id: newId('pi_fake'),
+        amount,
+        currency,
+        metadata,
+        status: failureReason ? 'failed' : paymentMethodId === ASYNC_METHOD ? 'processing' : 'succeeded',
+        failureReason,
+        clientSecret: newId('secret_fake'),
+        refunded: 0
+      };
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async refund({ paymentIntentId, amount, reason }) {
+      const intent = intents.get(paymentIntentId);
+      if (!intent || intent.status !== 'succeeded') {
+        throw new Error(`No successful payment ${paymentIntentId} to refund`);
+      }
+      const refundAmount = amount == null ? intent.amount - intent.refunded : amount;
+      if (refundAmount <= 0 || intent.refunded + refundAmount > intent.amount) {
+        throw new Error('Refund exceeds the amount left on the payment');
+      }
+
+      intent.refunded += refundAmount;
+      return { id: newId('re_fake'), amount: refundAmount, reason, status: 'succeeded' };
+    },
+
+    signatureHeader: SIGNATURE_HEADER,
+
+    constructWebhookEvent(rawBody, signature) {
+      const expected = Buffer.from(signWebhookPayload(rawBody));
+      const received = Buffer.from(String(signature || ''));
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new WebhookSignatureError();
+      }
+
+      const event = JSON.parse(rawBody.toString());
+      const object = (event.data && event.data.object) || {};
+      const intent = intents.get(object.id);
+      // Settle the in-memory intent so later refunds see it as paid
+      if (intent && EVENT_TYPES[event.type] === 'payment.succeeded') intent.status = 'succeeded';
+
+      return {
+        id: event.id,
+        type: EVENT_TYPES[event.type] || event.type,
+        paymentIntentId: object.id,
+        failureReason: object.last_payment_error && object.last_payment_error.message,
+        data: event
+      };
+    }
+  };
+};
+
+module.exports = {
+  TEST_METHODS,
+  ASYNC_METHOD,
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  createFakeProvider
+};
@@ -0,0 +1,61 @@
+/**
+ * Payment Providers
+ * Registry of the payment providers the platform can charge through.
+ * The active one is chosen with the PAYMENT_PROVIDER environment variable
+ * (default 'fake' outside production; see config/validateEnv). A provider is an object with:
+ *
+ *   name: string
+ *   createPaymentIntent({ amount, currency, paymentMethodId, metadata })
+ *     → Promise<{ id, status: 'processing'|'succeeded'|'failed', clientSecret, failureReason? }>
+ *   refund({ paymentIntentId, amount?, reason })
+ *     → Promise<{ id, amount, status }>
+ *   signatureHeader: string - Request header carrying the webhook signature
+ *   constructWebhookEvent(rawBody, signature)
+ *     → { id, type: 'payment.succeeded'|'payment.failed'|<other>, paymentIntentId, failureReason?, data }
+ *     throws WebhookSignatureError if the signature does not match the raw body
+ *
+ * Amounts cross this interface in minor units of their currency (cents for USD,
+ * whole yen for JPY; see utils/currency.toMinorUnits).
+ *
+ * @module services/paymentProviders
+ * @requires services/paymentProviders/fakeProvider
+ *
+ * Related Files:
+ * - services/paymentService.js - Charges bookings and issues refunds through the active provider
+ */
+
+const { createFakeProvider } = require('./fakeProvider');
+const { WebhookSignatureError } = require('./errors');
+
+const providers = new Map();
+
+/**
+ * Makes a provider available by name
+ * @param {Object} provider - Object implementing the provider interface
+ */
+const registerPaymentProvider = (provider) => {
+  ['createPaymentIntent', 'refund', 'constructWebhookEvent'].forEach((method) => {
+    if (typeof provider[method] !== 'function') {
+      throw new TypeError(`Payment provider "${provider.name}" must implement ${method}()`);
+    }
+  });
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Returns a registered provider
+ * @param {string} [name=process.env.PAYMENT_PROVIDER || 'fake'] - Provider name
+ * @returns {Object} The provider
+ * @throws {Error} If no provider is registered under that name
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+registerPaymentProvider(createFakeProvider());
+
+module.exports = { WebhookSignatureError, registerPaymentProvider, getPaymentProvider };
@@ -0,0 +1,326 @@
+/**
+ * Payment Service
+ * Charges bookings and package purchases and refunds payments through the
+ * active payment provider, keeping the Payment records and the booking's
+ * paymentStatus (or the purchase's status) in step.
+ *
+ * @module services/paymentService
+ * @requires mongoose
+ * @requires models/Payment
+ * @requires models/Booking
+ * @requires models/PackagePurchase
+ * @requires services/paymentProviders
+ * @requires services/policyService
+ * @requires services/bookingLifecycle
+ * @requires services/bookingEvents
+ * @requires utils/currency
+ *
+ * Related Files:
+ * - controllers/paymentController.js - /api/payments endpoints
+ * - services/paymentProviders/index.js - Provider interface
+ */
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const PackagePurchase = require('../models/PackagePurchase');
+const { getPaymentProvider } = require('./paymentProviders');
+const { resolveBookingPrice } = require('./policyService');
+const { applyTransition } = require('./bookingLifecycle');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { toMinorUnits, roundAmount } = require('../utils/currency');
+
+/**
+ * Raised when a payment or refund cannot be made in the current state
+ * @class
+ * @extends Error
+ */
+class PaymentError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=400] - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+// Booking payment statuses a new charge may start from
+const PAYABLE_STATUSES = ['pending', 'failed', 'refunded'];
+// Payments that have charged the client or may still do so
+const LIVE_PAYMENT_STATUSES = ['processing', 'succeeded'];
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+
+/**
+ * Activates a package purchase once its payment succeeds; credits are valid
+ * for the package's validity period from then on
+ * @async
+ * @param {Object} payment - Settled payment
+ * @param {Object} [session] - Mongoose session to save within
+ */
+const settlePackagePurchase = async (payment, session) => {
+  const purchase = await PackagePurchase.findById(payment.packagePurchaseId).session(session);
+  if (!purchase || purchase.status !== 'pending_payment') return;
+
+  if (payment.status === 'succeeded') {
+    const now = new Date();
+    purchase.status = 'active';
+    purchase.activatedAt = now;
+    purchase.expiresAt = new Date(now.getTime() + purchase.validityDays * DAY);
+  } else {
+    purchase.status = 'payment_failed';
+  }
+  await purchase.save({ session });
+};
+
+/**
+ * Records the outcome of a charge on the payment and its booking. A paid
+ * booking that is still pending is confirmed by the system; a paid package
+ * purchase is activated.
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {Object|null} booking - Booking the payment is for
+ * @param {Object} outcome
+ * @param {string} outcome.status - 'succeeded' or 'failed'
+ * @param {string} [outcome.failureReason] - Provider's reason for a failure
+ * @param {Object} [session] - Mongoose session to save within
+ * @returns {Promise<void>}
+ */
+const settlePayment = async (payment, booking, { status, failureReason }, session) => {
+  payment.status = status;
+  payment.failureReason = failureReason;
+  await payment.save({ session });
+
+  if (payment.packagePurchaseId) {
+    await settlePackagePurchase(payment, session);
+  }
+  if (!booking) return;
+  booking.paymentStatus = status === 'succeeded' ? 'paid' : 'failed';
+  if (status === 'succeeded' && booking.status === 'pending') {
+    applyTransition(booking, 'confirmed', { role: 'system', reason: 'Payment received' });
+  }
+  await booking.save({ session });
+};
+
+/**
+ * Charges the client for a booking at the price stored on it
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} params
+ * @param {string} params.paymentMethodId - Provider's payment method reference
+ * @param {Object} params.actor - Paying user
+ * @returns {Promise<{payment: Object, clientSecret: string}>}
+ * @throws {PaymentError} If the booking is already paid or being paid, inactive or free
+ */
+const payForBooking = async (booking, { paymentMethodId, actor }) => {
+  if (booking.paymentStatus === 'paid') {
+    throw new PaymentError('This booking is already paid', 409);
+  }
+  if (!Booking.ACTIVE_STATUSES.includes(booking.status)) {
+    throw new PaymentError(`A ${booking.status} booking cannot be paid`, 409);
+  }
+
+  // Always charged in the currency the service is priced in
+  const { amount, currency } = await resolveBookingPrice(booking);
+  if (!(amount > 0)) {
+    throw new PaymentError('This booking has nothing to pay');
+  }
+
+  // Claim the booking first so concurrent calls cannot open a second charge
+  const claimed = await Booking.updateOne(
+    { _id: booking._id, paymentStatus: { $in: PAYABLE_STATUSES } },
+    { paymentStatus: 'processing' }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new PaymentError('This booking is already paid or a payment for it is in progress', 409);
+  }
+
+  const provider = getPaymentProvider();
+  let intent;
+  try {
+    if (await Payment.exists({ bookingId: booking._id, status: { $in: LIVE_PAYMENT_STATUSES } })) {
+      throw new PaymentError('This booking is already paid or a payment for it is in progress', 409);
+    }
+    intent = await provider.createPaymentIntent({
+      amount: toMinorUnits(amount, currency),
+      currency,
+      paymentMethodId,
+      metadata: {
+        bookingId: booking._id.toString(),
+        clientId: actor._id.toString(),
+        consultantId: booking.consultantId.toString()
+      }
+    });
+  } catch (error) {
+    await Booking.updateOne(
+      { _id: booking._id, paymentStatus: 'processing' },
+      { paymentStatus: booking.paymentStatus }
+    );
+    throw error;
+  }
+  booking.paymentStatus = 'processing';
+
+  const payment = await Payment.create({
+    bookingId: booking._id,
+    clientId: actor._id,
+    consultantId: booking.consultantId,
+    amount,
+    currency,
+    provider: provider.name,
+    providerPaymentId: intent.id
+  });
+
+  // Providers that settle asynchronously leave the payment processing until their webhook
+  if (intent.status !== 'processing') {
+    await settlePayment(payment, booking, intent);
+  }
+  if (payment.status === 'succeeded') {
+    bookingEvents.emit(EVENTS.PAID, { booking, payment });
+  }
+
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+/**
+ * Refunds all or part of a payment through the provider that took it
+ * @async
+ * @param {Object} payment - Payment document
+ * @param {Object} params
+ * @param {number} [params.amount] - Amount to refund; defaults to what is left on the payment
+ * @param {string} [params.reason] - Reason for the refund
+ * @param {Object} params.actor - User issuing the refund
+ * @returns {Promise<{payment: Object, refund: Object}>}
+ * @throws {PaymentError} If the payment cannot be refunded, the amount is out of range
+ * or a concurrent refund took what was left
+ */
+const refundPayment = async (payment, { amount, reason, actor }) => {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new PaymentError(`A ${payment.status} payment cannot be refunded`, 409);
+  }
+
+  const remaining = roundAmount(payment.amount - payment.refundedAmount, payment.currency);
+  const refundAmount = amount == null ? remaining : Number(amount);
+  if (!(refundAmount > 0) || refundAmount > remaining) {
+    throw new PaymentError(`Refund amount must be more than 0 and at most ${remaining}`);
+  }
+
+  // Reserve the amount first so concurrent refunds cannot exceed what was paid
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      refundedAmount: { $lte: roundAmount(payment.amount - refundAmount, payment.currency) }
+    },
+    { $inc: { refundedAmount: refundAmount } }
+  );
+  if (!reserved) {
+    throw new PaymentError('The payment changed while refunding; please try again', 409);
+  }
+
+  let refund;
+  try {
+    refund = await getPaymentProvider(payment.provider).refund({
+      paymentIntentId: payment.providerPaymentId,
+      amount: toMinorUnits(refundAmount, payment.currency),
+      reason
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+    throw error;
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  const refunded = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    { $push: { refunds: { _id: entryId, providerRefundId: refund.id, amount: refundAmount, reason, createdBy: actor._id } } },
+    { new: true }
+  );
+  refunded.status = roundAmount(refunded.refundedAmount, refunded.currency) >= refunded.amount ? 'refunded' : 'partially_refunded';
+  await refunded.save();
+
+  if (refunded.status === 'refunded' && refunded.bookingId) {
+    await Booking.updateOne({ _id: refunded.bookingId }, { paymentStatus: 'refunded' });
+  }
+  bookingEvents.emit(EVENTS.REFUNDED, { payment: refunded, refund: refunded.refunds.id(entryId) });
+
+  return {
+    payment: refunded,
+    refund: { id: refund.id, amount: refundAmount, status: refund.status }
+  };
+};
+
+/**
+ * Charges the client for a package purchase at the price stored on it.
+ * The purchase is activated as soon as the payment succeeds.
+ * @async
+ * @param {Object} purchase - PackagePurchase document awaiting payment
+ * @param {Object} params
+ * @param {string} params.paymentMethodId - Provider's payment method reference
+ * @param {Object} params.actor - Paying user
+ * @returns {Promise<{payment: Object, clientSecret: string}>}
+ * @throws {PaymentError} If the purchase is not awaiting payment or is already being paid
+ */
+const payForPackagePurchase = async (purchase, { paymentMethodId, actor }) => {
+  if (purchase.status !== 'pending_payment') {
+    throw new PaymentError(`A ${purchase.status.replace('_', ' ')} package cannot be paid`, 409);
+  }
+
+  // Claim the purchase with the id of its payment so concurrent calls cannot open a second charge
+  const paymentId = new mongoose.Types.ObjectId();
+  const claimed = await PackagePurchase.updateOne(
+    { _id: purchase._id, status: 'pending_payment', paymentId: null },
+    { paymentId }
+  );
+  if (claimed.modifiedCount === 0) {
+    throw new PaymentError('This package is already paid or a payment for it is in progress', 409);
+  }
+
+  const provider = getPaymentProvider();
+  let intent;
+  try {
+    if (await Payment.exists({ packagePurchaseId: purchase._id, status: { $in: LIVE_PAYMENT_STATUSES } })) {
+      throw new PaymentError('This package is already paid or a payment for it is in progress', 409);
+    }
+    intent = await provider.createPaymentIntent({
+      amount: toMinorUnits(purchase.amount, purchase.currency),
+      currency: purchase.currency,
+      paymentMethodId,
+      metadata: {
+        packagePurchaseId: purchase._id.toString(),
+        clientId: actor._id.toString(),
+        consultantId: purchase.consultantId.toString()
+      }
+    });
+  } catch (error) {
+    await PackagePurchase.updateOne({ _id: purchase._id, paymentId }, { $unset: { paymentId: 1 } });
+    throw error;
+  }
+  purchase.paymentId = paymentId;
+
+  const payment = await Payment.create({
+    _id: paymentId,
+    packagePurchaseId: purchase._id,
+    clientId: actor._id,
+    consultantId: purchase.consultantId,
+    amount: purchase.amount,
+    currency: purchase.currency,
+    provider: provider.name,
+    providerPaymentId: intent.id
+  });
+
+  if (intent.status !== 'processing') {
+    await settlePayment(payment, null, intent);
+  }
+  return { payment, clientSecret: intent.clientSecret };
+};
+
+module.exports = {
+  PaymentError,
+  settlePayment,
+  payForBooking,
+  payForPackagePurchase,
+  refundPayment
+};
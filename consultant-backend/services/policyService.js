@@ -0,0 +1,224 @@
+/**
+ * Policy Service
+ * Enforces the structured rules of a consultant's booking policy.
+ * The free-text policies are shown to clients; the rules here are what the
+ * booking endpoints actually check.
+ *
+ * @module services/policyService
+ * @requires models/Policy
+ * @requires models/Consultant
+ * @requires models/Service
+ * @requires utils/currency
+ *
+ * Related Files:
+ * - models/Policy.js - Policy schema
+ * - controllers/bookingController.js - POST /api/bookings/:id/reschedule
+ * - controllers/clientController.js - Cancellation quote and cancellation
+ */
+
+const Policy = require('../models/Policy');
+const Consultant = require('../models/Consultant');
+const Service = require('../models/Service');
+const { DEFAULT_CURRENCY } = require('../utils/currency');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Raised when a request breaks the consultant's policy
+ * @class
+ * @extends Error
+ */
+class PolicyViolationError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {string} rule - Name of the rule that was broken
+   */
+  constructor(message, rule) {
+    super(message);
+    this.name = 'PolicyViolationError';
+    this.status = 422;
+    this.rule = rule;
+  }
+}
+
+/**
+ * Finds the policy of a consultant. Policies are keyed either by the
+ * consultant profile or by the consultant's user account.
+ * @async
+ * @param {string} consultantId - Consultant document id
+ * @returns {Promise<Object|null>} The policy, or null if the consultant has none
+ */
+const getPolicyForConsultant = async (consultantId) => {
+  const consultant = await Consultant.findById(consultantId).select('userId');
+  const ids = [consultantId, consultant && consultant.userId].filter(Boolean);
+  return Policy.findOne({ consultantId: { $in: ids } });
+};
+
+/**
+ * Checks a reschedule request against the policy's reschedule rules
+ * @param {Object|null} policy - Consultant's policy
+ * @param {Object} booking - Booking being moved
+ * @param {Date} [now=new Date()] - Time of the request
+ * @throws {PolicyViolationError} If the notice is too short or the limit is reached
+ */
+const assertReschedulable = (policy, booking, now = new Date()) => {
+  const rules = policy && policy.rescheduleRules;
+  if (!rules) return;
+
+  const { minNoticeHours, maxReschedules } = rules;
+  if (maxReschedules != null && (booking.rescheduleCount || 0) >= maxReschedules) {
+    throw new PolicyViolationError(
+      `This booking has already been rescheduled the maximum of ${maxReschedules} time(s)`,
+      'maxReschedules'
+    );
+  }
+  if (minNoticeHours && booking.startAt.getTime() - now.getTime() < minNoticeHours * HOUR) {
+    throw new PolicyViolationError(
+      `Bookings must be rescheduled at least ${minNoticeHours} hour(s) in advance`,
+      'minNoticeHours'
+    );
+  }
+};
+
+/**
+ * Sorts cancellation tiers from the longest notice to the shortest
+ * @param {Object|null} policy - Consultant's policy
+ * @returns {Array<{minHoursBefore: number, refundPercent: number}>}
+ */
+const cancellationTiers = (policy) => ((policy && policy.cancellationRules) || [])
+  .map(({ minHoursBefore, refundPercent }) => ({ minHoursBefore, refundPercent }))
+  .sort((a, b) => b.minHoursBefore - a.minHoursBefore);
+
+/**
+ * Describes the cancellation rules in plain language for the client
+ * @param {Object|null} policy - Consultant's policy
+ * @returns {string[]} One line per tier, from the longest notice to the shortest
+ */
+const describeCancellationRules = (policy) => {
+  const tiers = cancellationTiers(policy);
+  if (tiers.length === 0) {
+    return ['Full refund whenever you cancel'];
+  }
+
+  const refund = (percent) => (percent === 100 ? 'Full refund' : percent === 0 ? 'No refund' : `${percent}% refund`);
+  const lines = tiers.map(({ minHoursBefore, refundPercent }) => (minHoursBefore === 0
+    ? `${refund(refundPercent)} when cancelled before the session starts`
+    : `${refund(refundPercent)} when cancelled at least ${minHoursBefore} hour(s) before the session`));
+
+  const shortest = tiers[tiers.length - 1].minHoursBefore;
+  if (shortest > 0) {
+    lines.push(`No refund when cancelled less than ${shortest} hour(s) before the session`);
+  }
+  return lines;
+};
+
+/**
+ * Applies the cancellation rules to a booking. Rules only bind clients:
+ * a booking cancelled by the consultant or an admin is refunded in full.
+ * @param {Object|null} policy - Consultant's policy
+ * @param {Object} booking - Booking being cancelled
+ * @param {Object} options
+ * @param {number} [options.price=0] - Price paid for the booking
+ * @param {string} options.role - Role of the user cancelling
+ * @param {Date} [options.now=new Date()] - Time of the cancellation
+ * @returns {{hoursBeforeStart: number, refundPercent: number, refundAmount: number, terms: string[]}}
+ */
+const evaluateCancellation = (policy, booking, { price = 0, role, now = new Date() }) => {
+  const hoursBeforeStart = Math.round(((booking.startAt.getTime() - now.getTime()) / HOUR) * 100) / 100;
+  const terms = describeCancellationRules(policy);
+  const tiers = cancellationTiers(policy);
+
+  let refundPercent = 100;
+  if (role === 'client' && tiers.length > 0) {
+    const tier = tiers.find(({ minHoursBefore }) => hoursBeforeStart >= minHoursBefore);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    hoursBeforeStart,
+    refundPercent,
+    refundAmount: Math.round(price * refundPercent) / 100,
+    terms
+  };
+};
+
+/**
+ * Resolves the current price of a consultant's service.
+ * Looks in the Service collection first, then in the consultant's embedded services.
+ * @async
+ * @param {string} consultantId - Consultant document id
+ * @param {string} serviceId - Service id
+ * @returns {Promise<{amount: number, currency: string}>} Amount 0 if the service is unknown
+ */
+const resolveServicePrice = async (consultantId, serviceId) => {
+  const service = await Service.findById(serviceId).select('price currency').lean();
+  if (service) {
+    return { amount: service.price, currency: service.currency || DEFAULT_CURRENCY };
+  }
+
+  const consultant = await Consultant.findById(consultantId).select('services currency');
+  const embedded = consultant && consultant.services.id(serviceId);
+  return embedded
+    ? { amount: embedded.pricePerSession, currency: embedded.currency || consultant.currency }
+    : { amount: 0, currency: (consultant && consultant.currency) || DEFAULT_CURRENCY };
+};
+
+/**
+ * Resolves the name of a consultant's service, for documents and messages.
+ * Looks in the Service collection first, then in the consultant's embedded services.
+ * @async
+ * @param {string} consultantId - Consultant document id
+ * @param {string} serviceId - Service id
+ * @param {Object} [session] - Mongoose session to read within
+ * @returns {Promise<string>} 'Consultation' if the service is unknown
+ */
+const resolveServiceName = async (consultantId, serviceId, session) => {
+  const service = await Service.findById(serviceId).select('name').session(session);
+  if (service) return service.name;
+
+  const consultant = await Consultant.findById(consultantId).select('services').session(session);
+  const embedded = consultant && consultant.services.id(serviceId);
+  return embedded ? embedded.title : 'Consultation';
+};
+
+/**
+ * Resolves the price of a booking: the snapshot taken when it was booked,
+ * or the service's current price for bookings made before snapshots existed
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<{amount: number, currency: string}>} Amount 0 if the service is unknown
+ */
+const resolveBookingPrice = async (booking) => {
+  if (booking.price && booking.price.amount != null) {
+    return { amount: booking.price.amount, currency: booking.price.currency };
+  }
+  return resolveServicePrice(booking.consultantId, booking.serviceId);
+};
+
+/**
+ * Computes what cancelling a booking now would refund, with the terms that apply
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {string} role - Role of the user cancelling
+ * @param {Date} [now=new Date()] - Time of the cancellation
+ * @returns {Promise<Object>} Result of evaluateCancellation plus the booking price and its currency
+ */
+const quoteCancellation = async (booking, role, now = new Date()) => {
+  const [policy, { amount: price, currency }] = await Promise.all([
+    getPolicyForConsultant(booking.consultantId),
+    resolveBookingPrice(booking)
+  ]);
+  return { price, currency, ...evaluateCancellation(policy, booking, { price, role, now }) };
+};
+
+module.exports = {
+  PolicyViolationError,
+  getPolicyForConsultant,
+  assertReschedulable,
+  describeCancellationRules,
+  evaluateCancellation,
+  resolveServicePrice,
+  resolveServiceName,
+  resolveBookingPrice,
+  quoteCancellation
+};
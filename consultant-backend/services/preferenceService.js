@@ -0,0 +1,208 @@
+/**
+ * Preference Service
+ * Reads and applies users' notification preferences. Every sender checks
+ * them: notificationService for in-app, push and SMS, emailService for
+ * email.
+ *
+ * - A channel that is off for a type of notification is skipped.
+ * - During quiet hours push and SMS are not sent and email waits until the
+ *   quiet hours end; in-app notifications are still listed.
+ * - With the daily digest on, email other than reminders is gathered into
+ *   one message a day.
+ *
+ * Emails carry a signed link that turns that type of email off in one click,
+ * without signing in.
+ *
+ * @module services/preferenceService
+ * @requires jsonwebtoken
+ * @requires models/NotificationPreference
+ * @requires utils/timeZone
+ *
+ * Related Files:
+ * - models/NotificationPreference.js - Preference schema and defaults
+ * - controllers/notificationPreferenceController.js - /api/notification-preferences endpoints
+ */
+
+const jwt = require('jsonwebtoken');
+const NotificationPreference = require('../models/NotificationPreference');
+const { DEFAULT_TIME_ZONE, toZonedISOString, zonedTimeToUtc } = require('../utils/timeZone');
+
+const EVENT_TYPES = ['booking', 'cancellation', 'reschedule', 'reminder', 'payment', 'waitlist'];
+const CHANNELS = ['inApp', 'email', 'push', 'sms'];
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+/**
+ * Raised when preferences cannot be changed as requested
+ * @class
+ * @extends Error
+ */
+class PreferenceError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=400] - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PreferenceError';
+    this.status = status;
+  }
+}
+
+/**
+ * Loads a user's preferences
+ * @async
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} The saved preferences, or unsaved defaults
+ */
+const getPreferences = async (userId) =>
+  (await NotificationPreference.findOne({ userId })) || new NotificationPreference({ userId });
+
+/**
+ * Changes some of a user's preferences; fields left out are kept
+ * @async
+ * @param {string} userId - User id
+ * @param {Object} changes
+ * @param {Object} [changes.types] - { [type]: { [channel]: boolean } }
+ * @param {Object} [changes.quietHours] - { enabled, start, end } with times as HH:mm
+ * @param {Object} [changes.digest] - { enabled, hour }
+ * @returns {Promise<Object>} The saved preferences
+ * @throws {PreferenceError} If a type or channel is unknown or a value has the wrong type
+ */
+const updatePreferences = async (userId, { types, quietHours, digest } = {}) => {
+  const preferences = await getPreferences(userId);
+
+  Object.entries(types || {}).forEach(([type, channels]) => {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new PreferenceError(`Unknown notification type "${type}"`);
+    }
+    Object.entries(channels || {}).forEach(([channel, enabled]) => {
+      if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+        throw new PreferenceError(`Invalid setting for ${type} notifications by ${channel}`);
+      }
+      preferences.types[type][channel] = enabled;
+    });
+  });
+
+  const assign = (target, source, fields) => fields
+    .filter(field => source && source[field] !== undefined)
+    .forEach((field) => { target[field] = source[field]; });
+  assign(preferences.quietHours, quietHours, ['enabled', 'start', 'end']);
+  assign(preferences.digest, digest, ['enabled', 'hour']);
+
+  try {
+    return await preferences.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      throw new PreferenceError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a user wants a type of notification through a channel
+ * @param {Object} preferences - User's preferences
+ * @param {string} type - Notification type
+ * @param {string} channel - One of CHANNELS
+ * @returns {boolean} true for types without a setting
+ */
+const wants = (preferences, type, channel) => {
+  const channels = preferences.types && preferences.types[type];
+  return channels ? Boolean(channels[channel]) : true;
+};
+
+const shiftDateKey = (dateKey, days) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * Tells whether an instant falls in the user's quiet hours, and when they end
+ * @param {Object} preferences - User's preferences
+ * @param {string} [timeZone] - User's IANA time zone (UTC if unknown)
+ * @param {Date} [now=new Date()] - Instant to check
+ * @returns {Date|null} End of the current quiet hours, or null outside them
+ */
+const quietHoursEnd = (preferences, timeZone, now = new Date()) => {
+  const { enabled, start, end } = preferences.quietHours || {};
+  if (!enabled || start === end) return null;
+
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  const local = toZonedISOString(now, zone);
+  const [dateKey, time] = [local.slice(0, 10), local.slice(11, 16)];
+
+  const quiet = start < end ? time >= start && time < end : time >= start || time < end;
+  if (!quiet) return null;
+  // Quiet hours spanning midnight that started this evening end tomorrow
+  return zonedTimeToUtc(time < end ? dateKey : shiftDateKey(dateKey, 1), end, zone);
+};
+
+/**
+ * Finds the latest digest time at or before an instant
+ * @param {Object} preferences - User's preferences
+ * @param {string} [timeZone] - User's IANA time zone (UTC if unknown)
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Date} Today's digest time in the user's zone, or yesterday's if it is still ahead
+ */
+const latestDigestAt = (preferences, timeZone, now = new Date()) => {
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  const time = `${String(preferences.digest.hour).padStart(2, '0')}:00`;
+  const dateKey = toZonedISOString(now, zone).slice(0, 10);
+  const today = zonedTimeToUtc(dateKey, time, zone);
+  return today <= now ? today : zonedTimeToUtc(shiftDateKey(dateKey, -1), time, zone);
+};
+
+/**
+ * Signs a link token that turns one type of email off for a user
+ * @param {string} userId - User id
+ * @param {string} type - Notification type
+ * @returns {string} Token (does not expire, so old emails keep working)
+ */
+const createUnsubscribeToken = (userId, type) =>
+  jwt.sign({ sub: String(userId), type, purpose: UNSUBSCRIBE_PURPOSE }, process.env.JWT_SECRET);
+
+/**
+ * Builds the one-click unsubscribe link put in emails
+ * @param {string} userId - Recipient
+ * @param {string} type - Notification type the email is about
+ * @returns {string} Absolute URL
+ */
+const unsubscribeUrl = (userId, type) => {
+  const base = process.env.BACKEND_URL || 'http://localhost:8000';
+  return `${base}/api/notification-preferences/unsubscribe?token=${createUnsubscribeToken(userId, type)}`;
+};
+
+/**
+ * Turns a type of email on or off for the user an unsubscribe token was issued to
+ * @async
+ * @param {string} token - Token from the link
+ * @param {boolean} enabled - false to unsubscribe, true to subscribe again
+ * @returns {Promise<{preferences: Object, type: string}>}
+ * @throws {PreferenceError} If the token is invalid
+ */
+const setEmailByToken = async (token, enabled) => {
+  let claims;
+  try {
+    claims = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw new PreferenceError('This unsubscribe link is invalid');
+  }
+  if (claims.purpose !== UNSUBSCRIBE_PURPOSE || !EVENT_TYPES.includes(claims.type)) {
+    throw new PreferenceError('This unsubscribe link is invalid');
+  }
+
+  const preferences = await updatePreferences(claims.sub, { types: { [claims.type]: { email: enabled } } });
+  return { preferences, type: claims.type };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  CHANNELS,
+  PreferenceError,
+  getPreferences,
+  updatePreferences,
+  wants,
+  quietHoursEnd,
+  latestDigestAt,
+  createUnsubscribeToken,
+  unsubscribeUrl,
+  setEmailByToken
+};
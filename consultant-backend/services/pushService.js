@@ -0,0 +1,196 @@
+/**
+ * Push Service
+ * Sends Web Push notifications to the browsers a user has subscribed, signed
+ * with the VAPID keys in VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY. Push is off
+ * when the keys are not set (generate a pair with `npx web-push
+ * generate-vapid-keys`). Subscriptions the push service reports as expired
+ * are removed.
+ *
+ * The payload is read by the service worker (consultant-frontend/src/service-worker.js):
+ * { title, body, tag, url, bookingId, type }.
+ *
+ * @module services/pushService
+ * @requires web-push
+ * @requires models/PushSubscription
+ *
+ * Related Files:
+ * - controllers/pushController.js - /api/push endpoints
+ * - services/notificationService.js - Pushes notifications the user wants by push
+ */
+
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+
+// Seconds a push service keeps a message for a device that is offline
+const TIME_TO_LIVE = 24 * 60 * 60;
+
+const TITLES = {
+  booking: 'Booking update',
+  cancellation: 'Booking cancelled',
+  reschedule: 'Booking moved',
+  waitlist: 'A slot opened up',
+  reminder: 'Upcoming session',
+  payment: 'Payment received'
+};
+
+/**
+ * Raised when a subscription cannot be saved
+ * @class
+ * @extends Error
+ */
+class PushError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=400] - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PushError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether VAPID keys are configured
+ * @returns {boolean}
+ */
+const isPushEnabled = () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY);
+
+/**
+ * Public VAPID key browsers subscribe with
+ * @returns {string|null} null when push is off
+ */
+const getPublicKey = () => (isPushEnabled() ? process.env.VAPID_PUBLIC_KEY : null);
+
+const vapidDetails = () => ({
+  subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost',
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY
+});
+
+/**
+ * Links to the appointment a notification is about
+ * @param {string} [bookingId] - Related booking
+ * @returns {string} Path in the frontend
+ */
+const appointmentPath = (bookingId) => (bookingId ? `/my-appointments?booking=${bookingId}` : '/my-appointments');
+
+/**
+ * Builds the push payload of a notification
+ * @param {Object} notification - Notification document, or its fields when it is not listed in-app
+ * @returns {Object} { title, body, tag, url, bookingId, type }
+ */
+const payloadFor = (notification) => ({
+  title: TITLES[notification.type] || 'Consultant Booking',
+  body: notification.message,
+  // Later pushes about the same booking replace earlier ones on the device
+  tag: notification.bookingId ? `booking-${notification.bookingId}` : notification._id && `notification-${notification._id}`,
+  url: appointmentPath(notification.bookingId),
+  bookingId: notification.bookingId ? String(notification.bookingId) : undefined,
+  type: notification.type
+});
+
+/**
+ * Saves a browser's subscription for a user. An endpoint already saved for
+ * another account is refused: the browser has to subscribe afresh, which
+ * gives it a new endpoint, so nobody can take over a subscription by its URL.
+ * @async
+ * @param {Object} user - Authenticated user
+ * @param {Object} subscription - PushSubscription.toJSON() from the browser
+ * @param {string} [userAgent] - Browser's user agent
+ * @returns {Promise<Object>} The saved subscription
+ * @throws {PushError} If push is off, the subscription is malformed or belongs to another user
+ */
+const saveSubscription = async (user, subscription, userAgent) => {
+  if (!isPushEnabled()) {
+    throw new PushError('Push notifications are not enabled on this server', 503);
+  }
+  const { endpoint, keys } = subscription || {};
+  if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+    throw new PushError('A subscription with an https endpoint and p256dh and auth keys is required');
+  }
+
+  try {
+    // Only the owner's subscription matches; another user's endpoint fails the upsert on the unique index
+    return await PushSubscription.findOneAndUpdate(
+      { endpoint, userId: user._id },
+      { keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new PushError('This browser is subscribed by another account; subscribe it again', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Removes one of the user's subscriptions
+ * @async
+ * @param {Object} user - Authenticated user
+ * @param {string} endpoint - Endpoint of the subscription
+ * @returns {Promise<boolean>} Whether a subscription was removed
+ */
+const removeSubscription = async (user, endpoint) => {
+  const { deletedCount } = await PushSubscription.deleteOne({ userId: user._id, endpoint });
+  return deletedCount > 0;
+};
+
+/**
+ * Pushes a message to every browser the user subscribed
+ * @async
+ * @param {string} userId - Recipient
+ * @param {Object} payload - Message read by the service worker
+ * @returns {Promise<number>} Number of browsers the message was sent to
+ */
+const pushToUser = async (userId, payload) => {
+  if (!isPushEnabled()) return 0;
+
+  const subscriptions = await PushSubscription.find({ userId });
+  const body = JSON.stringify(payload);
+  let delivered = 0;
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification(
+        { endpoint: subscription.endpoint, keys: subscription.keys },
+        body,
+        {
+          vapidDetails: vapidDetails(),
+          TTL: TIME_TO_LIVE,
+          // A message still waiting for an offline device is replaced by the next one about the booking
+          topic: payload.bookingId
+        }
+      );
+      delivered++;
+      await PushSubscription.updateOne({ _id: subscription._id }, { lastPushedAt: new Date() });
+    } catch (error) {
+      // The browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        console.error(`Error pushing to subscription ${subscription._id}:`, error.message);
+      }
+    }
+  }));
+  return delivered;
+};
+
+/**
+ * Pushes a notification to the user's browsers
+ * @async
+ * @param {Object} notification - Notification document, or its fields when it is not listed in-app
+ * @returns {Promise<number>} Number of browsers the message was sent to
+ */
+const pushNotification = (notification) => pushToUser(notification.userId, payloadFor(notification));
+
+module.exports = {
+  PushError,
+  isPushEnabled,
+  getPublicKey,
+  payloadFor,
+  saveSubscription,
+  removeSubscription,
+  pushToUser,
+  pushNotification
+};
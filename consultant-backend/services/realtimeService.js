@@ -0,0 +1,245 @@
+/**
+ * Realtime Service
+ * Streams changes to signed-in browsers over Server-Sent Events, so pages
+ * update without polling:
+ * - booking: a booking of the user changed ({ change, booking })
+ * - notification: the user got a new in-app notification
+ * - availability: a consultant's slot was taken or freed; sent to everyone
+ *   connected except the user who made the change
+ * - message / message_read: see services/messageService.js
+ *
+ * EventSource cannot send an Authorization header, so a browser first trades
+ * its JWT for a short-lived stream ticket and opens the stream with it; the
+ * long-lived token never appears in a URL.
+ *
+ * Connections are kept in memory, so an event reaches the browsers connected
+ * to the process that emitted it.
+ *
+ * @module services/realtimeService
+ * @requires jsonwebtoken
+ * @requires models/Booking
+ * @requires services/bookingEvents
+ * @requires services/bookingLifecycle
+ *
+ * Related Files:
+ * - controllers/eventController.js - /api/events endpoints
+ * - app.js - Registers the booking event listeners at startup
+ */
+
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { resolveParticipantUserIds } = require('./bookingLifecycle');
+
+const TICKET_PURPOSE = 'event-stream';
+const TICKET_TTL_SECONDS = 60;
+// Comments sent on idle streams so proxies do not close them
+const HEARTBEAT_MS = 25 * 1000;
+// How long a browser waits before reconnecting to a closed stream
+const RETRY_MS = 5 * 1000;
+
+// userId → Set of open responses
+const streams = new Map();
+let heartbeat = null;
+
+/**
+ * Issues a ticket that opens one event stream for a user
+ * @param {Object} user - Authenticated user
+ * @returns {{ticket: string, expiresIn: number}} Ticket and its lifetime in seconds
+ */
+const issueStreamTicket = (user) => ({
+  ticket: jwt.sign({ sub: String(user._id), purpose: TICKET_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: TICKET_TTL_SECONDS
+  }),
+  expiresIn: TICKET_TTL_SECONDS
+});
+
+/**
+ * Checks a stream ticket
+ * @param {string} ticket - Ticket from issueStreamTicket
+ * @returns {string|null} The user id, or null if the ticket is invalid or expired
+ */
+const verifyStreamTicket = (ticket) => {
+  try {
+    const claims = jwt.verify(String(ticket || ''), process.env.JWT_SECRET);
+    return claims.purpose === TICKET_PURPOSE ? claims.sub : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    streams.forEach(responses => responses.forEach(res => res.write(': keep-alive\n\n')));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+/**
+ * Turns a response into an event stream for a user, until the browser disconnects
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} userId - User the stream belongs to
+ */
+const openStream = (req, res, userId) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(res);
+  startHeartbeat();
+
+  req.on('close', () => {
+    const responses = streams.get(userId);
+    if (!responses) return;
+    responses.delete(res);
+    if (responses.size === 0) streams.delete(userId);
+  });
+};
+
+/**
+ * Sends an event to every stream a user has open
+ * @param {string} userId - Recipient
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @returns {number} Number of streams the event was written to
+ */
+const publishToUser = (userId, event, data) => {
+  const responses = userId && streams.get(String(userId));
+  if (!responses) return 0;
+  responses.forEach(res => write(res, event, data));
+  return responses.size;
+};
+
+/**
+ * Sends an event to every open stream
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} [options]
+ * @param {string} [options.except] - User not to send it to
+ * @returns {number} Number of streams the event was written to
+ */
+const broadcast = (event, data, { except } = {}) => {
+  let count = 0;
+  streams.forEach((responses, userId) => {
+    if (except && userId === String(except)) return;
+    responses.forEach((res) => {
+      write(res, event, data);
+      count++;
+    });
+  });
+  return count;
+};
+
+/**
+ * Fields of a booking sent to its participants
+ * @param {Object} booking - Booking document
+ * @returns {Object}
+ */
+const summarizeBooking = (booking) => ({
+  _id: booking._id,
+  status: booking.status,
+  paymentStatus: booking.paymentStatus,
+  date: booking.date,
+  time: booking.time,
+  duration: booking.duration,
+  startAt: booking.startAt,
+  endAt: booking.endAt,
+  timeZone: booking.timeZone,
+  consultantId: booking.consultantId,
+  serviceId: booking.serviceId,
+  rescheduledFrom: booking.rescheduledFrom
+});
+
+/**
+ * Tells both participants of a booking about a change
+ * @async
+ * @param {string} change - created, confirmed, cancelled, rescheduled, paid, ...
+ * @param {Object} booking - Booking document
+ * @returns {Promise<void>}
+ */
+const publishBookingChange = async (change, booking) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  const data = { change, booking: summarizeBooking(booking) };
+  publishToUser(clientUserId, 'booking', data);
+  publishToUser(consultantUserId, 'booking', data);
+};
+
+/**
+ * Tells everyone that a consultant's slot was taken or freed
+ * @param {string} change - 'taken' or 'freed'
+ * @param {Object} booking - Booking holding the slot; for 'freed' the slot may also be given explicitly
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - User who made the change; they already know
+ * @param {Object} [options.slot] - { date, time, startAt } when different from the booking's
+ */
+const publishAvailabilityChange = (change, booking, { actor, slot } = {}) => {
+  const { date, time, startAt } = slot || booking;
+  broadcast('availability', {
+    change,
+    consultantId: booking.consultantId,
+    serviceId: booking.serviceId,
+    date,
+    time,
+    startAt
+  }, { except: actor && actor._id });
+};
+
+/**
+ * Wraps a listener so that a failing stream never affects the request
+ * @param {Function} listener - async event handler
+ * @returns {Function}
+ */
+const safely = (listener) => (event) => {
+  Promise.resolve()
+    .then(() => listener(event))
+    .catch(error => console.error('Error publishing realtime update:', error));
+};
+
+/**
+ * Subscribes the stream publishers to booking events
+ */
+const registerRealtimeListeners = () => {
+  bookingEvents.on(EVENTS.CREATED, safely(async ({ booking, actor }) => {
+    publishAvailabilityChange('taken', booking, { actor });
+    await publishBookingChange('created', booking);
+  }));
+  // Confirmations, declines, completions and no-shows
+  bookingEvents.on(EVENTS.STATUS_CHANGED, safely(async ({ booking, to, actor }) => {
+    if (!Booking.ACTIVE_STATUSES.includes(to) && booking.startAt > new Date()) {
+      publishAvailabilityChange('freed', booking, { actor });
+    }
+    await publishBookingChange(to, booking);
+  }));
+  bookingEvents.on(EVENTS.CANCELLED, safely(async ({ booking, actor }) => {
+    publishAvailabilityChange('freed', booking, { actor });
+    await publishBookingChange('cancelled', booking);
+  }));
+  bookingEvents.on(EVENTS.RESCHEDULED, safely(async ({ booking, previous, actor }) => {
+    publishAvailabilityChange('freed', booking, { actor, slot: previous });
+    publishAvailabilityChange('taken', booking, { actor });
+    await publishBookingChange('rescheduled', booking);
+  }));
+  bookingEvents.on(EVENTS.PAID, safely(({ booking }) => publishBookingChange('paid', booking)));
+};
+
+module.exports = {
+  issueStreamTicket,
+  verifyStreamTicket,
+  openStream,
+  publishToUser,
+  broadcast,
+  summarizeBooking,
+  registerRealtimeListeners
+};
@@ -0,0 +1,183 @@
+/**
+ * Reminder Service
+ * Reminds both participants of confirmed bookings ahead of the session, at
+ * the offsets set in REMINDER_OFFSETS (default "24h,1h"), through the channels
+ * each of them chose for reminders in their notification preferences.
+ *
+ * Each offset is claimed on the booking (remindersSent) before anything is
+ * sent, so a restart or a second scheduler never repeats a reminder. When
+ * several offsets are due at once, e.g. after downtime or for a booking made
+ * at short notice, only the closest one is sent, worded with the time actually
+ * left. Offsets that fell before the booking was made are skipped.
+ *
+ * @module services/reminderService
+ * @requires models/Booking
+ * @requires services/bookingLifecycle
+ * @requires services/notificationService
+ * @requires services/emailService
+ *
+ * Related Files:
+ * - models/Booking.js - remindersSent
+ * - models/NotificationPreference.js - Channels reminders are sent through
+ * - app.js - Starts the reminder scheduler
+ */
+
+const Booking = require('../models/Booking');
+const { resolveParticipantUserIds } = require('./bookingLifecycle');
+const { notifyReminder } = require('./notificationService');
+const { emailParticipants } = require('./emailService');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_OFFSETS = '24h,1h';
+const SCHEDULER_INTERVAL_MS = MINUTE;
+const UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+/**
+ * Parses reminder offsets such as "24h,1h,30m" or "2d"
+ * @param {string} spec - Comma-separated offsets with a unit (m, h or d)
+ * @returns {number[]} Offsets in minutes, largest first, without duplicates
+ * @throws {Error} If an offset is malformed
+ */
+const parseOffsets = (spec) => {
+  const offsets = String(spec).split(',').map(part => part.trim()).filter(Boolean).map((part) => {
+    const match = /^(\d+)\s*([mhd])$/i.exec(part);
+    if (!match || Number(match[1]) === 0) {
+      throw new Error(`Invalid reminder offset "${part}". Use e.g. 30m, 1h or 2d`);
+    }
+    return Number(match[1]) * UNITS[match[2].toLowerCase()];
+  });
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+/**
+ * Returns the configured reminder offsets
+ * @returns {number[]} Offsets in minutes, largest first
+ */
+const getReminderOffsets = () => parseOffsets(process.env.REMINDER_OFFSETS || DEFAULT_OFFSETS);
+
+/**
+ * Describes an offset in words
+ * @param {number} minutes - Offset in minutes
+ * @returns {string} e.g. "24 hours", "30 minutes"
+ */
+const describeOffset = (minutes) => {
+  const [count, unit] = minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+/**
+ * Describes how long until a session starts, in the words of describeOffset.
+ * Under two hours it counts minutes; beyond that it rounds to the hour, so a
+ * reminder sent a little after its offset still reads "24 hours".
+ * @param {number} ms - Time left before the start
+ * @returns {string} e.g. "20 minutes", "1 hour", "24 hours"
+ */
+const describeTimeLeft = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / MINUTE));
+  return describeOffset(minutes < 120 ? minutes : Math.round(minutes / 60) * 60);
+};
+
+/**
+ * Works out which reminders of a booking are due
+ * @param {Object} booking - Confirmed booking
+ * @param {number[]} offsets - Reminder offsets in minutes
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{due: number[], send: number|null}|null} Offsets to mark as handled and
+ * the one to send (null to send none), or null if nothing is due
+ */
+const planReminder = (booking, offsets, now = new Date()) => {
+  const sent = booking.remindersSent || [];
+  const due = offsets.filter(offset =>
+    !sent.includes(offset) && booking.startAt.getTime() - offset * MINUTE <= now.getTime());
+  if (due.length === 0 || booking.startAt <= now) return null;
+
+  const closest = Math.min(...due);
+  const remindAt = booking.startAt.getTime() - closest * MINUTE;
+  const tooLate = booking.createdAt && remindAt < booking.createdAt.getTime();
+  return { due, send: tooLate ? null : closest };
+};
+
+/**
+ * Sends one reminder of a booking to both participants
+ * @async
+ * @param {Object} booking - Confirmed booking
+ * @param {number} offset - Offset being sent, in minutes
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<void>}
+ */
+const sendReminder = async (booking, offset, now = new Date()) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+
+  // A reminder sent late (booking confirmed late, scheduler down) tells the actual time left
+  const startsIn = describeTimeLeft(booking.startAt.getTime() - now.getTime());
+  await Promise.all([clientUserId, consultantUserId]
+    .filter(Boolean)
+    .map(userId => notifyReminder(booking, userId, startsIn)));
+
+  await emailParticipants(booking, 'booking_reminder', {
+    dedupeKey: `booking_reminder:${booking._id}:${offset}`
+  });
+};
+
+/**
+ * Sends the reminders that are due for every confirmed booking
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @param {number[]} [offsets=getReminderOffsets()] - Reminder offsets in minutes
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const processDueReminders = async (now = new Date(), offsets = getReminderOffsets()) => {
+  if (offsets.length === 0) return 0;
+
+  const bookings = await Booking.find({
+    status: 'confirmed',
+    startAt: { $gt: now, $lte: new Date(now.getTime() + offsets[0] * MINUTE) }
+  });
+
+  let count = 0;
+  for (const booking of bookings) {
+    const plan = planReminder(booking, offsets, now);
+    if (!plan) continue;
+
+    // Claimed before sending: whoever marks the offsets first sends the reminder
+    const claimed = await Booking.updateOne(
+      { _id: booking._id, status: 'confirmed', remindersSent: { $nin: plan.due } },
+      { $addToSet: { remindersSent: { $each: plan.due } } }
+    );
+    if (claimed.modifiedCount === 0 || plan.send == null) continue;
+
+    try {
+      await sendReminder(booking, plan.send, now);
+      count++;
+    } catch (error) {
+      console.error(`Error sending reminder for booking ${booking._id}:`, error);
+    }
+  }
+  return count;
+};
+
+/**
+ * Periodically sends the reminders that are due
+ * @param {number} [intervalMs=SCHEDULER_INTERVAL_MS] - Time between runs
+ * @returns {Object} The interval timer (does not keep the process alive)
+ * @throws {Error} If REMINDER_OFFSETS is malformed
+ */
+const startReminderScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  // Fails at startup rather than on every run if REMINDER_OFFSETS is malformed
+  getReminderOffsets();
+  const timer = setInterval(() => {
+    processDueReminders().catch(error => console.error('Error sending reminders:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  parseOffsets,
+  getReminderOffsets,
+  describeOffset,
+  describeTimeLeft,
+  planReminder,
+  processDueReminders,
+  startReminderScheduler
+};
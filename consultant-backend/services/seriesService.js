@@ -0,0 +1,309 @@
+/**
+ * Series Service
+ * Creates and manages recurring booking series. Every occurrence is a regular
+ * Booking carrying the series id, so single occurrences can still be cancelled
+ * or rescheduled through the booking endpoints.
+ *
+ * @module services/seriesService
+ * @requires models/Booking
+ * @requires models/BookingSeries
+ * @requires services/bookingService
+ * @requires services/bookingEvents
+ *
+ * Related Files:
+ * - controllers/seriesController.js - /api/bookings/series endpoints
+ * - models/BookingSeries.js - Recurrence rule
+ */
+
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const {
+  BookingConflictError,
+  withConsultantLock,
+  insertBooking,
+  moveBooking,
+  cancelBooking
+} = require('./bookingService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 52;
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+/**
+ * Raised when occurrences of a series overlap existing bookings
+ * @class
+ * @extends Error
+ */
+class SeriesConflictError extends Error {
+  /**
+   * @param {Array<{date: string, conflict: Object}>} conflicts - Requested dates and the bookings in the way
+   */
+  constructor(conflicts) {
+    super(`${conflicts.length} occurrence(s) overlap existing bookings`);
+    this.name = 'SeriesConflictError';
+    this.status = 409;
+    this.conflicts = conflicts;
+  }
+}
+
+const parseDateKey = (dateKey) => {
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  return isNaN(date) || date.toISOString().slice(0, 10) !== dateKey ? null : date;
+};
+
+const toDateKey = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Adds days to a calendar date
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Resulting date (YYYY-MM-DD)
+ */
+const addDays = (dateKey, days) => toDateKey(new Date(parseDateKey(dateKey).getTime() + days * DAY));
+
+/**
+ * Computes the date of the nth occurrence. Monthly series keep the day of the
+ * month, falling back to the month's last day when it is shorter.
+ * @param {string} startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} index - Occurrence index (0-based)
+ * @returns {string} Occurrence date (YYYY-MM-DD)
+ */
+const occurrenceDate = (startDate, frequency, index) => {
+  if (frequency !== 'monthly') {
+    return addDays(startDate, index * (frequency === 'weekly' ? 7 : 14));
+  }
+  const [year, month, day] = startDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month + index, 0)).getUTCDate();
+  return toDateKey(new Date(Date.UTC(year, month - 1 + index, Math.min(day, lastDay))));
+};
+
+/**
+ * Lists the dates of a series from its recurrence rule
+ * @param {Object} rule
+ * @param {string} rule.startDate - First occurrence (YYYY-MM-DD)
+ * @param {string} rule.frequency - 'weekly', 'biweekly' or 'monthly'
+ * @param {number} [rule.count] - Number of occurrences
+ * @param {string} [rule.endDate] - Last possible date (YYYY-MM-DD), inclusive
+ * @returns {string[]} Occurrence dates
+ * @throws {Error} If the rule is invalid or yields too many occurrences
+ */
+const expandOccurrences = ({ startDate, frequency, count, endDate }) => {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!parseDateKey(startDate || '')) {
+    throw new Error('Invalid start date. Use YYYY-MM-DD');
+  }
+  if ((count == null) === (endDate == null)) {
+    throw new Error('Provide either count or endDate');
+  }
+  if (count != null && (!Number.isInteger(Number(count)) || count < 1 || count > MAX_OCCURRENCES)) {
+    throw new Error(`count must be between 1 and ${MAX_OCCURRENCES}`);
+  }
+  if (endDate != null && (!parseDateKey(endDate) || endDate < startDate)) {
+    throw new Error('endDate must be a valid date (YYYY-MM-DD) not before the start date');
+  }
+
+  const dates = [];
+  for (let index = 0; count == null || index < count; index++) {
+    const date = occurrenceDate(startDate, frequency, index);
+    if (endDate && date > endDate) break;
+    if (dates.length === MAX_OCCURRENCES) {
+      throw new Error(`A series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+    }
+    dates.push(date);
+  }
+  return dates;
+};
+
+/**
+ * Creates a series and all its bookings in one transaction, then emits
+ * booking.created once for the whole series.
+ * By default the whole series is rejected if any occurrence is taken;
+ * with skipConflicts the free occurrences are booked and the rest reported.
+ * @async
+ * @param {Object} data - Series fields (clientId, consultantId, serviceId, startDate, time,
+ * duration, frequency, count or endDate, notes, clientTimeZone)
+ * @param {Object} options
+ * @param {Object} options.actor - User creating the series
+ * @param {boolean} [options.skipConflicts=false] - Book the free occurrences only
+ * @returns {Promise<{series: Object, bookings: Object[], skipped: Object[]}>}
+ * @throws {SeriesConflictError} If occurrences are taken (and not skipped), or all of them are
+ */
+const createSeries = async (data, { actor, skipConflicts = false }) => {
+  const dates = expandOccurrences(data);
+
+  const result = await withConsultantLock(data.consultantId, async (session, consultant) => {
+    const [series] = await BookingSeries.create([{
+      clientId: data.clientId,
+      consultantId: data.consultantId,
+      serviceId: data.serviceId,
+      frequency: data.frequency,
+      startDate: data.startDate,
+      time: data.time,
+      duration: data.duration,
+      count: data.count,
+      endDate: data.endDate,
+      notes: data.notes
+    }], { session });
+
+    const bookings = [];
+    const skipped = [];
+    for (const [index, date] of dates.entries()) {
+      try {
+        bookings.push(await insertBooking(session, consultant, {
+          clientId: data.clientId,
+          consultantId: data.consultantId,
+          serviceId: data.serviceId,
+          date,
+          time: data.time,
+          duration: data.duration,
+          status: 'pending',
+          notes: data.notes,
+          clientTimeZone: data.clientTimeZone,
+          seriesId: series._id,
+          seriesIndex: index
+        }, {
+          holderId: actor._id,
+          historyEntry: {
+            actor: actor._id,
+            actorRole: actor.role === 'admin' ? 'admin' : 'client',
+            reason: 'Booked as part of a recurring series'
+          }
+        }));
+      } catch (error) {
+        // The conflict check runs before any write, so the transaction can go on
+        if (!(error instanceof BookingConflictError)) throw error;
+        skipped.push({ date, conflict: error.conflict });
+      }
+    }
+
+    if ((skipped.length > 0 && !skipConflicts) || bookings.length === 0) {
+      throw new SeriesConflictError(skipped);
+    }
+
+    series.skippedDates = skipped.map(({ date }) => date);
+    await series.save({ session });
+    return { series, bookings, skipped };
+  });
+
+  bookingEvents.emit(EVENTS.CREATED, {
+    booking: result.bookings[0],
+    actor,
+    series: result.series,
+    occurrences: result.bookings.length
+  });
+  return result;
+};
+
+/**
+ * Lists the occurrences of a series that have not happened yet and are still active
+ * @async
+ * @param {Object} series - BookingSeries document
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<Object[]>} Bookings sorted by start
+ */
+const remainingOccurrences = (series, now = new Date()) => Booking.find({
+  seriesId: series._id,
+  status: { $in: Booking.ACTIVE_STATUSES },
+  startAt: { $gte: now }
+}).sort({ startAt: 1 });
+
+/**
+ * Cancels every remaining occurrence of a series, each under the consultant's
+ * cancellation rules, and closes the series
+ * @async
+ * @param {Object} series - BookingSeries document
+ * @param {Object} context
+ * @param {Object} context.actor - User cancelling
+ * @param {string} context.role - Actor's role relative to the series
+ * @param {string} [context.reason] - Reason stored on each booking
+ * @returns {Promise<Object[]>} The cancelled bookings
+ */
+const cancelSeries = async (series, { actor, role, reason }) => {
+  const bookings = await remainingOccurrences(series);
+
+  const cancelled = [];
+  for (const booking of bookings) {
+    cancelled.push(await cancelBooking(booking, { actor, role, reason }));
+  }
+
+  series.status = 'cancelled';
+  await series.save();
+  return cancelled;
+};
+
+/**
+ * Moves every remaining occurrence of a series in one transaction. The next
+ * occurrence moves to the given date and the others shift by the same number
+ * of days; all of them take the new time. Emits booking.rescheduled for
+ * each moved occurrence once the transaction commits.
+ * @async
+ * @param {Object} series - BookingSeries document
+ * @param {Object} params
+ * @param {string} params.date - New date of the next occurrence (YYYY-MM-DD)
+ * @param {string} params.time - New start time of every occurrence (HH:mm)
+ * @param {Object} params.actor - User requesting the change
+ * @param {string} params.role - Actor's role relative to the series
+ * @param {string} [params.reason] - Reason recorded on each booking
+ * @param {Object[]} [params.occurrences] - Remaining occurrences, if already loaded
+ * @returns {Promise<Object[]>} The new bookings
+ * @throws {Error} If date is not a day on the calendar
+ * @throws {BookingConflictError} If any new slot is taken (nothing is moved)
+ */
+const rescheduleSeries = async (series, { date, time, actor, role, reason, occurrences }) => {
+  const bookings = occurrences || await remainingOccurrences(series);
+  if (bookings.length === 0) {
+    return [];
+  }
+
+  const target = parseDateKey(date);
+  if (!target) {
+    throw new Error(`${date} is not a valid date`);
+  }
+  const shift = Math.round((target - parseDateKey(bookings[0].date)) / DAY);
+  const excludeIds = bookings.map(booking => booking._id);
+
+  const moved = await withConsultantLock(series.consultantId, async (session, consultant) => {
+    const movedInTransaction = [];
+    for (const booking of bookings) {
+      movedInTransaction.push(await moveBooking(session, consultant, booking, {
+        date: addDays(booking.date, shift),
+        time,
+        actor,
+        role,
+        reason,
+        excludeIds
+      }));
+    }
+
+    series.time = time;
+    await series.save({ session });
+    return movedInTransaction;
+  });
+
+  // Announced once committed, like a single reschedule
+  moved.forEach((booking, index) => {
+    const { date: previousDate, time: previousTime, startAt } = bookings[index];
+    bookingEvents.emit(EVENTS.RESCHEDULED, {
+      booking,
+      previous: { date: previousDate, time: previousTime, startAt },
+      actor,
+      role,
+      reason
+    });
+  });
+  return moved;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  SeriesConflictError,
+  expandOccurrences,
+  createSeries,
+  remainingOccurrences,
+  cancelSeries,
+  rescheduleSeries
+};
@@ -0,0 +1,277 @@
+/**
+ * Session Service
+ * Video sessions of confirmed bookings. The room of a booking is open from
+ * the booking's start to its end, and only its client and consultant can
+ * join it. Joining issues a short-lived ticket the browser opens the
+ * signaling WebSocket with (services/signalingService.js).
+ *
+ * Browsers connect to each other through the ICE servers in ICE_SERVERS
+ * (JSON, RTCPeerConnection's iceServers). Without any, peers reach each
+ * other on the same network only; run a STUN/TURN server such as coturn
+ * alongside the API for calls across the internet.
+ *
+ * @module services/sessionService
+ * @requires jsonwebtoken
+ * @requires models/Session
+ * @requires models/Booking
+ * @requires models/Client
+ * @requires models/Consultant
+ * @requires services/bookingLifecycle
+ *
+ * Related Files:
+ * - controllers/sessionController.js - /api/sessions endpoints
+ * - services/signalingService.js - Relays the WebRTC handshake
+ */
+
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Booking = require('../models/Booking');
+const Client = require('../models/Client');
+const Consultant = require('../models/Consultant');
+const { resolveActorRole, resolveParticipantUserIds } = require('./bookingLifecycle');
+
+const TICKET_PURPOSE = 'session-room';
+const TICKET_TTL_SECONDS = 60;
+const UPCOMING_LIMIT = 20;
+const PARTICIPANT_ROLES = ['client', 'consultant'];
+
+/**
+ * Raised when a session cannot be joined or changed
+ * @class
+ * @extends Error
+ */
+class SessionError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=400] - HTTP status to respond with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+  }
+}
+
+/**
+ * When the room of a booking is open
+ * @param {Object} booking - Booking document
+ * @returns {{opensAt: Date, closesAt: Date}}
+ */
+const sessionWindow = (booking) => ({
+  opensAt: booking.startAt,
+  closesAt: booking.endAt || new Date(booking.startAt.getTime() + booking.duration * 60 * 1000)
+});
+
+/**
+ * Checks that a user may be in the room of a booking now
+ * @param {Object} booking - Booking document
+ * @param {string|null} role - User's role relative to the booking
+ * @param {Date} [now=new Date()]
+ * @throws {SessionError} If the user is not a participant, the booking is not
+ * confirmed or the room is not open
+ */
+const assertCanJoin = (booking, role, now = new Date()) => {
+  if (!PARTICIPANT_ROLES.includes(role)) {
+    throw new SessionError('Only the client and the consultant of this booking can join its session', 403);
+  }
+  if (booking.status !== 'confirmed') {
+    throw new SessionError('Only confirmed bookings have a video session', 409);
+  }
+  const { opensAt, closesAt } = sessionWindow(booking);
+  if (now < opensAt) {
+    throw new SessionError(`The session opens at ${opensAt.toISOString()}`, 403);
+  }
+  if (now >= closesAt) {
+    throw new SessionError('The booking time is over', 403);
+  }
+};
+
+/**
+ * ICE servers browsers gather connection candidates from
+ * @returns {Object[]} RTCIceServer objects
+ */
+const getIceServers = () => JSON.parse(process.env.ICE_SERVERS || '[]');
+
+/**
+ * Finds the session of a booking, creating it on first use
+ * @async
+ * @param {Object} booking - Booking document
+ * @returns {Promise<Object>} The session
+ */
+const getOrCreateSession = async (booking) => {
+  const { clientUserId, consultantUserId } = await resolveParticipantUserIds(booking);
+  return Session.findOneAndUpdate(
+    { bookingId: booking._id },
+    { $setOnInsert: { bookingId: booking._id, consultantId: booking.consultantId, clientUserId, consultantUserId } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Describes the session of a booking for one of its participants
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Authenticated user
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} { session, role, opensAt, closesAt, canJoin, reason }
+ * @throws {SessionError} If the user is not a participant
+ */
+const describeSession = async (booking, user, now = new Date()) => {
+  const role = await resolveActorRole(booking, user);
+  if (!role) {
+    throw new SessionError('You are not a participant of this booking', 403);
+  }
+
+  const session = await Session.findOne({ bookingId: booking._id });
+  let reason = session && session.status === 'completed' ? 'The session has ended' : null;
+  if (!reason) {
+    try {
+      assertCanJoin(booking, role, now);
+    } catch (error) {
+      if (!(error instanceof SessionError)) throw error;
+      reason = error.message;
+    }
+  }
+  return { session, role, ...sessionWindow(booking), canJoin: !reason, reason };
+};
+
+/**
+ * Lets a participant into the room of a booking
+ * @async
+ * @param {Object} booking - Booking document
+ * @param {Object} user - Authenticated user
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} { session, role, ticket, opensAt, closesAt, iceServers }
+ * @throws {SessionError} If the user may not join now
+ */
+const joinSession = async (booking, user, now = new Date()) => {
+  const role = await resolveActorRole(booking, user);
+  assertCanJoin(booking, role, now);
+
+  const session = await getOrCreateSession(booking);
+  if (session.status === 'completed') {
+    throw new SessionError('The session has ended', 409);
+  }
+
+  const { opensAt, closesAt } = sessionWindow(booking);
+  const ticket = jwt.sign({
+    sub: String(user._id),
+    purpose: TICKET_PURPOSE,
+    session: String(session._id),
+    role,
+    closesAt: closesAt.getTime()
+  }, process.env.JWT_SECRET, { expiresIn: TICKET_TTL_SECONDS });
+
+  return { session, role, ticket, opensAt, closesAt, iceServers: getIceServers() };
+};
+
+/**
+ * Checks a room ticket
+ * @param {string} ticket - Ticket from joinSession
+ * @returns {{userId: string, sessionId: string, role: string, closesAt: number}|null}
+ * Null if the ticket is invalid or expired
+ */
+const verifyRoomTicket = (ticket) => {
+  try {
+    const claims = jwt.verify(String(ticket || ''), process.env.JWT_SECRET);
+    if (claims.purpose !== TICKET_PURPOSE) return null;
+    return { userId: claims.sub, sessionId: claims.session, role: claims.role, closesAt: claims.closesAt };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Marks a session live when someone enters its room
+ * @async
+ * @param {string} sessionId - Session id
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<boolean>} False if the session was ended in the meantime
+ */
+const enterRoom = async (sessionId, now = new Date()) => {
+  await Session.updateOne({ _id: sessionId, status: 'scheduled' }, { status: 'live', startedAt: now });
+  return Boolean(await Session.exists({ _id: sessionId, status: 'live' }));
+};
+
+/**
+ * Loads a session for its consultant
+ * @async
+ * @param {string} sessionId - Session id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} The session
+ * @throws {SessionError} If it does not exist or the user is not its consultant
+ */
+const getSessionForConsultant = async (sessionId, user) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new SessionError('Session not found', 404);
+  }
+  if (!session.consultantUserId.equals(user._id)) {
+    throw new SessionError('Only the consultant can manage this session', 403);
+  }
+  return session;
+};
+
+/**
+ * Lists the sessions a user took part in, newest first
+ * @async
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} Sessions with their booking; notes only for the consultant
+ */
+const listSessions = async (user) => {
+  const sessions = await Session.find({
+    $or: [{ clientUserId: user._id }, { consultantUserId: user._id }]
+  })
+    .sort({ createdAt: -1 })
+    .populate('bookingId', 'date time duration startAt endAt status')
+    .lean();
+
+  return sessions.map(session => (session.consultantUserId.equals(user._id)
+    ? session
+    : { ...session, notes: undefined }));
+};
+
+/**
+ * Lists the user's confirmed bookings that are not over yet, soonest first,
+ * with when their rooms open
+ * @async
+ * @param {Object} user - Authenticated user
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object[]>} { booking, opensAt, closesAt, canJoin }
+ */
+const listUpcomingSessions = async (user, now = new Date()) => {
+  // Bookings reference the client's profile or the user itself, and the consultant's profile
+  const [client, consultant] = await Promise.all([
+    Client.findOne({ userId: user._id }).select('_id'),
+    Consultant.findOne({ userId: user._id }).select('_id')
+  ]);
+  const participantOf = [
+    { clientId: { $in: [user._id, client && client._id].filter(Boolean) } },
+    ...(consultant ? [{ consultantId: consultant._id }] : [])
+  ];
+
+  const bookings = await Booking.find({ status: 'confirmed', endAt: { $gt: now }, $or: participantOf })
+    .sort({ startAt: 1 })
+    .limit(UPCOMING_LIMIT)
+    .populate('serviceId', 'name')
+    .select('date time duration startAt endAt timeZone status consultantId clientId serviceId');
+
+  return bookings.map((booking) => {
+    const { opensAt, closesAt } = sessionWindow(booking);
+    return { booking, opensAt, closesAt, canJoin: opensAt <= now && now < closesAt };
+  });
+};
+
+module.exports = {
+  SessionError,
+  sessionWindow,
+  assertCanJoin,
+  getIceServers,
+  describeSession,
+  joinSession,
+  verifyRoomTicket,
+  enterRoom,
+  getSessionForConsultant,
+  listSessions,
+  listUpcomingSessions
+};
@@ -0,0 +1,184 @@
+/**
+ * Signaling Service
+ * WebSocket server that relays the WebRTC handshake between the two
+ * participants of a video session, at /api/sessions/signal?ticket=. Only
+ * signaling goes through the server; audio and video flow between the
+ * browsers.
+ *
+ * Messages are JSON objects with a type:
+ * - sent by the server: joined { role, peers }, peer-joined { role },
+ *   peer-left { role }
+ * - relayed to the other participant, with from set to the sender's role:
+ *   offer { sdp }, answer { sdp }, candidate { candidate }
+ *
+ * A room holds one connection per role; joining again (another tab, a
+ * reload) replaces the previous connection. Connections are closed with
+ * code 4000 when the booking time is over or the consultant ends the
+ * session. Rooms are kept in memory, so both participants must reach the
+ * same process.
+ *
+ * @module services/signalingService
+ * @requires ws
+ * @requires services/sessionService
+ *
+ * Related Files:
+ * - server.js - Attaches the server to the HTTP server
+ * - consultant-frontend/src/pages/VideoSession.jsx - Browser side of the handshake
+ */
+
+const { WebSocketServer } = require('ws');
+const { verifyRoomTicket, enterRoom } = require('./sessionService');
+
+const SIGNAL_PATH = '/api/sessions/signal';
+const RELAYED_TYPES = ['offer', 'answer', 'candidate'];
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// Connections that miss a ping are dropped
+const PING_MS = 30 * 1000;
+const CLOSE_ENDED = 4000;
+const CLOSE_REPLACED = 4001;
+
+// sessionId → Map of role → socket
+const rooms = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const leaveRoom = (sessionId, role, socket) => {
+  const room = rooms.get(sessionId);
+  if (!room || room.get(role) !== socket) return;
+  room.delete(role);
+  room.forEach(peer => send(peer, { type: 'peer-left', role }));
+  if (room.size === 0) rooms.delete(sessionId);
+};
+
+/**
+ * Puts an authenticated connection in its room and relays its messages
+ * @param {Object} socket - WebSocket connection
+ * @param {Object} claims - Verified room ticket (see sessionService.verifyRoomTicket)
+ * @param {string} claims.sessionId - Session the ticket opens
+ * @param {string} claims.role - 'client' or 'consultant'
+ * @param {number} claims.closesAt - When the booking time is over (ms since epoch)
+ */
+const joinRoom = (socket, { sessionId, role, closesAt }) => {
+  if (!rooms.has(sessionId)) rooms.set(sessionId, new Map());
+  const room = rooms.get(sessionId);
+
+  const previous = room.get(role);
+  if (previous) {
+    room.delete(role);
+    previous.close(CLOSE_REPLACED, 'Joined from another window');
+  }
+  room.set(role, socket);
+
+  const peers = [...room.keys()].filter(peerRole => peerRole !== role);
+  send(socket, { type: 'joined', role, peers });
+  peers.forEach(peerRole => send(room.get(peerRole), { type: 'peer-joined', role }));
+
+  const timer = setTimeout(() => socket.close(CLOSE_ENDED, 'The booking time is over'), closesAt - Date.now());
+  timer.unref();
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    if (!message || !RELAYED_TYPES.includes(message.type)) return;
+
+    const current = rooms.get(sessionId);
+    if (!current || current.get(role) !== socket) return;
+    current.forEach((peer, peerRole) => {
+      if (peerRole !== role) send(peer, { ...message, from: role });
+    });
+  });
+
+  socket.on('close', () => {
+    clearTimeout(timer);
+    leaveRoom(sessionId, role, socket);
+  });
+};
+
+/**
+ * Disconnects everyone from a session's room
+ * @param {string} sessionId - Session id
+ * @returns {number} Number of connections closed
+ */
+const closeRoom = (sessionId) => {
+  const room = rooms.get(String(sessionId));
+  if (!room) return 0;
+  const sockets = [...room.values()];
+  sockets.forEach(socket => socket.close(CLOSE_ENDED, 'The session has ended'));
+  return sockets.length;
+};
+
+const reject = (socket, status, reason) => {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Serves the signaling WebSocket on an HTTP server
+ * @param {Object} server - Node HTTP server the Express app listens on
+ * @returns {Object} The WebSocketServer
+ */
+const attachSignalingServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== SIGNAL_PATH) {
+      reject(socket, 404, 'Not Found');
+      return;
+    }
+
+    const claims = verifyRoomTicket(url.searchParams.get('ticket'));
+    if (!claims || claims.closesAt <= Date.now()) {
+      reject(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    enterRoom(claims.sessionId)
+      .then((open) => {
+        if (!open) {
+          reject(socket, 409, 'Conflict');
+          return;
+        }
+        wss.handleUpgrade(req, socket, head, ws => joinRoom(ws, claims));
+      })
+      .catch((error) => {
+        console.error('Error opening session room:', error);
+        reject(socket, 500, 'Internal Server Error');
+      });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, PING_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  SIGNAL_PATH,
+  attachSignalingServer,
+  joinRoom,
+  closeRoom
+};
@@ -0,0 +1,31 @@
+/**
+ * SMS Service
+ * Stand-in for text messages until an SMS provider is integrated: messages
+ * are written to the server log instead of being sent. Users opt in per type
+ * of notification in their preferences; only users with a phone number get
+ * them.
+ *
+ * @module services/smsService
+ *
+ * Related Files:
+ * - services/notificationService.js - Sends notifications by SMS
+ * - models/NotificationPreference.js - sms channel
+ */
+
+const crypto = require('crypto');
+
+/**
+ * "Sends" a text message to a user
+ * @async
+ * @param {Object} user - Recipient (phoneNumber)
+ * @param {string} text - Message
+ * @returns {Promise<string|null>} Message id, or null if the user has no phone number
+ */
+const sendSms = async (user, text) => {
+  if (!user.phoneNumber) return null;
+  const messageId = crypto.randomUUID();
+  console.log(`=== SMS ${messageId} ===\nTo: ${user.phoneNumber}\n\n${text}\n`);
+  return messageId;
+};
+
+module.exports = { sendSms };
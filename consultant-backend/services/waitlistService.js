@@ -0,0 +1,224 @@
+/**
+ * Waitlist Service
+ * Offers slots freed by cancellations to waitlisted clients, first come first
+ * served. An offer is a slot hold for the client that lasts until the claim
+ * deadline; if it is not claimed in time, or is declined, the slot moves on to
+ * the next client in line.
+ *
+ * @module services/waitlistService
+ * @requires models/WaitlistEntry
+ * @requires models/SlotHold
+ * @requires services/bookingService
+ * @requires services/holdService
+ * @requires services/bookingEvents
+ * @requires services/notificationService
+ *
+ * Related Files:
+ * - controllers/waitlistController.js - /api/waitlist endpoints
+ * - app.js - Registers the cancellation listener and the expiry sweeper
+ */
+
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SlotHold = require('../models/SlotHold');
+const { BookingConflictError, reserveSlot } = require('./bookingService');
+const { placeHold } = require('./holdService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+const { notifyUser } = require('./notificationService');
+
+// Minutes a waitlisted client has to claim an offered slot
+const CLAIM_MINUTES = 60;
+// How often expired offers are passed on
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Raised when a waitlist action is not possible in the entry's current state
+ * @class
+ * @extends Error
+ */
+class WaitlistError extends Error {
+  /**
+   * @param {string} message - Human readable reason
+   * @param {number} [status=409] - HTTP status to respond with
+   */
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'WaitlistError';
+    this.status = status;
+  }
+}
+
+/**
+ * Offers a freed slot to the first waiting client whose window contains it
+ * and who has not passed on it before
+ * @async
+ * @param {Object} slot - consultantId, serviceId, date, time, duration, timeZone, startAt, endAt
+ * @returns {Promise<Object|null>} The entry the slot was offered to, or null
+ */
+const offerSlot = async (slot) => {
+  if (slot.startAt <= new Date()) {
+    return null;
+  }
+
+  // Claim the entry first so concurrent cancellations cannot offer it two slots
+  const claimed = await WaitlistEntry.findOneAndUpdate({
+    consultantId: slot.consultantId,
+    serviceId: slot.serviceId,
+    status: 'waiting',
+    from: { $lte: slot.date },
+    to: { $gte: slot.date },
+    passedSlots: { $ne: slot.startAt }
+  }, { status: 'offered' }, { sort: { createdAt: 1 }, new: true });
+  if (!claimed) {
+    return null;
+  }
+
+  let hold;
+  try {
+    hold = await placeHold({
+      userId: claimed.userId,
+      consultantId: slot.consultantId,
+      serviceId: slot.serviceId,
+      date: slot.date,
+      time: slot.time,
+      duration: slot.duration,
+      holdMinutes: CLAIM_MINUTES,
+      waitlistEntryId: claimed._id
+    });
+  } catch (error) {
+    await WaitlistEntry.updateOne({ _id: claimed._id, status: 'offered' }, { status: 'waiting' });
+    // Someone else booked the slot in the meantime
+    if (error instanceof BookingConflictError) return null;
+    throw error;
+  }
+
+  const entry = await WaitlistEntry.findByIdAndUpdate(claimed._id, {
+    offer: {
+      date: slot.date,
+      time: slot.time,
+      duration: slot.duration,
+      timeZone: slot.timeZone,
+      startAt: slot.startAt,
+      endAt: slot.endAt,
+      holdId: hold._id,
+      expiresAt: hold.expiresAt
+    }
+  }, { new: true });
+
+  await notifyUser({
+    userId: entry.userId,
+    type: 'waitlist',
+    message: `A slot opened on ${slot.date} at ${slot.time} (${slot.timeZone}). `
+      + `Claim it before ${hold.expiresAt.toISOString()} or it goes to the next person on the waitlist.`
+  });
+  return entry;
+};
+
+/**
+ * Returns an offered entry to the waitlist and offers its slot to the next client
+ * @async
+ * @param {Object} entry - Entry in the 'offered' status
+ * @returns {Promise<Object|null>} The next entry the slot was offered to, or null
+ */
+const passOffer = async (entry) => {
+  const slot = { ...entry.offer.toObject(), consultantId: entry.consultantId, serviceId: entry.serviceId };
+
+  await SlotHold.deleteOne({ _id: entry.offer.holdId });
+  entry.passedSlots.push(slot.startAt);
+  entry.status = 'waiting';
+  entry.offer = undefined;
+  await entry.save();
+
+  return offerSlot(slot);
+};
+
+/**
+ * Books the offered slot for the client
+ * @async
+ * @param {Object} entry - Entry in the 'offered' status
+ * @param {Object} actor - The waitlisted user
+ * @returns {Promise<Object>} The new booking
+ * @throws {WaitlistError} If there is no offer or it has expired
+ * @throws {BookingConflictError} If the slot is no longer free
+ */
+const claimOffer = async (entry, actor) => {
+  if (entry.status !== 'offered' || !entry.offer) {
+    throw new WaitlistError('There is no slot offered to you on this waitlist entry');
+  }
+  if (entry.offer.expiresAt <= new Date()) {
+    throw new WaitlistError('This offer has expired', 410);
+  }
+
+  const booking = await reserveSlot({
+    clientId: actor._id,
+    consultantId: entry.consultantId,
+    serviceId: entry.serviceId,
+    date: entry.offer.date,
+    time: entry.offer.time,
+    duration: entry.offer.duration,
+    status: 'pending',
+    clientTimeZone: actor.timeZone
+  }, { actor });
+
+  entry.status = 'claimed';
+  entry.bookingId = booking._id;
+  await entry.save();
+  return booking;
+};
+
+/**
+ * Passes on every offer whose claim deadline has passed
+ * @async
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {Promise<number>} Number of expired offers
+ */
+const processExpiredOffers = async (now = new Date()) => {
+  const expired = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } })
+    .sort({ 'offer.expiresAt': 1 });
+
+  for (const entry of expired) {
+    await passOffer(entry);
+  }
+  return expired.length;
+};
+
+/**
+ * Offers the slot of every cancelled booking to the waitlist
+ */
+const registerWaitlistListeners = () => {
+  bookingEvents.on(EVENTS.CANCELLED, ({ booking }) => {
+    offerSlot({
+      consultantId: booking.consultantId,
+      serviceId: booking.serviceId,
+      date: booking.date,
+      time: booking.time,
+      duration: booking.duration,
+      timeZone: booking.timeZone,
+      startAt: booking.startAt,
+      endAt: booking.endAt
+    }).catch(error => console.error('Error offering slot to the waitlist:', error));
+  });
+};
+
+/**
+ * Periodically passes on expired offers
+ * @param {number} [intervalMs=SWEEP_INTERVAL_MS] - Time between sweeps
+ * @returns {Object} The interval timer (does not keep the process alive)
+ */
+const startWaitlistSweeper = (intervalMs = SWEEP_INTERVAL_MS) => {
+  const timer = setInterval(() => {
+    processExpiredOffers().catch(error => console.error('Error expiring waitlist offers:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  CLAIM_MINUTES,
+  WaitlistError,
+  offerSlot,
+  passOffer,
+  claimOffer,
+  processExpiredOffers,
+  registerWaitlistListeners,
+  startWaitlistSweeper
+};
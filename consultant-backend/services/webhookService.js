@@ -0,0 +1,147 @@
+/**
+ * Webhook Service
+ * Verifies and applies payment provider webhooks. Each event is applied at
+ * most once: the payment, its booking and the record of the event are written
+ * in one transaction, and events already recorded as processed are skipped.
+ * Events that fail are recorded as 'failed' (the dead-letter list) and are
+ * applied again when the provider redelivers them or an admin retries them.
+ *
+ * @module services/webhookService
+ * @requires mongoose
+ * @requires models/WebhookEvent
+ * @requires models/Payment
+ * @requires models/Booking
+ * @requires services/paymentProviders
+ * @requires services/paymentService
+ * @requires services/bookingEvents
+ *
+ * Related Files:
+ * - controllers/paymentController.js - Webhook and dead-letter endpoints
+ * - app.js - Keeps the raw body of webhook requests for signature checks
+ */
+
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const { getPaymentProvider } = require('./paymentProviders');
+const { settlePayment } = require('./paymentService');
+const { EVENTS, bookingEvents } = require('./bookingEvents');
+
+// Event types that settle a charge, and the payment status they lead to
+const SETTLING_EVENTS = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed'
+};
+
+/**
+ * Applies an event to its payment and booking
+ * @async
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalised provider event
+ * @param {Object} session - Mongoose session of the surrounding transaction
+ * @returns {Promise<{payment: Object, booking: Object}|null>} What was settled, if anything
+ * @throws {Error} If the event refers to an unknown payment
+ */
+const applyEvent = async (provider, event, session) => {
+  const status = SETTLING_EVENTS[event.type];
+  if (!status) return null; // Not an event we act on
+
+  const payment = await Payment.findOne({ provider, providerPaymentId: event.paymentIntentId }).session(session);
+  if (!payment) {
+    throw new Error(`No payment found for ${provider} payment ${event.paymentIntentId}`);
+  }
+  // Only a processing payment can be settled; providers do not guarantee event
+  // order, so a late failure must not undo a success (or a refund after it)
+  if (payment.status !== 'processing') return null;
+
+  const booking = await Booking.findById(payment.bookingId).session(session);
+  await settlePayment(payment, booking, { status, failureReason: event.failureReason }, session);
+  return { payment, booking };
+};
+
+/**
+ * Applies an event unless it was already processed, recording the outcome
+ * @async
+ * @param {string} provider - Provider name
+ * @param {Object} event - Normalised provider event
+ * @returns {Promise<string>} 'processed' or 'duplicate'
+ * @throws {Error} If applying the event failed (it is then in the dead-letter list)
+ */
+const processEvent = async (provider, event) => {
+  const key = { provider, eventId: event.id };
+  const session = await mongoose.startSession();
+
+  try {
+    let outcome;
+    let settled;
+    await session.withTransaction(async () => {
+      const seen = await WebhookEvent.findOne(key).session(session);
+      if (seen && seen.status === 'processed') {
+        outcome = 'duplicate';
+        return;
+      }
+
+      settled = await applyEvent(provider, event, session);
+      await WebhookEvent.updateOne(key, {
+        $set: { type: event.type, payload: event, status: 'processed', processedAt: new Date() },
+        $unset: { error: 1 },
+        $inc: { attempts: 1 }
+      }, { upsert: true, session });
+      outcome = 'processed';
+    });
+
+    // Package purchases have no booking to announce as paid
+    if (outcome === 'processed' && settled && settled.booking && settled.payment.status === 'succeeded') {
+      bookingEvents.emit(EVENTS.PAID, settled);
+    }
+    return outcome;
+  } catch (error) {
+    await WebhookEvent.updateOne(key, {
+      $set: { type: event.type, payload: event, status: 'failed', error: error.message },
+      $inc: { attempts: 1 }
+    }, { upsert: true });
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Verifies a webhook request against the provider's signature and processes it
+ * @async
+ * @param {Buffer} rawBody - Exact request body
+ * @param {Object} headers - Request headers
+ * @param {string} [providerName] - Provider name; defaults to the active provider
+ * @returns {Promise<string>} 'processed' or 'duplicate'
+ * @throws {WebhookSignatureError} If the signature does not match
+ */
+const handleWebhook = (rawBody, headers, providerName) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.constructWebhookEvent(rawBody, headers[provider.signatureHeader]);
+  return processEvent(provider.name, event);
+};
+
+/**
+ * Lists events whose processing failed
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Maximum number of events
+ * @returns {Promise<Object[]>} Most recently failed first
+ */
+const listDeadLetters = ({ limit = 50 } = {}) =>
+  WebhookEvent.find({ status: 'failed' }).sort({ updatedAt: -1 }).limit(limit);
+
+/**
+ * Processes a failed event again from its stored payload
+ * @async
+ * @param {Object} deadLetter - WebhookEvent document in the 'failed' status
+ * @returns {Promise<string>} 'processed' or 'duplicate'
+ */
+const retryDeadLetter = (deadLetter) => processEvent(deadLetter.provider, deadLetter.payload);
+
+module.exports = {
+  processEvent,
+  handleWebhook,
+  listDeadLetters,
+  retryDeadLetter
+};
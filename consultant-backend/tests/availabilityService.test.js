@@ -0,0 +1,123 @@
+const {
+    mergeWindows,
+    windowsForDay,
+    computeSlots,
+    parseRange
+} = require('../services/availabilityService');
+
+describe('Availability Service Tests', () => {
+    // 2030-01-07 is a Monday
+    const monday = '2030-01-07';
+    const weekly = [{ day: 'Monday', timeSlots: [{ start: '09:00', end: '12:00' }] }];
+    const now = new Date('2030-01-01T00:00:00.000Z');
+    const range = {
+        from: new Date(`${monday}T00:00:00.000Z`),
+        to: new Date(`${monday}T00:00:00.000Z`)
+    };
+
+    describe('mergeWindows', () => {
+        it('should merge overlapping and touching windows', () => {
+            expect(mergeWindows([
+                { start: 600, end: 700 },
+                { start: 540, end: 600 },
+                { start: 800, end: 900 }
+            ])).toEqual([
+                { start: 540, end: 700 },
+                { start: 800, end: 900 }
+            ]);
+        });
+    });
+
+    describe('windowsForDay', () => {
+        it('should use the weekly template for the matching weekday', () => {
+            expect(windowsForDay(monday, weekly)).toEqual([{ start: 540, end: 720 }]);
+        });
+
+        it('should return no windows on a day off', () => {
+            const overrides = [{ date: monday, isDayOff: true, timeSlots: [] }];
+            expect(windowsForDay(monday, weekly, overrides)).toEqual([]);
+        });
+
+        it('should add extra hours from an override', () => {
+            const overrides = [{ date: monday, timeSlots: [{ start: '14:00', end: '15:00' }] }];
+            expect(windowsForDay(monday, weekly, overrides)).toEqual([
+                { start: 540, end: 720 },
+                { start: 840, end: 900 }
+            ]);
+        });
+    });
+
+    describe('computeSlots', () => {
+        it('should size slots to the service duration', () => {
+            const [day] = computeSlots({ ...range, duration: 60, weekly, now });
+
+            expect(day.date).toBe(monday);
+            expect(day.slots.map(slot => slot.start)).toEqual(['09:00', '10:00', '11:00']);
+            expect(day.slots[0].end).toBe('10:00');
+        });
+
+        it('should skip slots overlapping busy intervals', () => {
+            const busy = [{
+                startAt: new Date(`${monday}T09:30:00.000Z`),
+                endAt: new Date(`${monday}T10:00:00.000Z`)
+            }];
+
+            const [day] = computeSlots({ ...range, duration: 60, weekly, busy, now });
+
+            expect(day.slots.map(slot => slot.start)).toEqual(['10:00', '11:00']);
+        });
+
+        it('should skip slots that do not fit in the window', () => {
+            const [day] = computeSlots({ ...range, duration: 120, weekly, now });
+
+            expect(day.slots.map(slot => slot.start)).toEqual(['09:00']);
+        });
+
+        it('should honour a custom step', () => {
+            const [day] = computeSlots({ ...range, duration: 60, step: 30, weekly, now });
+
+            expect(day.slots.map(slot => slot.start)).toEqual(['09:00', '09:30', '10:00', '10:30', '11:00']);
+        });
+
+        it('should skip slots in the past', () => {
+            const [day] = computeSlots({
+                ...range,
+                duration: 60,
+                weekly,
+                now: new Date(`${monday}T10:30:00.000Z`)
+            });
+
+            expect(day.slots.map(slot => slot.start)).toEqual(['11:00']);
+        });
+
+        it('should place slots in the consultant time zone', () => {
+            const [day] = computeSlots({ ...range, duration: 60, weekly, timeZone: 'America/New_York', now });
+
+            expect(day.slots[0].start).toBe('09:00');
+            expect(day.slots[0].startAt.toISOString()).toBe(`${monday}T14:00:00.000Z`);
+        });
+
+        it('should return empty days so fully booked dates can be shown', () => {
+            const days = computeSlots({
+                from: range.from,
+                to: new Date('2030-01-08T00:00:00.000Z'),
+                duration: 60,
+                weekly,
+                now
+            });
+
+            expect(days).toHaveLength(2);
+            expect(days[1]).toEqual({ date: '2030-01-08', slots: [] });
+        });
+    });
+
+    describe('parseRange', () => {
+        it('should reject a reversed range', () => {
+            expect(() => parseRange('2030-01-08', '2030-01-07')).toThrow();
+        });
+
+        it('should reject ranges longer than the maximum', () => {
+            expect(() => parseRange('2030-01-01', '2030-12-31')).toThrow();
+        });
+    });
+});
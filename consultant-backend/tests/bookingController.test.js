@@ -12,6 +12,8 @@ const bookingController = require('../controllers/bookingController');
 const Booking = require('../models/Booking');
 const Service = require('../models/Service');
 const Consultant = require('../models/Consultant');
+const Policy = require('../models/Policy');
+const SlotHold = require('../models/SlotHold');
 
 describe('Booking Controller Tests', () => {
     let testUsers;
@@ -55,8 +57,7 @@ describe('Booking Controller Tests', () => {
                 serviceId: service._id,
                 consultantId: consultant._id,
                 date: new Date().toISOString().split('T')[0],
-                time: '14:00',
-                duration: 60
+                time: '14:00'
             };
 
             const req = createTestRequest(testUsers.client, bookingData);
@@ -75,13 +76,29 @@ describe('Booking Controller Tests', () => {
             );
         });
 
+        it('should ignore a payment status sent by the client', async () => {
+            const req = createTestRequest(testUsers.client, {
+                serviceId: service._id,
+                consultantId: consultant._id,
+                date: new Date().toISOString().split('T')[0],
+                time: '14:00',
+                paymentStatus: 'paid'
+            });
+            const res = createTestResponse();
+
+            await bookingController.createBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const created = await Booking.findById(res.json.mock.calls[0][0].booking._id);
+            expect(created.paymentStatus).toBe('pending');
+        });
+
         it('should return 400 for invalid booking time', async () => {
             const bookingData = {
                 serviceId: service._id,
                 consultantId: consultant._id,
                 date: new Date().toISOString().split('T')[0],
-                time: '25:00', // Invalid time
-                duration: 60
+                time: '25:00' // Invalid time
             };
 
             const req = createTestRequest(testUsers.client, bookingData);
@@ -91,6 +108,98 @@ describe('Booking Controller Tests', () => {
 
             expect(res.status).toHaveBeenCalledWith(400);
         });
+
+        it('should return 409 when the slot overlaps an existing booking', async () => {
+            const bookingData = {
+                serviceId: service._id,
+                consultantId: consultant._id,
+                date: booking.date,
+                time: '10:30' // Existing booking runs 10:00-11:00
+            };
+
+            const req = createTestRequest(testUsers.client, bookingData);
+            const res = createTestResponse();
+
+            await bookingController.createBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    conflict: expect.objectContaining({
+                        bookingId: booking._id,
+                        time: '10:00'
+                    })
+                })
+            );
+        });
+
+        it('should allow back-to-back bookings', async () => {
+            const bookingData = {
+                serviceId: service._id,
+                consultantId: consultant._id,
+                date: booking.date,
+                time: '11:00'
+            };
+
+            const req = createTestRequest(testUsers.client, bookingData);
+            const res = createTestResponse();
+
+            await bookingController.createBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should reject one of two concurrent requests for the same slot', async () => {
+            const bookingData = {
+                serviceId: service._id,
+                consultantId: consultant._id,
+                date: booking.date,
+                time: '15:00'
+            };
+
+            const responses = [createTestResponse(), createTestResponse()];
+            await Promise.all(responses.map(res =>
+                bookingController.createBooking(createTestRequest(testUsers.client, bookingData), res)
+            ));
+
+            const statuses = responses.map(res => res.status.mock.calls[0][0]).sort();
+            expect(statuses).toEqual([201, 409]);
+        });
+
+        it('should book the service\'s duration whatever the client asks for', async () => {
+            const req = createTestRequest(testUsers.client, {
+                serviceId: service._id,
+                consultantId: consultant._id,
+                date: booking.date,
+                time: '15:00',
+                duration: 1
+            });
+            const res = createTestResponse();
+
+            await bookingController.createBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json.mock.calls[0][0].booking.duration).toBe(60);
+        });
+
+        it('should return 404 for a service the consultant does not offer', async () => {
+            const otherService = await Service.create({
+                ...testData.services[0],
+                consultantId: new mongoose.Types.ObjectId()
+            });
+            const req = createTestRequest(testUsers.client, {
+                serviceId: otherService._id,
+                consultantId: consultant._id,
+                date: booking.date,
+                time: '15:00'
+            });
+            const res = createTestResponse();
+
+            await bookingController.createBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(await Booking.countDocuments()).toBe(1);
+        });
     });
 
     describe('getBooking', () => {
@@ -149,6 +258,218 @@ describe('Booking Controller Tests', () => {
         });
     });
 
+    describe('updateBooking', () => {
+        it('should not let the client mark a booking paid', async () => {
+            const req = createTestRequest(testUsers.client, { paymentStatus: 'paid' }, { id: booking._id });
+            const res = createTestResponse();
+
+            await bookingController.updateBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('pending');
+        });
+    });
+
+    describe('lifecycle transitions', () => {
+        it('should let the consultant confirm and then complete a booking', async () => {
+            const confirmRes = createTestResponse();
+            await bookingController.confirmBooking(
+                createTestRequest(testUsers.consultant, { reason: 'Looks good' }, { id: booking._id }),
+                confirmRes
+            );
+            expect(confirmRes.status).toHaveBeenCalledWith(200);
+
+            const completeRes = createTestResponse();
+            await bookingController.completeBooking(
+                createTestRequest(testUsers.consultant, {}, { id: booking._id }),
+                completeRes
+            );
+            expect(completeRes.status).toHaveBeenCalledWith(200);
+
+            const updatedBooking = await Booking.findById(booking._id);
+            expect(updatedBooking.status).toBe('completed');
+            expect(updatedBooking.statusHistory.map(entry => entry.to)).toEqual(['confirmed', 'completed']);
+            expect(updatedBooking.statusHistory[0]).toEqual(expect.objectContaining({
+                from: 'pending',
+                actorRole: 'consultant',
+                reason: 'Looks good'
+            }));
+            expect(updatedBooking.statusHistory[0].actor).toEqual(testUsers.consultant._id);
+        });
+
+        it('should return 403 when the client tries to decline', async () => {
+            const res = createTestResponse();
+            await bookingController.declineBooking(
+                createTestRequest(testUsers.client, {}, { id: booking._id }),
+                res
+            );
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        it('should return 409 for a transition not allowed from the current status', async () => {
+            const res = createTestResponse();
+            await bookingController.completeBooking(
+                createTestRequest(testUsers.consultant, {}, { id: booking._id }),
+                res
+            );
+            expect(res.status).toHaveBeenCalledWith(409);
+
+            const unchangedBooking = await Booking.findById(booking._id);
+            expect(unchangedBooking.status).toBe('pending');
+        });
+
+        it('should let an admin mark a confirmed booking as no-show', async () => {
+            await Booking.updateOne({ _id: booking._id }, { status: 'confirmed' });
+
+            const res = createTestResponse();
+            await bookingController.markNoShow(
+                createTestRequest(testUsers.admin, {}, { id: booking._id }),
+                res
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('rescheduleBooking', () => {
+        const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const reschedule = async (user, body) => {
+            const res = createTestResponse();
+            await bookingController.rescheduleBooking(createTestRequest(user, body, { id: booking._id }), res);
+            return res;
+        };
+
+        beforeEach(async () => {
+            consultant.availability = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+                .map(day => ({ day, timeSlots: [{ start: '09:00', end: '17:00' }] }));
+            await consultant.save();
+        });
+
+        it('should move the booking to a new slot and link both bookings', async () => {
+            const req = createTestRequest(testUsers.client, { date: nextWeek, time: '15:00' }, { id: booking._id });
+            const res = createTestResponse();
+
+            await bookingController.rescheduleBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const moved = res.json.mock.calls[0][0].booking;
+            expect(moved.time).toBe('15:00');
+            expect(moved.rescheduledFrom).toEqual(booking._id);
+            expect(moved.rescheduleCount).toBe(1);
+            expect(moved.originalStartAt).toEqual(booking.startAt);
+
+            const original = await Booking.findById(booking._id);
+            expect(original.status).toBe('rescheduled');
+            expect(original.rescheduledTo).toEqual(moved._id);
+        });
+
+        it('should return 422 when the policy limit is reached', async () => {
+            await Policy.create({
+                consultantId: consultant._id,
+                cancellationPolicy: 'Free cancellation',
+                reschedulePolicy: 'No rescheduling',
+                rescheduleRules: { maxReschedules: 0 }
+            });
+
+            const req = createTestRequest(testUsers.client, { date: nextWeek, time: '15:00' }, { id: booking._id });
+            const res = createTestResponse();
+
+            await bookingController.rescheduleBooking(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(422);
+            const unchangedBooking = await Booking.findById(booking._id);
+            expect(unchangedBooking.status).toBe('pending');
+        });
+
+        it('should return 400 for days that do not exist and times that have started', async () => {
+            expect((await reschedule(testUsers.client, { date: '2030-02-30', time: '15:00' })).status).toHaveBeenCalledWith(400);
+            expect((await reschedule(testUsers.client, { date: '2020-01-08', time: '15:00' })).status).toHaveBeenCalledWith(400);
+            expect((await reschedule(testUsers.consultant, { date: '2020-01-08', time: '15:00' })).status).toHaveBeenCalledWith(400);
+            expect((await Booking.findById(booking._id)).status).toBe('pending');
+        });
+
+        it('should return 422 when a client picks a time outside the consultant\'s schedule', async () => {
+            expect((await reschedule(testUsers.client, { date: nextWeek, time: '20:00' })).status).toHaveBeenCalledWith(422);
+            expect((await reschedule(testUsers.client, { date: nextWeek, time: '15:30' })).status).toHaveBeenCalledWith(422);
+            expect((await Booking.findById(booking._id)).status).toBe('pending');
+        });
+
+        it('should let the consultant move a booking outside their schedule', async () => {
+            const res = await reschedule(testUsers.consultant, { date: nextWeek, time: '20:00' });
+
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+    });
+
+    describe('slot holds', () => {
+        const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const slot = (fields) => ({
+            consultantId: consultant._id,
+            serviceId: service._id,
+            date: nextWeek,
+            time: '16:00',
+            duration: 60,
+            ...fields
+        });
+
+        it('should keep a held slot for the holder only', async () => {
+            const holdRes = createTestResponse();
+            await bookingController.createHold(createTestRequest(testUsers.client, slot()), holdRes);
+            expect(holdRes.status).toHaveBeenCalledWith(201);
+
+            const otherRes = createTestResponse();
+            await bookingController.createBooking(createTestRequest(testUsers.admin, slot()), otherRes);
+            expect(otherRes.status).toHaveBeenCalledWith(409);
+
+            const holderRes = createTestResponse();
+            await bookingController.createBooking(createTestRequest(testUsers.client, slot()), holderRes);
+            expect(holderRes.status).toHaveBeenCalledWith(201);
+            expect(await SlotHold.countDocuments()).toBe(0);
+        });
+
+        it('should ignore expired holds', async () => {
+            const holdRes = createTestResponse();
+            await bookingController.createHold(createTestRequest(testUsers.client, slot()), holdRes);
+            await SlotHold.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+            const res = createTestResponse();
+            await bookingController.createBooking(createTestRequest(testUsers.admin, slot()), res);
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        it('should hold the service\'s duration whatever the client asks for', async () => {
+            const res = createTestResponse();
+            await bookingController.createHold(createTestRequest(testUsers.client, slot({ duration: 10000 })), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json.mock.calls[0][0].hold.duration).toBe(60);
+        });
+
+        it('should reject slots in the past and services of another consultant', async () => {
+            const pastRes = createTestResponse();
+            await bookingController.createHold(createTestRequest(testUsers.client, slot({ date: '2020-01-01' })), pastRes);
+            expect(pastRes.status).toHaveBeenCalledWith(400);
+
+            const otherService = await Service.create({
+                ...testData.services[0],
+                consultantId: new mongoose.Types.ObjectId()
+            });
+            const otherRes = createTestResponse();
+            await bookingController.createHold(
+                createTestRequest(testUsers.client, slot({ serviceId: otherService._id })),
+                otherRes
+            );
+            expect(otherRes.status).toHaveBeenCalledWith(404);
+            expect(await SlotHold.countDocuments()).toBe(0);
+        });
+
+        it('should return 400 for a time without a two-digit hour', async () => {
+            const res = createTestResponse();
+            await bookingController.createHold(createTestRequest(testUsers.client, slot({ time: '9:00' })), res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
     describe('getConsultantBookings', () => {
         it('should get consultant bookings successfully', async () => {
             const req = createTestRequest(testUsers.consultant);
@@ -203,6 +524,8 @@ describe('Booking Controller Tests', () => {
             // Verify database update
             const cancelledBooking = await Booking.findById(booking._id);
             expect(cancelledBooking.status).toBe('cancelled');
+            expect(cancelledBooking.cancellation.refundPercent).toBe(100);
+            expect(cancelledBooking.cancellation.refundAmount).toBe(service.price);
         });
 
         it('should return 403 when non-owner tries to cancel booking', async () => {
@@ -169,6 +169,33 @@ describe('Consultant Controller Tests', () => {
                 })
             );
         });
+
+        it('should return 404 for a service the consultant does not offer', async () => {
+            const otherService = await Service.create({
+                ...testData.services[0],
+                consultantId: new mongoose.Types.ObjectId()
+            });
+
+            const req = createTestRequest(testUsers.consultant, {}, { id: consultant._id }, { serviceId: otherService._id.toString() });
+            const res = createTestResponse();
+
+            await consultantController.getConsultantAvailability(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('getMyEarnings', () => {
+        it('should return 400 for a period that is not a breakdown', async () => {
+            for (const period of ['decade', 'constructor', 'toString']) {
+                const req = createTestRequest(testUsers.consultant, {}, {}, { period });
+                const res = createTestResponse();
+
+                await consultantController.getMyEarnings(req, res);
+
+                expect(res.status).toHaveBeenCalledWith(400);
+            }
+        });
     });
 
     describe('updateConsultantAvailability', () => {
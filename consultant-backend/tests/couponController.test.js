@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const couponController = require('../controllers/couponController');
+const { reserveSlot } = require('../services/bookingService');
+const { CouponError } = require('../services/couponService');
+const Coupon = require('../models/Coupon');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+
+describe('Coupon Controller Tests', () => {
+    let testUsers;
+    let consultant;
+    let service;
+
+    const bookWith = (couponCode, time) => reserveSlot({
+        ...testData.bookings[0],
+        time,
+        clientId: testUsers.client._id,
+        consultantId: consultant._id,
+        serviceId: service._id
+    }, { actor: testUsers.client, couponCode });
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        service = await Service.create({ ...testData.services[0], consultantId: consultant._id });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should scope a consultant\'s code to their own services', async () => {
+        const res = createTestResponse();
+        await couponController.createCoupon(createTestRequest(testUsers.consultant, {
+            code: 'spring-25',
+            type: 'percent',
+            value: 25,
+            consultantId: new mongoose.Types.ObjectId().toString()
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        const { coupon } = res.json.mock.calls[0][0];
+        expect(coupon.code).toBe('SPRING-25');
+        expect(coupon.consultantId.toString()).toBe(consultant._id.toString());
+    });
+
+    it('should preview the discounted price without redeeming the code', async () => {
+        await Coupon.create({ code: 'TENOFF', type: 'fixed', value: 10, currency: 'usd', createdBy: testUsers.admin._id });
+
+        const res = createTestResponse();
+        await couponController.previewCoupon(createTestRequest(testUsers.client, {
+            code: 'tenoff',
+            consultantId: consultant._id.toString(),
+            serviceId: service._id.toString()
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ originalAmount: 100, discount: 10, amount: 90 }));
+        expect((await Coupon.findOne({ code: 'TENOFF' })).redemptionCount).toBe(0);
+    });
+
+    it('should store the discount on the booking and enforce the per-client limit', async () => {
+        await Coupon.create({
+            code: 'ONCE',
+            type: 'percent',
+            value: 20,
+            perClientLimit: 1,
+            createdBy: testUsers.admin._id
+        });
+
+        const booking = await bookWith('once', '10:00');
+        expect(booking.price.amount).toBe(80);
+        expect(booking.discount).toEqual(expect.objectContaining({ code: 'ONCE', originalAmount: 100, amount: 20 }));
+
+        await expect(bookWith('ONCE', '12:00')).rejects.toThrow(CouponError);
+        expect((await Coupon.findOne({ code: 'ONCE' })).redemptionCount).toBe(1);
+    });
+});
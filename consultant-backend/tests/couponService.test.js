@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { CouponError, computeDiscount, assertCouponApplies, normalizeCode } = require('../services/couponService');
+
+describe('Coupon Service Tests', () => {
+    const consultantId = new mongoose.Types.ObjectId();
+    const serviceId = new mongoose.Types.ObjectId();
+    const now = new Date('2030-06-01T12:00:00Z');
+    const target = { consultantId, serviceId, category: 'Strategy', currency: 'usd' };
+    const coupon = (fields) => ({ type: 'percent', value: 10, active: true, redemptionCount: 0, ...fields });
+
+    describe('computeDiscount', () => {
+        it('should take a percentage off to the cent', () => {
+            expect(computeDiscount(coupon({ value: 15 }), 99.99, 'usd')).toBe(15);
+        });
+
+        it('should round to the minor unit of the currency', () => {
+            expect(computeDiscount(coupon({ value: 10 }), 1005, 'jpy')).toBe(101);
+        });
+
+        it('should never take off more than the price', () => {
+            expect(computeDiscount(coupon({ type: 'fixed', value: 50, currency: 'usd' }), 30, 'usd')).toBe(30);
+        });
+    });
+
+    describe('assertCouponApplies', () => {
+        it('should accept a code within its scope, window and limits', () => {
+            expect(() => assertCouponApplies(coupon({
+                consultantId,
+                category: 'Strategy',
+                expiresAt: new Date('2030-07-01T00:00:00Z'),
+                maxRedemptions: 5,
+                redemptionCount: 4
+            }), target, now)).not.toThrow();
+        });
+
+        it('should reject expired, exhausted and out-of-scope codes', () => {
+            const rejects = (fields) => expect(() => assertCouponApplies(coupon(fields), target, now)).toThrow(CouponError);
+
+            rejects({ expiresAt: new Date('2030-05-01T00:00:00Z') });
+            rejects({ startsAt: new Date('2030-07-01T00:00:00Z') });
+            rejects({ maxRedemptions: 3, redemptionCount: 3 });
+            rejects({ consultantId: new mongoose.Types.ObjectId() });
+            rejects({ category: 'Marketing' });
+            rejects({ active: false });
+        });
+
+        it('should only apply fixed amounts to prices in the same currency', () => {
+            expect(() => assertCouponApplies(coupon({ type: 'fixed', value: 20, currency: 'eur' }), target, now))
+                .toThrow('only applies to prices in EUR');
+        });
+    });
+
+    it('should match codes regardless of case and spacing', () => {
+        expect(normalizeCode(' spring-25 ')).toBe('SPRING-25');
+    });
+});
@@ -0,0 +1,50 @@
+const {
+    convertAmount, isSupportedCurrency, normalizeCurrency, toMinorUnits, roundAmount, formatAmount
+} = require('../utils/currency');
+
+describe('Currency Utilities Tests', () => {
+    const table = { base: 'usd', rates: { usd: 1, eur: 0.8, jpy: 150 } };
+
+    describe('convertAmount', () => {
+        it('should convert through the base currency and round to the cent', () => {
+            expect(convertAmount(100, 'usd', 'eur', table)).toBe(80);
+            expect(convertAmount(80, 'EUR', 'jpy', table)).toBe(15000);
+            expect(convertAmount(10, 'jpy', 'usd', table)).toBe(0.07);
+        });
+
+        it('should return null when a currency has no rate', () => {
+            expect(convertAmount(100, 'usd', 'xyz', table)).toBeNull();
+        });
+    });
+
+    describe('isSupportedCurrency', () => {
+        it('should accept currencies of the configured table in any case', () => {
+            expect(isSupportedCurrency('EUR')).toBe(true);
+            expect(isSupportedCurrency('xyz')).toBe(false);
+            expect(normalizeCurrency(' GBP ')).toBe('gbp');
+        });
+    });
+
+    describe('toMinorUnits', () => {
+        it('should scale by the decimals of each currency', () => {
+            expect(toMinorUnits(80.5, 'usd')).toBe(8050);
+            expect(toMinorUnits(5000, 'JPY')).toBe(5000);
+            expect(toMinorUnits(1.234, 'bhd')).toBe(1234);
+        });
+    });
+
+    describe('roundAmount', () => {
+        it('should round to the minor unit of each currency', () => {
+            expect(roundAmount(904.555, 'usd')).toBe(904.56);
+            expect(roundAmount(904.5, 'JPY')).toBe(905);
+            expect(roundAmount(1.2345, 'bhd')).toBe(1.235);
+        });
+    });
+
+    describe('formatAmount', () => {
+        it('should show the decimals of each currency', () => {
+            expect(formatAmount(80, 'usd')).toBe('80.00 USD');
+            expect(formatAmount(5000, 'jpy')).toBe('5000 JPY');
+        });
+    });
+});
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { connectTestDB, clearDatabase, createTestUsers } = require('./testUtils');
+const { queueEmail, processOutbox, processDigests, MAX_ATTEMPTS } = require('../services/emailService');
+const { updatePreferences } = require('../services/preferenceService');
+const { registerEmailTransport } = require('../services/emailTransports');
+const OutboundEmail = require('../models/OutboundEmail');
+
+describe('Email Service Tests', () => {
+    let testUsers;
+    let sent;
+    let failing;
+
+    const queue = (dedupeKey) => queueEmail({
+        user: testUsers.client,
+        template: 'booking_reminder',
+        values: { serviceName: 'Strategy session', when: 'tomorrow', withName: 'Grace' },
+        dedupeKey
+    });
+
+    beforeAll(async () => {
+        await connectTestDB();
+        // Records messages instead of sending them, and fails on demand
+        registerEmailTransport({
+            name: 'memory',
+            async send(message) {
+                if (failing) throw new Error('Connection refused');
+                sent.push(message);
+                return { messageId: `<${sent.length}@memory>` };
+            }
+        });
+        process.env.EMAIL_TRANSPORT = 'memory';
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        sent = [];
+        failing = false;
+    });
+
+    afterAll(async () => {
+        delete process.env.EMAIL_TRANSPORT;
+        await mongoose.connection.close();
+    });
+
+    it('should render in the user\'s language and send right away', async () => {
+        testUsers.client.locale = 'fr';
+        await queue();
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].to).toBe(testUsers.client.email);
+        expect(sent[0].subject).toMatch(/^Rappel/);
+        expect(sent[0].html).toContain('<html lang="fr">');
+        expect((await OutboundEmail.findOne({})).status).toBe('sent');
+    });
+
+    it('should queue a message only once per event', async () => {
+        await queue('booking_reminder:1');
+        expect(await queue('booking_reminder:1')).toBeNull();
+        expect(sent).toHaveLength(1);
+    });
+
+    it('should keep failed messages in the outbox and retry them later', async () => {
+        failing = true;
+        const message = await queue();
+        const stored = await OutboundEmail.findById(message._id);
+        expect(stored).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection refused' });
+
+        // Not due yet
+        expect(await processOutbox()).toBe(0);
+
+        failing = false;
+        expect(await processOutbox(new Date(stored.nextAttemptAt.getTime() + 1))).toBe(1);
+        expect(await OutboundEmail.findById(message._id)).toMatchObject({ status: 'sent', attempts: 2 });
+    });
+
+    it('should not queue email the user turned off', async () => {
+        await updatePreferences(testUsers.client._id, { types: { reminder: { email: false } } });
+        expect(await queue()).toBeNull();
+        expect(sent).toHaveLength(0);
+    });
+
+    it('should add a one-click unsubscribe link and header', async () => {
+        await queue();
+        expect(sent[0].text).toContain('/api/notification-preferences/unsubscribe?token=');
+        expect(sent[0].headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    });
+
+    it('should hold email for the daily digest and send it at the digest hour', async () => {
+        await updatePreferences(testUsers.client._id, { digest: { enabled: true, hour: 8 } });
+        const receipt = await queueEmail({
+            user: testUsers.client,
+            template: 'payment_receipt',
+            values: { serviceName: 'Strategy session', when: 'tomorrow', amount: '$80.00', reference: 'pi_1' }
+        });
+        expect(receipt.status).toBe('held');
+        expect(sent).toHaveLength(0);
+
+        // Digests go out at 08:00 in the user's zone, for what was held before then
+        const tomorrow = new Date(receipt.createdAt.getTime() + 24 * 60 * 60 * 1000);
+        expect(await processDigests(tomorrow)).toBe(1);
+        expect(await processDigests(tomorrow)).toBe(0);
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0].subject).toBe('Your daily summary: 1 update(s)');
+        expect((await OutboundEmail.findById(receipt._id)).status).toBe('digested');
+    });
+
+    it('should give up after the last attempt', async () => {
+        failing = true;
+        const message = await queue();
+        await OutboundEmail.updateOne({ _id: message._id }, { attempts: MAX_ATTEMPTS - 1, nextAttemptAt: new Date(0) });
+
+        await processOutbox();
+        expect((await OutboundEmail.findById(message._id)).status).toBe('failed');
+    });
+});
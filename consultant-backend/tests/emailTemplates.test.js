@@ -0,0 +1,64 @@
+const { renderEmail, resolveLocale, formatWhen, TEMPLATE_NAMES } = require('../services/emailTemplates');
+
+describe('Email Templates Tests', () => {
+    const values = {
+        name: 'Ada',
+        serviceName: 'Strategy session',
+        when: 'Monday, June 3, 2030 at 10:00 AM (Europe/Paris)',
+        previousWhen: 'Friday, May 31, 2030 at 9:00 AM (Europe/Paris)',
+        withName: 'Grace',
+        amount: '$80.00',
+        reference: 'pi_123',
+        items: ['Booking confirmed: Strategy session on Monday, June 3, 2030']
+    };
+
+    it('should render every template with a text and an HTML part in every locale', () => {
+        for (const name of TEMPLATE_NAMES) {
+            for (const locale of ['en', 'fr', 'es']) {
+                const email = renderEmail(name, locale, values, { actionUrl: 'http://localhost:3000/my-appointments' });
+                expect(email.subject).not.toBe('');
+                expect(email.text).toContain('Ada');
+                expect(email.text).toContain('http://localhost:3000/my-appointments');
+                expect(email.html).toContain(`<html lang="${locale}">`);
+            }
+        }
+    });
+
+    it('should link to the unsubscribe page when given one', () => {
+        const url = 'http://localhost:8000/api/notification-preferences/unsubscribe?token=abc';
+        const email = renderEmail('booking_reminder', 'es', values, { unsubscribeUrl: url });
+        expect(email.text).toContain(`Darse de baja de estos correos: ${url}`);
+        expect(email.html).toContain(`href="${url}"`);
+        expect(renderEmail('booking_reminder', 'es', values).text).not.toContain('Darse de baja');
+    });
+
+    it('should list every gathered email in the digest', () => {
+        const email = renderEmail('daily_digest', 'en', { ...values, items: ['First', 'Second'] });
+        expect(email.subject).toBe('Your daily summary: 2 update(s)');
+        expect(email.text).toContain('• First\n\n• Second');
+    });
+
+    it('should write in the recipient\'s language and fall back to English', () => {
+        expect(renderEmail('booking_confirmation', 'fr-CA', values).subject).toMatch(/^Réservation confirmée/);
+        expect(renderEmail('booking_confirmation', 'de', values).subject).toMatch(/^Booking confirmed/);
+        expect(resolveLocale(undefined)).toBe('en');
+    });
+
+    it('should only mention a refund when one is due', () => {
+        expect(renderEmail('booking_cancellation', 'en', values).text).not.toContain('refund');
+        expect(renderEmail('booking_cancellation', 'en', { ...values, refund: '$40.00' }).text)
+            .toContain('A refund of $40.00 is due');
+    });
+
+    it('should escape values in the HTML part', () => {
+        const { html } = renderEmail('booking_cancellation', 'en', { ...values, reason: '<b>sick</b>' });
+        expect(html).toContain('&lt;b&gt;sick&lt;/b&gt;');
+        expect(html).not.toContain('<b>sick</b>');
+    });
+
+    it('should show times in the recipient\'s zone', () => {
+        const instant = new Date('2030-06-03T08:00:00Z');
+        expect(formatWhen(instant, 'Europe/Paris', 'en')).toContain('10:00');
+        expect(formatWhen(instant, 'America/New_York', 'en')).toContain('4:00');
+    });
+});
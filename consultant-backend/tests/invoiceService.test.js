@@ -0,0 +1,57 @@
+const { taxBreakdown } = require('../services/invoiceService');
+const { renderInvoicePdf } = require('../services/invoicePdf');
+
+describe('Invoice Service Tests', () => {
+    describe('taxBreakdown', () => {
+        it('should take the tax out of a tax-inclusive total', () => {
+            expect(taxBreakdown(120, { name: 'VAT', ratePercent: 20 }, 'usd')).toEqual({
+                subtotal: 100,
+                taxLines: [{ name: 'VAT', ratePercent: 20, amount: 20 }],
+                total: 120
+            });
+        });
+
+        it('should show no tax line when no tax is configured', () => {
+            expect(taxBreakdown(99.99, { name: 'VAT', ratePercent: 0 }, 'usd')).toEqual({
+                subtotal: 99.99,
+                taxLines: [],
+                total: 99.99
+            });
+        });
+
+        it('should round to the minor unit of the currency', () => {
+            expect(taxBreakdown(5000, { name: 'VAT', ratePercent: 7 }, 'jpy')).toEqual({
+                subtotal: 4673,
+                taxLines: [{ name: 'VAT', ratePercent: 7, amount: 327 }],
+                total: 5000
+            });
+        });
+    });
+
+    describe('renderInvoicePdf', () => {
+        it('should render the invoice and its credit notes as one PDF', async () => {
+            const invoice = {
+                kind: 'invoice',
+                number: 'INV-000001',
+                issuedAt: new Date('2030-01-01T10:00:00Z'),
+                seller: { name: 'Consultant', taxId: 'GB123' },
+                buyer: { name: 'Client' },
+                currency: 'usd',
+                lines: [{ description: 'Strategy session', quantity: 1, unitAmount: 120, amount: 120 }],
+                ...taxBreakdown(120, { name: 'VAT', ratePercent: 20 }, 'usd')
+            };
+            const creditNote = {
+                ...invoice,
+                kind: 'credit_note',
+                number: 'CN-000001',
+                lines: [{ description: 'Refund', quantity: 1, unitAmount: 60, amount: 60 }],
+                ...taxBreakdown(60, { name: 'VAT', ratePercent: 20 }, 'usd')
+            };
+
+            const pdf = await renderInvoicePdf([invoice, creditNote]);
+
+            expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+            expect(pdf.toString('latin1').match(/\/Type \/Page\b/g)).toHaveLength(2);
+        });
+    });
+});
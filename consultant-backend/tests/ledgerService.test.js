@@ -0,0 +1,30 @@
+const { ACCOUNTS, splitAmount, summarizeLedger } = require('../services/ledgerService');
+
+describe('Ledger Service Tests', () => {
+    describe('splitAmount', () => {
+        it('should split an amount between commission and consultant to the cent', () => {
+            expect(splitAmount(99.99, 20, 'usd')).toEqual({ commission: 20, consultant: 79.99 });
+            expect(splitAmount(1005, 20, 'jpy')).toEqual({ commission: 201, consultant: 804 });
+        });
+    });
+
+    describe('summarizeLedger', () => {
+        it('should report gross, commission, refunds, net and payouts per period', () => {
+            const rows = [
+                { period: '2030-01', account: ACCOUNTS.CASH, kind: 'earning', debit: 100, credit: 0 },
+                { period: '2030-01', account: ACCOUNTS.COMMISSION, kind: 'earning', debit: 0, credit: 20 },
+                { period: '2030-01', account: ACCOUNTS.CONSULTANT, kind: 'earning', debit: 0, credit: 80 },
+                { period: '2030-02', account: ACCOUNTS.CASH, kind: 'refund', debit: 0, credit: 50 },
+                { period: '2030-02', account: ACCOUNTS.COMMISSION, kind: 'refund', debit: 10, credit: 0 },
+                { period: '2030-02', account: ACCOUNTS.CONSULTANT, kind: 'refund', debit: 40, credit: 0 },
+                { period: '2030-02', account: ACCOUNTS.CONSULTANT, kind: 'payout', debit: 40, credit: 0 },
+                { period: '2030-02', account: ACCOUNTS.CASH, kind: 'payout', debit: 0, credit: 40 }
+            ];
+
+            const { totals, periods } = summarizeLedger(rows, 'usd');
+
+            expect(totals).toEqual({ gross: 100, commission: 10, refunds: 50, net: 40, paidOut: 40 });
+            expect(periods.map(({ period, net }) => [period, net])).toEqual([['2030-01', 80], ['2030-02', -40]]);
+        });
+    });
+});
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const messageController = require('../controllers/messageController');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+const Service = require('../models/Service');
+const User = require('../models/User');
+
+describe('Message Controller Tests', () => {
+    let testUsers;
+    let booking;
+
+    const openThread = async (user, body) => {
+        const res = createTestResponse();
+        await messageController.openConversation(createTestRequest(user, body), res);
+        return { res, conversation: res.json.mock.calls[0][0] };
+    };
+
+    const post = async (user, conversationId, body, files) => {
+        const res = createTestResponse();
+        const req = createTestRequest(user, { body }, { id: String(conversationId) });
+        req.files = files;
+        await messageController.postMessage(req, res);
+        return res;
+    };
+
+    // A file as multer leaves it on disk
+    const upload = () => {
+        const filePath = path.join(os.tmpdir(), `attachment-${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`);
+        fs.writeFileSync(filePath, '%PDF-1.4');
+        return { path: filePath, filename: path.basename(filePath), originalname: 'notes.pdf', mimetype: 'application/pdf', size: 8 };
+    };
+
+    const read = async (user, conversationId) => {
+        const res = createTestResponse();
+        await messageController.getMessages(
+            createTestRequest(user, {}, { id: String(conversationId) }), res);
+        return res;
+    };
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        const consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        const service = await Service.create({ ...testData.services[0], consultantId: consultant._id });
+        booking = await Booking.create({
+            ...testData.bookings[0],
+            clientId: testUsers.client._id,
+            consultantId: consultant._id,
+            serviceId: service._id
+        });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should open one thread per booking for both participants', async () => {
+        const { res, conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        expect(res.status).toHaveBeenCalledWith(200);
+
+        const { conversation: same } = await openThread(testUsers.consultant, { bookingId: booking._id });
+        expect(String(same._id)).toBe(String(conversation._id));
+    });
+
+    it('should keep the thread of a booking after it is rescheduled', async () => {
+        const { conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        const moved = await Booking.create({
+            ...testData.bookings[0],
+            time: '15:00',
+            clientId: booking.clientId,
+            consultantId: booking.consultantId,
+            serviceId: booking.serviceId,
+            rescheduledFrom: booking._id
+        });
+
+        const { conversation: same } = await openThread(testUsers.client, { bookingId: moved._id });
+        expect(String(same._id)).toBe(String(conversation._id));
+    });
+
+    it('should count unread messages and mark them read with a receipt', async () => {
+        const { conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        expect((await post(testUsers.client, conversation._id, 'Can I bring my documents?')).status)
+            .toHaveBeenCalledWith(201);
+
+        const countRes = createTestResponse();
+        await messageController.getUnreadCount(createTestRequest(testUsers.consultant), countRes);
+        expect(countRes.json).toHaveBeenCalledWith({ unreadCount: 1 });
+
+        const readRes = await read(testUsers.consultant, conversation._id);
+        expect(readRes.status).toHaveBeenCalledWith(200);
+
+        const clientView = (await read(testUsers.client, conversation._id)).json.mock.calls[0][0];
+        expect(clientView.messages).toHaveLength(1);
+        expect(clientView.messages[0].readAt).toBeInstanceOf(Date);
+        expect(clientView.messages[0].attachments).toEqual([]);
+    });
+
+    it('should only let participants and admins read a conversation', async () => {
+        const { conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        await post(testUsers.client, conversation._id, 'Hello');
+        const outsider = await User.create({
+            email: 'outsider@example.com',
+            password: 'password123',
+            name: 'Outsider',
+            role: 'client'
+        });
+
+        expect((await read(outsider, conversation._id)).status).toHaveBeenCalledWith(403);
+        expect((await openThread(outsider, { bookingId: booking._id })).res.status).toHaveBeenCalledWith(403);
+
+        // Admins can read without marking anything read, but cannot post
+        expect((await read(testUsers.admin, conversation._id)).status).toHaveBeenCalledWith(200);
+        const countRes = createTestResponse();
+        await messageController.getUnreadCount(createTestRequest(testUsers.consultant), countRes);
+        expect(countRes.json).toHaveBeenCalledWith({ unreadCount: 1 });
+        expect((await post(testUsers.admin, conversation._id, 'Hi')).status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject empty messages', async () => {
+        const { conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        expect((await post(testUsers.client, conversation._id, '   ')).status).toHaveBeenCalledWith(400);
+    });
+
+    it('should delete the attachments of a rejected message', async () => {
+        const { conversation } = await openThread(testUsers.client, { bookingId: booking._id });
+        const adminFile = upload();
+        const longFile = upload();
+
+        expect((await post(testUsers.admin, conversation._id, 'Hi', [adminFile])).status).toHaveBeenCalledWith(403);
+        expect((await post(testUsers.client, conversation._id, 'x'.repeat(5001), [longFile])).status)
+            .toHaveBeenCalledWith(400);
+
+        expect(fs.existsSync(adminFile.path)).toBe(false);
+        expect(fs.existsSync(longFile.path)).toBe(false);
+    });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const notificationController = require('../controllers/notificationController');
+const { notifyUser, notifyCreated } = require('../services/notificationService');
+const Notification = require('../models/Notification');
+const Booking = require('../models/Booking');
+const Consultant = require('../models/Consultant');
+
+describe('Notification Controller Tests', () => {
+    let testUsers;
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should notify the consultant, not the client, of a booking the client made', async () => {
+        const consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        const booking = await Booking.create({
+            ...testData.bookings[0],
+            clientId: testUsers.client._id,
+            consultantId: consultant._id,
+            serviceId: new mongoose.Types.ObjectId()
+        });
+
+        await notifyCreated({ booking, actor: testUsers.client });
+
+        const notifications = await Notification.find({});
+        expect(notifications).toHaveLength(1);
+        expect(notifications[0].userId.toString()).toBe(testUsers.consultant._id.toString());
+        expect(notifications[0].message).toContain('waiting for your confirmation');
+    });
+
+    it('should page through notifications with the unread count', async () => {
+        for (let i = 0; i < 3; i++) {
+            await notifyUser({ userId: testUsers.client._id, type: 'booking', message: `Notification ${i}` });
+        }
+        await notifyUser({ userId: testUsers.consultant._id, type: 'booking', message: 'Not yours' });
+
+        const res = createTestResponse();
+        await notificationController.getNotifications(
+            createTestRequest(testUsers.client, {}, {}, { page: '2', limit: '2' }),
+            res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const { notifications, unreadCount, pagination } = res.json.mock.calls[0][0];
+        expect(notifications).toHaveLength(1);
+        expect(unreadCount).toBe(3);
+        expect(pagination).toEqual({ total: 3, page: 2, pages: 2 });
+    });
+
+    it('should only mark the user\'s own notifications as read', async () => {
+        const theirs = await notifyUser({ userId: testUsers.consultant._id, type: 'booking', message: 'Not yours' });
+
+        const res = createTestResponse();
+        await notificationController.markAsRead(
+            createTestRequest(testUsers.client, {}, { notificationId: theirs._id.toString() }),
+            res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect((await Notification.findById(theirs._id)).status).toBe('unread');
+    });
+});
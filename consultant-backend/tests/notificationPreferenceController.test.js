@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse
+} = require('./testUtils');
+const notificationPreferenceController = require('../controllers/notificationPreferenceController');
+const { createUnsubscribeToken, getPreferences } = require('../services/preferenceService');
+
+describe('Notification Preference Controller Tests', () => {
+    let testUsers;
+
+    // The unsubscribe endpoints answer with an HTML page
+    const createPageResponse = () => {
+        const res = createTestResponse();
+        res.type = jest.fn().mockReturnValue(res);
+        res.send = jest.fn().mockReturnValue(res);
+        return res;
+    };
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should return the defaults to a user who never changed them', async () => {
+        const res = createTestResponse();
+        await notificationPreferenceController.getMyPreferences(createTestRequest(testUsers.client), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const preferences = res.json.mock.calls[0][0];
+        expect(preferences.types.reminder).toEqual({ inApp: true, email: true, push: true, sms: false });
+        expect(preferences.quietHours.enabled).toBe(false);
+        expect(preferences.channels).toEqual(['inApp', 'email', 'push', 'sms']);
+    });
+
+    it('should change only the settings sent', async () => {
+        const res = createTestResponse();
+        await notificationPreferenceController.updateMyPreferences(createTestRequest(testUsers.client, {
+            types: { payment: { email: false } },
+            quietHours: { enabled: true, start: '21:30' }
+        }), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const preferences = res.json.mock.calls[0][0];
+        expect(preferences.types.payment.email).toBe(false);
+        expect(preferences.types.payment.inApp).toBe(true);
+        expect(preferences.quietHours).toEqual({ enabled: true, start: '21:30', end: '07:00' });
+    });
+
+    it('should reject unknown types and malformed times', async () => {
+        const res = createTestResponse();
+        await notificationPreferenceController.updateMyPreferences(
+            createTestRequest(testUsers.client, { types: { marketing: { email: true } } }), res);
+        expect(res.status).toHaveBeenCalledWith(400);
+
+        const timeRes = createTestResponse();
+        await notificationPreferenceController.updateMyPreferences(
+            createTestRequest(testUsers.client, { quietHours: { start: '25:00' } }), timeRes);
+        expect(timeRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should unsubscribe from one type of email with the link, and undo it', async () => {
+        const token = createUnsubscribeToken(testUsers.client._id, 'reminder');
+
+        const res = createPageResponse();
+        await notificationPreferenceController.unsubscribe({ ...createTestRequest(null, {}, {}, { token }), method: 'GET', baseUrl: '/api/notification-preferences' }, res);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.send.mock.calls[0][0]).toContain('no longer receive emails about session reminders');
+
+        let preferences = await getPreferences(testUsers.client._id);
+        expect(preferences.types.reminder.email).toBe(false);
+        expect(preferences.types.booking.email).toBe(true);
+
+        await notificationPreferenceController.resubscribe(createTestRequest(null, {}, {}, { token }), createPageResponse());
+        preferences = await getPreferences(testUsers.client._id);
+        expect(preferences.types.reminder.email).toBe(true);
+    });
+});
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const packageController = require('../controllers/packageController');
+const { reserveSlot, cancelBooking } = require('../services/bookingService');
+const { PackageError, returnCredit } = require('../services/packageService');
+const { PaymentError, payForPackagePurchase } = require('../services/paymentService');
+const PackagePurchase = require('../models/PackagePurchase');
+const Payment = require('../models/Payment');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+
+describe('Package Controller Tests', () => {
+    let testUsers;
+    let consultant;
+    let service;
+
+    const createPackage = async (fields = {}) => {
+        const res = createTestResponse();
+        await packageController.createPackage(createTestRequest(testUsers.consultant, {
+            serviceId: service._id.toString(),
+            name: 'Five sessions',
+            sessionCount: 5,
+            discountPercent: 10,
+            ...fields
+        }), res);
+        return res.json.mock.calls[0][0].package;
+    };
+
+    const purchase = async (pkg) => {
+        const res = createTestResponse();
+        await packageController.purchasePackage(createTestRequest(
+            testUsers.client,
+            { paymentMethodId: 'pm_card_visa' },
+            { packageId: pkg._id.toString() }
+        ), res);
+        return res;
+    };
+
+    const bookWithCredit = (packagePurchaseId, time) => reserveSlot({
+        ...testData.bookings[0],
+        time,
+        clientId: testUsers.client._id,
+        consultantId: consultant._id,
+        serviceId: service._id
+    }, { actor: testUsers.client, packagePurchaseId });
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        service = await Service.create({ ...testData.services[0], consultantId: consultant._id });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    const pendingPurchase = async () => {
+        const pkg = await createPackage();
+        return PackagePurchase.create({
+            packageId: pkg._id,
+            clientId: testUsers.client._id,
+            consultantId: consultant._id,
+            serviceId: service._id,
+            amount: 450,
+            perSessionAmount: 90,
+            sessionCount: 5,
+            creditsRemaining: 5,
+            validityDays: 365
+        });
+    };
+
+    it('should price a package from the service\'s sessions', async () => {
+        const pkg = await createPackage();
+        expect(pkg.price).toEqual({ amount: 450, perSessionAmount: 90, savings: 50, currency: 'usd' });
+    });
+
+    it('should activate a paid purchase with all its credits', async () => {
+        const res = await purchase(await createPackage());
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        const { purchase: bought } = res.json.mock.calls[0][0];
+        expect(bought.status).toBe('active');
+        expect(bought.creditsRemaining).toBe(5);
+        expect(bought.expiresAt).toBeDefined();
+        expect(await Payment.findById(bought.paymentId)).toMatchObject({ amount: 450, status: 'succeeded' });
+    });
+
+    it('should book with a credit instead of charging, and return it on a full refund', async () => {
+        const { purchase: bought } = (await purchase(await createPackage())).json.mock.calls[0][0];
+
+        const booking = await bookWithCredit(bought._id, '10:00');
+        expect(booking.paymentStatus).toBe('paid');
+        expect(booking.status).toBe('confirmed');
+        expect(booking.price.amount).toBe(90);
+        expect((await PackagePurchase.findById(bought._id)).creditsRemaining).toBe(4);
+
+        await cancelBooking(booking, { actor: testUsers.consultant, role: 'consultant' });
+        expect(await returnCredit(booking)).toBe(true);
+        expect(await returnCredit(booking)).toBe(false);
+        expect((await PackagePurchase.findById(bought._id)).creditsRemaining).toBe(5);
+    });
+
+    it('should not book once the credits are used up', async () => {
+        const { purchase: bought } = (await purchase(await createPackage({ sessionCount: 2 }))).json.mock.calls[0][0];
+
+        await bookWithCredit(bought._id, '09:00');
+        await bookWithCredit(bought._id, '11:00');
+        await expect(bookWithCredit(bought._id, '13:00')).rejects.toThrow(PackageError);
+    });
+
+    it('should refund unused credits at the price paid per session', async () => {
+        const { purchase: bought } = (await purchase(await createPackage())).json.mock.calls[0][0];
+        await bookWithCredit(bought._id, '10:00');
+
+        const res = createTestResponse();
+        await packageController.refundPurchase(createTestRequest(
+            testUsers.client, {}, { purchaseId: bought._id.toString() }
+        ), res);
+
+        expect(res.status).toHaveBeenCalledWith(200);
+        const { purchase: closed, refund } = res.json.mock.calls[0][0];
+        expect(refund.amount).toBe(360);
+        expect(closed).toMatchObject({ status: 'refunded', creditsRemaining: 0, refundedCredits: 4 });
+    });
+
+    it('should open only one charge for concurrent payments of a purchase', async () => {
+        const pending = await pendingPurchase();
+        const pay = () => payForPackagePurchase(pending, { paymentMethodId: 'pm_card_visa', actor: testUsers.client });
+
+        const results = await Promise.allSettled([pay(), pay()]);
+
+        expect(results.map(({ status }) => status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(({ status }) => status === 'rejected').reason).toBeInstanceOf(PaymentError);
+        expect(await Payment.countDocuments({ packagePurchaseId: pending._id })).toBe(1);
+        expect((await PackagePurchase.findById(pending._id)).status).toBe('active');
+    });
+
+    it('should not charge again while an asynchronous payment is processing', async () => {
+        const pending = await pendingPurchase();
+        await payForPackagePurchase(pending, { paymentMethodId: 'pm_async', actor: testUsers.client });
+
+        const retry = await PackagePurchase.findById(pending._id);
+        await expect(payForPackagePurchase(retry, { paymentMethodId: 'pm_card_visa', actor: testUsers.client }))
+            .rejects.toThrow(PaymentError);
+        expect(await Payment.countDocuments({ packagePurchaseId: pending._id })).toBe(1);
+    });
+});
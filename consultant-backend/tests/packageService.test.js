@@ -0,0 +1,53 @@
+const { PackageError, priceOfPackage, assertRefundable } = require('../services/packageService');
+
+describe('Package Service Tests', () => {
+    const now = new Date('2030-06-01T12:00:00Z');
+    const purchase = (fields) => ({
+        status: 'active',
+        creditsRemaining: 3,
+        refundUnusedCredits: true,
+        activatedAt: new Date('2030-05-20T12:00:00Z'),
+        expiresAt: new Date('2031-05-20T12:00:00Z'),
+        ...fields
+    });
+
+    describe('priceOfPackage', () => {
+        it('should discount the sessions and split the price per session', () => {
+            expect(priceOfPackage({ sessionCount: 5, discountPercent: 10 }, 100, 'usd')).toEqual({
+                amount: 450,
+                perSessionAmount: 90,
+                savings: 50
+            });
+        });
+
+        it('should round to the minor unit of the currency', () => {
+            expect(priceOfPackage({ sessionCount: 3, discountPercent: 15 }, 99.99, 'usd').amount).toBe(254.97);
+            expect(priceOfPackage({ sessionCount: 3, discountPercent: 15 }, 1005, 'jpy')).toEqual({
+                amount: 2563,
+                perSessionAmount: 854,
+                savings: 452
+            });
+        });
+    });
+
+    describe('assertRefundable', () => {
+        it('should accept unused credits within the refund window', () => {
+            expect(() => assertRefundable(purchase({ refundWindowDays: 30 }), { now })).not.toThrow();
+        });
+
+        it('should follow the package\'s refund rules', () => {
+            const rejects = (fields) => expect(() => assertRefundable(purchase(fields), { now })).toThrow(PackageError);
+
+            rejects({ refundUnusedCredits: false });
+            rejects({ refundWindowDays: 7 });
+            rejects({ creditsRemaining: 0 });
+            rejects({ expiresAt: new Date('2030-05-31T00:00:00Z') });
+            rejects({ status: 'refunded' });
+        });
+
+        it('should let admins refund outside the refund window', () => {
+            expect(() => assertRefundable(purchase({ refundWindowDays: 7 }), { override: true, now })).not.toThrow();
+            expect(() => assertRefundable(purchase({ status: 'expired' }), { override: true, now })).toThrow(PackageError);
+        });
+    });
+});
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const paymentController = require('../controllers/paymentController');
+const Booking = require('../models/Booking');
+const Payment = require('../models/Payment');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+const WebhookEvent = require('../models/WebhookEvent');
+const { signWebhookPayload } = require('../services/paymentProviders/fakeProvider');
+const { rescheduleBooking } = require('../services/bookingService');
+const { issueInvoice, getBookingInvoices } = require('../services/invoiceService');
+const Invoice = require('../models/Invoice');
+
+describe('Payment Controller Tests', () => {
+    let testUsers;
+    let consultant;
+    let booking;
+
+    const pay = async (paymentMethodId = 'pm_card_visa') => {
+        const res = createTestResponse();
+        await paymentController.createPaymentIntent(
+            createTestRequest(testUsers.client, { bookingId: booking._id, paymentMethodId }),
+            res
+        );
+        return res;
+    };
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        const service = await Service.create({
+            ...testData.services[0],
+            consultantId: consultant._id
+        });
+        booking = await Booking.create({
+            ...testData.bookings[0],
+            clientId: testUsers.client._id,
+            consultantId: consultant._id,
+            serviceId: service._id,
+            price: { amount: 80 }
+        });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    describe('createPaymentIntent', () => {
+        it('should charge the price stored on the booking and mark it paid', async () => {
+            const res = await pay();
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const payment = await Payment.findById(res.json.mock.calls[0][0].paymentId);
+            expect(payment.amount).toBe(80);
+            expect(payment.status).toBe('succeeded');
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+        });
+
+        it('should return 402 when the provider declines the charge', async () => {
+            const res = await pay('pm_card_declined');
+
+            expect(res.status).toHaveBeenCalledWith(402);
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('failed');
+        });
+
+        it('should not charge a booking twice', async () => {
+            await pay();
+            const res = await pay();
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        it('should not charge again while an asynchronous payment is processing', async () => {
+            await pay('pm_async');
+            const res = await pay();
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(await Payment.countDocuments({ bookingId: booking._id })).toBe(1);
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('processing');
+        });
+
+        it('should open only one charge for concurrent requests', async () => {
+            const results = await Promise.all([pay(), pay()]);
+
+            const statuses = results.map(res => res.status.mock.calls[0][0]).sort();
+            expect(statuses).toEqual([200, 409]);
+            expect(await Payment.countDocuments({ bookingId: booking._id })).toBe(1);
+        });
+
+        it('should let the client try again after a declined charge', async () => {
+            await pay('pm_card_declined');
+            const res = await pay();
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+        });
+    });
+
+    describe('processRefund', () => {
+        it('should let the consultant refund part of a payment', async () => {
+            const paymentId = (await pay()).json.mock.calls[0][0].paymentId;
+
+            const res = createTestResponse();
+            await paymentController.processRefund(
+                createTestRequest(testUsers.consultant, { amount: 30, reason: 'Session ended early' }, { paymentId }),
+                res
+            );
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const payment = await Payment.findById(paymentId);
+            expect(payment.status).toBe('partially_refunded');
+            expect(payment.refundedAmount).toBe(30);
+        });
+
+        it('should not refund more than was paid for concurrent refunds', async () => {
+            const paymentId = (await pay()).json.mock.calls[0][0].paymentId;
+
+            const refund = async () => {
+                const res = createTestResponse();
+                await paymentController.processRefund(
+                    createTestRequest(testUsers.consultant, { amount: 60 }, { paymentId }),
+                    res
+                );
+                return res.status.mock.calls[0][0];
+            };
+            const statuses = (await Promise.all([refund(), refund()])).sort();
+
+            expect(statuses).toEqual([200, 409]);
+            const payment = await Payment.findById(paymentId);
+            expect(payment.refundedAmount).toBe(60);
+            expect(payment.refunds).toHaveLength(1);
+        });
+
+        it('should refund what the cancellation owes after the booking was rescheduled', async () => {
+            const paymentId = (await pay()).json.mock.calls[0][0].paymentId;
+            const moved = await rescheduleBooking(await Booking.findById(booking._id), {
+                date: booking.date,
+                time: '15:00',
+                actor: testUsers.consultant,
+                role: 'consultant'
+            });
+            await Booking.updateOne(
+                { _id: moved._id },
+                { status: 'cancelled', cancellation: { cancelledAt: new Date(), refundPercent: 50, refundAmount: 40 } }
+            );
+
+            const res = createTestResponse();
+            await paymentController.processRefund(createTestRequest(testUsers.consultant, {}, { paymentId }), res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const payment = await Payment.findById(paymentId);
+            expect(payment.bookingId).toEqual(moved._id);
+            expect(payment.refundedAmount).toBe(40);
+        });
+
+        it('should not let the client refund their own payment', async () => {
+            const paymentId = (await pay()).json.mock.calls[0][0].paymentId;
+
+            const res = createTestResponse();
+            await paymentController.processRefund(createTestRequest(testUsers.client, {}, { paymentId }), res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('invoices', () => {
+        it('should keep the invoice with a booking that was rescheduled', async () => {
+            await pay();
+            const invoice = await issueInvoice(booking._id);
+            const moved = await rescheduleBooking(await Booking.findById(booking._id), {
+                date: booking.date,
+                time: '15:00',
+                actor: testUsers.consultant,
+                role: 'consultant'
+            });
+
+            const [document] = await getBookingInvoices(moved._id);
+
+            expect(document._id).toEqual(invoice._id);
+            expect(await Invoice.countDocuments({ kind: 'invoice' })).toBe(1);
+        });
+
+        it('should have no invoice for a session paid with a package credit', async () => {
+            await Booking.updateOne(
+                { _id: booking._id },
+                { packagePurchaseId: new mongoose.Types.ObjectId(), paymentStatus: 'paid' }
+            );
+
+            expect(await getBookingInvoices(booking._id)).toEqual([]);
+        });
+    });
+
+    describe('handlePaymentWebhook', () => {
+        const deliver = async (event, signature) => {
+            const rawBody = Buffer.from(JSON.stringify(event));
+            const req = createTestRequest(null, event);
+            req.rawBody = rawBody;
+            req.headers = { 'x-fake-signature': signature || signWebhookPayload(rawBody) };
+            const res = createTestResponse();
+            await paymentController.handlePaymentWebhook(req, res);
+            return res;
+        };
+        const succeeded = (paymentIntentId) => ({
+            id: 'evt_1',
+            type: 'payment_intent.succeeded',
+            data: { object: { id: paymentIntentId } }
+        });
+
+        it('should mark the booking paid and confirmed once, ignoring redeliveries', async () => {
+            const { paymentId } = (await pay('pm_async')).json.mock.calls[0][0];
+            const payment = await Payment.findById(paymentId);
+            expect(payment.status).toBe('processing');
+
+            const first = await deliver(succeeded(payment.providerPaymentId));
+            const second = await deliver(succeeded(payment.providerPaymentId));
+
+            expect(first.json).toHaveBeenCalledWith({ received: true, duplicate: false });
+            expect(second.json).toHaveBeenCalledWith({ received: true, duplicate: true });
+            const updated = await Booking.findById(booking._id);
+            expect(updated.paymentStatus).toBe('paid');
+            expect(updated.status).toBe('confirmed');
+            expect(updated.statusHistory.filter(entry => entry.to === 'confirmed')).toHaveLength(1);
+        });
+
+        it('should ignore a failure delivered after the payment succeeded', async () => {
+            const { paymentId } = (await pay('pm_async')).json.mock.calls[0][0];
+            const payment = await Payment.findById(paymentId);
+
+            await deliver(succeeded(payment.providerPaymentId));
+            const res = await deliver({
+                id: 'evt_2',
+                type: 'payment_intent.payment_failed',
+                data: { object: { id: payment.providerPaymentId, last_payment_error: { message: 'Declined' } } }
+            });
+
+            expect(res.json).toHaveBeenCalledWith({ received: true, duplicate: false });
+            expect((await Payment.findById(paymentId)).status).toBe('succeeded');
+            expect((await Booking.findById(booking._id)).paymentStatus).toBe('paid');
+        });
+
+        it('should reject a body that does not match its signature', async () => {
+            const res = await deliver(succeeded('pi_fake_x'), 'v1=0000');
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(await WebhookEvent.countDocuments()).toBe(0);
+        });
+
+        it('should put events that fail processing in the dead-letter list', async () => {
+            const res = await deliver(succeeded('pi_fake_unknown'));
+            expect(res.status).toHaveBeenCalledWith(500);
+
+            const listRes = createTestResponse();
+            await paymentController.getDeadLetters(createTestRequest(testUsers.admin), listRes);
+            const [deadLetter] = listRes.json.mock.calls[0][0];
+            expect(deadLetter.eventId).toBe('evt_1');
+            expect(deadLetter.error).toMatch(/No payment found/);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+const { createFakeProvider } = require('../services/paymentProviders/fakeProvider');
+const { getPaymentProvider, registerPaymentProvider } = require('../services/paymentProviders');
+
+describe('Payment Provider Tests', () => {
+    describe('fake provider', () => {
+        it('should succeed by default and fail for test decline methods', async () => {
+            const provider = createFakeProvider();
+
+            const paid = await provider.createPaymentIntent({ amount: 5000, currency: 'usd', paymentMethodId: 'pm_card_visa' });
+            const declined = await provider.createPaymentIntent({ amount: 5000, currency: 'usd', paymentMethodId: 'pm_card_declined' });
+
+            expect(paid.status).toBe('succeeded');
+            expect(declined.status).toBe('failed');
+            expect(declined.failureReason).toMatch(/declined/);
+        });
+
+        it('should not refund more than was paid', async () => {
+            const provider = createFakeProvider();
+            const intent = await provider.createPaymentIntent({ amount: 5000, currency: 'usd', paymentMethodId: 'pm_card_visa' });
+
+            await provider.refund({ paymentIntentId: intent.id, amount: 3000 });
+
+            await expect(provider.refund({ paymentIntentId: intent.id, amount: 3000 })).rejects.toThrow();
+            expect((await provider.refund({ paymentIntentId: intent.id })).amount).toBe(2000);
+        });
+    });
+
+    describe('registry', () => {
+        it('should use the fake provider by default', () => {
+            expect(getPaymentProvider().name).toBe('fake');
+        });
+
+        it('should reject providers missing part of the interface', () => {
+            expect(() => registerPaymentProvider({ name: 'broken', createPaymentIntent() {}, refund() {} }))
+                .toThrow('constructWebhookEvent');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const payoutController = require('../controllers/payoutController');
+const consultantController = require('../controllers/consultantController');
+const { recordEarning, recordRefund, commissionPercent } = require('../services/ledgerService');
+const { payForBooking, refundPayment } = require('../services/paymentService');
+const { rescheduleBooking } = require('../services/bookingService');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+
+describe('Payout Controller Tests', () => {
+    let testUsers;
+    let consultant;
+    let booking;
+
+    const earnings = async () => {
+        const res = createTestResponse();
+        await consultantController.getMyEarnings(createTestRequest(testUsers.consultant), res);
+        return res.json.mock.calls[0][0];
+    };
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        const service = await Service.create({
+            ...testData.services[0],
+            consultantId: consultant._id
+        });
+        booking = await Booking.create({
+            ...testData.bookings[0],
+            status: 'confirmed',
+            clientId: testUsers.client._id,
+            consultantId: consultant._id,
+            serviceId: service._id,
+            price: { amount: 100 }
+        });
+        await payForBooking(booking, { paymentMethodId: 'pm_card_visa', actor: testUsers.client });
+        await Booking.updateOne({ _id: booking._id }, { status: 'completed' });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should record a completed, paid booking once and credit the consultant', async () => {
+        await recordEarning(booking._id);
+        await recordEarning(booking._id);
+
+        const net = 100 - commissionPercent();
+        const { totals, balance } = await earnings();
+        expect(totals.gross).toBe(100);
+        expect(totals.net).toBe(net);
+        expect(balance).toBe(net);
+        expect((await User.findById(testUsers.consultant._id)).totalEarnings).toBe(net);
+    });
+
+    it('should earn and refund a paid booking that was rescheduled before completion', async () => {
+        await Booking.updateOne({ _id: booking._id }, { status: 'confirmed' });
+        const moved = await rescheduleBooking(booking, {
+            date: booking.date,
+            time: '15:00',
+            actor: testUsers.consultant,
+            role: 'consultant'
+        });
+        await Booking.updateOne({ _id: moved._id }, { status: 'completed' });
+
+        expect(await recordEarning(moved._id)).toBe(true);
+
+        const payment = await Payment.findOne({ bookingId: moved._id });
+        const { payment: refunded } = await refundPayment(payment, { amount: 40, actor: testUsers.admin });
+        await recordRefund(refunded._id, refunded.refunds[0]._id);
+
+        const { totals } = await earnings();
+        expect(totals.gross).toBe(100);
+        expect(totals.refunds).toBe(40);
+        expect(totals.net).toBe(60 - commissionPercent() * 0.6);
+    });
+
+    it('should take refunds issued before completion out of the earnings', async () => {
+        const payment = await Payment.findOne({ bookingId: booking._id });
+        await refundPayment(payment, { amount: 50, actor: testUsers.admin });
+
+        await recordEarning(booking._id);
+
+        const { totals } = await earnings();
+        expect(totals.refunds).toBe(50);
+        expect(totals.net).toBe(50 - commissionPercent() / 2);
+    });
+
+    it('should pay out balances once', async () => {
+        await recordEarning(booking._id);
+
+        const res = createTestResponse();
+        await payoutController.createPayoutBatch(createTestRequest(testUsers.admin, {}), res);
+        const again = createTestResponse();
+        await payoutController.createPayoutBatch(createTestRequest(testUsers.admin, {}), again);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(res.json.mock.calls[0][0].batch.total).toBe(100 - commissionPercent());
+        expect(again.status).toHaveBeenCalledWith(409);
+        expect((await earnings()).balance).toBe(0);
+    });
+
+    it('should only let admins pay out', async () => {
+        const res = createTestResponse();
+        await payoutController.createPayoutBatch(createTestRequest(testUsers.consultant, {}), res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+});
@@ -0,0 +1,64 @@
+const {
+    describeCancellationRules,
+    evaluateCancellation,
+    assertReschedulable
+} = require('../services/policyService');
+
+describe('Policy Service Tests', () => {
+    const now = new Date('2030-01-01T00:00:00.000Z');
+    const hoursFromNow = (hours) => ({ startAt: new Date(now.getTime() + hours * 60 * 60 * 1000) });
+    const policy = {
+        cancellationRules: [
+            { minHoursBefore: 24, refundPercent: 50 },
+            { minHoursBefore: 48, refundPercent: 100 }
+        ],
+        rescheduleRules: { minNoticeHours: 12, maxReschedules: 2 }
+    };
+
+    describe('evaluateCancellation', () => {
+        it('should apply the tier matching the notice given', () => {
+            expect(evaluateCancellation(policy, hoursFromNow(72), { price: 80, role: 'client', now }))
+                .toEqual(expect.objectContaining({ refundPercent: 100, refundAmount: 80 }));
+            expect(evaluateCancellation(policy, hoursFromNow(30), { price: 80, role: 'client', now }))
+                .toEqual(expect.objectContaining({ refundPercent: 50, refundAmount: 40, hoursBeforeStart: 30 }));
+        });
+
+        it('should refund nothing below the shortest notice', () => {
+            const result = evaluateCancellation(policy, hoursFromNow(5), { price: 80, role: 'client', now });
+
+            expect(result.refundPercent).toBe(0);
+            expect(result.refundAmount).toBe(0);
+        });
+
+        it('should refund in full when the consultant cancels', () => {
+            const result = evaluateCancellation(policy, hoursFromNow(5), { price: 80, role: 'consultant', now });
+
+            expect(result.refundPercent).toBe(100);
+        });
+
+        it('should refund in full without rules', () => {
+            const result = evaluateCancellation(null, hoursFromNow(1), { price: 80, role: 'client', now });
+
+            expect(result.refundAmount).toBe(80);
+        });
+    });
+
+    describe('describeCancellationRules', () => {
+        it('should list tiers from the longest notice', () => {
+            expect(describeCancellationRules(policy)).toEqual([
+                'Full refund when cancelled at least 48 hour(s) before the session',
+                '50% refund when cancelled at least 24 hour(s) before the session',
+                'No refund when cancelled less than 24 hour(s) before the session'
+            ]);
+        });
+    });
+
+    describe('assertReschedulable', () => {
+        it('should reject short notice and exhausted reschedules', () => {
+            expect(() => assertReschedulable(policy, hoursFromNow(6), now)).toThrow('12 hour(s)');
+            expect(() => assertReschedulable(policy, { ...hoursFromNow(48), rescheduleCount: 2 }, now))
+                .toThrow('maximum of 2');
+            expect(() => assertReschedulable(policy, hoursFromNow(48), now)).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const NotificationPreference = require('../models/NotificationPreference');
+const {
+    wants,
+    quietHoursEnd,
+    latestDigestAt,
+    createUnsubscribeToken,
+    setEmailByToken
+} = require('../services/preferenceService');
+
+describe('Preference Service Tests', () => {
+    const userId = '665f1c2b9d3e4a0012345678';
+    const preferences = (fields) => new NotificationPreference({ userId, ...fields });
+
+    describe('wants', () => {
+        it('should use the defaults until the user changes them', () => {
+            const defaults = preferences();
+            expect(wants(defaults, 'reminder', 'email')).toBe(true);
+            expect(wants(defaults, 'reminder', 'sms')).toBe(false);
+        });
+
+        it('should follow the user\'s switches', () => {
+            const custom = preferences({ types: { payment: { email: false } } });
+            expect(wants(custom, 'payment', 'email')).toBe(false);
+            expect(wants(custom, 'payment', 'inApp')).toBe(true);
+        });
+    });
+
+    describe('quietHoursEnd', () => {
+        const overnight = preferences({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+
+        it('should end quiet hours started this evening tomorrow morning', () => {
+            // 23:30 in Paris (UTC+2 in summer)
+            expect(quietHoursEnd(overnight, 'Europe/Paris', new Date('2030-06-01T21:30:00Z')))
+                .toEqual(new Date('2030-06-02T05:00:00Z'));
+        });
+
+        it('should end quiet hours after midnight the same morning', () => {
+            expect(quietHoursEnd(overnight, 'Europe/Paris', new Date('2030-06-02T01:00:00Z')))
+                .toEqual(new Date('2030-06-02T05:00:00Z'));
+        });
+
+        it('should return null outside quiet hours or when they are off', () => {
+            expect(quietHoursEnd(overnight, 'Europe/Paris', new Date('2030-06-01T12:00:00Z'))).toBeNull();
+            expect(quietHoursEnd(preferences(), 'Europe/Paris', new Date('2030-06-01T21:30:00Z'))).toBeNull();
+        });
+
+        it('should handle quiet hours within a day', () => {
+            const afternoon = preferences({ quietHours: { enabled: true, start: '13:00', end: '15:00' } });
+            expect(quietHoursEnd(afternoon, 'UTC', new Date('2030-06-01T14:00:00Z')))
+                .toEqual(new Date('2030-06-01T15:00:00Z'));
+            expect(quietHoursEnd(afternoon, 'UTC', new Date('2030-06-01T16:00:00Z'))).toBeNull();
+        });
+    });
+
+    describe('latestDigestAt', () => {
+        const daily = preferences({ digest: { enabled: true, hour: 8 } });
+
+        it('should return today\'s digest time once it has passed', () => {
+            expect(latestDigestAt(daily, 'America/New_York', new Date('2030-06-01T13:00:00Z')))
+                .toEqual(new Date('2030-06-01T12:00:00Z'));
+        });
+
+        it('should return yesterday\'s digest time before today\'s', () => {
+            expect(latestDigestAt(daily, 'America/New_York', new Date('2030-06-01T11:00:00Z')))
+                .toEqual(new Date('2030-05-31T12:00:00Z'));
+        });
+    });
+
+    describe('setEmailByToken', () => {
+        it('should reject tampered or foreign tokens', async () => {
+            await expect(setEmailByToken('not-a-token', false)).rejects.toMatchObject({ status: 400 });
+
+            const token = createUnsubscribeToken(userId, 'reminder');
+            await expect(setEmailByToken(`${token}x`, false)).rejects.toThrow('This unsubscribe link is invalid');
+        });
+    });
+});
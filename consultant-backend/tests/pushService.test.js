@@ -0,0 +1,72 @@
+const { PushError, payloadFor, saveSubscription, pushToUser, getPublicKey } = require('../services/pushService');
+const PushSubscription = require('../models/PushSubscription');
+
+describe('Push Service Tests', () => {
+    const user = { _id: '665f1c2b9d3e4a0012345678' };
+
+    afterEach(() => {
+        delete process.env.VAPID_PUBLIC_KEY;
+        delete process.env.VAPID_PRIVATE_KEY;
+    });
+
+    describe('payloadFor', () => {
+        it('should link a booking notification to its appointment', () => {
+            const payload = payloadFor({
+                _id: 'n1',
+                type: 'reminder',
+                message: 'Reminder: your booking starts in 1 hour',
+                bookingId: '665f1c2b9d3e4a0087654321'
+            });
+
+            expect(payload).toEqual({
+                title: 'Upcoming session',
+                body: 'Reminder: your booking starts in 1 hour',
+                tag: 'booking-665f1c2b9d3e4a0087654321',
+                url: '/my-appointments?booking=665f1c2b9d3e4a0087654321',
+                bookingId: '665f1c2b9d3e4a0087654321',
+                type: 'reminder'
+            });
+        });
+
+        it('should open the appointments page for other notifications', () => {
+            const payload = payloadFor({ _id: 'n2', type: 'booking', message: 'Hello' });
+            expect(payload.url).toBe('/my-appointments');
+            expect(payload.tag).toBe('notification-n2');
+        });
+    });
+
+    describe('when VAPID keys are not set', () => {
+        it('should not advertise a key or push anything', async () => {
+            expect(getPublicKey()).toBeNull();
+            expect(await pushToUser(user._id, { title: 'Hi' })).toBe(0);
+        });
+
+        it('should refuse subscriptions', async () => {
+            await expect(saveSubscription(user, {})).rejects.toMatchObject({ status: 503 });
+        });
+    });
+
+    describe('saveSubscription', () => {
+        beforeEach(() => {
+            process.env.VAPID_PUBLIC_KEY = 'public';
+            process.env.VAPID_PRIVATE_KEY = 'private';
+        });
+
+        it('should reject subscriptions without an https endpoint or keys', async () => {
+            await expect(saveSubscription(user, { endpoint: 'http://push.example.com/1', keys: { p256dh: 'a', auth: 'b' } }))
+                .rejects.toBeInstanceOf(PushError);
+            await expect(saveSubscription(user, { endpoint: 'https://push.example.com/1', keys: { p256dh: 'a' } }))
+                .rejects.toMatchObject({ status: 400 });
+        });
+
+        it('should refuse an endpoint saved for another user', async () => {
+            const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            const upsert = jest.spyOn(PushSubscription, 'findOneAndUpdate').mockRejectedValue(duplicate);
+            const subscription = { endpoint: 'https://push.example.com/1', keys: { p256dh: 'a', auth: 'b' } };
+
+            await expect(saveSubscription(user, subscription)).rejects.toMatchObject({ name: 'PushError', status: 409 });
+            expect(upsert.mock.calls[0][0]).toEqual({ endpoint: subscription.endpoint, userId: user._id });
+            expect(upsert.mock.calls[0][1]).not.toHaveProperty('userId');
+        });
+    });
+});
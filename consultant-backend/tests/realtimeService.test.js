@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const {
+    issueStreamTicket,
+    verifyStreamTicket,
+    openStream,
+    publishToUser,
+    broadcast
+} = require('../services/realtimeService');
+
+describe('Realtime Service Tests', () => {
+    const alice = '665f1c2b9d3e4a0012345678';
+    const bob = '665f1c2b9d3e4a0087654321';
+
+    // Opens a stream on a fake request/response pair; emit 'close' on req to disconnect
+    const connect = (userId) => {
+        const req = new EventEmitter();
+        const res = { writeHead: jest.fn(), write: jest.fn() };
+        openStream(req, res, userId);
+        res.write.mockClear();
+        return { req, res };
+    };
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    describe('stream tickets', () => {
+        it('should resolve a ticket to the user it was issued to', () => {
+            const { ticket, expiresIn } = issueStreamTicket({ _id: alice });
+            expect(expiresIn).toBe(60);
+            expect(verifyStreamTicket(ticket)).toBe(alice);
+        });
+
+        it('should refuse session tokens and garbage', () => {
+            const sessionToken = jwt.sign({ id: alice }, process.env.JWT_SECRET);
+            expect(verifyStreamTicket(sessionToken)).toBeNull();
+            expect(verifyStreamTicket('not-a-ticket')).toBeNull();
+            expect(verifyStreamTicket(undefined)).toBeNull();
+        });
+    });
+
+    describe('publishing', () => {
+        it('should write events to every stream of the recipient only', () => {
+            const tab1 = connect(alice);
+            const tab2 = connect(alice);
+            const other = connect(bob);
+
+            expect(publishToUser(alice, 'notification', { message: 'Hi' })).toBe(2);
+            expect(tab1.res.write).toHaveBeenCalledWith('event: notification\ndata: {"message":"Hi"}\n\n');
+            expect(tab2.res.write).toHaveBeenCalledTimes(1);
+            expect(other.res.write).not.toHaveBeenCalled();
+
+            [tab1, tab2, other].forEach(({ req }) => req.emit('close'));
+        });
+
+        it('should broadcast to everyone except the given user', () => {
+            const mine = connect(alice);
+            const theirs = connect(bob);
+
+            expect(broadcast('availability', { change: 'taken' }, { except: alice })).toBe(1);
+            expect(mine.res.write).not.toHaveBeenCalled();
+            expect(theirs.res.write).toHaveBeenCalledWith('event: availability\ndata: {"change":"taken"}\n\n');
+
+            [mine, theirs].forEach(({ req }) => req.emit('close'));
+        });
+
+        it('should stop writing to a stream once the browser disconnects', () => {
+            const { req, res } = connect(alice);
+            req.emit('close');
+
+            expect(publishToUser(alice, 'notification', {})).toBe(0);
+            expect(res.write).not.toHaveBeenCalled();
+        });
+    });
+});
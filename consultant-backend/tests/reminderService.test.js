@@ -0,0 +1,79 @@
+const { parseOffsets, describeOffset, describeTimeLeft, planReminder } = require('../services/reminderService');
+
+describe('Reminder Service Tests', () => {
+    const now = new Date('2030-06-01T12:00:00Z');
+    const booking = (fields) => ({
+        startAt: new Date('2030-06-02T10:00:00Z'),
+        createdAt: new Date('2030-05-20T12:00:00Z'),
+        remindersSent: [],
+        ...fields
+    });
+
+    describe('parseOffsets', () => {
+        it('should convert offsets to minutes, largest first', () => {
+            expect(parseOffsets('1h, 24h,30m,2d')).toEqual([2880, 1440, 60, 30]);
+        });
+
+        it('should drop duplicates', () => {
+            expect(parseOffsets('60m,1h')).toEqual([60]);
+        });
+
+        it('should reject malformed offsets', () => {
+            expect(() => parseOffsets('24h,soon')).toThrow('Invalid reminder offset "soon"');
+            expect(() => parseOffsets('0h')).toThrow();
+        });
+    });
+
+    describe('describeOffset', () => {
+        it('should use hours when the offset is whole hours', () => {
+            expect(describeOffset(1440)).toBe('24 hours');
+            expect(describeOffset(60)).toBe('1 hour');
+            expect(describeOffset(90)).toBe('90 minutes');
+        });
+    });
+
+    describe('describeTimeLeft', () => {
+        const MINUTE = 60 * 1000;
+
+        it('should tell the actual time left for a late reminder', () => {
+            expect(describeTimeLeft(20 * MINUTE)).toBe('20 minutes');
+            expect(describeTimeLeft(80 * MINUTE)).toBe('80 minutes');
+        });
+
+        it('should read like the offset when sent shortly after it', () => {
+            expect(describeTimeLeft(59.6 * MINUTE)).toBe('1 hour');
+            expect(describeTimeLeft(1439 * MINUTE)).toBe('24 hours');
+        });
+    });
+
+    describe('planReminder', () => {
+        it('should send nothing before the first reminder is due', () => {
+            expect(planReminder(booking({ startAt: new Date('2030-06-03T10:00:00Z') }), [1440, 60], now)).toBeNull();
+        });
+
+        it('should send a reminder once its offset is reached', () => {
+            expect(planReminder(booking(), [1440, 60], now)).toEqual({ due: [1440], send: 1440 });
+        });
+
+        it('should not repeat a reminder already sent', () => {
+            expect(planReminder(booking({ remindersSent: [1440] }), [1440, 60], now)).toBeNull();
+        });
+
+        it('should only send the closest reminder when several are due', () => {
+            const soon = booking({ startAt: new Date('2030-06-01T12:30:00Z') });
+            expect(planReminder(soon, [1440, 60], now)).toEqual({ due: [1440, 60], send: 60 });
+        });
+
+        it('should skip reminders that fell before the booking was made', () => {
+            const lastMinute = booking({
+                startAt: new Date('2030-06-01T12:30:00Z'),
+                createdAt: new Date('2030-06-01T11:45:00Z')
+            });
+            expect(planReminder(lastMinute, [1440, 60], now)).toEqual({ due: [1440, 60], send: null });
+        });
+
+        it('should ignore sessions that have started', () => {
+            expect(planReminder(booking({ startAt: now }), [1440, 60], now)).toBeNull();
+        });
+    });
+});
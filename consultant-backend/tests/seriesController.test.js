@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const {
+    connectTestDB,
+    clearDatabase,
+    createTestUsers,
+    createTestRequest,
+    createTestResponse,
+    testData
+} = require('./testUtils');
+const seriesController = require('../controllers/seriesController');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+const { EVENTS, bookingEvents } = require('../services/bookingEvents');
+
+describe('Series Controller Tests', () => {
+    let testUsers;
+    let consultant;
+    let service;
+    const seriesData = (fields) => ({
+        consultantId: consultant._id,
+        serviceId: service._id,
+        date: '2030-01-07',
+        time: '10:00',
+        frequency: 'weekly',
+        count: 3,
+        ...fields
+    });
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        service = await Service.create({
+            ...testData.services[0],
+            consultantId: consultant._id
+        });
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    describe('createSeries', () => {
+        it('should book every occurrence with the series id', async () => {
+            const res = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData()), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { series } = res.json.mock.calls[0][0];
+            const bookings = await Booking.find({ seriesId: series._id }).sort({ startAt: 1 });
+            expect(bookings.map(booking => booking.date)).toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+        });
+
+        it('should return 409 with the conflicting occurrences and book nothing', async () => {
+            await Booking.create({
+                ...testData.bookings[0],
+                date: '2030-01-14',
+                clientId: testUsers.client._id,
+                consultantId: consultant._id,
+                serviceId: service._id
+            });
+
+            const res = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData()), res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json.mock.calls[0][0].conflicts.map(conflict => conflict.date)).toEqual(['2030-01-14']);
+            expect(await Booking.countDocuments({ seriesId: { $exists: true } })).toBe(0);
+        });
+
+        it('should give every occurrence the service\'s duration', async () => {
+            const res = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData({ duration: 10000 })), res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            const { series } = res.json.mock.calls[0][0];
+            const bookings = await Booking.find({ seriesId: series._id });
+            expect(bookings.map(booking => booking.duration)).toEqual([60, 60, 60]);
+        });
+    });
+
+    describe('cancelSeries', () => {
+        it('should cancel the remaining occurrences', async () => {
+            const createRes = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData()), createRes);
+            const { series } = createRes.json.mock.calls[0][0];
+
+            const res = createTestResponse();
+            await seriesController.cancelSeries(
+                createTestRequest(testUsers.client, {}, { seriesId: series._id }),
+                res
+            );
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            const statuses = await Booking.find({ seriesId: series._id }).distinct('status');
+            expect(statuses).toEqual(['cancelled']);
+        });
+    });
+
+    describe('rescheduleSeries', () => {
+        it('should announce every moved occurrence with its previous slot', async () => {
+            const createRes = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData()), createRes);
+            const { series } = createRes.json.mock.calls[0][0];
+
+            const announced = [];
+            const listener = event => announced.push(event);
+            bookingEvents.on(EVENTS.RESCHEDULED, listener);
+            const res = createTestResponse();
+            try {
+                await seriesController.rescheduleSeries(
+                    createTestRequest(testUsers.consultant, { date: '2030-01-08', time: '11:00' }, { seriesId: series._id }),
+                    res
+                );
+            } finally {
+                bookingEvents.off(EVENTS.RESCHEDULED, listener);
+            }
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(announced.map(({ previous }) => previous.date)).toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+            expect(announced.map(({ booking }) => booking.date)).toEqual(['2030-01-08', '2030-01-15', '2030-01-22']);
+            expect(announced.every(({ previous }) => previous.time === '10:00')).toBe(true);
+        });
+
+        it('should reject days that do not exist and times in the past, moving nothing', async () => {
+            const createRes = createTestResponse();
+            await seriesController.createSeries(createTestRequest(testUsers.client, seriesData()), createRes);
+            const { series } = createRes.json.mock.calls[0][0];
+            const move = async (date) => {
+                const res = createTestResponse();
+                await seriesController.rescheduleSeries(
+                    createTestRequest(testUsers.consultant, { date, time: '11:00' }, { seriesId: series._id }),
+                    res
+                );
+                return res;
+            };
+
+            expect((await move('2030-02-30')).status).toHaveBeenCalledWith(400);
+            expect((await move('2020-01-08')).status).toHaveBeenCalledWith(400);
+            const dates = await Booking.find({ seriesId: series._id }).sort({ startAt: 1 }).distinct('date');
+            expect(dates).toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+        });
+    });
+});
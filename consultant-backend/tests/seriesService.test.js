@@ -0,0 +1,35 @@
+const { expandOccurrences, MAX_OCCURRENCES } = require('../services/seriesService');
+
+describe('Series Service Tests', () => {
+    describe('expandOccurrences', () => {
+        it('should repeat weekly for a fixed count', () => {
+            expect(expandOccurrences({ startDate: '2030-01-07', frequency: 'weekly', count: 3 }))
+                .toEqual(['2030-01-07', '2030-01-14', '2030-01-21']);
+        });
+
+        it('should repeat biweekly until the end date', () => {
+            expect(expandOccurrences({ startDate: '2030-01-07', frequency: 'biweekly', endDate: '2030-02-10' }))
+                .toEqual(['2030-01-07', '2030-01-21', '2030-02-04']);
+        });
+
+        it('should keep the day of the month, clamped to shorter months', () => {
+            expect(expandOccurrences({ startDate: '2030-01-31', frequency: 'monthly', count: 3 }))
+                .toEqual(['2030-01-31', '2030-02-28', '2030-03-31']);
+        });
+
+        it('should require exactly one of count and endDate', () => {
+            expect(() => expandOccurrences({ startDate: '2030-01-07', frequency: 'weekly' })).toThrow();
+            expect(() => expandOccurrences({
+                startDate: '2030-01-07',
+                frequency: 'weekly',
+                count: 2,
+                endDate: '2030-02-01'
+            })).toThrow();
+        });
+
+        it('should cap the number of occurrences', () => {
+            expect(() => expandOccurrences({ startDate: '2030-01-07', frequency: 'weekly', endDate: '2032-01-01' }))
+                .toThrow(`more than ${MAX_OCCURRENCES}`);
+        });
+    });
+});
@@ -64,6 +64,37 @@ describe('Service Controller Tests', () => {
             );
         });
 
+        it('should price a new service in the consultant\'s currency by default', async () => {
+            await Consultant.updateOne({ _id: consultant._id }, { currency: 'eur' });
+            const req = createTestRequest(testUsers.consultant, {
+                title: 'Euro Service',
+                description: 'Priced in euros',
+                pricePerSession: 90,
+                sessionDuration: 60
+            });
+            const res = createTestResponse();
+
+            await serviceController.createService(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json.mock.calls[0][0].currency).toBe('eur');
+        });
+
+        it('should return 400 for an unsupported currency', async () => {
+            const req = createTestRequest(testUsers.consultant, {
+                title: 'Odd Service',
+                description: 'Unknown currency',
+                pricePerSession: 90,
+                sessionDuration: 60,
+                currency: 'xyz'
+            });
+            const res = createTestResponse();
+
+            await serviceController.createService(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
         it('should return 403 when non-consultant tries to create service', async () => {
             const req = createTestRequest(testUsers.client, {});
             const res = createTestResponse();
@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const { SessionError, sessionWindow, assertCanJoin, verifyRoomTicket } = require('../services/sessionService');
+
+describe('Session Service Tests', () => {
+    const booking = (fields) => ({
+        status: 'confirmed',
+        startAt: new Date('2030-06-03T10:00:00Z'),
+        endAt: new Date('2030-06-03T11:00:00Z'),
+        duration: 60,
+        ...fields
+    });
+
+    describe('sessionWindow', () => {
+        it('should fall back to the duration when the booking has no end', () => {
+            expect(sessionWindow(booking({ endAt: undefined, duration: 30 })).closesAt)
+                .toEqual(new Date('2030-06-03T10:30:00Z'));
+        });
+    });
+
+    describe('assertCanJoin', () => {
+        it('should let both participants in during the booking', () => {
+            const now = new Date('2030-06-03T10:15:00Z');
+            expect(() => assertCanJoin(booking(), 'client', now)).not.toThrow();
+            expect(() => assertCanJoin(booking(), 'consultant', now)).not.toThrow();
+        });
+
+        it('should keep admins and outsiders out', () => {
+            const now = new Date('2030-06-03T10:15:00Z');
+            expect(() => assertCanJoin(booking(), 'admin', now)).toThrow(SessionError);
+            expect(() => assertCanJoin(booking(), null, now)).toThrow(SessionError);
+        });
+
+        it('should only open the room during the booking', () => {
+            expect(() => assertCanJoin(booking(), 'client', new Date('2030-06-03T09:59:00Z')))
+                .toThrow('The session opens at 2030-06-03T10:00:00.000Z');
+            expect(() => assertCanJoin(booking(), 'client', new Date('2030-06-03T11:00:00Z')))
+                .toThrow('The booking time is over');
+        });
+
+        it('should refuse bookings that are not confirmed', () => {
+            const now = new Date('2030-06-03T10:15:00Z');
+            expect(() => assertCanJoin(booking({ status: 'pending' }), 'client', now))
+                .toThrow('Only confirmed bookings have a video session');
+        });
+    });
+
+    describe('verifyRoomTicket', () => {
+        it('should refuse tokens issued for anything else', () => {
+            const streamTicket = jwt.sign({ sub: 'u1', purpose: 'event-stream' }, process.env.JWT_SECRET);
+            expect(verifyRoomTicket(streamTicket)).toBeNull();
+            expect(verifyRoomTicket('garbage')).toBeNull();
+        });
+
+        it('should read the room and role from a room ticket', () => {
+            const ticket = jwt.sign(
+                { sub: 'u1', purpose: 'session-room', session: 's1', role: 'client', closesAt: 123 },
+                process.env.JWT_SECRET
+            );
+            expect(verifyRoomTicket(ticket)).toEqual({ userId: 'u1', sessionId: 's1', role: 'client', closesAt: 123 });
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { EventEmitter } = require('events');
+const { joinRoom, closeRoom } = require('../services/signalingService');
+
+describe('Signaling Service Tests', () => {
+    // Stand-in for a ws connection: records what it was sent and emits 'close' when closed
+    const createSocket = () => {
+        const socket = new EventEmitter();
+        socket.OPEN = 1;
+        socket.readyState = 1;
+        socket.sent = [];
+        socket.send = (data) => socket.sent.push(JSON.parse(data));
+        socket.close = jest.fn((code) => {
+            socket.readyState = 3;
+            socket.emit('close', code);
+        });
+        return socket;
+    };
+
+    const join = (sessionId, role) => {
+        const socket = createSocket();
+        joinRoom(socket, { sessionId, role, closesAt: Date.now() + 60 * 60 * 1000 });
+        return socket;
+    };
+
+    it('should introduce the participants to each other', () => {
+        const client = join('room-1', 'client');
+        expect(client.sent).toEqual([{ type: 'joined', role: 'client', peers: [] }]);
+
+        const consultant = join('room-1', 'consultant');
+        expect(consultant.sent).toEqual([{ type: 'joined', role: 'consultant', peers: ['client'] }]);
+        expect(client.sent[1]).toEqual({ type: 'peer-joined', role: 'consultant' });
+
+        closeRoom('room-1');
+    });
+
+    it('should relay the handshake to the other participant only', () => {
+        const client = join('room-2', 'client');
+        const consultant = join('room-2', 'consultant');
+
+        client.emit('message', JSON.stringify({ type: 'offer', sdp: 'v=0' }));
+        client.emit('message', JSON.stringify({ type: 'chat', text: 'not relayed' }));
+        client.emit('message', 'not json');
+
+        expect(consultant.sent.slice(1)).toEqual([{ type: 'offer', sdp: 'v=0', from: 'client' }]);
+        expect(client.sent).toHaveLength(2);
+
+        closeRoom('room-2');
+    });
+
+    it('should replace an earlier connection of the same participant', () => {
+        const firstTab = join('room-3', 'client');
+        const consultant = join('room-3', 'consultant');
+        const secondTab = join('room-3', 'client');
+
+        expect(firstTab.close).toHaveBeenCalledWith(4001, expect.any(String));
+        expect(consultant.sent.slice(1)).toEqual([{ type: 'peer-joined', role: 'client' }]);
+        expect(secondTab.sent[0].peers).toEqual(['consultant']);
+
+        closeRoom('room-3');
+    });
+
+    it('should tell the other participant when someone leaves, and close ended rooms', () => {
+        const client = join('room-4', 'client');
+        const consultant = join('room-4', 'consultant');
+
+        consultant.close(1000);
+        expect(client.sent[client.sent.length - 1]).toEqual({ type: 'peer-left', role: 'consultant' });
+
+        expect(closeRoom('room-4')).toBe(1);
+        expect(client.close).toHaveBeenCalledWith(4000, 'The session has ended');
+        expect(closeRoom('room-4')).toBe(0);
+    });
+});
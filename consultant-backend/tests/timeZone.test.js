@@ -0,0 +1,27 @@
+const { isValidDateKey, zonedTimeToUtc } = require('../utils/timeZone');
+
+describe('Time Zone Utilities Tests', () => {
+    describe('isValidDateKey', () => {
+        it('should accept days on the calendar only', () => {
+            expect(isValidDateKey('2028-02-29')).toBe(true);
+            expect(isValidDateKey('2030-02-30')).toBe(false);
+            expect(isValidDateKey('2030-1-07')).toBe(false);
+            expect(isValidDateKey(undefined)).toBe(false);
+        });
+    });
+
+    describe('zonedTimeToUtc', () => {
+        it('should convert a wall-clock time in the zone to an instant', () => {
+            expect(zonedTimeToUtc('2030-01-07', '09:00', 'Europe/Paris').toISOString()).toBe('2030-01-07T08:00:00.000Z');
+            expect(zonedTimeToUtc('2030-07-07', '09:00', 'Europe/Paris').toISOString()).toBe('2030-07-07T07:00:00.000Z');
+        });
+
+        it('should accept a single-digit hour', () => {
+            expect(zonedTimeToUtc('2030-01-07', '9:00', 'Europe/Paris').toISOString()).toBe('2030-01-07T08:00:00.000Z');
+        });
+
+        it('should return an invalid date for a time that does not exist', () => {
+            expect(isNaN(zonedTimeToUtc('2030-01-07', '25:00'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { connectTestDB, clearDatabase, createTestUsers, testData } = require('./testUtils');
+const { offerSlot, passOffer, claimOffer, processExpiredOffers } = require('../services/waitlistService');
+const { placeHold } = require('../services/holdService');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const SlotHold = require('../models/SlotHold');
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const Consultant = require('../models/Consultant');
+
+describe('Waitlist Service Tests', () => {
+    let consultant;
+    let service;
+    let first;
+    let second;
+    const slot = (time = '10:00') => ({
+        consultantId: consultant._id,
+        serviceId: service._id,
+        date: '2030-01-07',
+        time,
+        duration: 60,
+        timeZone: consultant.timeZone,
+        ...Booking.slotBounds('2030-01-07', time, 60, consultant.timeZone)
+    });
+    const join = (userId) => WaitlistEntry.create({
+        userId,
+        consultantId: consultant._id,
+        serviceId: service._id,
+        from: '2030-01-01',
+        to: '2030-01-31'
+    });
+
+    beforeAll(async () => {
+        await connectTestDB();
+    });
+
+    beforeEach(async () => {
+        await clearDatabase();
+        const testUsers = await createTestUsers();
+        consultant = await Consultant.findOne({ userId: testUsers.consultant._id });
+        service = await Service.create({
+            ...testData.services[0],
+            consultantId: consultant._id
+        });
+        first = await join(testUsers.client._id);
+        second = await join(testUsers.admin._id);
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.close();
+    });
+
+    it('should offer a freed slot to the first client in line and hold it for them', async () => {
+        const entry = await offerSlot(slot());
+
+        expect(entry._id).toEqual(first._id);
+        expect(entry.status).toBe('offered');
+        const hold = await SlotHold.findById(entry.offer.holdId);
+        expect(hold.userId).toEqual(first.userId);
+    });
+
+    it('should move an unclaimed offer to the next client once it expires', async () => {
+        await offerSlot(slot());
+
+        const expired = await processExpiredOffers(new Date(Date.now() + 2 * 60 * 60 * 1000));
+
+        expect(expired).toBe(1);
+        expect((await WaitlistEntry.findById(first._id)).status).toBe('waiting');
+        expect((await WaitlistEntry.findById(second._id)).status).toBe('offered');
+    });
+
+    it('should not offer a declined slot to the same client again', async () => {
+        const entry = await offerSlot(slot());
+        await passOffer(entry);
+        await passOffer(await WaitlistEntry.findById(second._id));
+
+        expect(await WaitlistEntry.countDocuments({ status: 'offered' })).toBe(0);
+        expect(await SlotHold.countDocuments()).toBe(0);
+    });
+
+    it('should book the slot when the offer is claimed', async () => {
+        const entry = await offerSlot(slot());
+
+        const booking = await claimOffer(entry, { _id: first.userId, role: 'client' });
+
+        expect(booking.date).toBe('2030-01-07');
+        expect((await WaitlistEntry.findById(first._id)).status).toBe('claimed');
+        expect(await SlotHold.countDocuments()).toBe(0);
+    });
+
+    it('should offer concurrently freed slots to different clients', async () => {
+        const offered = await Promise.all([offerSlot(slot('10:00')), offerSlot(slot('14:00'))]);
+
+        expect(offered.map(entry => entry._id.toString()).sort())
+            .toEqual([first._id.toString(), second._id.toString()].sort());
+        expect(await SlotHold.countDocuments()).toBe(2);
+    });
+
+    it('should keep the client\'s checkout hold when offering them a slot', async () => {
+        const checkout = await placeHold({ ...slot('14:00'), userId: first.userId });
+
+        await offerSlot(slot());
+
+        expect(await SlotHold.exists({ _id: checkout._id })).toBeTruthy();
+        expect(await SlotHold.countDocuments({ userId: first.userId })).toBe(2);
+    });
+});
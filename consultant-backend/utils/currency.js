@@ -0,0 +1,116 @@
+/**
+ * Currency Utilities
+ * Validates ISO 4217 currency codes, converts amounts with the locally
+ * configured exchange-rate table, and rounds, formats and scales amounts by
+ * each currency's minor unit. Conversions are approximate and only meant
+ * for display: charges are always made in the service's own currency.
+ *
+ * @module utils/currency
+ *
+ * Related Files:
+ * - config/exchangeRates.json - Default exchange-rate table
+ * - models/Service.js - Service price and currency
+ * - services/policyService.js - Resolves the price of a booking
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CURRENCY = 'usd';
+const DEFAULT_RATES_FILE = path.join(__dirname, '..', 'config', 'exchangeRates.json');
+
+let cachedTable = null;
+
+/**
+ * Loads the exchange-rate table, from EXCHANGE_RATES_FILE if set.
+ * Rates give how much of each currency one unit of the base currency buys.
+ * @returns {{base: string, updatedAt: string, rates: Object<string, number>}}
+ */
+const getExchangeRates = () => {
+  if (!cachedTable) {
+    const table = JSON.parse(fs.readFileSync(process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE, 'utf8'));
+    const rates = Object.fromEntries(
+      Object.entries(table.rates).map(([code, rate]) => [code.toLowerCase(), Number(rate)])
+    );
+    cachedTable = { ...table, base: table.base.toLowerCase(), rates };
+  }
+  return cachedTable;
+};
+
+/**
+ * Normalizes a currency code to the lowercase form stored on documents
+ * @param {string} currency - e.g. "EUR"
+ * @returns {string} e.g. "eur"
+ */
+const normalizeCurrency = (currency) => String(currency || '').trim().toLowerCase();
+
+/**
+ * Checks whether prices can be set in a currency, i.e. it has an exchange rate
+ * @param {string} currency - Currency code, any case
+ * @returns {boolean}
+ */
+const isSupportedCurrency = (currency) => {
+  const rate = getExchangeRates().rates[normalizeCurrency(currency)];
+  return Number.isFinite(rate) && rate > 0;
+};
+
+/**
+ * Converts an amount between currencies through the table's base currency
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Object} [table=getExchangeRates()] - Exchange-rate table
+ * @returns {number|null} Approximate amount rounded to the target's minor unit, or null if either currency has no rate
+ */
+const convertAmount = (amount, from, to, table = getExchangeRates()) => {
+  const fromRate = table.rates[normalizeCurrency(from)];
+  const toRate = table.rates[normalizeCurrency(to)];
+  if (!fromRate || !toRate) return null;
+  return roundAmount((amount / fromRate) * toRate, to);
+};
+
+/**
+ * Number of decimals of a currency's minor unit (2 for USD, 0 for JPY, 3 for BHD)
+ * @param {string} currency - ISO 4217 code, any case
+ * @returns {number}
+ */
+const currencyDecimals = (currency) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: normalizeCurrency(currency) })
+    .resolvedOptions().maximumFractionDigits;
+
+/**
+ * Converts an amount to the currency's minor unit, as payment providers expect it
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code, any case
+ * @returns {number} Integer amount, e.g. 8000 for 80 USD and 5000 for 5000 JPY
+ */
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** currencyDecimals(currency));
+
+/**
+ * Rounds an amount to the currency's minor unit, so stored amounts match what is charged
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code, any case
+ * @returns {number} e.g. 904.55 USD stays 904.55, 904.5 JPY becomes 905
+ */
+const roundAmount = (amount, currency) => toMinorUnits(amount, currency) / 10 ** currencyDecimals(currency);
+
+/**
+ * Formats an amount with its currency code for documents and messages
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. "80.00 USD" or "5000 JPY"
+ */
+const formatAmount = (amount, currency) =>
+  `${amount.toFixed(currencyDecimals(currency))} ${normalizeCurrency(currency).toUpperCase()}`;
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  getExchangeRates,
+  normalizeCurrency,
+  isSupportedCurrency,
+  convertAmount,
+  currencyDecimals,
+  toMinorUnits,
+  roundAmount,
+  formatAmount
+};
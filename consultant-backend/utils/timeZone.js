@@ -0,0 +1,130 @@
+/**
+ * Time Zone Utilities
+ * Converts between wall-clock times in an IANA time zone and absolute instants
+ * using the built-in Intl API, so no time zone database has to be bundled.
+ *
+ * @module utils/timeZone
+ *
+ * Related Files:
+ * - models/Booking.js - Derives startAt/endAt from the consultant's zone
+ * - services/availabilityService.js - Builds slots in the consultant's zone
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+/**
+ * Checks whether a string is a valid IANA time zone name
+ * @param {string} timeZone - e.g. "Europe/Paris"
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Splits an instant into its wall-clock parts in a time zone
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const wallClockParts = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+/**
+ * Returns the UTC offset of a time zone at a given instant
+ * @param {Date} instant - Absolute time
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (e.g. 60 for UTC+01:00)
+ */
+const getOffsetMinutes = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = wallClockParts(instant, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Checks that a YYYY-MM-DD string names a day on the calendar (not e.g. 2030-02-30)
+ * @param {string} dateKey - Date to check
+ * @returns {boolean}
+ */
+const isValidDateKey = (dateKey) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '')) return false;
+  const date = new Date(`${dateKey}T00:00:00.000Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === dateKey;
+};
+
+/**
+ * Converts a wall-clock date and time in a time zone to an absolute instant.
+ * Times skipped by a DST jump resolve to the instant right after the gap.
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:mm format; a single-digit hour such as "9:00" is accepted
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {Date} The instant, or an invalid Date if the date or time cannot be parsed
+ */
+const zonedTimeToUtc = (dateKey, time, timeZone = DEFAULT_TIME_ZONE) => {
+  const naive = new Date(`${dateKey}T${String(time).padStart(5, '0')}:00.000Z`);
+  if (isNaN(naive)) return naive;
+
+  // Two passes settle the offset on either side of a DST transition
+  const firstGuess = new Date(naive.getTime() - getOffsetMinutes(naive, timeZone) * 60000);
+  return new Date(naive.getTime() - getOffsetMinutes(firstGuess, timeZone) * 60000);
+};
+
+/**
+ * Formats an instant as a local ISO 8601 string with offset
+ * @param {Date} instant - Absolute time
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {string} e.g. "2025-03-01T10:00:00+01:00"
+ */
+const toZonedISOString = (instant, timeZone = DEFAULT_TIME_ZONE) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const { year, month, day, hour, minute, second } = wallClockParts(instant, timeZone);
+  const offset = getOffsetMinutes(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const offsetText = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offsetText}`;
+};
+
+/**
+ * Returns the wall-clock date (YYYY-MM-DD) of an instant in a time zone
+ * @param {Date} instant - Absolute time
+ * @param {string} [timeZone='UTC'] - IANA time zone
+ * @returns {string}
+ */
+const toZonedDateKey = (instant, timeZone = DEFAULT_TIME_ZONE) => toZonedISOString(instant, timeZone).slice(0, 10);
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  isValidDateKey,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toZonedISOString,
+  toZonedDateKey
+};
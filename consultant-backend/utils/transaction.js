@@ -0,0 +1,31 @@
+/**
+ * Transaction helper
+ * Runs work in a MongoDB transaction (requires a replica set).
+ *
+ * @module utils/transaction
+ * @requires mongoose
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Runs work inside a transaction and returns its result. The work may be
+ * retried on transient errors, so it must read what it changes through the session.
+ * @async
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Result of the last, committed run of work
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
@@ -27,6 +27,8 @@ import AboutUs from './pages/AboutUs';
 import ConsultantProfile from './pages/ConsultantProfile';
 import MyAppointments from './pages/MyAppointments';
 import Profile from './pages/Profile';
+import Dashboard from './pages/Dashboard';
+import VideoSession from './pages/VideoSession';
 import ErrorBoundary from './components/ErrorBoundary';
 import Layout from './components/Layout';
 import { SWRConfig } from 'swr';
@@ -43,6 +45,8 @@ import { swrConfig } from './config/swr';
  *   - /consultant/:consultantId (ConsultantProfile)
  *   - /my-appointments (MyAppointments)
  *   - /profile (Profile)
+ *   - /dashboard (Dashboard)
+ *   - /sessions/:bookingId (VideoSession)
  * 
  * Features:
  * - Nested routing with shared layout
@@ -73,6 +77,14 @@ const router = createBrowserRouter([
         path: '/profile',
         element: <Profile />,
       },
+      {
+        path: '/dashboard',
+        element: <Dashboard />,
+      },
+      {
+        path: '/sessions/:bookingId',
+        element: <VideoSession />,
+      },
     ],
   },
 ]);
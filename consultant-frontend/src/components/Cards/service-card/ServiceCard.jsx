@@ -1,9 +1,11 @@
 import React, { useState } from 'react';
 import { ArrowRightIcon, ClockIcon, CurrencyDollarIcon, UserIcon } from '@heroicons/react/24/outline';
 import ConsultantModal from '../../Modals/consultant-modal/ConsultantModal';
+import { usePriceFormatter } from '../../../hooks/useApi';
 
 const ServiceCard = ({ service }) => {
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const formatPrice = usePriceFormatter();
   
   // Extract consultant ID correctly
   const consultantId = service.consultantId?._id;
@@ -51,7 +53,7 @@ const ServiceCard = ({ service }) => {
             </div>
             <div className="flex items-center text-gray-600">
               <CurrencyDollarIcon className="h-5 w-5 mr-2" />
-              <span>${service.price || service.pricePerSession}/session</span>
+              <span>{formatPrice(service.price || service.pricePerSession, service.currency)}/session</span>
             </div>
           </div>
           <div className="flex items-center text-gray-600 mt-4">
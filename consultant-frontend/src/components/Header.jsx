@@ -4,11 +4,13 @@ import { GoogleLogin } from '@react-oauth/google';
 import { AppContext } from '../AppContext';
 import LogoBrand from './header/LogoBrand';
 import UserProfile from './header/UserProfile';
-import { BellIcon, Bars3Icon } from '@heroicons/react/24/outline';
+import NotificationBell from './header/NotificationBell';
+import { Bars3Icon } from '@heroicons/react/24/outline';
 
 const Header = () => {
   const { user, login, logout } = useContext(AppContext);
   const [dropdownOpen, setDropdownOpen] = useState(false);
+  const [notificationsOpen, setNotificationsOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
@@ -41,6 +43,12 @@ const Header = () => {
 
   const toggleDropdown = () => {
     setDropdownOpen(!dropdownOpen);
+    setNotificationsOpen(false);
+  };
+
+  const toggleNotifications = () => {
+    setNotificationsOpen(!notificationsOpen);
+    setDropdownOpen(false);
   };
 
   return (
@@ -80,16 +88,23 @@ const Header = () => {
                 My Appointments
               </Link>
             )}
+            {user?.role === 'consultant' && (
+              <Link 
+                to="/dashboard" 
+                className={`px-3 py-2 text-sm font-medium ${
+                  scrolled ? 'text-gray-700 hover:text-primary' : 'text-white hover:text-sky-100'
+                }`}
+              >
+                Dashboard
+              </Link>
+            )}
             {user ? (
               <>
-                <button 
-                  className={`relative p-2 ${
-                    scrolled ? 'text-gray-600 hover:text-primary' : 'text-white hover:text-sky-100'
-                  }`}
-                >
-                  <BellIcon className="h-6 w-6" />
-                  <span className="absolute top-2 right-2 h-2 w-2 bg-red-500 rounded-full" />
-                </button>
+                <NotificationBell
+                  isOpen={notificationsOpen}
+                  onToggle={toggleNotifications}
+                  scrolled={scrolled}
+                />
                 <UserProfile 
                   user={user} 
                   isOpen={dropdownOpen}
@@ -145,6 +160,15 @@ const Header = () => {
                   My Appointments
                 </Link>
               )}
+              {user?.role === 'consultant' && (
+                <Link
+                  to="/dashboard"
+                  className="block px-4 py-2 text-gray-700 hover:bg-gray-50 hover:text-primary"
+                  onClick={() => setMobileMenuOpen(false)}
+                >
+                  Dashboard
+                </Link>
+              )}
               {!user && (
                 <div className="px-4 py-2">
                   <GoogleLogin
@@ -5,6 +5,7 @@
  * @module components/Layout
  * @requires react-router-dom - For outlet component
  * @requires components/Header - Main navigation header
+ * @requires hooks/useRealtime - Live booking and notification updates
  * 
  * Related Files:
  * - src/components/Header.jsx - Main navigation header
@@ -15,6 +16,7 @@
  * - Consistent layout across all pages
  * - Header with navigation
  * - Dynamic content rendering via Outlet
+ * - Live updates from the server while signed in
  * 
  * Usage:
  * Wrap your app with Layout component to provide consistent structure
@@ -24,6 +26,7 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom';
 import Header from './Header';
+import useRealtime from '../hooks/useRealtime';
 
 /**
  * Layout Component
@@ -34,6 +37,8 @@ import Header from './Header';
  */
 
 const Layout = () => {
+  useRealtime();
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Header />
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useRef, useContext, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { useSWRConfig } from 'swr';
+import { PaperClipIcon, PaperAirplaneIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { AppContext } from '../../AppContext';
+import { api } from '../../utils/api';
+import { useConversationMessages } from '../../hooks/useApi';
+
+const ACCEPTED_FILES = '.pdf,.doc,.docx,.xls,.xlsx,.jpeg,.jpg,.png';
+const MAX_ATTACHMENTS = 5;
+
+// Thread of a booking (bookingId) or an existing conversation (conversationId)
+const MessagesModal = ({ isOpen, onClose, bookingId, conversationId: givenConversationId, title = 'Messages' }) => {
+  const { user } = useContext(AppContext);
+  const { mutate: mutateCache } = useSWRConfig();
+  const [conversationId, setConversationId] = useState(givenConversationId || null);
+  const [olderMessages, setOlderMessages] = useState([]);
+  const [hasOlder, setHasOlder] = useState(null);
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState(null);
+  const bottomRef = useRef(null);
+  const userId = user && (user._id || user.id);
+
+  // Booking threads are created on first use
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    setOlderMessages([]);
+    setHasOlder(null);
+    setError(null);
+    if (givenConversationId || !bookingId) {
+      setConversationId(givenConversationId || null);
+      return undefined;
+    }
+
+    let active = true;
+    setConversationId(null);
+    api.openConversation({ bookingId })
+      .then(conversation => active && setConversationId(conversation._id))
+      .catch(err => active && setError(err.message || 'Could not open the conversation'));
+    return () => {
+      active = false;
+    };
+  }, [isOpen, bookingId, givenConversationId]);
+
+  const { data, error: loadError, mutate } = useConversationMessages(isOpen ? conversationId : null);
+  // Older pages may overlap the latest one once new messages arrive
+  const latest = data?.messages || [];
+  const messages = [...olderMessages.filter(older => !latest.some(m => m._id === older._id)), ...latest];
+  const lastMessageId = messages.length > 0 ? messages[messages.length - 1]._id : null;
+
+  // Loading the messages marked them read; refresh the unread badges
+  useEffect(() => {
+    if (data) mutateCache('/conversations');
+  }, [data, mutateCache]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [lastMessageId]);
+
+  const handleClose = () => {
+    setText('');
+    setFiles([]);
+    setError(null);
+    onClose();
+  };
+
+  const handleLoadOlder = async () => {
+    try {
+      const page = await api.getConversationMessages(conversationId, messages[0].createdAt);
+      setOlderMessages([...page.messages, ...olderMessages]);
+      setHasOlder(page.hasMore);
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError(err.message || 'Failed to load older messages');
+    }
+  };
+
+  const handleFilesChange = (e) => {
+    const picked = Array.from(e.target.files || []);
+    if (files.length + picked.length > MAX_ATTACHMENTS) {
+      setError(`You can attach up to ${MAX_ATTACHMENTS} files to a message`);
+    } else {
+      setFiles([...files, ...picked]);
+    }
+    e.target.value = '';
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim() && files.length === 0) return;
+
+    setIsSending(true);
+    setError(null);
+    try {
+      const message = await api.sendMessage(conversationId, text, files);
+      mutate(current => current && { ...current, messages: [...current.messages, message] }, { revalidate: false });
+      setText('');
+      setFiles([]);
+    } catch (err) {
+      console.error('Error sending message:', err);
+      setError(err.message || 'Failed to send the message. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleDownload = async (message, attachment) => {
+    try {
+      const { blob, filename } = await api.downloadAttachment(conversationId, message._id, attachment);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading attachment:', err);
+      alert(err.message || 'Failed to download the attachment. Please try again.');
+    }
+  };
+
+  const showLoadOlder = hasOlder ?? data?.hasMore;
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={handleClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <div className="flex items-center justify-between mb-4">
+                  <Dialog.Title as="h3" className="text-lg font-medium leading-6 text-gray-900">
+                    {title}
+                  </Dialog.Title>
+                  <button type="button" onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+                    <XMarkIcon className="h-5 w-5" />
+                  </button>
+                </div>
+
+                <div className="h-80 overflow-y-auto space-y-3 pr-1">
+                  {showLoadOlder && (
+                    <button
+                      type="button"
+                      onClick={handleLoadOlder}
+                      className="block mx-auto text-sm text-sky-600 hover:text-sky-700"
+                    >
+                      Load earlier messages
+                    </button>
+                  )}
+                  {!data && !loadError && !error && (
+                    <p className="text-center text-sm text-gray-500">Loading messages...</p>
+                  )}
+                  {data && messages.length === 0 && (
+                    <p className="text-center text-sm text-gray-500">No messages yet. Say hello!</p>
+                  )}
+                  {messages.map(message => {
+                    const isMine = message.senderId === userId;
+                    return (
+                      <div key={message._id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                        <div className={`max-w-[80%] rounded-lg px-3 py-2 ${isMine ? 'bg-sky-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                          {message.body && <p className="whitespace-pre-wrap break-words">{message.body}</p>}
+                          {message.attachments.map(attachment => (
+                            <button
+                              key={attachment._id}
+                              type="button"
+                              onClick={() => handleDownload(message, attachment)}
+                              className={`flex items-center text-sm underline ${isMine ? 'text-white' : 'text-sky-700'}`}
+                            >
+                              <PaperClipIcon className="h-4 w-4 mr-1" />
+                              {attachment.originalName}
+                            </button>
+                          ))}
+                          <p className={`mt-1 text-xs ${isMine ? 'text-sky-100' : 'text-gray-500'}`}>
+                            {format(new Date(message.createdAt), 'MMM d, HH:mm')}
+                            {isMine && (message.readAt ? ' · Read' : ' · Sent')}
+                          </p>
+                        </div>
+                      </div>
+                    );
+                  })}
+                  <div ref={bottomRef} />
+                </div>
+
+                {(error || loadError) && (
+                  <p className="mt-3 text-sm text-red-600">{error || loadError.message}</p>
+                )}
+
+                <form onSubmit={handleSend} className="mt-4 space-y-2">
+                  {files.length > 0 && (
+                    <ul className="text-sm text-gray-600 space-y-1">
+                      {files.map((file, index) => (
+                        <li key={`${file.name}-${index}`} className="flex items-center">
+                          <PaperClipIcon className="h-4 w-4 mr-1" />
+                          {file.name}
+                          <button
+                            type="button"
+                            onClick={() => setFiles(files.filter((_, i) => i !== index))}
+                            className="ml-2 text-gray-400 hover:text-red-600"
+                          >
+                            <XMarkIcon className="h-4 w-4" />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <textarea
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder="Write a message"
+                    className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+                    rows={2}
+                    maxLength={5000}
+                    disabled={!conversationId}
+                  />
+                  <div className="flex items-center justify-between">
+                    <label className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800 cursor-pointer">
+                      <PaperClipIcon className="h-4 w-4 mr-1" />
+                      Attach files
+                      <input
+                        type="file"
+                        multiple
+                        accept={ACCEPTED_FILES}
+                        onChange={handleFilesChange}
+                        className="hidden"
+                        disabled={!conversationId}
+                      />
+                    </label>
+                    <button
+                      type="submit"
+                      disabled={!conversationId || isSending || (!text.trim() && files.length === 0)}
+                      className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      <PaperAirplaneIcon className="h-4 w-4 mr-1" />
+                      {isSending ? 'Sending...' : 'Send'}
+                    </button>
+                  </div>
+                </form>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+MessagesModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  bookingId: PropTypes.string,
+  conversationId: PropTypes.string,
+  title: PropTypes.string
+};
+
+export default MessagesModal;
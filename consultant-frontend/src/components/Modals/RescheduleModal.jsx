@@ -0,0 +1,144 @@
+import React, { useState, Fragment } from 'react';
+import { Dialog, Transition } from '@headlessui/react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import BookingCalendar from './consultant-modal/BookingCalendar';
+import { api } from '../../utils/api';
+import { revalidateAvailability } from '../../hooks/useApi';
+
+const RescheduleModal = ({ isOpen, onClose, appointment, onRescheduled = () => {} }) => {
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [selectedTime, setSelectedTime] = useState(null);
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const consultantId = appointment?.consultantId?._id || appointment?.consultantId;
+  const serviceId = appointment?.serviceId?._id || appointment?.serviceId;
+
+  const handleClose = () => {
+    setSelectedTime(null);
+    setReason('');
+    setError(null);
+    onClose();
+  };
+
+  const handleSubmit = async () => {
+    if (!selectedTime) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const booking = await api.rescheduleBooking(appointment._id, {
+        date: format(selectedDate, 'yyyy-MM-dd'),
+        time: selectedTime,
+        reason: reason || undefined
+      });
+      revalidateAvailability(consultantId);
+      onRescheduled(booking);
+      handleClose();
+    } catch (err) {
+      console.error('Error rescheduling booking:', err);
+      setError(err.message || 'Failed to reschedule. Please try again.');
+      // The slot may have been taken in the meantime
+      setSelectedTime(null);
+      revalidateAvailability(consultantId);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Transition appear show={isOpen} as={Fragment}>
+      <Dialog as="div" className="relative z-50" onClose={handleClose}>
+        <Transition.Child
+          as={Fragment}
+          enter="ease-out duration-300"
+          enterFrom="opacity-0"
+          enterTo="opacity-100"
+          leave="ease-in duration-200"
+          leaveFrom="opacity-100"
+          leaveTo="opacity-0"
+        >
+          <div className="fixed inset-0 bg-black bg-opacity-25" />
+        </Transition.Child>
+
+        <div className="fixed inset-0 overflow-y-auto">
+          <div className="flex min-h-full items-center justify-center p-4 text-center">
+            <Transition.Child
+              as={Fragment}
+              enter="ease-out duration-300"
+              enterFrom="opacity-0 scale-95"
+              enterTo="opacity-100 scale-100"
+              leave="ease-in duration-200"
+              leaveFrom="opacity-100 scale-100"
+              leaveTo="opacity-0 scale-95"
+            >
+              <Dialog.Panel className="w-full max-w-lg transform overflow-hidden rounded-2xl bg-white p-6 text-left align-middle shadow-xl transition-all">
+                <Dialog.Title
+                  as="h3"
+                  className="text-lg font-medium leading-6 text-gray-900 mb-2"
+                >
+                  Reschedule Appointment
+                </Dialog.Title>
+                {appointment && (
+                  <p className="text-sm text-gray-500 mb-4">
+                    Currently booked for {appointment.date?.slice(0, 10)} at {appointment.time}
+                  </p>
+                )}
+
+                <BookingCalendar
+                  consultantId={consultantId}
+                  serviceId={serviceId}
+                  selectedDate={selectedDate}
+                  onDateChange={setSelectedDate}
+                  selectedTime={selectedTime}
+                  onTimeChange={setSelectedTime}
+                />
+
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="Reason for rescheduling (optional)"
+                  className="mt-4 w-full p-3 border rounded-lg focus:ring-2 focus:ring-sky-500 focus:border-transparent"
+                  rows={2}
+                />
+
+                {error && (
+                  <p className="mt-3 text-sm text-red-600">{error}</p>
+                )}
+
+                <div className="mt-6 flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={handleClose}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-md"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSubmit}
+                    disabled={!selectedTime || isSubmitting}
+                    className="px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isSubmitting ? 'Rescheduling...' : 'Confirm New Time'}
+                  </button>
+                </div>
+              </Dialog.Panel>
+            </Transition.Child>
+          </div>
+        </div>
+      </Dialog>
+    </Transition>
+  );
+};
+
+RescheduleModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  appointment: PropTypes.object,
+  onRescheduled: PropTypes.func
+};
+
+export default RescheduleModal;
@@ -1,17 +1,56 @@
-import React from 'react';
+import React, { useMemo, useState, useEffect } from 'react';
 import Calendar from 'react-calendar';
 import 'react-calendar/dist/Calendar.css';
 import PropTypes from 'prop-types';
+import { format, startOfMonth, endOfMonth, startOfDay, max } from 'date-fns';
+import { useConsultantAvailability } from '../../../hooks/useApi';
+import { getBrowserTimeZone, formatInTimeZone } from '../../../utils/timeZone';
 
-const BookingCalendar = ({ 
-  selectedDate = new Date(), 
-  onDateChange = () => {}, 
-  selectedTime, 
-  onTimeChange = () => {} 
+const toDateKey = (date) => format(date, 'yyyy-MM-dd');
+
+const BookingCalendar = ({
+  consultantId,
+  serviceId,
+  selectedDate = new Date(),
+  onDateChange = () => {},
+  selectedTime,
+  onTimeChange = () => {},
+  holdId,
+  onJoinWaitlist
 }) => {
-  const timeSlots = [
-    '09:00', '10:00', '11:00', '14:00', '15:00', '16:00'
-  ];
+  const [activeMonth, setActiveMonth] = useState(startOfMonth(selectedDate || new Date()));
+
+  // Only ask for days that can still be booked in the visible month
+  const rangeStart = max([startOfDay(new Date()), activeMonth]);
+  const rangeEnd = endOfMonth(activeMonth);
+  const hasRange = rangeStart <= rangeEnd;
+
+  const { data: availability, error, isLoading } = useConsultantAvailability(consultantId, {
+    serviceId,
+    holdId,
+    from: hasRange ? toDateKey(rangeStart) : null,
+    to: hasRange ? toDateKey(rangeEnd) : null
+  });
+
+  const slotsByDate = useMemo(() => {
+    const map = new Map();
+    (availability?.days || []).forEach(day => map.set(day.date, day.slots));
+    return map;
+  }, [availability]);
+
+  const daySlots = selectedDate ? slotsByDate.get(toDateKey(selectedDate)) || [] : [];
+
+  // Slots are expressed in the consultant's zone; also show the client's local time when it differs
+  const localTimeZone = getBrowserTimeZone();
+  const consultantTimeZone = availability?.timeZone;
+  const showLocalTime = consultantTimeZone && consultantTimeZone !== localTimeZone;
+
+  // Drop the selected time if another client took it in the meantime
+  useEffect(() => {
+    if (selectedTime && availability && !daySlots.some(slot => slot.start === selectedTime)) {
+      onTimeChange(null);
+    }
+  }, [availability, selectedTime]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const handleDateChange = (date) => {
     // Reset time selection when date changes
@@ -19,9 +58,9 @@ const BookingCalendar = ({
     onDateChange(date);
   };
 
-  const isWeekday = (date) => {
-    const day = date.getDay();
-    return day !== 0 && day !== 6;
+  const isFullyBooked = (date) => {
+    const slots = slotsByDate.get(toDateKey(date));
+    return !slots || slots.length === 0;
   };
 
   return (
@@ -32,38 +71,81 @@ const BookingCalendar = ({
           value={selectedDate}
           minDate={new Date()}
           className="rounded-lg border"
-          tileDisabled={({ date }) => !isWeekday(date)}
+          tileDisabled={({ date, view }) => view === 'month' && isFullyBooked(date)}
+          onActiveStartDateChange={({ activeStartDate }) => setActiveMonth(startOfMonth(activeStartDate))}
           locale="en-US"
         />
       </div>
 
       <div className="mt-4">
-        <h4 className="font-medium mb-2">Available Time Slots</h4>
-        <div className="grid grid-cols-3 gap-2">
-          {timeSlots.map((time) => (
-            <button
-              key={time}
-              onClick={() => onTimeChange(time)}
-              className={`p-2 text-sm rounded-lg border transition-colors ${
-                selectedTime === time
-                  ? 'bg-sky-600 text-white border-sky-600'
-                  : 'hover:border-sky-600 hover:bg-sky-50'
-              }`}
-            >
-              {time}
-            </button>
-          ))}
-        </div>
+        <h4 className="font-medium mb-2">
+          Available Time Slots
+          {availability?.duration && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              ({availability.duration} min sessions)
+            </span>
+          )}
+        </h4>
+        {consultantTimeZone && (
+          <p className="text-xs text-gray-500 mb-2">
+            Times are in the consultant's time zone ({consultantTimeZone})
+            {showLocalTime && `; your local time (${localTimeZone}) is shown below each slot`}
+          </p>
+        )}
+
+        {isLoading && !availability ? (
+          <p className="text-sm text-gray-500">Loading availability...</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">Could not load availability. Please try again.</p>
+        ) : daySlots.length === 0 ? (
+          <p className="text-sm text-gray-500">No free slots on this day. Please pick another date.</p>
+        ) : (
+          <div className="grid grid-cols-3 gap-2">
+            {daySlots.map((slot) => (
+              <button
+                key={slot.start}
+                type="button"
+                onClick={() => onTimeChange(slot.start)}
+                className={`p-2 text-sm rounded-lg border transition-colors ${
+                  selectedTime === slot.start
+                    ? 'bg-sky-600 text-white border-sky-600'
+                    : 'hover:border-sky-600 hover:bg-sky-50'
+                }`}
+              >
+                {slot.start} – {slot.end}
+                {showLocalTime && (
+                  <span className="block text-xs opacity-75">
+                    {formatInTimeZone(slot.startAt, localTimeZone)} your time
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {onJoinWaitlist && hasRange && (
+          <button
+            type="button"
+            onClick={() => onJoinWaitlist({ from: toDateKey(rangeStart), to: toDateKey(rangeEnd) })}
+            className="mt-3 text-sm text-sky-600 hover:text-sky-700 hover:underline"
+          >
+            No time that suits you? Join the waitlist for {format(activeMonth, 'MMMM')}
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
 BookingCalendar.propTypes = {
+  consultantId: PropTypes.string,
+  serviceId: PropTypes.string,
   selectedDate: PropTypes.instanceOf(Date),
   onDateChange: PropTypes.func,
   selectedTime: PropTypes.string,
-  onTimeChange: PropTypes.func
+  onTimeChange: PropTypes.func,
+  holdId: PropTypes.string,
+  onJoinWaitlist: PropTypes.func
 };
 
 export default BookingCalendar;
@@ -1,9 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { GoogleLogin } from '@react-oauth/google';
 import BookingCalendar from './BookingCalendar';
 import DocumentUpload from './DocumentUpload';
 import NoteSection from './NoteSection';
 import { ExclamationCircleIcon } from '@heroicons/react/24/outline';
+import { formatPrice } from '../../../utils/currency';
 
 const BookingForm = ({
   consultant,
@@ -14,8 +15,18 @@ const BookingForm = ({
   notes,
   onDateChange,
   onTimeChange,
+  slotHold,
+  onJoinWaitlist,
+  waitlistMessage,
   onDocumentsChange,
   onNotesChange,
+  coupon,
+  couponError,
+  onApplyCoupon,
+  onRemoveCoupon,
+  packageCredits = [],
+  packagePurchaseId,
+  onPackageChange,
   onSubmit,
   isLoading,
   error,
@@ -23,6 +34,8 @@ const BookingForm = ({
   currentUser,
   isAuthenticated
 }) => {
+  const [couponInput, setCouponInput] = useState('');
+
   if (!service) {
     return (
       <div className="text-center py-6">
@@ -42,8 +55,30 @@ const BookingForm = ({
             onDateChange={onDateChange}
             selectedTime={selectedTime}
             onTimeChange={onTimeChange}
-            availability={service.availableSlots}
+            consultantId={consultant?._id}
+            serviceId={service._id}
+            holdId={slotHold?.hold?._id}
+            onJoinWaitlist={onJoinWaitlist}
           />
+          {waitlistMessage && (
+            <p className="text-sm text-sky-700">{waitlistMessage}</p>
+          )}
+
+          {/* Slot hold status */}
+          {selectedTime && slotHold?.hold && !slotHold.expired && (
+            <p className="text-sm text-sky-700">
+              This time is held for you for {Math.floor(slotHold.secondsLeft / 60)}:
+              {String(slotHold.secondsLeft % 60).padStart(2, '0')}
+            </p>
+          )}
+          {selectedTime && slotHold?.expired && (
+            <p className="text-sm text-amber-700">
+              Your hold on this time has expired. It will be booked if it is still free.
+            </p>
+          )}
+          {selectedTime && slotHold?.error && (
+            <p className="text-sm text-red-600">{slotHold.error}</p>
+          )}
 
           {/* Document Upload */}
           <DocumentUpload
@@ -57,6 +92,80 @@ const BookingForm = ({
             setNote={onNotesChange}
           />
 
+          {/* Package Credits */}
+          {packageCredits.length > 0 && (
+            <div>
+              <label htmlFor="package-credit" className="block text-sm font-medium text-gray-700">
+                Payment
+              </label>
+              <select
+                id="package-credit"
+                value={packagePurchaseId || ''}
+                onChange={(e) => onPackageChange(e.target.value || null)}
+                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              >
+                <option value="">Pay for this session</option>
+                {packageCredits.map(purchase => (
+                  <option key={purchase._id} value={purchase._id}>
+                    Use a credit from {purchase.packageId?.name || 'your package'} ({purchase.creditsRemaining} left)
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Discount Code */}
+          {onApplyCoupon && !packagePurchaseId && (
+            <div>
+              <label htmlFor="coupon-code" className="block text-sm font-medium text-gray-700">
+                Discount code
+              </label>
+              <div className="mt-1 flex space-x-2">
+                <input
+                  id="coupon-code"
+                  type="text"
+                  value={couponInput}
+                  onChange={(e) => setCouponInput(e.target.value)}
+                  placeholder="e.g. SPRING-25"
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm uppercase"
+                />
+                {coupon ? (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setCouponInput('');
+                      onRemoveCoupon();
+                    }}
+                    className="px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-800"
+                  >
+                    Remove
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => onApplyCoupon(couponInput.trim())}
+                    disabled={!couponInput.trim()}
+                    className="px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    Apply
+                  </button>
+                )}
+              </div>
+              {coupon && (
+                <p className="mt-2 text-sm text-green-700">
+                  <span className="line-through text-gray-500 mr-2">
+                    {formatPrice(coupon.originalAmount, coupon.currency)}
+                  </span>
+                  <span className="font-medium">{formatPrice(coupon.amount, coupon.currency)}</span>
+                  {' '}({formatPrice(coupon.discount, coupon.currency)} off with {coupon.code})
+                </p>
+              )}
+              {couponError && (
+                <p className="mt-2 text-sm text-red-600">{couponError}</p>
+              )}
+            </div>
+          )}
+
           {/* Submit Button */}
           <div className="flex justify-end">
             <button
@@ -1,7 +1,10 @@
 import React from 'react';
 import { MapPinIcon, PhoneIcon, EnvelopeIcon, StarIcon } from '@heroicons/react/24/outline';
+import { usePriceFormatter } from '../../../hooks/useApi';
 
 const ConsultantInfo = ({ consultant, selectedService, onServiceSelect }) => {
+  const formatPrice = usePriceFormatter();
+
   if (!consultant) {
     return (
       <div className="text-gray-500">
@@ -126,7 +129,7 @@ const ConsultantInfo = ({ consultant, selectedService, onServiceSelect }) => {
               <option value="">Select a service...</option>
               {services.map((service) => (
                 <option key={service._id} value={service._id}>
-                  {service.title} - {service.sessionDuration} minutes - ${service.pricePerSession}
+                  {service.title} - {service.sessionDuration} minutes - {formatPrice(service.pricePerSession, service.currency)}
                 </option>
               ))}
             </select>
@@ -134,7 +137,7 @@ const ConsultantInfo = ({ consultant, selectedService, onServiceSelect }) => {
               <div className="mt-4 p-4 bg-gray-50 rounded-lg">
                 <h4 className="font-medium text-gray-900">{selectedService.title}</h4>
                 <p className="mt-1 text-sm text-gray-600">
-                  {selectedService.sessionDuration} minutes • ${selectedService.pricePerSession}
+                  {selectedService.sessionDuration} minutes • {formatPrice(selectedService.pricePerSession, selectedService.currency)}
                 </p>
                 {selectedService.description && (
                   <p className="mt-2 text-sm text-gray-500">{selectedService.description}</p>
@@ -6,6 +6,10 @@ import ConsultantInfo from './ConsultantInfo';
 import BookingForm from './BookingForm';
 import LoadingSpinner from '../../LoadingSpinner';
 import useBookingStore from '../../../store/bookingStore';
+import { format } from 'date-fns';
+import { revalidateAvailability, useSlotHold, useMyPackages } from '../../../hooks/useApi';
+import { getBrowserTimeZone } from '../../../utils/timeZone';
+import { api } from '../../../utils/api';
 
 const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null }) => {
   const [consultant, setConsultant] = useState(null);
@@ -17,9 +21,31 @@ const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null
   const [documents, setDocuments] = useState([]);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [notes, setNotes] = useState('');
+  const [waitlistMessage, setWaitlistMessage] = useState(null);
+  const [coupon, setCoupon] = useState(null);
+  const [couponError, setCouponError] = useState(null);
+  const [packagePurchaseId, setPackagePurchaseId] = useState(null);
   const { user, onGoogleLogin } = useAuth();
   const closeButtonRef = useRef(null);
   const bookingStore = useBookingStore();
+  const { data: myPackages, mutate: revalidatePackages } = useMyPackages();
+
+  // Purchases with credits left for the selected service of this consultant
+  const packageCredits = (myPackages || []).filter(purchase =>
+    purchase.status === 'active'
+    && purchase.creditsRemaining > 0
+    && purchase.consultantId === consultant?._id
+    && purchase.serviceId === selectedService?._id
+  );
+
+  // Hold the picked slot while the client uploads documents and writes notes
+  const slotHold = useSlotHold({
+    consultantId: isOpen && user ? consultant?._id : null,
+    serviceId: selectedService?._id,
+    date: selectedDate ? format(selectedDate, 'yyyy-MM-dd') : null,
+    time: selectedTime,
+    duration: selectedService?.sessionDuration
+  });
 
   const fetchConsultantData = async () => {
     try {
@@ -74,6 +100,9 @@ const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null
     setDocuments([]);
     setUploadedFiles([]);
     setNotes('');
+    setWaitlistMessage(null);
+    handleRemoveCoupon();
+    setPackagePurchaseId(null);
     onClose();
   };
 
@@ -81,6 +110,34 @@ const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null
   const handleServiceSelect = (service) => {
     setSelectedService(service);
     setSelectedTime(null); // Reset time when service changes
+    handleRemoveCoupon(); // Codes are checked against a service
+    setPackagePurchaseId(null); // Credits are for one service
+  };
+
+  // Check a discount code and preview the discounted price; the code is used when booking
+  const handleApplyCoupon = async (code) => {
+    try {
+      setCouponError(null);
+      setCoupon(await api.previewCoupon({ code, consultantId: consultant._id, serviceId: selectedService._id }));
+    } catch (error) {
+      setCoupon(null);
+      setCouponError(error.message);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCoupon(null);
+    setCouponError(null);
+  };
+
+  // Join the waitlist for the visible month; freed slots are offered on My Appointments
+  const handleJoinWaitlist = async ({ from, to }) => {
+    try {
+      await api.joinWaitlist({ consultantId: consultant._id, serviceId: selectedService._id, from, to });
+      setWaitlistMessage("You're on the waitlist. If a slot frees up, we'll hold it for you and let you know.");
+    } catch (error) {
+      setWaitlistMessage(error.message);
+    }
   };
 
   // Handle booking creation
@@ -102,17 +159,27 @@ const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null
 
     try {
       setLoading(true);
+      // A session paid with a package credit takes no discount code
+      bookingStore.setCouponCode(packagePurchaseId ? null : coupon?.code);
+      bookingStore.setPackagePurchaseId(packagePurchaseId);
       await bookingStore.createBooking({
         consultantId: consultant._id,
         serviceId: selectedService._id,
         date: selectedDate,
         time: selectedTime,
+        clientTimeZone: getBrowserTimeZone(),
         documents: uploadedFiles,
         notes
       });
+      if (packagePurchaseId) {
+        revalidatePackages();
+      }
       handleClose();
     } catch (error) {
       setError(error.message);
+      // The slot may have been taken by someone else: refresh the calendar
+      setSelectedTime(null);
+      revalidateAvailability(consultant._id);
     } finally {
       setLoading(false);
     }
@@ -187,8 +254,18 @@ const ConsultantModal = ({ isOpen, onClose, consultantId, initialService = null
                   notes={notes}
                   onDateChange={setSelectedDate}
                   onTimeChange={setSelectedTime}
+                  slotHold={slotHold}
+                  onJoinWaitlist={handleJoinWaitlist}
+                  waitlistMessage={waitlistMessage}
                   onDocumentsChange={setDocuments}
                   onNotesChange={setNotes}
+                  coupon={coupon}
+                  couponError={couponError}
+                  onApplyCoupon={handleApplyCoupon}
+                  onRemoveCoupon={handleRemoveCoupon}
+                  packageCredits={packageCredits}
+                  packagePurchaseId={packagePurchaseId}
+                  onPackageChange={setPackagePurchaseId}
                   onSubmit={handleCreateBooking}
                   isLoading={loading}
                   error={error}
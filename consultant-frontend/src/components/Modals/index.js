@@ -1,6 +1,8 @@
 export { default as ConsultantModal } from './consultant-modal/ConsultantModal';
 export { default as BookingModal } from './BookingModal';
 export { default as ReviewModal } from './ReviewModal';
+export { default as RescheduleModal } from './RescheduleModal';
+export { default as MessagesModal } from './MessagesModal';
 export { default as ProfileModal } from './ProfileModal';
 export { default as SuccessModal } from './SuccessModal';
 export { default as ErrorModal } from './ErrorModal';
\ No newline at end of file
@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { BellAlertIcon } from '@heroicons/react/24/outline';
+import { useNotificationPreferences } from '../hooks/useApi';
+import { api } from '../utils/api';
+
+const TYPE_LABELS = {
+  booking: 'New and confirmed bookings',
+  cancellation: 'Cancellations',
+  reschedule: 'Rescheduled bookings',
+  reminder: 'Session reminders',
+  payment: 'Payments',
+  waitlist: 'Waitlist offers'
+};
+
+const CHANNEL_LABELS = {
+  inApp: 'In-app',
+  email: 'Email',
+  push: 'Push',
+  sms: 'SMS'
+};
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// Every change is saved right away
+const NotificationPreferences = () => {
+  const { data: preferences, mutate, isLoading } = useNotificationPreferences();
+  const [error, setError] = useState(null);
+
+  const save = async (changes) => {
+    setError(null);
+    try {
+      mutate(await api.updateNotificationPreferences(changes), false);
+    } catch (err) {
+      console.error('Error saving notification preferences:', err);
+      setError(err.message || 'Failed to save your preferences');
+    }
+  };
+
+  if (isLoading || !preferences?.types) {
+    return null;
+  }
+
+  const { types, quietHours, digest, eventTypes, channels } = preferences;
+
+  return (
+    <div className="mt-8 bg-white rounded-xl shadow-sm p-4 sm:p-6 lg:p-8">
+      <div className="flex items-center space-x-2 mb-1">
+        <BellAlertIcon className="h-5 w-5 text-sky-600" />
+        <h2 className="text-lg font-semibold text-gray-900">Notifications</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">Choose what you hear about and how</p>
+
+      {error && (
+        <p className="mb-4 rounded-lg bg-red-50 p-3 text-sm text-red-800">{error}</p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="py-2 pr-4 font-medium">Notify me about</th>
+              {channels.map(channel => (
+                <th key={channel} className="py-2 px-3 font-medium text-center">{CHANNEL_LABELS[channel]}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {eventTypes.map(type => (
+              <tr key={type}>
+                <td className="py-2 pr-4 text-gray-900">{TYPE_LABELS[type] || type}</td>
+                {channels.map(channel => (
+                  <td key={channel} className="py-2 px-3 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${TYPE_LABELS[type] || type} by ${CHANNEL_LABELS[channel]}`}
+                      checked={Boolean(types[type]?.[channel])}
+                      onChange={(e) => save({ types: { [type]: { [channel]: e.target.checked } } })}
+                      className="h-4 w-4 rounded border-gray-300 text-sky-600 focus:ring-sky-500"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="mt-2 text-xs text-gray-400">Text messages are sent to the phone number on your account.</p>
+
+      <div className="mt-6 space-y-4 max-w-2xl">
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={quietHours.enabled}
+              onChange={(e) => save({ quietHours: { enabled: e.target.checked } })}
+              className="h-4 w-4 rounded border-gray-300 text-sky-600 focus:ring-sky-500"
+            />
+            <span>Quiet hours</span>
+          </label>
+          <p className="ml-6 text-xs text-gray-500">No push or text messages, and email waits until they end</p>
+          {quietHours.enabled && (
+            <div className="ml-6 mt-2 flex items-center space-x-2 text-sm text-gray-700">
+              <span>From</span>
+              <input
+                type="time"
+                value={quietHours.start}
+                onChange={(e) => e.target.value && save({ quietHours: { start: e.target.value } })}
+                className="rounded-lg border-gray-300 sm:text-sm"
+              />
+              <span>to</span>
+              <input
+                type="time"
+                value={quietHours.end}
+                onChange={(e) => e.target.value && save({ quietHours: { end: e.target.value } })}
+                className="rounded-lg border-gray-300 sm:text-sm"
+              />
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className="flex items-center space-x-2 text-sm font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={digest.enabled}
+              onChange={(e) => save({ digest: { enabled: e.target.checked } })}
+              className="h-4 w-4 rounded border-gray-300 text-sky-600 focus:ring-sky-500"
+            />
+            <span>Daily email digest</span>
+          </label>
+          <p className="ml-6 text-xs text-gray-500">One email a day instead of one per update; reminders still arrive on time</p>
+          {digest.enabled && (
+            <div className="ml-6 mt-2 flex items-center space-x-2 text-sm text-gray-700">
+              <span>Send at</span>
+              <select
+                value={digest.hour}
+                onChange={(e) => save({ digest: { hour: Number(e.target.value) } })}
+                className="rounded-lg border-gray-300 sm:text-sm"
+              >
+                {HOURS.map(hour => (
+                  <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { useNotifications } from '../../hooks/useApi';
+import { api } from '../../utils/api';
+import {
+  isPushSupported,
+  getPushSubscription,
+  subscribeToPush,
+  unsubscribeFromPush
+} from '../../utils/pushNotifications';
+
+const NotificationBell = ({ isOpen, onToggle, scrolled }) => {
+  const { data, mutate } = useNotifications();
+  const notifications = data?.notifications || [];
+  const unreadCount = data?.unreadCount || 0;
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushError, setPushError] = useState(null);
+
+  useEffect(() => {
+    getPushSubscription()
+      .then(subscription => setPushEnabled(Boolean(subscription)))
+      .catch(() => setPushEnabled(false));
+  }, []);
+
+  const handleTogglePush = async () => {
+    setPushError(null);
+    try {
+      if (pushEnabled) {
+        await unsubscribeFromPush();
+        setPushEnabled(false);
+      } else {
+        await subscribeToPush();
+        setPushEnabled(true);
+      }
+    } catch (err) {
+      console.error('Error changing push notifications:', err);
+      setPushError(err.message);
+    }
+  };
+
+  const handleRead = async (notification) => {
+    if (notification.status === 'read') return;
+    await api.markNotificationRead(notification._id);
+    mutate();
+  };
+
+  const handleReadAll = async () => {
+    await api.markAllNotificationsRead();
+    mutate();
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={onToggle}
+        aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'Notifications'}
+        className={`relative p-2 ${
+          scrolled ? 'text-gray-600 hover:text-primary' : 'text-white hover:text-sky-100'
+        }`}
+      >
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 min-w-[1rem] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] leading-4 text-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleReadAll}
+                className="text-xs font-medium text-blue-600 hover:text-blue-700"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y">
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleRead(notification)}
+                    className={`block w-full text-left px-4 py-3 text-sm hover:bg-gray-50 ${
+                      notification.status === 'unread' ? 'bg-sky-50 text-gray-900' : 'text-gray-600'
+                    }`}
+                  >
+                    <p>{notification.message}</p>
+                    <p className="mt-1 text-xs text-gray-400">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {isPushSupported() && (
+            <div className="px-4 py-2 border-t">
+              <button
+                onClick={handleTogglePush}
+                className="text-xs font-medium text-blue-600 hover:text-blue-700"
+              >
+                {pushEnabled ? 'Turn off browser notifications' : 'Get browser notifications'}
+              </button>
+              {pushError && <p className="mt-1 text-xs text-red-600">{pushError}</p>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
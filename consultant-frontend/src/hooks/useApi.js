@@ -1,5 +1,7 @@
+import { useState, useEffect } from 'react';
 import useSWR, { mutate } from 'swr';
 import { api } from '../utils/api';
+import { describePrice } from '../utils/currency';
 
 // Base fetcher that works with our existing API utility
 const baseFetcher = async (url) => {
@@ -151,6 +153,76 @@ export function useConsultant(id) {
   };
 }
 
+// Key prefix shared by every availability query of a consultant
+export const availabilityKeyPrefix = (consultantId) => `/consultants/${consultantId}/availability`;
+
+// Revalidate all cached availability ranges of a consultant (e.g. after a booking conflict)
+export function revalidateAvailability(consultantId) {
+  const prefix = availabilityKeyPrefix(consultantId);
+  return mutate((key) => typeof key === 'string' && key.startsWith(prefix));
+}
+
+// Free slots of a consultant for a service, polled so slots taken by other clients disappear
+// The caller's own slot hold (holdId) is not counted as occupied
+export function useConsultantAvailability(consultantId, { serviceId, from, to, holdId } = {}) {
+  const params = new URLSearchParams({ from, to, ...(serviceId && { serviceId }), ...(holdId && { holdId }) });
+  return useApi(
+    consultantId && from && to ? `${availabilityKeyPrefix(consultantId)}?${params}` : null,
+    {
+      refreshInterval: 30000,
+      revalidateOnFocus: true,
+      keepPreviousData: true
+    }
+  );
+}
+
+// Holds the selected slot while the booking form is open. The previous hold is
+// released whenever the selection changes or the component unmounts.
+export function useSlotHold({ consultantId, serviceId, date, time, duration }) {
+  const [hold, setHold] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    setHold(null);
+    setError(null);
+    if (!consultantId || !serviceId || !date || !time) {
+      return undefined;
+    }
+
+    let active = true;
+    let placed = null;
+    api.holdSlot({ consultantId, serviceId, date, time, duration })
+      .then(({ hold: newHold }) => {
+        placed = newHold;
+        if (active) {
+          setHold(newHold);
+        } else {
+          api.releaseHold(newHold._id).catch(() => {});
+        }
+      })
+      .catch((err) => {
+        if (active) setError(err.message || 'Could not hold this time slot');
+      });
+
+    return () => {
+      active = false;
+      // Already gone if the slot was booked or the hold expired
+      if (placed) api.releaseHold(placed._id).catch(() => {});
+    };
+  }, [consultantId, serviceId, date, time, duration]);
+
+  // Tick once a second while holding, for the countdown
+  useEffect(() => {
+    if (!hold) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [hold]);
+
+  const secondsLeft = hold ? Math.max(0, Math.round((new Date(hold.expiresAt) - now) / 1000)) : 0;
+  return { hold, error, secondsLeft, expired: Boolean(hold) && secondsLeft === 0 };
+}
+
 export function useServices() {
   return useApi('/services');
 }
@@ -163,6 +235,62 @@ export function useMyAppointments() {
   return useApi('/bookings/client');
 }
 
+// Active waitlist entries, including slots offered to the user
+export function useMyWaitlist() {
+  return useApi('/waitlist/me');
+}
+
+// Package purchases with their remaining credits
+export function useMyPackages() {
+  return useApi('/packages/purchases/me');
+}
+
+// Latest notifications with the unread count; polled so the bell stays current
+export function useNotifications() {
+  return useApi('/notifications?limit=10', {
+    refreshInterval: 60000
+  });
+}
+
+// The user's conversations with their unread counts; kept current by useRealtime
+export function useConversations() {
+  return useApi('/conversations', {
+    refreshInterval: 60000
+  });
+}
+
+// Latest messages of a conversation; fetching them marks the received ones read
+export function useConversationMessages(conversationId) {
+  return useApi(conversationId ? `/conversations/${conversationId}/messages` : null);
+}
+
+// Confirmed bookings that are not over yet, with when their video rooms open
+export function useUpcomingSessions(enabled = true) {
+  return useApi(enabled ? '/sessions/upcoming' : null, {
+    refreshInterval: 60000
+  });
+}
+
+export function useNotificationPreferences() {
+  return useApi('/notification-preferences', {
+    revalidateOnFocus: false
+  });
+}
+
+// Exchange rates change rarely; they only serve approximate prices
+export function useExchangeRates() {
+  return useApi('/services/exchange-rates', {
+    revalidateOnFocus: false,
+    revalidateOnReconnect: false
+  });
+}
+
+// Formats a price in its own currency with an approximation in the viewer's currency
+export function usePriceFormatter() {
+  const { data: exchangeRates } = useExchangeRates();
+  return (amount, currency = 'usd') => describePrice(amount, currency, exchangeRates);
+}
+
 export function useCurrentUser() {
   return useApi('/auth/me', {
     revalidateOnFocus: false, // Only revalidate on explicit mutate calls
@@ -0,0 +1,120 @@
+/**
+ * Realtime Updates Hook
+ * Keeps the signed-in user's pages current from the server's event stream
+ * (GET /api/events/stream, Server-Sent Events):
+ * - booking: updates the booking in entityStore, revalidates booking queries
+ *   and re-dispatches it as a 'realtime:booking' window event for pages that
+ *   keep bookings in local state
+ * - notification: revalidates the notification bell
+ * - message, message_read: revalidates conversations and their messages
+ * - availability: revalidates the consultant's free slots and drops the
+ *   selected slot in bookingStore if someone else just took it
+ *
+ * @module hooks/useRealtime
+ * @requires swr
+ * @requires store/entityStore
+ * @requires store/bookingStore
+ *
+ * Related Files:
+ * - src/components/Layout.js - Opens the stream for every page
+ * - src/hooks/useApi.js - SWR keys revalidated here
+ */
+
+import { useContext, useEffect } from 'react';
+import { useSWRConfig } from 'swr';
+import { AppContext } from '../AppContext';
+import { api, API_BASE_URL } from '../utils/api';
+import { availabilityKeyPrefix } from './useApi';
+import useEntityStore from '../store/entityStore';
+import useBookingStore from '../store/bookingStore';
+
+const MAX_RETRY_DELAY = 60000;
+
+const startsWith = (prefix) => (key) => typeof key === 'string' && key.startsWith(prefix);
+
+export function useRealtime() {
+  const { user } = useContext(AppContext);
+  const { mutate } = useSWRConfig();
+  const userId = user && (user._id || user.id);
+
+  useEffect(() => {
+    if (!userId || typeof EventSource === 'undefined') return undefined;
+
+    let source = null;
+    let retryTimer = null;
+    let failures = 0;
+    let closed = false;
+
+    const handlers = {
+      booking: ({ change, booking }) => {
+        const entityStore = useEntityStore.getState();
+        if (entityStore.entities.bookings[booking._id]) {
+          entityStore.updateBooking(booking._id, booking);
+        }
+        mutate(startsWith('/bookings'));
+        mutate('/sessions/upcoming');
+        window.dispatchEvent(new CustomEvent('realtime:booking', { detail: { change, booking } }));
+      },
+      notification: () => {
+        mutate(startsWith('/notifications'));
+      },
+      message: () => {
+        mutate(startsWith('/conversations'));
+      },
+      message_read: () => {
+        mutate(startsWith('/conversations'));
+      },
+      availability: (slot) => {
+        mutate(startsWith(availabilityKeyPrefix(slot.consultantId)));
+        if (slot.change === 'taken') {
+          useBookingStore.getState().slotTaken(slot);
+        }
+      }
+    };
+
+    // Tickets are single-use in practice (one minute), so every reconnection asks for a new one
+    const connect = async () => {
+      try {
+        const { ticket } = await api.getEventTicket();
+        if (closed) return;
+        source = new EventSource(`${API_BASE_URL}/events/stream?ticket=${encodeURIComponent(ticket)}`);
+        source.onopen = () => {
+          failures = 0;
+        };
+        source.onerror = () => {
+          source.close();
+          reconnect();
+        };
+        Object.entries(handlers).forEach(([event, handler]) => {
+          source.addEventListener(event, (message) => {
+            try {
+              handler(JSON.parse(message.data));
+            } catch (err) {
+              console.error(`Realtime - Error handling ${event}:`, err);
+            }
+          });
+        });
+      } catch (err) {
+        console.error('Realtime - Could not open the event stream:', err);
+        reconnect();
+      }
+    };
+
+    const reconnect = () => {
+      if (closed) return;
+      failures += 1;
+      const delay = Math.min(MAX_RETRY_DELAY, 1000 * 2 ** failures);
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [userId, mutate]);
+}
+
+export default useRealtime;
@@ -4,6 +4,7 @@ import './index.css';
 import App from './App';
 import { GoogleOAuthProvider } from '@react-oauth/google';
 import { AppProvider } from './AppContext';
+import * as serviceWorkerRegistration from './utils/serviceWorkerRegistration';
 
 const GOOGLE_CLIENT_ID = "362694203151-5saom7q8cus1usvaeap9rk814ughdo7v.apps.googleusercontent.com";
 
@@ -17,3 +18,8 @@ root.render(
     </GoogleOAuthProvider>
   </React.StrictMode>
 );
+
+// The service worker is only built in production; it caches assets and shows push notifications
+if (process.env.NODE_ENV === 'production') {
+  serviceWorkerRegistration.register();
+}
@@ -4,6 +4,7 @@ import { AppContext } from '../AppContext';
 import { StarIcon, BriefcaseIcon, ClockIcon, CurrencyDollarIcon, CalendarDaysIcon, MapPinIcon, LanguageIcon, AcademicCapIcon } from '@heroicons/react/24/outline';
 import ConsultantModal from '../components/Modals/consultant-modal/ConsultantModal';
 import { api } from '../utils/api';
+import { usePriceFormatter } from '../hooks/useApi';
 
 const ConsultantProfile = () => {
   const { consultantId } = useParams();
@@ -13,6 +14,7 @@ const ConsultantProfile = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isBookingModalOpen, setIsBookingModalOpen] = useState(false);
+  const formatPrice = usePriceFormatter();
 
   useEffect(() => {
     const fetchConsultant = async () => {
@@ -257,7 +259,7 @@ const ConsultantProfile = () => {
                         <p className="mt-1 text-gray-600">{service.description}</p>
                       </div>
                       <div className="w-full sm:w-auto text-left sm:text-right">
-                        <p className="text-lg font-medium text-gray-900">${service.price}</p>
+                        <p className="text-lg font-medium text-gray-900">{formatPrice(service.price, service.currency)}</p>
                         <p className="text-sm text-gray-500">{service.sessionDuration} minutes</p>
                       </div>
                     </div>
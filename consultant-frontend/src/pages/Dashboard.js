@@ -1,11 +1,97 @@
-import React, { useContext } from 'react';
+import React, { useContext, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { format } from 'date-fns';
 import { AppContext } from '../AppContext';
+import { usePriceFormatter, useConversations, useUpcomingSessions } from '../hooks/useApi';
+import MessagesModal from '../components/Modals/MessagesModal';
 
 const Dashboard = () => {
   const { user, consultants, services } = useContext(AppContext);
+  const formatPrice = usePriceFormatter();
+  const { data: conversations } = useConversations();
+  const [openConversation, setOpenConversation] = useState(null);
+  const { data: upcomingSessions } = useUpcomingSessions(user?.role === 'consultant');
 
   return (
     <div className="space-y-8">
+      {user?.role === 'consultant' && (
+        <section className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-2xl font-semibold mb-4">Upcoming video sessions</h2>
+          {!upcomingSessions?.length ? (
+            <p className="text-gray-600">No confirmed bookings coming up.</p>
+          ) : (
+            <ul className="divide-y">
+              {upcomingSessions.map(({ booking, opensAt, closesAt, canJoin }) => (
+                <li key={booking._id} className="flex items-center justify-between py-3">
+                  <div>
+                    <p className="font-medium">{booking.serviceId?.name || 'Session'}</p>
+                    <p className="text-sm text-gray-600">
+                      {format(new Date(opensAt), 'MMM d, HH:mm')} – {format(new Date(closesAt), 'HH:mm')}
+                    </p>
+                  </div>
+                  {canJoin ? (
+                    <Link
+                      to={`/sessions/${booking._id}`}
+                      className="px-3 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md"
+                    >
+                      Join
+                    </Link>
+                  ) : (
+                    <span className="text-sm text-gray-500">Opens at start time</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {user?.role === 'consultant' && (
+        <section className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-2xl font-semibold mb-4">Messages</h2>
+          {!conversations?.length ? (
+            <p className="text-gray-600">No conversations yet.</p>
+          ) : (
+            <ul className="divide-y">
+              {conversations.map((conversation) => (
+                <li key={conversation._id}>
+                  <button
+                    onClick={() => setOpenConversation(conversation)}
+                    className="w-full flex items-center justify-between py-3 text-left hover:bg-gray-50"
+                  >
+                    <div>
+                      <p className="font-medium">
+                        {conversation.withUser?.name}
+                        {conversation.bookingId && (
+                          <span className="ml-2 text-sm font-normal text-gray-500">
+                            Booking on {conversation.bookingId.date?.slice(0, 10)} at {conversation.bookingId.time}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-600 line-clamp-1">{conversation.lastMessagePreview}</p>
+                    </div>
+                    <div className="flex items-center space-x-2 text-sm text-gray-500">
+                      {conversation.lastMessageAt && <span>{format(new Date(conversation.lastMessageAt), 'MMM d, HH:mm')}</span>}
+                      {conversation.unreadCount > 0 && (
+                        <span className="rounded-full bg-red-500 px-2 py-0.5 text-xs font-medium text-white">
+                          {conversation.unreadCount}
+                        </span>
+                      )}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <MessagesModal
+            isOpen={Boolean(openConversation)}
+            onClose={() => setOpenConversation(null)}
+            conversationId={openConversation?._id}
+            title={openConversation ? `Messages with ${openConversation.withUser?.name || 'client'}` : 'Messages'}
+          />
+        </section>
+      )}
+
       <section className="bg-white rounded-lg shadow p-6">
         <h2 className="text-2xl font-semibold mb-4">Welcome, {user?.name}!</h2>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -37,7 +123,7 @@ const Dashboard = () => {
                 <span className="font-medium">Duration:</span> {service.sessionDuration} minutes
               </p>
               <p className="text-sm text-gray-500">
-                <span className="font-medium">Price:</span> ${service.pricePerSession}
+                <span className="font-medium">Price:</span> {formatPrice(service.pricePerSession, service.currency)}
               </p>
             </div>
           ))}
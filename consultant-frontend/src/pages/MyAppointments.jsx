@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useContext } from 'react';
 import { AppContext } from '../AppContext';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { api } from '../utils/api';
 import { 
   CalendarDaysIcon, 
@@ -10,11 +10,19 @@ import {
   DocumentIcon,
   XMarkIcon,
   ArrowPathIcon,
+  ArrowDownTrayIcon,
+  ChatBubbleLeftRightIcon,
+  VideoCameraIcon,
   CheckCircleIcon,
   XCircleIcon,
   ClockIcon as PendingIcon
 } from '@heroicons/react/24/outline';
 import { format } from 'date-fns';
+import { getBrowserTimeZone, formatDateTimeInTimeZone } from '../utils/timeZone';
+import { formatPrice } from '../utils/currency';
+import RescheduleModal from '../components/Modals/RescheduleModal';
+import MessagesModal from '../components/Modals/MessagesModal';
+import { useMyWaitlist, useConversations } from '../hooks/useApi';
 
 const MyAppointments = () => {
   const [appointments, setAppointments] = useState([]);
@@ -22,8 +30,34 @@ const MyAppointments = () => {
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
+  const [messagingAppointment, setMessagingAppointment] = useState(null);
+  // Re-evaluated periodically so join buttons appear when a session opens
+  const [now, setNow] = useState(() => new Date());
   const { user } = useContext(AppContext);
   const navigate = useNavigate();
+  // Set when opened from a notification about one appointment
+  const [searchParams] = useSearchParams();
+  const highlightedId = searchParams.get('booking');
+  const { data: waitlist, mutate: refreshWaitlist } = useMyWaitlist();
+  const waitlistOffers = (waitlist || []).filter(entry => entry.status === 'offered');
+  const { data: conversations } = useConversations();
+
+  // A moved booking keeps the thread of the booking it was moved from
+  const unreadMessages = (appointment) => {
+    const conversation = (conversations || []).find(({ bookingId }) =>
+      bookingId && [appointment._id, appointment.rescheduledFrom].includes(bookingId._id));
+    return conversation ? conversation.unreadCount : 0;
+  };
+
+  // The video room is open from the start to the end of a confirmed booking
+  const canJoinSession = (appointment) => appointment.status === 'confirmed'
+    && new Date(appointment.startAt) <= now && now < new Date(appointment.endAt);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 30000);
+    return () => clearInterval(timer);
+  }, []);
 
   useEffect(() => {
     if (!user) {
@@ -58,15 +92,59 @@ const MyAppointments = () => {
     fetchAppointments();
   }, [user, navigate]);
 
+  // Apply changes made elsewhere (by the consultant, another tab, payments)
+  useEffect(() => {
+    const handleBookingChange = ({ detail: { booking } }) => {
+      const isShown = (app) => app._id === booking._id || app._id === booking.rescheduledFrom;
+      if (!appointments.some(isShown)) {
+        // A booking this page has not loaded yet
+        api.getMyAppointments()
+          .then(response => setAppointments(Array.isArray(response) ? response : response.bookings || response.data || []))
+          .catch(err => console.error('Error refreshing appointments:', err));
+        return;
+      }
+      setAppointments(current => current.map(app => (isShown(app)
+        ? {
+          ...app,
+          _id: booking._id,
+          status: booking.status,
+          paymentStatus: booking.paymentStatus,
+          date: booking.date,
+          time: booking.time,
+          startAt: booking.startAt,
+          endAt: booking.endAt
+        }
+        : app)));
+    };
+
+    window.addEventListener('realtime:booking', handleBookingChange);
+    return () => window.removeEventListener('realtime:booking', handleBookingChange);
+  }, [appointments]);
+
+  useEffect(() => {
+    if (isLoading || !highlightedId) return;
+    setFilter('all');
+    document.getElementById(`appointment-${highlightedId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [isLoading, highlightedId]);
+
   const handleCancelBooking = async (bookingId) => {
-    if (!window.confirm('Are you sure you want to cancel this appointment?')) {
-      return;
-    }
-    
     try {
-      await api.cancelBooking(bookingId);
+      // Show the consultant's cancellation terms and the refund before confirming
+      const terms = await api.getCancellationTerms(bookingId);
+      const summary = [
+        'Cancellation terms:',
+        ...terms.terms.map(term => `• ${term}`),
+        '',
+        `Cancelling now refunds ${terms.refundPercent}% (${formatPrice(terms.refundAmount, terms.currency)} of ${formatPrice(terms.price, terms.currency)}).`,
+        'Are you sure you want to cancel this appointment?'
+      ].join('\n');
+      if (!window.confirm(summary)) {
+        return;
+      }
+
+      const { booking } = await api.cancelBooking(bookingId);
       setAppointments(appointments.map(app => 
-        app._id === bookingId ? { ...app, status: 'cancelled' } : app
+        app._id === bookingId ? { ...app, status: 'cancelled', cancellation: booking?.cancellation } : app
       ));
     } catch (err) {
       console.error('Error cancelling booking:', err);
@@ -74,8 +152,54 @@ const MyAppointments = () => {
     }
   };
 
-  const handleReschedule = (bookingId) => {
-    navigate(`/reschedule/${bookingId}`);
+  const handleReschedule = (appointment) => {
+    setReschedulingAppointment(appointment);
+  };
+
+  // The original booking is kept as 'rescheduled'; show the new one in its place
+  const handleRescheduled = (newBooking) => {
+    setAppointments(appointments.map(app =>
+      app._id === reschedulingAppointment._id
+        ? { ...app, ...newBooking, consultantId: app.consultantId, serviceId: app.serviceId }
+        : app
+    ));
+  };
+
+  const handleClaimOffer = async (entryId) => {
+    try {
+      const { booking } = await api.claimWaitlistOffer(entryId);
+      setAppointments([booking, ...appointments]);
+    } catch (err) {
+      console.error('Error claiming waitlist offer:', err);
+      alert(err.message || 'Failed to book this slot. Please try again.');
+    } finally {
+      refreshWaitlist();
+    }
+  };
+
+  const handleDeclineOffer = async (entryId) => {
+    try {
+      await api.declineWaitlistOffer(entryId);
+    } catch (err) {
+      console.error('Error declining waitlist offer:', err);
+    } finally {
+      refreshWaitlist();
+    }
+  };
+
+  const handleDownloadInvoice = async (bookingId) => {
+    try {
+      const { blob, filename } = await api.downloadInvoice(bookingId);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading invoice:', err);
+      alert(err.message || 'Failed to download the invoice. Please try again.');
+    }
   };
 
   const getStatusIcon = (status) => {
@@ -108,8 +232,10 @@ const MyAppointments = () => {
     }
   };
 
+  const localTimeZone = getBrowserTimeZone();
+
   const filteredAppointments = appointments.filter(appointment => {
-    const appointmentDate = new Date(appointment.date);
+    const appointmentDate = new Date(appointment.schedule?.startAt || appointment.date);
     const now = new Date();
     const matchesFilter = filter === 'all' ? true :
                          filter === 'upcoming' ? appointmentDate >= now :
@@ -162,6 +288,31 @@ const MyAppointments = () => {
           <p className="mt-2 text-gray-600">Manage and track your consultation sessions</p>
         </div>
 
+        {/* Slots offered from the waitlist */}
+        {waitlistOffers.map((entry) => (
+          <div key={entry._id} className="mb-4 p-4 bg-sky-50 border border-sky-200 rounded-xl flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <p className="text-sm text-sky-900">
+              A slot opened with {entry.consultantId?.name || 'your consultant'} on{' '}
+              {formatDateTimeInTimeZone(entry.offer.startAt, localTimeZone)}.
+              It is held for you until {formatDateTimeInTimeZone(entry.offer.expiresAt, localTimeZone)}.
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleClaimOffer(entry._id)}
+                className="px-3 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md"
+              >
+                Book it
+              </button>
+              <button
+                onClick={() => handleDeclineOffer(entry._id)}
+                className="px-3 py-2 text-sm font-medium text-gray-600 hover:bg-gray-100 rounded-md"
+              >
+                Not this time
+              </button>
+            </div>
+          </div>
+        ))}
+
         {/* Search and Filter Bar */}
         <div className="mb-6 flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
           <div className="relative flex-1 max-w-md">
@@ -214,7 +365,10 @@ const MyAppointments = () => {
             {filteredAppointments.map((appointment) => (
               <div 
                 key={appointment._id} 
-                className="group bg-white rounded-xl shadow-sm hover:shadow-lg transition-all duration-200 overflow-hidden"
+                id={`appointment-${appointment._id}`}
+                className={`group bg-white rounded-xl shadow-sm hover:shadow-lg transition-all duration-200 overflow-hidden ${
+                  appointment._id === highlightedId ? 'ring-2 ring-sky-500' : ''
+                }`}
               >
                 {/* Card Header */}
                 <div className="p-6 border-b border-gray-100">
@@ -252,11 +406,58 @@ const MyAppointments = () => {
                     <span className="ml-2 text-gray-400">({appointment.duration} min)</span>
                   </div>
 
+                  {appointment.schedule && (
+                    <div className="text-sm text-gray-600 space-y-1 pl-7">
+                      <p>
+                        <span className="font-medium">Your time:</span>{' '}
+                        {formatDateTimeInTimeZone(appointment.schedule.startAt, localTimeZone)}
+                      </p>
+                      <p>
+                        <span className="font-medium">Consultant's time:</span>{' '}
+                        {formatDateTimeInTimeZone(appointment.schedule.startAt, appointment.schedule.consultant.timeZone)}
+                      </p>
+                    </div>
+                  )}
+
                   <div className="flex items-center text-gray-700">
                     <CurrencyDollarIcon className="h-5 w-5 text-sky-600" />
                     <span className="ml-2">Payment: {appointment.paymentStatus}</span>
+                    {/* Sessions paid with a package credit are covered by the package's payment */}
+                    {['paid', 'refunded'].includes(appointment.paymentStatus) && !appointment.packagePurchaseId && (
+                      <button
+                        onClick={() => handleDownloadInvoice(appointment._id)}
+                        className="ml-auto inline-flex items-center text-sm font-medium text-sky-600 hover:text-sky-700"
+                      >
+                        <ArrowDownTrayIcon className="h-4 w-4 mr-1" />
+                        Invoice
+                      </button>
+                    )}
                   </div>
 
+                  <div className="flex items-center text-gray-700">
+                    <ChatBubbleLeftRightIcon className="h-5 w-5 text-sky-600" />
+                    <button
+                      onClick={() => setMessagingAppointment(appointment)}
+                      className="ml-2 text-sm font-medium text-sky-600 hover:text-sky-700"
+                    >
+                      Messages
+                    </button>
+                    {unreadMessages(appointment) > 0 && (
+                      <span className="ml-2 rounded-full bg-red-500 px-2 py-0.5 text-xs font-medium text-white">
+                        {unreadMessages(appointment)} new
+                      </span>
+                    )}
+                  </div>
+
+                  {appointment.cancellation && (
+                    <div className="flex items-center text-gray-700">
+                      <CurrencyDollarIcon className="h-5 w-5 text-red-600" />
+                      <span className="ml-2">
+                        Refund owed: {formatPrice(appointment.cancellation.refundAmount, appointment.price?.currency)} ({appointment.cancellation.refundPercent}%)
+                      </span>
+                    </div>
+                  )}
+
                   {appointment.documents?.length > 0 && (
                     <div className="flex items-center text-gray-700">
                       <DocumentIcon className="h-5 w-5 text-sky-600" />
@@ -266,8 +467,17 @@ const MyAppointments = () => {
                 </div>
 
                 {/* Card Actions */}
-                {appointment.status === 'pending' && (
+                {['pending', 'confirmed'].includes(appointment.status) && (
                   <div className="px-6 py-4 bg-gray-50 flex justify-end space-x-3">
+                    {canJoinSession(appointment) && (
+                      <button
+                        onClick={() => navigate(`/sessions/${appointment._id}`)}
+                        className="inline-flex items-center px-3 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md transition-colors duration-200"
+                      >
+                        <VideoCameraIcon className="h-4 w-4 mr-1" />
+                        Join video session
+                      </button>
+                    )}
                     <button
                       onClick={() => handleCancelBooking(appointment._id)}
                       className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-200"
@@ -276,7 +486,7 @@ const MyAppointments = () => {
                       Cancel
                     </button>
                     <button
-                      onClick={() => handleReschedule(appointment._id)}
+                      onClick={() => handleReschedule(appointment)}
                       className="inline-flex items-center px-3 py-2 text-sm font-medium text-sky-600 hover:text-sky-700 hover:bg-sky-50 rounded-md transition-colors duration-200"
                     >
                       <ArrowPathIcon className="h-4 w-4 mr-1" />
@@ -289,6 +499,20 @@ const MyAppointments = () => {
           </div>
         )}
       </div>
+
+      <RescheduleModal
+        isOpen={Boolean(reschedulingAppointment)}
+        onClose={() => setReschedulingAppointment(null)}
+        appointment={reschedulingAppointment}
+        onRescheduled={handleRescheduled}
+      />
+
+      <MessagesModal
+        isOpen={Boolean(messagingAppointment)}
+        onClose={() => setMessagingAppointment(null)}
+        bookingId={messagingAppointment?._id}
+        title={messagingAppointment ? `Messages about ${messagingAppointment.service?.title || 'this booking'}` : 'Messages'}
+      />
     </div>
   );
 };
@@ -11,6 +11,7 @@ import {
   EnvelopeIcon,
   CalendarIcon
 } from '@heroicons/react/24/outline';
+import NotificationPreferences from '../components/NotificationPreferences';
 
 const Profile = () => {
   const { user, setUser } = useContext(AppContext);
@@ -267,6 +268,8 @@ const Profile = () => {
             </div>
           </form>
         </div>
+
+        <NotificationPreferences />
       </div>
     </div>
   );
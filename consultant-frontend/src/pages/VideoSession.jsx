@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useRef, useContext, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { format } from 'date-fns';
+import {
+  MicrophoneIcon,
+  VideoCameraIcon,
+  VideoCameraSlashIcon,
+  PhoneXMarkIcon
+} from '@heroicons/react/24/outline';
+import { AppContext } from '../AppContext';
+import { api, API_BASE_URL } from '../utils/api';
+
+// Signaling WebSocket served by the API (services/signalingService.js)
+const SIGNALING_URL = `${API_BASE_URL.replace(/^http/, 'ws')}/sessions/signal`;
+
+// Close codes sent by the signaling server
+const CLOSE_MESSAGES = {
+  4000: 'The session has ended.',
+  4001: 'You joined this session from another window.'
+};
+
+const STATUS_LABELS = {
+  waiting: 'Waiting for the other participant to join...',
+  connecting: 'Connecting...',
+  connected: 'Connected'
+};
+
+// Browser video room of a booking. Both participants exchange the WebRTC
+// handshake through the API; audio and video flow between the browsers.
+const VideoSession = () => {
+  const { bookingId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useContext(AppContext);
+  const [info, setInfo] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [isJoining, setIsJoining] = useState(false);
+  const [micOn, setMicOn] = useState(true);
+  const [cameraOn, setCameraOn] = useState(true);
+  const localVideo = useRef(null);
+  const remoteVideo = useRef(null);
+  const localStream = useRef(null);
+
+  const loadInfo = useCallback(() => {
+    api.getBookingSession(bookingId)
+      .then(setInfo)
+      .catch(err => setError(err.message || 'Failed to load the session'));
+  }, [bookingId]);
+
+  const stopCamera = () => {
+    localStream.current?.getTracks().forEach(track => track.stop());
+    localStream.current = null;
+  };
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    loadInfo();
+  }, [user, navigate, loadInfo]);
+
+  // Release the camera when leaving the page
+  useEffect(() => stopCamera, []);
+
+  // Signaling and the peer connection, while in the room
+  useEffect(() => {
+    if (!room) return undefined;
+
+    const socket = new WebSocket(`${SIGNALING_URL}?ticket=${encodeURIComponent(room.ticket)}`);
+    let peer = null;
+    // Handle messages one at a time so candidates never overtake their offer
+    let queue = Promise.resolve();
+
+    const signal = (message) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const createPeer = () => {
+      if (peer) peer.close();
+      peer = new RTCPeerConnection({ iceServers: room.iceServers });
+      localStream.current.getTracks().forEach(track => peer.addTrack(track, localStream.current));
+      peer.onicecandidate = ({ candidate }) => {
+        if (candidate) signal({ type: 'candidate', candidate });
+      };
+      peer.ontrack = ({ streams: [stream] }) => {
+        if (remoteVideo.current) remoteVideo.current.srcObject = stream;
+      };
+      peer.onconnectionstatechange = () => {
+        if (peer?.connectionState === 'connected') setStatus('connected');
+        if (peer?.connectionState === 'failed') setStatus('connecting');
+      };
+      return peer;
+    };
+
+    const handle = async (message) => {
+      switch (message.type) {
+        case 'joined':
+          setStatus(message.peers.length > 0 ? 'connecting' : 'waiting');
+          break;
+        case 'peer-joined': {
+          // Whoever was in the room first makes the offer
+          setStatus('connecting');
+          const connection = createPeer();
+          await connection.setLocalDescription(await connection.createOffer());
+          signal({ type: 'offer', sdp: connection.localDescription });
+          break;
+        }
+        case 'offer': {
+          const connection = createPeer();
+          await connection.setRemoteDescription(message.sdp);
+          await connection.setLocalDescription(await connection.createAnswer());
+          signal({ type: 'answer', sdp: connection.localDescription });
+          break;
+        }
+        case 'answer':
+          await peer?.setRemoteDescription(message.sdp);
+          break;
+        case 'candidate':
+          await peer?.addIceCandidate(message.candidate);
+          break;
+        case 'peer-left':
+          peer?.close();
+          peer = null;
+          if (remoteVideo.current) remoteVideo.current.srcObject = null;
+          setStatus('waiting');
+          break;
+        default:
+          break;
+      }
+    };
+
+    socket.onmessage = ({ data }) => {
+      queue = queue
+        .then(() => handle(JSON.parse(data)))
+        .catch(err => console.error('VideoSession - Signaling error:', err));
+    };
+
+    socket.onclose = ({ code, reason }) => {
+      peer?.close();
+      stopCamera();
+      setRoom(null);
+      setStatus(null);
+      setError(CLOSE_MESSAGES[code] || reason || 'You were disconnected from the session.');
+      loadInfo();
+    };
+
+    return () => {
+      socket.onclose = null;
+      socket.close();
+      peer?.close();
+    };
+  }, [room, loadInfo]);
+
+  // The local preview is rendered once in the room
+  useEffect(() => {
+    if (room && localVideo.current) localVideo.current.srcObject = localStream.current;
+  }, [room]);
+
+  const handleJoin = async () => {
+    setIsJoining(true);
+    setError(null);
+    try {
+      localStream.current = await navigator.mediaDevices.getUserMedia({ video: true, audio: true });
+      setMicOn(true);
+      setCameraOn(true);
+      setRoom(await api.joinSession(bookingId));
+    } catch (err) {
+      console.error('Error joining session:', err);
+      stopCamera();
+      setError(err.name === 'NotAllowedError'
+        ? 'Allow access to your camera and microphone to join the session.'
+        : err.message || 'Could not join the session');
+    } finally {
+      setIsJoining(false);
+    }
+  };
+
+  const toggleMic = () => {
+    localStream.current?.getAudioTracks().forEach(track => { track.enabled = !micOn; });
+    setMicOn(!micOn);
+  };
+
+  const toggleCamera = () => {
+    localStream.current?.getVideoTracks().forEach(track => { track.enabled = !cameraOn; });
+    setCameraOn(!cameraOn);
+  };
+
+  const handleLeave = () => {
+    stopCamera();
+    setRoom(null);
+    navigate(info?.role === 'consultant' ? '/dashboard' : `/my-appointments?booking=${bookingId}`);
+  };
+
+  const handleEnd = async () => {
+    if (!window.confirm('End the session for both of you and mark the booking completed?')) return;
+    try {
+      await api.endSession(room.session._id);
+      handleLeave();
+    } catch (err) {
+      console.error('Error ending session:', err);
+      setError(err.message || 'Failed to end the session');
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <h1 className="text-2xl font-bold text-gray-900 mb-2">Video session</h1>
+      {info && (
+        <p className="text-gray-600 mb-6">
+          {format(new Date(info.opensAt), 'PPPP')}, {format(new Date(info.opensAt), 'p')} – {format(new Date(info.closesAt), 'p')}
+        </p>
+      )}
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      {!room ? (
+        <div className="bg-white rounded-lg shadow p-6 text-center">
+          {!info && !error && <p className="text-gray-600">Loading...</p>}
+          {info && !info.canJoin && <p className="text-gray-700">{info.reason}</p>}
+          {info?.canJoin && (
+            <>
+              <p className="text-gray-700 mb-4">Your camera and microphone will be used once you join.</p>
+              <button
+                onClick={handleJoin}
+                disabled={isJoining}
+                className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md disabled:opacity-50"
+              >
+                <VideoCameraIcon className="h-5 w-5 mr-2" />
+                {isJoining ? 'Joining...' : 'Join session'}
+              </button>
+            </>
+          )}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="relative bg-gray-900 rounded-lg overflow-hidden aspect-video">
+            <video ref={remoteVideo} autoPlay playsInline className="w-full h-full object-cover" />
+            {status !== 'connected' && (
+              <p className="absolute inset-0 flex items-center justify-center text-white">{STATUS_LABELS[status]}</p>
+            )}
+            <video
+              ref={localVideo}
+              autoPlay
+              playsInline
+              muted
+              className="absolute bottom-4 right-4 w-40 rounded-md border-2 border-white bg-gray-800"
+            />
+          </div>
+
+          <div className="flex justify-center space-x-3">
+            <button
+              onClick={toggleMic}
+              className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-md ${micOn ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-red-100 text-red-700 hover:bg-red-200'}`}
+            >
+              <MicrophoneIcon className="h-5 w-5 mr-1" />
+              {micOn ? 'Mute' : 'Unmute'}
+            </button>
+            <button
+              onClick={toggleCamera}
+              className={`inline-flex items-center px-4 py-2 text-sm font-medium rounded-md ${cameraOn ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-red-100 text-red-700 hover:bg-red-200'}`}
+            >
+              {cameraOn ? <VideoCameraIcon className="h-5 w-5 mr-1" /> : <VideoCameraSlashIcon className="h-5 w-5 mr-1" />}
+              {cameraOn ? 'Stop video' : 'Start video'}
+            </button>
+            <button
+              onClick={handleLeave}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium text-white bg-red-600 hover:bg-red-700 rounded-md"
+            >
+              <PhoneXMarkIcon className="h-5 w-5 mr-1" />
+              Leave
+            </button>
+            {room.role === 'consultant' && (
+              <button
+                onClick={handleEnd}
+                className="px-4 py-2 text-sm font-medium text-red-700 hover:bg-red-50 rounded-md"
+              >
+                End session
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoSession;
@@ -1,3 +1,4 @@
+/* eslint-disable no-restricted-globals -- `self` is the service worker's global scope */
 import { clientsClaim } from 'workbox-core';
 import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
 import { registerRoute, NavigationRoute } from 'workbox-routing';
@@ -126,6 +127,42 @@ const navigationRoute = new NavigationRoute(handler, {
 });
 registerRoute(navigationRoute);
 
+// Show booking updates and reminders pushed by the backend (services/pushService.js)
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Consultant Booking', {
+      body: payload.body,
+      icon: '/favicon.ico',
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      data: { url: payload.url || '/my-appointments' },
+    })
+  );
+});
+
+// Open the appointment a notification is about, in an open tab if there is one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/my-appointments', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windowClients) => {
+      const client = windowClients.find(windowClient => windowClient.url.startsWith(self.location.origin));
+      if (client) {
+        return client.focus().then(focused => focused.navigate(url));
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
 // Offline fallback
 self.addEventListener('fetch', (event) => {
   if (event.request.mode === 'navigate') {
@@ -239,6 +239,7 @@ const transformService = (service) => {
     description: service.description || '',
     specialty: service.category || '',
     pricePerSession: service.price || 0,
+    currency: service.currency || 'usd',
     sessionDuration: service.duration || 60,
     consultantId: service.consultantId || null,
     image: service.image || null
@@ -1,6 +1,8 @@
 import { create } from 'zustand';
 import { devtools } from 'zustand/middleware';
+import { format } from 'date-fns';
 import useEntityStore from './entityStore';
+import { getBrowserTimeZone } from '../utils/timeZone';
 
 // Create the store
 const useBookingStore = create(
@@ -16,6 +18,8 @@ const useBookingStore = create(
     selectedTime: null,
     documents: [],
     notes: '',
+    couponCode: null,
+    packagePurchaseId: null,
     
     // Actions
     setConsultant: (consultant) => {
@@ -92,11 +96,29 @@ const useBookingStore = create(
       set({ notes: notes });
     },
 
+    setCouponCode: (couponCode) => {
+      set({ couponCode });
+    },
+
+    setPackagePurchaseId: (packagePurchaseId) => {
+      set({ packagePurchaseId });
+    },
+
     setError: (error) => {
       console.log('Setting error:', error);
       set({ error: error });
     },
 
+    // Someone else booked a slot; drop it if it is the one being booked
+    slotTaken: ({ consultantId, date, time }) => {
+      const { selectedConsultantId, selectedDate, selectedTime } = get();
+      if (selectedConsultantId !== consultantId || selectedTime !== time
+        || !selectedDate || format(selectedDate, 'yyyy-MM-dd') !== date) {
+        return;
+      }
+      set({ selectedTime: null, error: 'This time slot was just booked by someone else. Please pick another time.' });
+    },
+
     setLoading: (loading) => {
       console.log('Setting loading:', loading);
       set({ isLoading: loading });
@@ -112,6 +134,8 @@ const useBookingStore = create(
         selectedTime: null,
         documents: [],
         notes: '',
+        couponCode: null,
+        packagePurchaseId: null,
         error: null,
       });
     },
@@ -138,7 +162,7 @@ const useBookingStore = create(
       const entityStore = useEntityStore.getState();
       const consultant = entityStore.getEntity('consultants', state.selectedConsultantId);
       const service = entityStore.getEntity('services', state.selectedServiceId);
-      const { selectedDate, selectedTime, documents, notes } = state;
+      const { selectedDate, selectedTime, documents, notes, couponCode, packagePurchaseId } = state;
 
       if (!consultant || !service || !selectedDate || !selectedTime) {
         console.log('Missing required booking information');
@@ -153,9 +177,17 @@ const useBookingStore = create(
         const formData = new FormData();
         formData.append('consultantId', consultant._id);
         formData.append('serviceId', service._id);
-        formData.append('date', selectedDate.toISOString());
+        // Calendar day as picked (toISOString would shift it to the UTC day)
+        formData.append('date', format(selectedDate, 'yyyy-MM-dd'));
         formData.append('time', selectedTime);
+        formData.append('clientTimeZone', getBrowserTimeZone());
         formData.append('notes', notes);
+        if (couponCode) {
+          formData.append('couponCode', couponCode);
+        }
+        if (packagePurchaseId) {
+          formData.append('packagePurchaseId', packagePurchaseId);
+        }
         
         // Append documents if any
         documents.forEach((doc, index) => {
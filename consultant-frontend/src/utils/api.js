@@ -230,6 +230,220 @@ const api = {
       method: 'POST',
       body: bookingData
     });
+  },
+
+  // Refund the client would get by cancelling now, with the consultant's terms
+  async getCancellationTerms(bookingId) {
+    return this.makeRequest(`/clients/cancel/${bookingId}`);
+  },
+
+  async cancelBooking(bookingId, reason) {
+    return this.makeRequest(`/clients/cancel/${bookingId}`, {
+      method: 'PUT',
+      body: { reason }
+    });
+  },
+
+  // Holds a slot for a few minutes while the booking form is completed; resolves with { hold }
+  async holdSlot({ consultantId, serviceId, date, time, duration }) {
+    return this.makeRequest('/bookings/holds', {
+      method: 'POST',
+      body: { consultantId, serviceId, date, time, duration }
+    });
+  },
+
+  async releaseHold(holdId) {
+    return this.makeRequest(`/bookings/holds/${holdId}`, { method: 'DELETE' });
+  },
+
+  // Moves a booking to a new slot; resolves with the new booking
+  async rescheduleBooking(bookingId, { date, time, reason }) {
+    return this.makeRequest(`/bookings/${bookingId}/reschedule`, {
+      method: 'POST',
+      body: { date, time, reason }
+    });
+  },
+
+  // Waits for a freed slot with a consultant between two dates (YYYY-MM-DD)
+  async joinWaitlist({ consultantId, serviceId, from, to }) {
+    return this.makeRequest('/waitlist', {
+      method: 'POST',
+      body: { consultantId, serviceId, from, to }
+    });
+  },
+
+  async leaveWaitlist(entryId) {
+    return this.makeRequest(`/waitlist/${entryId}`, { method: 'DELETE' });
+  },
+
+  // Books the slot offered from the waitlist; resolves with { booking }
+  async claimWaitlistOffer(entryId) {
+    return this.makeRequest(`/waitlist/${entryId}/claim`, { method: 'POST' });
+  },
+
+  async declineWaitlistOffer(entryId) {
+    return this.makeRequest(`/waitlist/${entryId}/decline`, { method: 'POST' });
+  },
+
+  async markNotificationRead(notificationId) {
+    return this.makeRequest(`/notifications/${notificationId}/read`, { method: 'PUT' });
+  },
+
+  async markAllNotificationsRead() {
+    return this.makeRequest('/notifications/read-all', { method: 'PUT' });
+  },
+
+  // Changes some notification preferences (types, quietHours, digest); resolves with all of them
+  async updateNotificationPreferences(changes) {
+    return this.makeRequest('/notification-preferences', {
+      method: 'PUT',
+      body: changes
+    });
+  },
+
+  // Resolves with { ticket, expiresIn }: a one-minute ticket to open the event stream with
+  async getEventTicket() {
+    return this.makeRequest('/events/ticket', { method: 'POST' });
+  },
+
+  // Resolves with { enabled, publicKey } for subscribing to browser push
+  async getPushConfig() {
+    return this.makeRequest('/push/config');
+  },
+
+  // Saves a PushSubscription (as returned by its toJSON()) for the current user
+  async savePushSubscription(subscription) {
+    return this.makeRequest('/push/subscriptions', {
+      method: 'POST',
+      body: subscription
+    });
+  },
+
+  async deletePushSubscription(endpoint) {
+    return this.makeRequest('/push/subscriptions', {
+      method: 'DELETE',
+      body: { endpoint }
+    });
+  },
+
+  // Price of a service with a discount code, without using the code;
+  // resolves with { code, currency, originalAmount, discount, amount }
+  async previewCoupon({ code, consultantId, serviceId }) {
+    return this.makeRequest('/coupons/preview', {
+      method: 'POST',
+      body: { code, consultantId, serviceId }
+    });
+  },
+
+  // Packages on sale, each with price { amount, perSessionAmount, savings, currency }
+  async getPackages({ consultantId, serviceId } = {}) {
+    const params = new URLSearchParams({
+      ...(consultantId && { consultantId }),
+      ...(serviceId && { serviceId })
+    });
+    return this.makeRequest(`/packages?${params}`);
+  },
+
+  // Buys a package; resolves with { purchase, paymentId, status, clientSecret }
+  async purchasePackage(packageId, paymentMethodId) {
+    return this.makeRequest(`/packages/${packageId}/purchase`, {
+      method: 'POST',
+      body: { paymentMethodId }
+    });
+  },
+
+  // Refunds the unused credits of a purchase; resolves with { purchase, refund }
+  async refundPackageCredits(purchaseId, reason) {
+    return this.makeRequest(`/packages/purchases/${purchaseId}/refund`, {
+      method: 'POST',
+      body: { reason }
+    });
+  },
+
+  // Opens the thread of a booking ({ bookingId }) or with a consultant ({ consultantId }); resolves with the conversation
+  async openConversation({ bookingId, consultantId }) {
+    return this.makeRequest('/conversations', {
+      method: 'POST',
+      body: { bookingId, consultantId }
+    });
+  },
+
+  // Older messages of a conversation; resolves with { conversation, messages, hasMore }
+  async getConversationMessages(conversationId, before) {
+    const params = new URLSearchParams(before ? { before } : {});
+    return this.makeRequest(`/conversations/${conversationId}/messages?${params}`);
+  },
+
+  // Sends a message with optional attachments (File objects); resolves with the message
+  async sendMessage(conversationId, body, files = []) {
+    const formData = new FormData();
+    formData.append('body', body);
+    files.forEach(file => formData.append('attachments', file));
+
+    // Sent without makeRequest so the browser sets the multipart Content-Type
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/conversations/${conversationId}/messages`, {
+      method: 'POST',
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: formData
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+  },
+
+  // Fetches an attachment of a message; resolves with { blob, filename }
+  async downloadAttachment(conversationId, messageId, attachment) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(
+      `${API_BASE_URL}/conversations/${conversationId}/messages/${messageId}/attachments/${attachment._id}`,
+      { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+    );
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `HTTP error! status: ${response.status}`);
+    }
+    return { blob: await response.blob(), filename: attachment.originalName };
+  },
+
+  // Video session of a booking; resolves with { session, role, opensAt, closesAt, canJoin, reason }
+  async getBookingSession(bookingId) {
+    return this.makeRequest(`/sessions/booking/${bookingId}`);
+  },
+
+  // Enters the video room of a booking; resolves with { session, role, ticket, opensAt, closesAt, iceServers }
+  async joinSession(bookingId) {
+    return this.makeRequest(`/sessions/booking/${bookingId}/join`, {
+      method: 'POST'
+    });
+  },
+
+  // Ends a video session for both participants and completes its booking (consultant only)
+  async endSession(sessionId) {
+    return this.makeRequest(`/sessions/${sessionId}/end`, {
+      method: 'POST'
+    });
+  },
+
+  // Fetches the booking's invoice PDF (with its credit notes); resolves with { blob, filename }
+  async downloadInvoice(bookingId) {
+    const token = localStorage.getItem('token');
+    const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/invoice`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.message || `HTTP error! status: ${response.status}`);
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const [, filename = 'invoice.pdf'] = disposition.match(/filename="([^"]+)"/) || [];
+    return { blob: await response.blob(), filename };
   }
 };
 
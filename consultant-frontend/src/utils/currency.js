@@ -0,0 +1,40 @@
+// Currency each supported region prices in; everything else falls back to USD
+const REGION_CURRENCIES = {
+  US: 'usd', GB: 'gbp', CH: 'chf', CA: 'cad', AU: 'aud', JP: 'jpy', IN: 'inr'
+};
+const EURO_REGIONS = [
+  'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT',
+  'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+];
+
+// Currency of the browser's region, used to show approximate prices, e.g. "eur"
+export const getBrowserCurrency = () => {
+  const region = (navigator.language || '').split('-')[1];
+  if (EURO_REGIONS.includes(region)) return 'eur';
+  return REGION_CURRENCIES[region] || 'usd';
+};
+
+// Format an amount in its currency, e.g. "€90.00"
+export const formatPrice = (amount, currency = 'usd') => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: currency.toUpperCase()
+}).format(Number(amount) || 0);
+
+// Convert an amount with the server's exchange-rate table; null if a rate is missing
+export const convertPrice = (amount, from, to, exchangeRates) => {
+  const rates = exchangeRates?.rates || {};
+  const fromRate = rates[from?.toLowerCase()];
+  const toRate = rates[to?.toLowerCase()];
+  if (!fromRate || !toRate) return null;
+  return Math.round((Number(amount) / fromRate) * toRate * 100) / 100;
+};
+
+// Price in the service's currency, followed by an approximation in the
+// viewer's currency when they differ, e.g. "€90.00 (≈ $104.65)"
+export const describePrice = (amount, currency, exchangeRates, displayCurrency = getBrowserCurrency()) => {
+  const price = formatPrice(amount, currency);
+  if (!currency || currency.toLowerCase() === displayCurrency) return price;
+
+  const converted = convertPrice(amount, currency, displayCurrency, exchangeRates);
+  return converted == null ? price : `${price} (≈ ${formatPrice(converted, displayCurrency)})`;
+};
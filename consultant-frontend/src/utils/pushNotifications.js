@@ -0,0 +1,66 @@
+import { api } from './api';
+
+// Browser push through the service worker registered in serviceWorkerRegistration.js
+
+export const isPushSupported = () =>
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager expects the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), char => char.charCodeAt(0));
+};
+
+// Resolves undefined while no service worker is registered (e.g. in development)
+const getRegistration = () => navigator.serviceWorker.getRegistration();
+
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+export async function subscribeToPush() {
+  if (!isPushSupported()) {
+    throw new Error('This browser does not support push notifications');
+  }
+
+  const { enabled, publicKey } = await api.getPushConfig();
+  if (!enabled) {
+    throw new Error('Push notifications are not available');
+  }
+  if (await Notification.requestPermission() !== 'granted') {
+    throw new Error('Notifications are blocked for this site');
+  }
+
+  const registration = await getRegistration();
+  if (!registration) {
+    throw new Error('Push notifications need the app to be installed in this browser');
+  }
+
+  const options = {
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(publicKey),
+  };
+  let subscription = await registration.pushManager.subscribe(options);
+  try {
+    await api.savePushSubscription(subscription.toJSON());
+  } catch (error) {
+    // The server refuses an endpoint another account saved; a fresh subscription gets a new one
+    await subscription.unsubscribe();
+    subscription = await registration.pushManager.subscribe(options);
+    await api.savePushSubscription(subscription.toJSON());
+  }
+  return subscription;
+}
+
+export async function unsubscribeFromPush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await api.deletePushSubscription(subscription.endpoint).catch(error => {
+    console.error('Error removing push subscription:', error);
+  });
+  await subscription.unsubscribe();
+}
@@ -0,0 +1,22 @@
+// Time zone of the current browser, e.g. "Europe/Paris"
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Format an instant as wall-clock time in the given IANA time zone
+export const formatInTimeZone = (instant, timeZone, options = {}) => {
+  if (!instant) return '';
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    ...options
+  }).format(new Date(instant));
+};
+
+// Format an instant as date and time in the given zone, e.g. "Mar 1, 2025, 10:00 GMT+1"
+export const formatDateTimeInTimeZone = (instant, timeZone) => formatInTimeZone(instant, timeZone, {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  timeZoneName: 'short'
+});